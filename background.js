@@ -8,6 +8,12 @@
  * to open tabs and simulate human typing.
  */
 
+// Local archive of downloaded exports, captures of failed runs, the company and run
+// schedules, the notification settings, the retry policy, the pause settings and the run
+// policy (shared with the options page) and the SheetJS-based parser for the creator
+// analytics export
+importScripts('export-archive.js', 'failure-captures.js', 'queued-uploads.js', 'company-schedule.js', 'run-schedule.js', 'notification-settings.js', 'retry-policy.js', 'pause-settings.js', 'run-policy.js', 'xlsx.full.min.js', 'export-parser.js');
+
 // Debug configuration - set to false for production
 const DEBUG_MODE = false;
 
@@ -28,68 +34,25 @@ const Logger = {
   }
 };
 
-// Force reset retry count on startup
-chrome.storage.local.get(['retryCount'], (data) => {
-  if (data.retryCount) {
-    Logger.log(`Found existing retry count on startup: ${data.retryCount}. Resetting to 0.`);
-    chrome.storage.local.set({ retryCount: 0 });
-    chrome.storage.local.remove(['nextRetryTime', 'retryScheduled']);
-    Logger.log('Retry count reset to 0 and retry flags cleared on startup.');
-  }
-});
-
 // ============================================================================
 // MULTI-LANGUAGE SUPPORT
 // ============================================================================
 
-/**
- * Dictionary of UI element text in different languages
- */
-const LANGUAGE_DICTIONARY = {
-  // Default language (English)
-  default: {
-    postImpressions: 'Post impressions',
-    past7Days: 'Past 7 days',
-    past28Days: 'Past 28 days',
-    showResults: 'Show results',
-    export: 'Export'
-  },
-  // German translations
-  de: {
-    postImpressions: 'Impressions von Beiträgen',
-    past7Days: 'Vergangene 7 Tage',
-    past28Days: 'Vergangene 28 Tage',
-    showResults: 'Ergebnisse anzeigen',
-    export: 'Exportieren'
-  },
-  // Spanish translations
-  es: {
-    postImpressions: 'Impresiones de la publicación',
-    past7Days: 'Últimos 7 días',
-    past28Days: 'Últimos 28 días',
-    showResults: 'Mostrar resultados',
-    export: 'Exportar'
-  },
-  // French translations
-  fr: {
-    postImpressions: 'Impressions des publications',
-    past7Days: 'Les 7 derniers jours',
-    past28Days: 'Les 28 derniers jours',
-    showResults: 'Afficher les résultats',
-    export: 'Exporter'
-  }
-};
+// LinkedIn UI strings, one locale pack per language (see locales/registry.js)
+importScripts('locales/registry.js');
+importScripts(...LocaleRegistry.getFiles());
 
 /**
  * Detect the LinkedIn interface language
  * @param {number} tabId - The ID of the tab to check
  * @returns {Promise<string>} The detected language code or 'default' if not detected
+ * @throws {AutomationError} If LinkedIn is set to a language without a locale pack
  */
 async function detectLanguage(tabId) {
-  return new Promise((resolve) => {
+  return new Promise((resolve, reject) => {
     chrome.scripting.executeScript({
       target: { tabId },
-      func: () => {
+      func: (localeCodes, detectionHints) => {
         // Try to detect language from LinkedIn's i18nLocale meta tag (most reliable)
         const i18nLocale = document.querySelector('meta[name="i18nLocale"]');
         if (i18nLocale && i18nLocale.content) {
@@ -130,14 +93,10 @@ async function detectLanguage(tabId) {
 
         // Try to detect from URL patterns
         const url = window.location.href;
-        const urlPatterns = [
-          { pattern: '/de/', code: 'de' },
-          { pattern: '/es/', code: 'es' },
-          { pattern: '/fr/', code: 'fr' },
-          { pattern: '.de/', code: 'de' },
-          { pattern: '.es/', code: 'es' },
-          { pattern: '.fr/', code: 'fr' }
-        ];
+        const urlPatterns = [];
+        localeCodes.forEach((code) => {
+          urlPatterns.push({ pattern: `/${code}/`, code }, { pattern: `.${code}/`, code });
+        });
 
         for (const { pattern, code } of urlPatterns) {
           if (url.includes(pattern)) {
@@ -151,19 +110,17 @@ async function detectLanguage(tabId) {
 
         // Try to detect from page content (look for language-specific elements)
         const pageText = document.body.innerText.toLowerCase();
-        if (pageText.includes('Impressionen') || pageText.includes('Beiträgen')) {
-          return { source: 'content', value: 'German content detected', code: 'de' };
-        }
-        if (pageText.includes('Impresiones') || pageText.includes('publicación')) {
-          return { source: 'content', value: 'Spanish content detected', code: 'es' };
-        }
-        if (pageText.includes('Impressions des') || pageText.includes('derniers jours')) {
-          return { source: 'content', value: 'French content detected', code: 'fr' };
+        for (const { code, texts } of detectionHints) {
+          const match = texts.find(text => pageText.includes(text.toLowerCase()));
+          if (match) {
+            return { source: 'content', value: `"${match}" found on page`, code };
+          }
         }
 
         // Default to English if no language detected
         return { source: 'default', value: 'en', code: 'default' };
-      }
+      },
+      args: [LocaleRegistry.LOCALES.filter(code => code !== LocaleRegistry.DEFAULT_LOCALE), LocaleRegistry.getDetectionHints()]
     }, (results) => {
       if (chrome.runtime.lastError || !results || !results[0]) {
         Logger.log('Language detection failed, using default language', 'warn');
@@ -171,6 +128,7 @@ async function detectLanguage(tabId) {
       } else {
         const langInfo = results[0].result;
         const detectedLang = langInfo.code;
+        const supported = detectedLang === 'default' || LocaleRegistry.has(detectedLang);
 
         // Only log language detection once per session or when it changes
         if (!this.lastDetectedLanguage || this.lastDetectedLanguage !== detectedLang) {
@@ -185,544 +143,1426 @@ async function detectLanguage(tabId) {
             source: langInfo.source,
             originalValue: langInfo.value,
             timestamp: new Date().toISOString(),
-            supported: !!LANGUAGE_DICTIONARY[detectedLang]
+            supported
           }
         });
 
-        // Check if we have translations for this language
-        resolve(LANGUAGE_DICTIONARY[detectedLang] ? detectedLang : 'default');
+        if (!supported) {
+          // Report the full locale, e.g. "ko_KR", so the user knows which setting to change
+          const locale = langInfo.value.replace('-', '_');
+          reject(new AutomationError(`unsupported LinkedIn language: ${locale}`, {
+            unsupportedLanguage: true,
+            // Retrying a step can't fix the language setting
+            fatal: true,
+            locale,
+            source: langInfo.source,
+            supportedLanguages: LocaleRegistry.LOCALES
+          }));
+          return;
+        }
+
+        resolve(detectedLang);
       }
     });
   });
 }
 
 /**
- * Enhanced Tab Interactions with multi-language support
+ * Loads the selector manifest: the locator targets, text overrides and wait times for
+ * LinkedIn pages. A copy ships with the extension (selector-manifest.json); a newer one
+ * can be fetched from a configurable URL so LinkedIn UI changes can be fixed without a
+ * new release. Remote manifests are validated and cached, and the bundled copy is used
+ * whenever no valid remote manifest is available.
  */
-const MultilingualTabInteractions = {
+const SelectorManifest = {
+  BUNDLED_PATH: 'selector-manifest.json',
+  URL_KEY: 'selectorManifestUrl',
+  CACHE_KEY: 'selectorManifestCache',
+  STATUS_KEY: 'selectorManifestStatus',
+
+  // Manifest format this version of the extension understands
+  SCHEMA_VERSION: 4,
+
+  // How long a fetched manifest is used before checking the URL again
+  MAX_AGE: 6 * 60 * 60 * 1000,
+
+  // Strategy types understood by element-locator.js
+  STRATEGY_TYPES: ['attribute', 'href', 'ariaLabel', 'role', 'text'],
+
+  // Recipes the automation flows run (see StepEngine)
+  RECIPES: ['legacy', 'direct', 'company'],
+
+  // Active manifest for the lifetime of the service worker
+  _active: null,
+  _loadedAt: 0,
+
   /**
-   * Wait for a page to fully load
-   * @param {number} tabId - The ID of the tab to wait for
-   * @param {number} maxWait - Maximum wait time in milliseconds
-   * @returns {Promise<void>}
-   * @throws {Error} If page load times out or script execution fails
+   * Check a manifest against the schema
+   * @param {Object} manifest - The parsed manifest
+   * @returns {string[]} Problems found, empty if the manifest is valid
    */
-  waitForPageLoad(tabId, maxWait = 50000) {
-    return new Promise((resolve, reject) => {
-      const startTime = Date.now();
+  validate(manifest) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
 
-      const checkInterval = setInterval(() => {
-        // Check if we've exceeded max wait time
-        if (Date.now() - startTime > maxWait) {
-          clearInterval(checkInterval);
-          reject(new Error('Page load timeout'));
+    if (!isObject(manifest)) {
+      return ['Manifest must be a JSON object'];
+    }
+    if (manifest.schemaVersion !== this.SCHEMA_VERSION) {
+      errors.push(`Unsupported schemaVersion ${manifest.schemaVersion} (expected ${this.SCHEMA_VERSION})`);
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+      errors.push('version must be a positive integer');
+    }
+
+    if (!isObject(manifest.waits)) {
+      errors.push('waits must be an object');
+    } else {
+      ['pageLoadTimeout', 'settleTimeout', 'quietTime', 'elementTimeout', 'stepTimeout'].forEach((key) => {
+        if (typeof manifest.waits[key] !== 'number' || manifest.waits[key] < 0) {
+          errors.push(`waits.${key} must be a non-negative number`);
         }
+      });
+      if (typeof manifest.waits.spinnerSelector !== 'string' || !manifest.waits.spinnerSelector) {
+        errors.push('waits.spinnerSelector must be a CSS selector');
+      }
+    }
 
-        chrome.scripting.executeScript({
-          target: { tabId },
-          func: () => document.readyState
-        }, (results) => {
-          if (chrome.runtime.lastError) {
-            clearInterval(checkInterval);
-            reject(new Error('Script execution error'));
-          } else if (results && results[0]?.result === 'complete') {
-            clearInterval(checkInterval);
-            // Add a small buffer after page load
-            setTimeout(resolve, 5000);
+    if (!isObject(manifest.texts)) {
+      errors.push('texts must be an object');
+    } else {
+      Object.entries(manifest.texts).forEach(([code, strings]) => {
+        if (!isObject(strings) || !Object.values(strings).every(text => typeof text === 'string')) {
+          errors.push(`texts.${code} must map keys to strings`);
+        }
+      });
+    }
+
+    if (!Array.isArray(manifest.sessionWalls) || manifest.sessionWalls.length === 0) {
+      errors.push('sessionWalls must be a non-empty list');
+    } else {
+      manifest.sessionWalls.forEach((wall, index) => {
+        const at = `sessionWalls[${index}]`;
+        if (!isObject(wall) || typeof wall.name !== 'string' || !wall.name) {
+          errors.push(`${at} needs a name`);
+          return;
+        }
+        if (!isStringList(wall.urlPatterns) || !isStringList(wall.selectors)) {
+          errors.push(`${at} needs urlPatterns and selectors lists`);
+          return;
+        }
+        wall.urlPatterns.forEach((pattern) => {
+          try {
+            new RegExp(pattern, 'i');
+          } catch (error) {
+            errors.push(`${at} has an invalid url pattern "${pattern}"`);
+          }
+        });
+      });
+    }
+
+    if (!isObject(manifest.recipes)) {
+      errors.push('recipes must be an object');
+    } else {
+      this.RECIPES.filter(name => !manifest.recipes[name]).forEach((name) => {
+        errors.push(`recipes.${name} is missing`);
+      });
+      Object.entries(manifest.recipes).forEach(([name, steps]) => {
+        if (!Array.isArray(steps) || steps.length === 0) {
+          errors.push(`recipes.${name} must be a non-empty list of steps`);
+          return;
+        }
+
+        const downloads = [];
+        steps.forEach((step, index) => {
+          const at = `recipes.${name}[${index}]`;
+          StepEngine.validateStep(step).forEach(problem => errors.push(`${at} ${problem}`));
+          if (step && step.action === 'expectDownload') {
+            downloads.push(step.as);
+          }
+          if (step && step.action === 'upload' && typeof step.download === 'string' && !downloads.includes(step.download)) {
+            errors.push(`${at} uploads "${step.download}" before an expectDownload step names it`);
+          }
+        });
+      });
+    }
+
+    if (!isObject(manifest.targets) || Object.keys(manifest.targets).length === 0) {
+      errors.push('targets must be a non-empty object');
+      return errors;
+    }
+
+    Object.entries(manifest.targets).forEach(([key, strategies]) => {
+      if (!Array.isArray(strategies) || strategies.length === 0) {
+        errors.push(`targets.${key} must be a non-empty list of strategies`);
+        return;
+      }
+
+      strategies.forEach((strategy, index) => {
+        const at = `targets.${key}[${index}]`;
+        if (!isObject(strategy) || typeof strategy.name !== 'string' || !strategy.name) {
+          errors.push(`${at} needs a name`);
+          return;
+        }
+        if (!this.STRATEGY_TYPES.includes(strategy.type)) {
+          errors.push(`${at} has unknown type "${strategy.type}"`);
+        }
+        if (['attribute', 'href'].includes(strategy.type)) {
+          if (typeof strategy.pattern !== 'string') {
+            errors.push(`${at} needs a pattern`);
+          } else {
+            try {
+              new RegExp(strategy.pattern, 'i');
+            } catch (error) {
+              errors.push(`${at} has an invalid pattern`);
+            }
+          }
+        }
+        if (strategy.type === 'role' && typeof strategy.role !== 'string') {
+          errors.push(`${at} needs a role`);
+        }
+        if (['ariaLabel', 'role', 'text'].includes(strategy.type) && !isStringList(strategy.textKeys) && !isStringList(strategy.extraTexts)) {
+          errors.push(`${at} needs textKeys or extraTexts`);
+        }
+        ['selector', 'scope'].forEach((field) => {
+          if (strategy[field] !== undefined && typeof strategy[field] !== 'string') {
+            errors.push(`${at}.${field} must be a string`);
           }
         });
-      }, 500);
+        if (strategy.minScore !== undefined && (typeof strategy.minScore !== 'number' || strategy.minScore <= 0 || strategy.minScore > 1)) {
+          errors.push(`${at}.minScore must be between 0 and 1`);
+        }
+      });
     });
+
+    return errors;
   },
 
   /**
-   * Get the current language of the LinkedIn interface
-   * @param {number} tabId - The ID of the tab
-   * @returns {Promise<string>} The detected language code
+   * Read the manifest bundled with the extension
+   * @returns {Promise<Object>} The bundled manifest
    */
-  async getLanguage(tabId) {
-    return await detectLanguage(tabId);
+  async getBundled() {
+    const response = await fetch(chrome.runtime.getURL(this.BUNDLED_PATH));
+    return response.json();
   },
 
   /**
-   * Click a button in a tab with multi-language support
-   * @param {number} tabId - The ID of the tab
-   * @param {string} buttonKey - The key for the button text in the language dictionary
-   * @returns {Promise<void>}
-   * @throws {Error} If button is not found or script execution fails
+   * Fetch and validate a remote manifest
+   * @param {string} url - The manifest URL
+   * @returns {Promise<Object>} The manifest
+   * @throws {Error} If the request fails or the manifest is invalid
    */
-  async clickButton(tabId, buttonKey) {
-    // First detect the language
-    const language = await this.getLanguage(tabId);
+  async fetchRemote(url) {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Manifest request failed with status ${response.status}`);
+    }
 
-    // Get all possible translations for this button
-    const buttonTexts = [];
-    Object.keys(LANGUAGE_DICTIONARY).forEach(lang => {
-      if (LANGUAGE_DICTIONARY[lang][buttonKey]) {
-        buttonTexts.push(LANGUAGE_DICTIONARY[lang][buttonKey]);
-      }
+    let manifest;
+    try {
+      manifest = await response.json();
+    } catch (error) {
+      throw new Error('Manifest is not valid JSON');
+    }
+
+    const errors = this.validate(manifest);
+    if (errors.length > 0) {
+      throw new Error(`Invalid manifest: ${errors.join('; ')}`);
+    }
+    return manifest;
+  },
+
+  /**
+   * Load the manifest to use, fetching the remote one when the cache is stale
+   * @param {boolean} force - Fetch the remote manifest even if the cache is fresh
+   * @returns {Promise<Object>} Status as { source, version, url, fetchedAt, checkedAt, lastError }
+   */
+  async load(force = false) {
+    const bundled = await this.getBundled();
+    const stored = await new Promise((resolve) => {
+      chrome.storage.local.get([this.URL_KEY, this.CACHE_KEY], resolve);
     });
+    const url = stored[this.URL_KEY] || null;
+    let cache = stored[this.CACHE_KEY] || null;
+    let lastError = null;
+
+    if (url) {
+      const cacheIsFresh = cache && cache.url === url && Date.now() - cache.fetchedAt < this.MAX_AGE;
+      if (force || !cacheIsFresh) {
+        try {
+          const manifest = await this.fetchRemote(url);
+          cache = { url, manifest, fetchedAt: Date.now() };
+          chrome.storage.local.set({ [this.CACHE_KEY]: cache });
+          PersistentLogger.log(`Selector manifest version ${manifest.version} fetched from ${url}`);
+        } catch (error) {
+          lastError = error.message;
+          PersistentLogger.warn(`Selector manifest update failed, using ${cache && cache.url === url ? 'cached' : 'bundled'} copy: ${error.message}`);
+        }
+      }
+    }
+
+    // A newer bundled copy (after an extension update) wins over an older remote one
+    const useCache = url && cache && cache.url === url &&
+      cache.manifest.version >= bundled.version && this.validate(cache.manifest).length === 0;
+    this._active = useCache ? cache.manifest : bundled;
+    this._loadedAt = Date.now();
+
+    const status = {
+      source: useCache ? 'remote' : 'bundled',
+      version: this._active.version,
+      url,
+      fetchedAt: useCache ? cache.fetchedAt : null,
+      checkedAt: Date.now(),
+      lastError
+    };
+    chrome.storage.local.set({ [this.STATUS_KEY]: status });
+    return status;
+  },
 
-    // If no translations found, use the key itself
-    if (buttonTexts.length === 0) {
-      buttonTexts.push(buttonKey);
+  /**
+   * Get the active manifest, loading it if needed
+   * @returns {Promise<Object>} The manifest
+   */
+  async get() {
+    if (!this._active || Date.now() - this._loadedAt >= this.MAX_AGE) {
+      await this.load();
     }
+    return this._active;
+  }
+};
+
+/**
+ * Locates and clicks LinkedIn elements by injecting element-locator.js. Each logical
+ * target has a ranked list of strategies in the selector manifest; text strategies name
+ * locale keys and are given the texts of every supported language, detected language first.
+ */
+const ElementLocator = {
+  SCRIPT: 'element-locator.js',
+
+  // Attributes LinkedIn uses for test and tracking hooks
+  DATA_ATTRIBUTES: ['data-test-id', 'data-testid', 'data-control-name'],
+
+  /**
+   * Get every text for a locale key, manifest overrides before the locale packs
+   * @param {Object} manifest - The selector manifest
+   * @param {string} key - The locale key
+   * @param {string} language - Optional detected language code, tried first
+   * @returns {string[]} Unique texts
+   */
+  getTexts(manifest, key, language = null) {
+    const overrideCodes = [language, ...Object.keys(manifest.texts)].filter(code => code && manifest.texts[code]);
+    const overrides = overrideCodes.map(code => manifest.texts[code][key]).filter(Boolean);
+    return [...new Set([...overrides, ...LocaleRegistry.getTexts(key, language)])];
+  },
+
+  /**
+   * Build the target passed to the page, resolving locale keys to texts
+   * @param {Object} manifest - The selector manifest
+   * @param {string} key - Target name in the manifest, or a locale key for a generic text search
+   * @param {string} language - Optional detected language code, tried first
+   * @returns {Object} Target as { name, strategies }
+   */
+  getTarget(manifest, key, language = null) {
+    const strategies = manifest.targets[key] || [
+      { name: 'aria-label', type: 'ariaLabel', textKeys: [key] },
+      { name: 'text', type: 'text', textKeys: [key] }
+    ];
+
+    return {
+      name: key,
+      strategies: strategies.map(strategy => ({
+        ...strategy,
+        attributes: strategy.attributes || this.DATA_ATTRIBUTES,
+        texts: [
+          ...(strategy.textKeys || []).flatMap(textKey => this.getTexts(manifest, textKey, language)),
+          ...(strategy.extraTexts || [])
+        ]
+      }))
+    };
+  },
 
+  /**
+   * Inject the locator into a tab
+   * @param {number} tabId - The ID of the tab
+   * @returns {Promise<void>}
+   * @throws {Error} If the script can't be injected
+   */
+  inject(tabId) {
     return new Promise((resolve, reject) => {
       chrome.scripting.executeScript({
         target: { tabId },
-        func: (texts) => {
-          // Try to find a button with any of the provided texts
-          const buttons = Array.from(document.querySelectorAll('button'));
-          let buttonFound = false;
-
-          for (const text of texts) {
-            const button = buttons.find((btn) => btn.textContent.includes(text));
-            if (button) {
-              button.scrollIntoView({ behavior: "smooth", block: "center" });
-              button.click();
-              buttonFound = true;
-              break;
-            }
-          }
-
-          return buttonFound;
-        },
-        args: [buttonTexts]
-      }, (results) => {
+        files: [this.SCRIPT]
+      }, () => {
         if (chrome.runtime.lastError) {
-          reject(new Error('Button click script error'));
-        } else if (!results[0]?.result) {
-          reject(new Error(`Button not found for key: ${buttonKey}`));
+          reject(new Error(`Element locator injection failed: ${chrome.runtime.lastError.message}`));
         } else {
-          // Wait a bit after clicking to allow for potential UI updates
-          setTimeout(resolve, 5000);
+          resolve();
         }
       });
     });
   },
 
   /**
-   * Click a link in a tab with multi-language support
+   * Locate and click a target, logging which strategy matched
    * @param {number} tabId - The ID of the tab
-   * @param {string} linkKey - The key for the link text in the language dictionary
-   * @returns {Promise<void>}
-   * @throws {Error} If link is not found or script execution fails
+   * @param {string} key - Target name in the selector manifest, or a locale key
+   * @param {string} language - Optional detected language code
+   * @returns {Promise<Object>} Result as { found, strategy, rank, score, description, tried }
+   * @throws {Error} If script execution fails
    */
-  async clickLink(tabId, linkKey) {
-    // First detect the language
-    const language = await this.getLanguage(tabId);
+  async clickTarget(tabId, key, language = null) {
+    await this.inject(tabId);
+    const target = this.getTarget(await SelectorManifest.get(), key, language);
 
-    // Get all possible translations for this link
-    const linkTexts = [];
-    Object.keys(LANGUAGE_DICTIONARY).forEach(lang => {
-      if (LANGUAGE_DICTIONARY[lang][linkKey]) {
-        linkTexts.push(LANGUAGE_DICTIONARY[lang][linkKey]);
-      }
+    const result = await new Promise((resolve, reject) => {
+      chrome.scripting.executeScript({
+        target: { tabId },
+        func: (pageTarget) => window.elementLocator.click(pageTarget),
+        args: [target]
+      }, (results) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(`Element locator script error: ${chrome.runtime.lastError.message}`));
+        } else {
+          resolve((results && results[0] && results[0].result) || { found: false, tried: [] });
+        }
+      });
     });
 
-    // If no translations found, use the key itself
-    if (linkTexts.length === 0) {
-      linkTexts.push(linkKey);
+    if (result.found) {
+      PersistentLogger.log(`Located "${key}" with strategy "${result.strategy}" (rank ${result.rank + 1} of ${target.strategies.length}, score ${result.score.toFixed(2)}): ${result.description}`);
+    } else {
+      PersistentLogger.warn(`No strategy located "${key}" (tried: ${result.tried.join(', ')})`);
     }
 
+    return result;
+  }
+};
+
+/**
+ * Waits for conditions inside a LinkedIn page by injecting page-conditions.js: the page is
+ * ready, locator targets are visible, spinners are gone, or the network and DOM are quiet.
+ * Each wait ends as soon as its condition holds, up to a timeout.
+ */
+const PageConditions = {
+  SCRIPT: 'page-conditions.js',
+
+  /**
+   * Inject the condition script, and the element locator it uses for targets, into a tab
+   * @param {number} tabId - The ID of the tab
+   * @returns {Promise<void>}
+   * @throws {Error} If the scripts can't be injected
+   */
+  inject(tabId) {
     return new Promise((resolve, reject) => {
       chrome.scripting.executeScript({
         target: { tabId },
-        func: (texts) => {
-          // Try to find a link with any of the provided texts
-          const links = Array.from(document.querySelectorAll('a'));
-          let linkFound = false;
-
-          for (const text of texts) {
-            const link = links.find((a) => a.textContent.includes(text));
-            if (link) {
-              console.log(`Found link with text: ${text}`);
-              link.scrollIntoView({ behavior: "smooth", block: "center" });
-              setTimeout(() => {
-                try {
-                  console.log(`Clicking link with text: ${text}`);
-                  link.click();
-                  linkFound = true;
-                } catch (e) {
-                  console.error(`Error clicking link: ${e.message}`);
-                }
-              }, 500);
-              linkFound = true;
-              break;
-            }
-          }
+        files: [ElementLocator.SCRIPT, this.SCRIPT]
+      }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(`Page condition injection failed: ${chrome.runtime.lastError.message}`));
+        } else {
+          resolve();
+        }
+      });
+    });
+  },
 
-          return linkFound;
-        },
-        args: [linkTexts]
+  /**
+   * Wait for a condition without failing when it isn't met
+   * @param {number} tabId - The ID of the tab
+   * @param {Object} condition - The condition (see page-conditions.js)
+   * @param {number} timeout - Maximum wait in milliseconds
+   * @returns {Promise<Object>} Result as { met, elapsed } plus details of the match
+   * @throws {Error} If the scripts can't run in the tab
+   */
+  async check(tabId, condition, timeout) {
+    await this.inject(tabId);
+
+    return new Promise((resolve, reject) => {
+      chrome.scripting.executeScript({
+        target: { tabId },
+        func: (pageCondition, pageTimeout) => window.pageConditions.waitFor(pageCondition, pageTimeout),
+        args: [condition, timeout]
       }, (results) => {
         if (chrome.runtime.lastError) {
-          reject(new Error(`Link click script error: ${chrome.runtime.lastError.message}`));
-        } else if (!results || !results[0] || !results[0]?.result) {
-          reject(new Error(`Link not found for key: ${linkKey}. Available texts: ${linkTexts.join(', ')}`));
+          reject(new Error(`Page condition script error: ${chrome.runtime.lastError.message}`));
+        } else if (!results || !results[0] || !results[0].result) {
+          reject(new Error('Page condition script returned no result'));
         } else {
-          // Wait a bit after clicking to allow for potential UI updates
-          setTimeout(resolve, 5000);
+          resolve(results[0].result);
         }
       });
     });
   },
 
   /**
-   * Click a link in a tab, but don't fail if not found
+   * Wait for a condition
+   * @param {number} tabId - The ID of the tab
+   * @param {Object} condition - The condition (see page-conditions.js)
+   * @param {number} timeout - Maximum wait in milliseconds
+   * @returns {Promise<Object>} Result as { met, elapsed } plus details of the match
+   * @throws {AutomationError} If the condition isn't met in time
+   */
+  async waitFor(tabId, condition, timeout) {
+    const result = await this.check(tabId, condition, timeout);
+    if (!result.met) {
+      throw new AutomationError(`Timed out after ${timeout} ms waiting for ${this.describe(condition)}`, {
+        condition: this.describe(condition),
+        timeout
+      });
+    }
+    return result;
+  },
+
+  /**
+   * Describe a condition for logs and errors
+   * @param {Object} condition - The condition
+   * @returns {string} Description
+   */
+  describe(condition) {
+    switch (condition.type) {
+      case 'ready':
+        return 'the page to load';
+      case 'visible':
+        return condition.selector
+          ? `"${condition.selector}" to be visible`
+          : `${condition.targets.map(target => `"${target.name}"`).join(' or ')} to be visible`;
+      case 'gone':
+        return 'spinners to disappear';
+      case 'networkIdle':
+        return 'the network to be idle';
+      case 'quiet':
+        return 'the page to stop changing';
+      case 'all':
+        return condition.conditions.map(part => this.describe(part)).join(' and ');
+      default:
+        return condition.type;
+    }
+  },
+
+  /**
+   * Build the condition for a page that has finished rendering
+   * @param {Object} waits - Wait settings from the selector manifest
+   * @returns {Object} The condition
+   */
+  settled(waits) {
+    return {
+      type: 'all',
+      conditions: [
+        { type: 'gone', selector: waits.spinnerSelector },
+        { type: 'quiet', idleTime: waits.quietTime }
+      ]
+    };
+  },
+
+  /**
+   * Give the page up to the manifest's settleTimeout to finish rendering. Never fails:
+   * LinkedIn pages can keep polling in the background, and the next step waits for what it needs.
    * @param {number} tabId - The ID of the tab
-   * @param {string} linkKey - The key for the link text in the language dictionary
    * @returns {Promise<void>}
    */
-  async clickLinkSoft(tabId, linkKey) {
+  async settle(tabId) {
+    const { waits } = await SelectorManifest.get();
     try {
-      // This method uses clickLink which already has language detection
-      await this.clickLink(tabId, linkKey);
+      const result = await this.check(tabId, this.settled(waits), waits.settleTimeout);
+      if (!result.met) {
+        PersistentLogger.log(`Page still busy after ${waits.settleTimeout} ms, continuing`);
+      }
     } catch (error) {
-      console.info(`Link "${linkKey}" not found or could not be clicked, continuing...`);
+      // A click can start a navigation that replaces the document; the next step waits for it
+      PersistentLogger.log(`Could not check whether the page settled: ${error.message}`);
     }
   },
 
   /**
-   * Select an option in a list
+   * Wait until any of several locator targets is visible
    * @param {number} tabId - The ID of the tab
-   * @param {string} forAttributeValue - The value of the "for" attribute of the label
-   * @returns {Promise<void>}
-   * @throws {Error} If option is not found or script execution fails
+   * @param {string[]} keys - Target names in the selector manifest, or locale keys
+   * @param {string} language - Optional detected language code
+   * @param {number} timeout - Maximum wait in milliseconds (defaults to the manifest's elementTimeout)
+   * @returns {Promise<Object>} Result as { met, elapsed, target }, target being the index of the visible key
+   * @throws {Error} If the scripts can't run in the tab
+   */
+  async waitForTargets(tabId, keys, language = null, timeout = null) {
+    const manifest = await SelectorManifest.get();
+    const targets = keys.map(key => ElementLocator.getTarget(manifest, key, language));
+    return this.check(tabId, { type: 'visible', targets }, timeout || manifest.waits.elementTimeout);
+  }
+};
+
+/**
+ * Detects when LinkedIn shows a login wall, security checkpoint or captcha instead of the
+ * page a run asked for. The walls are described in the selector manifest's sessionWalls;
+ * the first one whose URL pattern or selector matches wins.
+ */
+const LinkedInSession = {
+  STORAGE_KEY: 'linkedInSession',
+
+  // Execution status shown when a run stops at a wall
+  STATUS: 'LinkedIn session expired',
+
+  LOGIN_URL: 'https://www.linkedin.com/login',
+
+  /**
+   * Find the wall a tab is showing, if any
+   * @param {number} tabId - The ID of the tab
+   * @returns {Promise<Object>} Result as { wall, url }, wall being null for a normal page
+   * @throws {Error} If the check can't run in the tab
    */
-  selectListOption(tabId, forAttributeValue) {
+  async detect(tabId) {
+    const { sessionWalls } = await SelectorManifest.get();
+
     return new Promise((resolve, reject) => {
       chrome.scripting.executeScript({
         target: { tabId },
-        func: (attributeValue) => {
-          const label = document.querySelector(`label[for="${attributeValue}"]`);
-          if (label) {
-            label.click();
-            return true;
-          }
-          return false;
+        func: (walls) => {
+          const match = walls.find(wall =>
+            wall.urlPatterns.some(pattern => new RegExp(pattern, 'i').test(window.location.pathname)) ||
+            wall.selectors.some(selector => document.querySelector(selector))
+          );
+          return { wall: match ? match.name : null, url: window.location.href };
         },
-        args: [forAttributeValue]
+        args: [sessionWalls]
       }, (results) => {
         if (chrome.runtime.lastError) {
-          reject(new Error('List option selection script error'));
-        } else if (!results[0]?.result) {
-          reject(new Error('List option not found'));
+          reject(new Error(`Session check failed: ${chrome.runtime.lastError.message}`));
+        } else if (!results || !results[0] || !results[0].result) {
+          reject(new Error('Session check returned no result'));
         } else {
-          // Wait a bit after selecting to allow for potential UI updates
-          setTimeout(resolve, 5000);
+          resolve(results[0].result);
         }
       });
     });
-  }
-};
+  },
 
-/**
- * Handles LinkedIn automation workflows with multi-language support
- */
-const LinkedInMultilingualAutomation = {
   /**
-   * Execute the standard LinkedIn automation steps
+   * Stop the run if LinkedIn shows a wall instead of the requested page
    * @param {number} tabId - The ID of the tab
-   * @param {string} email - The user's email address
-   * @param {Object} webRequestTracker - The WebRequestTracker object
-   * @param {Object} fileUploader - The FileUploader object
-   * @param {Object} configManager - The ConfigManager object
-   * @param {Object} logger - The Logger object
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Result as { url } when the session is valid
+   * @throws {AutomationError} If a login wall, checkpoint or captcha is shown
    */
-  async executeSteps(tabId, email, webRequestTracker, fileUploader, configManager, logger) {
-    let advancedStatsResults = null; // Track advanced statistics results
-    
-    try {
-      // Wait for initial page load
-      await MultilingualTabInteractions.waitForPageLoad(tabId);
-
-      // Navigate through LinkedIn analytics
-      await MultilingualTabInteractions.clickLink(tabId, 'postImpressions');
-      await MultilingualTabInteractions.waitForPageLoad(tabId);
-      // 3.4.2025 - LinkedIn removed this step for some accounts
-      await MultilingualTabInteractions.clickLinkSoft(tabId, 'postImpressions');
-      await MultilingualTabInteractions.waitForPageLoad(tabId);
-
-      // Configure time range
-      await MultilingualTabInteractions.clickButton(tabId, 'past7Days');
-      // 3.4.2025 - LinkedIn renamed this option
-      await MultilingualTabInteractions.selectListOption(tabId, "timeRange-past_28_days");
-      await MultilingualTabInteractions.clickButton(tabId, 'showResults');
-      await MultilingualTabInteractions.waitForPageLoad(tabId);
-
-      // Track and download file
-      const downloadTracker = webRequestTracker.trackDownload(tabId);
-      let buttonClicked = false;
-      try {
-        await MultilingualTabInteractions.clickButton(tabId, 'export');
-        buttonClicked = true;
-      } catch (error) {
-        logger.warn("First attempt to click 'Export' failed, retrying in 15 seconds...");
-        await new Promise(resolve => setTimeout(resolve, 15000));
-        await MultilingualTabInteractions.clickButton(tabId, 'export');
-      }
+  async check(tabId) {
+    const { wall, url } = await this.detect(tabId);
 
-      // Get download URL and upload file
-      const apiURL = await downloadTracker;
-      const apiResponse = await fileUploader.uploadToWebhook(apiURL, email);
+    if (!wall) {
+      await this.setState({ expired: false, wall: null, url: null, detectedAt: null });
+      return { url };
+    }
+
+    PersistentLogger.warn(`LinkedIn shows a ${wall} page instead of the requested page: ${url}`);
+    await this.markExpired(wall, url);
+    throw new AutomationError(`${this.STATUS}: LinkedIn showed a ${wall} page (${url})`, {
+      sessionExpired: true,
+      // Retrying or switching flows won't log the user in
+      fatal: true,
+      wall,
+      url
+    });
+  },
+
+  /**
+   * Get the stored session state
+   * @returns {Promise<Object>} State as { expired, wall, url, detectedAt }
+   */
+  getState() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        resolve(result[this.STORAGE_KEY] || { expired: false, wall: null, url: null, detectedAt: null });
+      });
+    });
+  },
+
+  /**
+   * Store the session state
+   * @param {Object} state - State as { expired, wall, url, detectedAt }
+   * @returns {Promise<void>}
+   */
+  setState(state) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.STORAGE_KEY]: state }, resolve);
+    });
+  },
+
+  /**
+   * Check whether the last session check found a wall
+   * @returns {Promise<boolean>} True if the session expired and no run has passed the check since
+   */
+  async isExpired() {
+    return (await this.getState()).expired === true;
+  },
+
+  /**
+   * Record an expired session and ask the user to log in, once per expiry
+   * @param {string} wall - Name of the wall that was shown
+   * @param {string} url - The page that showed it
+   * @returns {Promise<void>}
+   */
+  async markExpired(wall, url) {
+    const wasExpired = await this.isExpired();
+    await this.setState({ expired: true, wall, url, detectedAt: new Date().toISOString() });
+
+    if (!wasExpired) {
+      this.notify(wall);
+    }
+  },
+
+  /**
+   * Show a notification asking the user to log in to LinkedIn
+   * @param {string} wall - Name of the wall that was shown
+   */
+  notify(wall) {
+    Notifier.notify(
+      'loginRequired',
+      'Log in to LinkedIn',
+      wall === 'login'
+        ? 'Your LinkedIn session expired, so analytics could not be downloaded. Click to log in again.'
+        : `LinkedIn asked for a ${wall} check, so analytics could not be downloaded. Click to open LinkedIn.`
+    );
+  }
+};
+
+/**
+ * Enhanced Tab Interactions with multi-language support
+ */
+const MultilingualTabInteractions = {
+  /**
+   * Wait for a page to load and finish rendering
+   * @param {number} tabId - The ID of the tab to wait for
+   * @param {number} maxWait - Maximum wait time in milliseconds (defaults to the manifest's pageLoadTimeout)
+   * @returns {Promise<void>}
+   * @throws {Error} If page load times out or the tab is gone
+   */
+  async waitForPageLoad(tabId, maxWait = null) {
+    const { waits } = await SelectorManifest.get();
+    const deadline = Date.now() + (maxWait || waits.pageLoadTimeout);
 
-      // Check if advanced post statistics is enabled
-      let advancedStatsEnabled = false;
+    // The document can be replaced while it loads, so retry until the condition script runs
+    let result = null;
+    while (!result) {
       try {
-        advancedStatsEnabled = await new Promise((resolve) => {
-          chrome.storage.local.get(['advancedPostStats'], (result) => {
-            resolve(result.advancedPostStats || false);
-          });
-        });
-        
-        logger.log(`Advanced post statistics setting: ${advancedStatsEnabled}`);
+        result = await PageConditions.check(tabId, { type: 'ready' }, Math.max(deadline - Date.now(), 1));
       } catch (error) {
-        logger.warn(`Failed to check advanced stats setting: ${error.message}`);
+        if (/No tab with id/.test(error.message)) {
+          throw error;
+        }
+        if (Date.now() >= deadline) {
+          throw new Error('Page load timeout');
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
       }
+    }
+    if (!result.met) {
+      throw new Error('Page load timeout');
+    }
 
-      if (advancedStatsEnabled) {
-        logger.log('Advanced post statistics enabled, processing individual posts...');
-        try {
-          // Get post analytics URLs from API response
-          let postAnalyticsUrls = null;
-          if (apiResponse) {
-            // Parse the response body if it's a string
-            let responseBody = apiResponse;
-            if (typeof responseBody === 'string') {
-              try {
-                responseBody = JSON.parse(responseBody);
-              } catch (parseError) {
-                logger.error(`Failed to parse API response: ${parseError.message}`);
-              }
-            }
-            
-            // Extract URLs from the response body
-            if (responseBody && responseBody.extracted_urls) {
-              postAnalyticsUrls = responseBody.extracted_urls;
-              logger.log(`API returned ${postAnalyticsUrls.length} extracted analytics URLs`);
-            } else {
-              logger.warn('No extracted_urls found in API response');
-              logger.log('API response structure:', responseBody);
-            }
-          } else {
-            logger.warn('No API response available for advanced statistics');
-          }
-          
-          if (postAnalyticsUrls && postAnalyticsUrls.length > 0) {
-            advancedStatsResults = await this.processAdvancedPostStatistics(tabId, email, logger, postAnalyticsUrls);
-          } else {
-            logger.log('No analytics URLs to process, skipping advanced statistics');
+    // Then let LinkedIn finish rendering instead of sleeping for a fixed time
+    await PageConditions.settle(tabId);
+  },
+
+  /**
+   * Get the current language of the LinkedIn interface
+   * @param {number} tabId - The ID of the tab
+   * @returns {Promise<string>} The detected language code
+   * @throws {AutomationError} If the language is not supported
+   */
+  async getLanguage(tabId) {
+    return await detectLanguage(tabId);
+  },
+
+  /**
+   * Select an option in a list
+   * @param {number} tabId - The ID of the tab
+   * @param {string} forAttributeValue - The value of the "for" attribute of the label
+   * @returns {Promise<void>}
+   * @throws {Error} If option is not found or script execution fails
+   */
+  async selectListOption(tabId, forAttributeValue) {
+    await new Promise((resolve, reject) => {
+      chrome.scripting.executeScript({
+        target: { tabId },
+        func: (attributeValue) => {
+          const label = document.querySelector(`label[for="${attributeValue}"]`);
+          if (label) {
+            label.click();
+            return true;
           }
-        } catch (error) {
-          logger.error(`Advanced post statistics failed: ${error.message}`);
-          // Continue with main automation
+          return false;
+        },
+        args: [forAttributeValue]
+      }, (results) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error('List option selection script error'));
+        } else if (!results[0]?.result) {
+          reject(new Error('List option not found'));
+        } else {
+          resolve();
         }
-      } else {
-        logger.log('Advanced post statistics disabled, skipping individual post processing');
-      }
+      });
+    });
 
-      // Create success message with post count if advanced stats was processed
-      let successMessage = '✅Success';
-      if (advancedStatsResults && advancedStatsResults.processed) {
-        const totalAvailable = advancedStatsResults.totalAvailable || advancedStatsResults.processed;
-        const processed = advancedStatsResults.processed;
-        
-        if (totalAvailable > processed) {
-          successMessage = `✅Success (${processed}/${totalAvailable} posts processed)`;
-        } else {
-          successMessage = `✅Success (${processed} posts processed)`;
+    await PageConditions.settle(tabId);
+  }
+};
+
+/**
+ * Runs the declarative recipes in the selector manifest. A recipe is a list of steps, each
+ * naming one action (navigate, waitFor, click, selectOption, expectDownload, upload) and its
+ * parameters. Steps can have their own timeout, be retried, or be marked optional so a missing
+ * element doesn't fail the run. Every step reports a result for the run history.
+ */
+const StepEngine = {
+  ACTIONS: ['navigate', 'waitFor', 'checkSession', 'click', 'selectOption', 'expectDownload', 'upload'],
+
+  // Conditions a waitFor step can wait for
+  CONDITIONS: ['pageLoad', 'visible', 'spinnerGone', 'networkIdle', 'analyticsContent', 'delay'],
+
+  // Where an expectDownload step looks for the file
+  DOWNLOAD_SOURCES: ['webRequest', 'downloads'],
+
+  // Where an upload step sends the file
+  UPLOAD_TYPES: ['profile', 'company'],
+
+  /**
+   * Check a recipe step against the schema
+   * @param {Object} step - The step
+   * @returns {string[]} Problems found, empty if the step is valid
+   */
+  validateStep(step) {
+    const problems = [];
+    const isString = value => typeof value === 'string' && value.length > 0;
+    const isNumber = value => typeof value === 'number' && value >= 0;
+
+    if (step === null || typeof step !== 'object' || Array.isArray(step)) {
+      return ['must be an object'];
+    }
+    if (!isString(step.id)) {
+      problems.push('needs an id');
+    }
+
+    switch (step.action) {
+      case 'navigate':
+        if (!isString(step.url)) {
+          problems.push('needs a url');
+        } else if (!step.url.startsWith('{') && !this.isLinkedInUrl(step.url.replace(/\{(\w+)\}/g, 'x'))) {
+          // A URL that starts with a run variable is checked once it is resolved
+          problems.push('must open a page on https://*.linkedin.com/');
         }
-      } else {
-        // Check if advanced post statistics is enabled
-        const advancedStatsEnabled = await new Promise((resolve) => {
-          chrome.storage.local.get(['advancedPostStats'], (result) => {
-            resolve(result.advancedPostStats || false);
-          });
-        });
-        
-        if (advancedStatsEnabled) {
-          successMessage = '✅Success (Advanced post statistics enabled)';
+        break;
+      case 'waitFor':
+        if (!this.CONDITIONS.includes(step.condition)) {
+          problems.push(`has unknown condition "${step.condition}"`);
+        } else if (step.condition === 'delay' && !isNumber(step.ms)) {
+          problems.push('needs ms for a delay');
+        } else if (step.condition === 'visible' && ![].concat(step.target).every(isString)) {
+          problems.push('needs a target to wait for');
         }
-      }
+        break;
+      case 'checkSession':
+        break;
+      case 'click':
+        if (![].concat(step.target).every(isString)) {
+          problems.push('needs a target or a list of targets');
+        }
+        break;
+      case 'selectOption':
+        if (!isString(step.option)) {
+          problems.push('needs an option');
+        }
+        break;
+      case 'expectDownload':
+        if (!this.DOWNLOAD_SOURCES.includes(step.via)) {
+          problems.push(`has unknown download source "${step.via}"`);
+        }
+        if (!isString(step.as)) {
+          problems.push('needs a name in "as"');
+        }
+        break;
+      case 'upload':
+        if (!isString(step.download)) {
+          problems.push('needs a download');
+        }
+        if (!this.UPLOAD_TYPES.includes(step.type)) {
+          problems.push(`has unknown upload type "${step.type}"`);
+        }
+        break;
+      default:
+        problems.push(`has unknown action "${step.action}"`);
+    }
 
-      // Update successful execution status after all processing (including advanced statistics)
-      await configManager.updateExecutionStatus(successMessage);
-      logger.log(`Execution status updated to: ${successMessage}`);
-      
-      // Reset retry count on success
-      await configManager.resetRetryCount();
+    if (step.optional !== undefined && typeof step.optional !== 'boolean') {
+      problems.push('optional must be true or false');
+    }
+    if (step.retries !== undefined && !(Number.isInteger(step.retries) && step.retries >= 0)) {
+      problems.push('retries must be a non-negative integer');
+    }
+    if (step.retryDelay !== undefined && !isNumber(step.retryDelay)) {
+      problems.push('retryDelay must be a non-negative number');
+    }
+    if (step.timeout !== undefined && !(typeof step.timeout === 'number' && step.timeout > 0)) {
+      problems.push('timeout must be a positive number');
+    }
+
+    return problems;
+  },
 
+  /**
+   * Check that a URL is a LinkedIn page; recipes come from a manifest that can be
+   * updated remotely, so they may not send the tab anywhere else
+   * @param {string} url - The URL
+   * @returns {boolean} True for https URLs on linkedin.com or one of its subdomains
+   */
+  isLinkedInUrl(url) {
+    try {
+      const { protocol, hostname, port } = new URL(url);
+      return protocol === 'https:' && port === '' && /^([a-z0-9-]+\.)*linkedin\.com$/.test(hostname);
     } catch (error) {
-      // Log and update failed execution status
-      logger.error(`LinkedIn automation failed: ${error.message}`);
-      await configManager.updateExecutionStatus('Failed', error);
-      throw error;
-    } finally {
-      // Always close the tab safely after everything is complete
-      try {
-        chrome.tabs.remove(tabId, () => {
-          if (chrome.runtime.lastError) {
-            // Tab already closed or doesn't exist - this is fine
-            logger.log(`Tab ${tabId} was already closed: ${chrome.runtime.lastError.message}`);
-          } else {
-            logger.log(`Tab ${tabId} closed successfully`);
-          }
-        });
-      } catch (error) {
-        logger.log(`Error closing tab ${tabId}: ${error.message}`);
-      }
+      return false;
     }
   },
 
   /**
-   * Execute the direct LinkedIn automation steps
-   * @param {number} tabId - The ID of the tab
-   * @param {string} email - The user's email address
-   * @param {Object} webRequestTracker - The WebRequestTracker object
-   * @param {Object} fileUploader - The FileUploader object
-   * @param {Object} configManager - The ConfigManager object
-   * @param {Object} logger - The Logger object
-   * @returns {Promise<void>}
+   * Replace {name} placeholders with run variables
+   * @param {string} value - Text with placeholders
+   * @param {Object} vars - Run variables
+   * @returns {string} The resolved text
+   * @throws {AutomationError} If a placeholder has no value
    */
-  async executeStepsDirect(tabId, email, webRequestTracker, fileUploader, configManager, logger) {
-    let advancedStatsResults = null; // Track advanced statistics results
-    
-    try {
-      // Wait for initial page load
-      await MultilingualTabInteractions.waitForPageLoad(tabId);
+  resolve(value, vars) {
+    return value.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (vars[name] === undefined || vars[name] === null) {
+        throw new AutomationError(`No value for recipe variable "${name}"`, { variable: name });
+      }
+      return String(vars[name]);
+    });
+  },
 
-      // Attempt to download file with multiple button click strategies
-      const downloadResult = await this.clickExportButton(tabId, email, webRequestTracker, fileUploader, logger);
+  /**
+   * Reject if work doesn't settle in time, and abort the work so it stops on its own
+   * @param {Function} work - Receives an AbortSignal that is aborted on timeout, returns a promise
+   * @param {number} ms - Time limit in milliseconds
+   * @returns {Promise} The work's result
+   * @throws {AutomationError} If the time limit is reached first
+   */
+  withTimeout(work, ms) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new AutomationError(`Timed out after ${ms} ms`, { timeout: ms }));
+      }, ms);
+    });
+    return Promise.race([work(controller.signal), timeout]).finally(() => clearTimeout(timer));
+  },
 
-      // Check if advanced post statistics is enabled
-      let advancedStatsEnabled = false;
-      try {
-        advancedStatsEnabled = await new Promise((resolve) => {
-          chrome.storage.local.get(['advancedPostStats'], (result) => {
-            resolve(result.advancedPostStats || false);
-          });
-        });
+  /**
+   * Run a recipe from the selector manifest
+   * @param {string} name - Recipe name
+   * @param {Object} context - Run context
+   * @param {number} context.tabId - The ID of the tab to automate
+   * @param {string} context.email - The user's email address
+   * @param {string} [context.runId] - Run history ID; step results are recorded against it
+   * @param {Object} [context.vars] - Values for {name} placeholders in the recipe
+   * @param {Object} [context.webRequestTracker] - The WebRequestTracker object, for webRequest downloads
+   * @param {Object} [context.fileUploader] - The FileUploader object, for profile uploads
+   * @returns {Promise<Object>} Result as { steps, outputs }, outputs keyed by step ID
+   * @throws {AutomationError} If a required step fails; the message names the step
+   */
+  async run(name, context) {
+    const manifest = await SelectorManifest.get();
+    const recipe = manifest.recipes[name];
+    if (!recipe) {
+      throw new AutomationError(`Unknown recipe: ${name}`, { recipe: name });
+    }
 
-        logger.log(`Advanced post statistics setting: ${advancedStatsEnabled}`);
-      } catch (error) {
-        logger.warn(`Failed to check advanced stats setting: ${error.message}`);
-      }
+    const state = { vars: {}, ...context, downloads: {}, outputs: {}, active: true, uploadStarted: false };
+    const steps = [];
+    PersistentLogger.log(`Running recipe "${name}" (${recipe.length} steps)`);
 
-      if (advancedStatsEnabled) {
-        logger.log('Advanced post statistics enabled, processing individual posts...');
-        try {
-          // Get post analytics URLs from API response
-          let postAnalyticsUrls = null;
-          if (downloadResult && downloadResult.apiResponse) {
-            // Parse the response body if it's a string
-            let responseBody = downloadResult.apiResponse;
-            if (typeof responseBody === 'string') {
-              try {
-                responseBody = JSON.parse(responseBody);
-              } catch (parseError) {
-                logger.error(`Failed to parse API response: ${parseError.message}`);
-              }
-            }
-            
-            // Extract URLs from the response body
-            if (responseBody && responseBody.extracted_urls) {
-              postAnalyticsUrls = responseBody.extracted_urls;
-              logger.log(`API returned ${postAnalyticsUrls.length} extracted analytics URLs`);
-            } else {
-              logger.warn('No extracted_urls found in API response');
-              logger.log('API response structure:', responseBody);
-            }
-          } else {
-            logger.warn('No API response available for advanced statistics');
-            logger.log('Download result:', downloadResult);
-          }
-          
-          if (postAnalyticsUrls && postAnalyticsUrls.length > 0) {
-            advancedStatsResults = await this.processAdvancedPostStatistics(tabId, email, logger, postAnalyticsUrls);
-          } else {
-            logger.log('No analytics URLs to process, skipping advanced statistics');
+    try {
+      for (const step of recipe) {
+        await RunCheckpoint.step(state.runId, step, state.tabId);
+        const { result, error } = await this.runStep(step, state, manifest.waits);
+        steps.push(result);
+
+        if (result.status === 'failed') {
+          await RunHistory.updateRun(state.runId, { steps });
+          // Record the page before the flow closes the tab
+          await FailureCapture.capture(state.tabId, state.runId, step.id, error);
+          // Fatal errors already explain themselves and are handled by the caller
+          if (error.context && error.context.fatal) {
+            throw error;
           }
-        } catch (error) {
-          logger.error(`Advanced post statistics failed: ${error.message}`);
-          // Continue with main automation
+          throw new AutomationError(`Step "${step.id}" failed: ${error.message}`, {
+            ...(error.context || {}),
+            recipe: name,
+            step: step.id,
+            // The file may have reached the backend, so the caller must not run another flow
+            ...(state.uploadStarted ? { uploadStarted: true } : {})
+          });
         }
-      } else {
-        logger.log('Advanced post statistics disabled, skipping individual post processing');
       }
+    } finally {
+      // Stop download watchers a failed run no longer needs
+      state.active = false;
+    }
 
-      // Create success message with post count if advanced stats was processed
-      let successMessage = '✅Success';
-      if (advancedStatsResults && advancedStatsResults.processed) {
-        const totalAvailable = advancedStatsResults.totalAvailable || advancedStatsResults.processed;
-        const processed = advancedStatsResults.processed;
-        
-        if (totalAvailable > processed) {
-          successMessage = `✅Success (${processed}/${totalAvailable} posts processed)`;
-        } else {
-          successMessage = `✅Success (${processed} posts processed)`;
+    await RunHistory.updateRun(state.runId, { steps });
+    return { steps, outputs: state.outputs };
+  },
+
+  /**
+   * Run one step with its timeout, retries and optional flag
+   * @param {Object} step - The step
+   * @param {Object} state - Run state shared by the recipe's steps
+   * @param {Object} waits - Wait times from the selector manifest
+   * @returns {Promise<Object>} { result, error }, result as { id, action, status, attempts, durationMs, error }
+   */
+  async runStep(step, state, waits) {
+    const attempts = (step.retries || 0) + 1;
+    const timeout = step.timeout || waits.stepTimeout;
+    const startedAt = Date.now();
+    const result = { id: step.id, action: step.action, status: 'success', attempts: 0, durationMs: 0, error: null };
+    let error = null;
+
+    while (result.attempts < attempts) {
+      result.attempts++;
+      try {
+        state.outputs[step.id] = await this.withTimeout(signal => this.perform(step, state, timeout, signal), timeout);
+        error = null;
+        break;
+      } catch (stepError) {
+        error = stepError;
+        if (stepError.context && stepError.context.fatal) {
+          break;
         }
-      } else {
-        // Check if advanced post statistics is enabled
-        const advancedStatsEnabled = await new Promise((resolve) => {
-          chrome.storage.local.get(['advancedPostStats'], (result) => {
-            resolve(result.advancedPostStats || false);
-          });
-        });
-        
-        if (advancedStatsEnabled) {
-          successMessage = '✅Success (Advanced post statistics enabled)';
+        if (result.attempts < attempts) {
+          PersistentLogger.warn(`Step "${step.id}" failed (attempt ${result.attempts} of ${attempts}), retrying: ${stepError.message}`);
+          await new Promise(resolve => setTimeout(resolve, step.retryDelay || 0));
         }
       }
+    }
 
-      // Update successful execution status after all processing (including advanced statistics)
-      await configManager.updateExecutionStatus(successMessage);
-      logger.log(`Execution status updated to: ${successMessage}`);
-      
-      // Reset retry count on success
-      await configManager.resetRetryCount();
+    result.durationMs = Date.now() - startedAt;
+    if (error) {
+      result.error = error.message;
+      const fatal = error.context && error.context.fatal;
+      result.status = step.optional && !fatal ? 'skipped' : 'failed';
+      if (result.status === 'skipped') {
+        PersistentLogger.log(`Optional step "${step.id}" skipped: ${error.message}`);
+        error = null;
+      }
+    } else {
+      PersistentLogger.log(`Step "${step.id}" (${step.action}) done in ${result.durationMs} ms`);
+    }
 
-    } catch (error) {
-      // Log and update failed execution status
-      logger.error(`LinkedIn direct automation failed: ${error.message}`);
-      await configManager.updateExecutionStatus('Failed', error);
-      throw error;
-    } finally {
-      // Always close the tab safely after everything is complete
-      try {
-        chrome.tabs.remove(tabId, () => {
-          if (chrome.runtime.lastError) {
-            // Tab already closed or doesn't exist - this is fine
-            logger.log(`Tab ${tabId} was already closed: ${chrome.runtime.lastError.message}`);
-          } else {
-            logger.log(`Tab ${tabId} closed successfully`);
-          }
-        });
-      } catch (error) {
-        logger.log(`Error closing tab ${tabId}: ${error.message}`);
+    return { result, error };
+  },
+
+  /**
+   * Perform a step's action
+   * @param {Object} step - The step
+   * @param {Object} state - Run state shared by the recipe's steps
+   * @param {number} timeout - The step's time limit, also used for downloads it arms
+   * @param {AbortSignal} [signal] - Aborted when the step times out
+   * @returns {Promise<*>} The step's output
+   */
+  async perform(step, state, timeout, signal = null) {
+    const { tabId, vars } = state;
+
+    switch (step.action) {
+      case 'navigate': {
+        const url = this.resolve(step.url, vars);
+        if (!this.isLinkedInUrl(url)) {
+          throw new AutomationError(`Step "${step.id}" may only open LinkedIn pages, not ${url}`, {
+            url,
+            // Retrying resolves the same URL
+            fatal: true
+          });
+        }
+        return this.navigate(tabId, url, signal);
+      }
+      case 'waitFor':
+        return this.waitFor(tabId, step, vars, timeout);
+      case 'checkSession':
+        return LinkedInSession.check(tabId);
+      case 'click':
+        return this.click(tabId, [].concat(step.target), timeout);
+      case 'selectOption':
+        return MultilingualTabInteractions.selectListOption(tabId, this.resolve(step.option, vars));
+      case 'expectDownload': {
+        // Armed before the click that triggers it; the upload step awaits it
+        const download = step.via === 'downloads'
+          ? watchCompanyDownload(timeout, () => state.active)
+          : state.webRequestTracker.trackDownload(tabId, timeout);
+        download.catch(() => {});
+        state.downloads[step.as] = download;
+        return null;
       }
+      case 'upload': {
+        const download = state.downloads[step.download];
+        if (!download) {
+          throw new AutomationError(`No download named "${step.download}" is expected`, { download: step.download });
+        }
+        const file = await download;
+        // A step that timed out while waiting for its download must not upload it later
+        if (signal && signal.aborted) {
+          throw new AutomationError(`Step "${step.id}" was aborted before the upload`, { step: step.id });
+        }
+        state.uploadStarted = true;
+        return step.type === 'company'
+          ? uploadCompanyFile(file, vars.companyId, state.email, state.runId)
+          : state.fileUploader.uploadToWebhook(file, state.email, state.runId);
+      }
+      default:
+        throw new AutomationError(`Unknown step action: ${step.action}`, { action: step.action });
     }
   },
 
   /**
-   * Process advanced post statistics
+   * Load a URL in the tab and wait until the tab reports it complete
    * @param {number} tabId - The ID of the tab
-   * @param {string} email - The user's email address
-   * @param {Object} logger - The Logger object
-   * @param {string} originalDownloadUrl - The original download URL from the main automation
+   * @param {string} url - The URL to load
+   * @param {AbortSignal} [signal] - Stops waiting for the page when aborted
    * @returns {Promise<void>}
+   * @throws {Error} If the tab can't be updated or the wait is aborted
    */
+  navigate(tabId, url, signal = null) {
+    return new Promise((resolve, reject) => {
+      const stopWaiting = () => {
+        chrome.tabs.onUpdated.removeListener(listener);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      const listener = (updatedTabId, changeInfo, tab) => {
+        if (updatedTabId === tabId && changeInfo.status === 'complete' && tab.url && tab.url !== 'about:blank') {
+          stopWaiting();
+          resolve();
+        }
+      };
+      const onAbort = () => {
+        stopWaiting();
+        reject(new AutomationError(`Navigation to ${url} was aborted`, { url }));
+      };
+
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener('abort', onAbort);
+      }
+      chrome.tabs.onUpdated.addListener(listener);
+
+      chrome.tabs.update(tabId, { url }, () => {
+        if (chrome.runtime.lastError) {
+          stopWaiting();
+          reject(new Error(`Navigation to ${url} failed: ${chrome.runtime.lastError.message}`));
+        }
+      });
+    });
+  },
+
   /**
-   * Process advanced post statistics using URLs from API
+   * Wait for a page condition
    * @param {number} tabId - The ID of the tab
-   * @param {string} email - The user's email address
-   * @param {Object} logger - The Logger object
+   * @param {Object} step - The waitFor step
+   * @param {Object} vars - Run variables
+   * @param {number} timeout - The step's time limit
+   * @returns {Promise<void>}
+   * @throws {Error} If the condition isn't met
+   */
+  async waitFor(tabId, step, vars, timeout) {
+    const { waits } = await SelectorManifest.get();
+
+    switch (step.condition) {
+      case 'pageLoad':
+        return MultilingualTabInteractions.waitForPageLoad(tabId);
+      case 'visible': {
+        const keys = [].concat(step.target);
+        const language = await MultilingualTabInteractions.getLanguage(tabId);
+        const result = await PageConditions.waitForTargets(tabId, keys, language, timeout);
+        if (!result.met) {
+          throw new AutomationError(`None of ${keys.join(', ')} became visible within ${timeout} ms`, { targets: keys, timeout });
+        }
+        return;
+      }
+      case 'spinnerGone':
+        return PageConditions.waitFor(tabId, { type: 'gone', selector: waits.spinnerSelector }, timeout);
+      case 'networkIdle':
+        return PageConditions.waitFor(tabId, { type: 'networkIdle', idleTime: waits.quietTime }, timeout);
+      case 'delay':
+        return new Promise(resolve => setTimeout(resolve, step.ms));
+      case 'analyticsContent':
+        return waitForCompanyAnalyticsContent(tabId, vars.companyId);
+      default:
+        throw new AutomationError(`Unknown wait condition: ${step.condition}`, { condition: step.condition });
+    }
+  },
+
+  /**
+   * Click the first of several targets that can be located, once one of them is visible
+   * @param {number} tabId - The ID of the tab
+   * @param {string[]} keys - Locator targets, tried in order
+   * @param {number} timeout - The step's time limit
+   * @returns {Promise<Object>} The clicked target as { target, strategy }
+   * @throws {Error} If no target is found, the language is not supported or script execution fails
+   */
+  async click(tabId, keys, timeout) {
+    // Detect the language first so its texts are tried first
+    const language = await MultilingualTabInteractions.getLanguage(tabId);
+    const tried = [];
+
+    // Leave half of the step's time for the click itself, so a late match can't click after the step gave up
+    const { waits } = await SelectorManifest.get();
+    await PageConditions.waitForTargets(tabId, keys, language, Math.min(waits.elementTimeout, timeout / 2));
+
+    for (const key of keys) {
+      const result = await ElementLocator.clickTarget(tabId, key, language);
+      if (result.found) {
+        await PageConditions.settle(tabId);
+        return { target: key, strategy: result.strategy };
+      }
+      tried.push(`${key} (${result.tried.join(', ')})`);
+    }
+
+    throw new Error(`Element not found for ${keys.join(' or ')} (language: ${language}). Strategies tried: ${tried.join('; ')}`);
+  }
+};
+
+/**
+ * Handles LinkedIn automation workflows with multi-language support
+ */
+const LinkedInMultilingualAutomation = {
+  /**
+   * Execute the standard LinkedIn automation steps (the "legacy" recipe)
+   * @param {number} tabId - The ID of the tab
+   * @param {string} email - The user's email address
+   * @param {Object} webRequestTracker - The WebRequestTracker object
+   * @param {Object} fileUploader - The FileUploader object
+   * @param {Object} configManager - The ConfigManager object
+   * @param {Object} logger - The Logger object
+   * @param {string} runId - Optional run history ID for this run
+   * @param {string} timeRange - LinkedIn time range to export
+   * @returns {Promise<void>}
+   */
+  async executeSteps(tabId, email, webRequestTracker, fileUploader, configManager, logger, runId = null, timeRange = CONFIG.LINKEDIN.DEFAULT_TIME_RANGE) {
+    try {
+      const { outputs } = await StepEngine.run('legacy', {
+        tabId,
+        email,
+        runId,
+        webRequestTracker,
+        fileUploader,
+        vars: { homeUrl: CONFIG.LINKEDIN.HOME, timeRange }
+      });
+
+      await this.completeRun(tabId, email, configManager, logger, runId, outputs.upload);
+    } catch (error) {
+      // Log and update failed execution status
+      logger.error(`LinkedIn automation failed: ${error.message}`);
+      await configManager.updateExecutionStatus('Failed', error);
+      throw error;
+    } finally {
+      this.closeTab(tabId, logger);
+    }
+  },
+
+  /**
+   * Execute the direct LinkedIn automation steps (the "direct" recipe)
+   * @param {number} tabId - The ID of the tab
+   * @param {string} email - The user's email address
+   * @param {Object} webRequestTracker - The WebRequestTracker object
+   * @param {Object} fileUploader - The FileUploader object
+   * @param {Object} configManager - The ConfigManager object
+   * @param {Object} logger - The Logger object
+   * @param {string} runId - Optional run history ID for this run
+   * @param {string} timeRange - LinkedIn time range to export
+   * @returns {Promise<void>}
+   */
+  async executeStepsDirect(tabId, email, webRequestTracker, fileUploader, configManager, logger, runId = null, timeRange = CONFIG.LINKEDIN.DEFAULT_TIME_RANGE) {
+    try {
+      const { outputs } = await StepEngine.run('direct', {
+        tabId,
+        email,
+        runId,
+        webRequestTracker,
+        fileUploader,
+        vars: { analyticsUrl: getAnalyticsUrl(timeRange), timeRange }
+      });
+
+      await this.completeRun(tabId, email, configManager, logger, runId, outputs.upload);
+    } catch (error) {
+      // Log and update failed execution status
+      logger.error(`LinkedIn direct automation failed: ${error.message}`);
+      await configManager.updateExecutionStatus('Failed', error);
+      throw error;
+    } finally {
+      this.closeTab(tabId, logger);
+    }
+  },
+
+  /**
+   * Finish a successful profile export: process advanced post statistics if enabled,
+   * then record the outcome and reset the retry count
+   * @param {number} tabId - The ID of the tab
+   * @param {string} email - The user's email address
+   * @param {Object} configManager - The ConfigManager object
+   * @param {Object} logger - The Logger object
+   * @param {string} runId - Optional run history ID for this run
+   * @param {Object} apiResponse - Response of the upload step
+   * @returns {Promise<void>}
+   */
+  async completeRun(tabId, email, configManager, logger, runId, apiResponse) {
+    let advancedStatsResults = null; // Track advanced statistics results
+
+    // Check if advanced post statistics is enabled
+    let advancedStatsEnabled = false;
+    try {
+      advancedStatsEnabled = await new Promise((resolve) => {
+        chrome.storage.local.get(['advancedPostStats'], (result) => {
+          resolve(result.advancedPostStats || false);
+        });
+      });
+
+      logger.log(`Advanced post statistics setting: ${advancedStatsEnabled}`);
+    } catch (error) {
+      logger.warn(`Failed to check advanced stats setting: ${error.message}`);
+    }
+
+    if (advancedStatsEnabled) {
+      logger.log('Advanced post statistics enabled, processing individual posts...');
+      try {
+        // Get post analytics URLs from API response
+        let postAnalyticsUrls = null;
+        if (apiResponse) {
+          // Parse the response body if it's a string
+          let responseBody = apiResponse;
+          if (typeof responseBody === 'string') {
+            try {
+              responseBody = JSON.parse(responseBody);
+            } catch (parseError) {
+              logger.error(`Failed to parse API response: ${parseError.message}`);
+            }
+          }
+
+          // Extract URLs from the response body
+          if (responseBody && responseBody.extracted_urls) {
+            postAnalyticsUrls = responseBody.extracted_urls;
+            logger.log(`API returned ${postAnalyticsUrls.length} extracted analytics URLs`);
+          } else {
+            logger.warn('No extracted_urls found in API response');
+            logger.log('API response structure:', responseBody);
+          }
+        } else {
+          logger.warn('No API response available for advanced statistics');
+        }
+
+        if (postAnalyticsUrls && postAnalyticsUrls.length > 0) {
+          advancedStatsResults = await this.processAdvancedPostStatistics(tabId, email, logger, postAnalyticsUrls, runId);
+        } else {
+          logger.log('No analytics URLs to process, skipping advanced statistics');
+        }
+      } catch (error) {
+        logger.error(`Advanced post statistics failed: ${error.message}`);
+        // Continue with main automation
+      }
+    } else {
+      logger.log('Advanced post statistics disabled, skipping individual post processing');
+    }
+
+    await this.recordSuccess(configManager, logger, runId, advancedStatsResults, advancedStatsEnabled, apiResponse);
+  },
+
+  /**
+   * Record the outcome of a successful profile run and reset the retry count
+   * @param {Object} configManager - The ConfigManager object
+   * @param {Object} logger - The Logger object
+   * @param {string} runId - Optional run history ID for this run
+   * @param {Object|null} advancedStatsResults - Results of the advanced post statistics, if processed
+   * @param {boolean} advancedStatsEnabled - Whether advanced post statistics are enabled
+   * @param {Object|null} apiResponse - Response of the upload step
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(configManager, logger, runId, advancedStatsResults, advancedStatsEnabled, apiResponse) {
+    // Create success message with post count if advanced stats was processed
+    let successMessage = '✅Success';
+    if (advancedStatsResults && advancedStatsResults.processed) {
+      const totalAvailable = advancedStatsResults.totalAvailable || advancedStatsResults.processed;
+      const processed = advancedStatsResults.processed;
+
+      if (totalAvailable > processed) {
+        successMessage = `✅Success (${processed}/${totalAvailable} posts processed)`;
+      } else {
+        successMessage = `✅Success (${processed} posts processed)`;
+      }
+    } else if (advancedStatsEnabled) {
+      successMessage = '✅Success (Advanced post statistics enabled)';
+    }
+
+    // The file was downloaded but the backend was unreachable
+    if (apiResponse && apiResponse.queued) {
+      successMessage = '✅Success (upload queued for retry)';
+    } else if (apiResponse && apiResponse.queuedTo) {
+      successMessage = `✅Success (upload to ${apiResponse.queuedTo.join(', ')} queued for retry)`;
+    }
+
+    // Record the outcome details in the run history
+    await RunHistory.updateRun(runId, {
+      statusMessage: successMessage,
+      postsProcessed: advancedStatsResults ? advancedStatsResults.processed : null,
+      postsTotal: advancedStatsResults ? (advancedStatsResults.totalAvailable || advancedStatsResults.processed) : null
+    });
+
+    // Update successful execution status after all processing (including advanced statistics)
+    await configManager.updateExecutionStatus(successMessage);
+    logger.log(`Execution status updated to: ${successMessage}`);
+
+    // Reset retry count on success
+    await configManager.resetRetryCount();
+  },
+
+  /**
+   * Close an automation tab, ignoring tabs that are already gone
+   * @param {number} tabId - The ID of the tab
+   * @param {Object} logger - The Logger object
+   */
+  closeTab(tabId, logger) {
+    try {
+      chrome.tabs.remove(tabId, () => {
+        if (chrome.runtime.lastError) {
+          // Tab already closed or doesn't exist - this is fine
+          logger.log(`Tab ${tabId} was already closed: ${chrome.runtime.lastError.message}`);
+        } else {
+          logger.log(`Tab ${tabId} closed successfully`);
+        }
+      });
+    } catch (error) {
+      logger.log(`Error closing tab ${tabId}: ${error.message}`);
+    }
+  },
+
+  /**
+   * Process advanced post statistics
+   * @param {number} tabId - The ID of the tab
+   * @param {string} email - The user's email address
+   * @param {Object} logger - The Logger object
+   * @param {string} originalDownloadUrl - The original download URL from the main automation
+   * @returns {Promise<void>}
+   */
+  /**
+   * Process advanced post statistics using URLs from API
+   * @param {number} tabId - The ID of the tab
+   * @param {string} email - The user's email address
+   * @param {Object} logger - The Logger object
    * @param {string[]} postAnalyticsUrls - Array of analytics URLs from API
+   * @param {string} runId - Optional run history ID of the parent run
    * @returns {Promise<void>}
    */
-  async processAdvancedPostStatistics(tabId, email, logger, postAnalyticsUrls = null) {
+  async processAdvancedPostStatistics(tabId, email, logger, postAnalyticsUrls = null, runId = null) {
     try {
       logger.log(`Starting advanced post statistics processing for ${postAnalyticsUrls.length} posts...`);
       
@@ -738,7 +1578,8 @@ const LinkedInMultilingualAutomation = {
         tabId, 
         email, 
         postAnalyticsUrls, 
-        logger
+        logger,
+        runId
       );
       
       // Results now include individual upload status for each post
@@ -778,671 +1619,2953 @@ const LinkedInMultilingualAutomation = {
       /activity[:-]\d{19}/
     ];
 
-    return linkedInPatterns.some(pattern => pattern.test(url));
+    return linkedInPatterns.some(pattern => pattern.test(url));
+  }
+};
+
+// ============================================================================
+// CONFIGURATION CONSTANTS
+// ============================================================================
+
+/**
+ * Application constants for timing, URLs, and configuration
+ */
+const CONFIG = {
+  // Default execution interval (3 days in milliseconds)
+  DEFAULT_EXECUTION_INTERVAL: 3 * 24 * 60 * 60 * 1000,
+
+  // Upload frequency settings: time between runs and the LinkedIn time range to export.
+  // Monthly runs export 90 days because a 28-day export would leave gaps between runs.
+  UPLOAD_FREQUENCIES: {
+    daily: { interval: 24 * 60 * 60 * 1000, timeRange: 'past_28_days' },
+    '3days': { interval: 3 * 24 * 60 * 60 * 1000, timeRange: 'past_28_days' },
+    weekly: { interval: 7 * 24 * 60 * 60 * 1000, timeRange: 'past_28_days' },
+    monthly: { interval: 30 * 24 * 60 * 60 * 1000, timeRange: 'past_90_days' }
+  },
+
+  // One-off backfill of older analytics, shortest range first
+  BACKFILL: {
+    TIME_RANGES: ['past_90_days', 'past_365_days']
+  },
+
+  // Alarm names for scheduling
+  ALARMS: {
+    MAIN: "autoDownloadAndUpload",
+    WATCHDOG: "watchdog",
+    RETRY: "retryExecution",
+    COMPANY: "companyPageUpload",
+    WEEKLY_SUMMARY: "weeklySummary",
+    PAUSE_END: "pauseEnd"
+  },
+
+  // API endpoints
+  ENDPOINTS: {
+    WEBHOOK: "https://cwf6tbhekvwzbb35oe3psa7lza0oiaoj.lambda-url.us-east-1.on.aws/",
+    COMPANY_WEBHOOK: "https://sn6ujdpryv35cap42dqlgmyybe0wsxso.lambda-url.us-east-1.on.aws/",
+    POST_WEBHOOK: "https://mlew54d2u3dfar47trgs2rjjgi0vfopc.lambda-url.us-east-1.on.aws/"
+  },
+
+  // Offline upload queue for files whose upload failed
+  UPLOAD_QUEUE: {
+    BASE_DELAY: 2 * 60 * 1000,      // First replay 2 minutes after the failed upload
+    MAX_DELAY: 6 * 60 * 60 * 1000,  // Backoff is capped at 6 hours
+    MAX_ATTEMPTS: 20,               // Entries are dropped after this many failed uploads
+    MAX_ENTRIES: 20                 // Oldest entries are dropped beyond this count
+  },
+
+  // Run history retention
+  HISTORY: {
+    MAX_ENTRIES: 200,        // Oldest runs, with the post records they spawned, are dropped beyond this count
+    MAX_AGE_DAYS: 90         // Records started longer ago than this are dropped
+  },
+
+  // What is captured from the automation tab when a step fails
+  FAILURE_CAPTURE: {
+    MAX_DOM_LENGTH: 300000,  // Characters of trimmed HTML kept
+    MAX_BUTTONS: 100,        // Visible buttons listed
+    RENDER_DELAY: 500,       // Time for the tab to paint after moving it into its own window
+    SCREENSHOT_QUALITY: 70   // JPEG quality of the screenshot
+  },
+
+  // LinkedIn URLs
+  LINKEDIN: {
+    HOME: "https://linkedin.com",
+    ANALYTICS: "https://www.linkedin.com/analytics/creator/content/?metricType=IMPRESSIONS&timeRange=past_28_days",
+    DEFAULT_TIME_RANGE: "past_28_days"
+  }
+};
+
+/**
+ * Build the creator analytics URL for a time range
+ * @param {string} timeRange - LinkedIn time range, e.g. 'past_28_days' or 'past_365_days'
+ * @returns {string} The analytics URL
+ */
+function getAnalyticsUrl(timeRange = CONFIG.LINKEDIN.DEFAULT_TIME_RANGE) {
+  const url = new URL(CONFIG.LINKEDIN.ANALYTICS);
+  url.searchParams.set('timeRange', timeRange);
+  return url.toString();
+}
+
+// Current execution interval (can be modified based on user settings)
+let EXECUTION_INTERVAL = CONFIG.DEFAULT_EXECUTION_INTERVAL;
+
+// ============================================================================
+// LOGGING UTILITY
+// ============================================================================
+
+/**
+ * Persistent logging utility for consistent logging and storage of log messages
+ */
+const PersistentLogger = {
+  /**
+   * Log a message with specified level
+   * @param {string} message - The message to log
+   * @param {string} level - Log level (info, error, warn)
+   */
+  log(message, level = 'info') {
+    const timestamp = new Date().toISOString();
+    console.log(`[${level.toUpperCase()}] ${timestamp}: ${message}`);
+
+    // Store logs in chrome storage for persistent logging
+    chrome.storage.local.get(['logs'], (result) => {
+      const logs = result.logs || [];
+      logs.push({ timestamp, level, message });
+
+      // Keep only the last 100 logs to prevent storage overflow
+      const trimmedLogs = logs.slice(-100);
+      chrome.storage.local.set({ logs: trimmedLogs });
+    });
+  },
+
+  /**
+   * Log an error message
+   * @param {string} message - The error message
+   */
+  error(message) {
+    this.log(message, 'error');
+  },
+
+  /**
+   * Log a warning message
+   * @param {string} message - The warning message
+   */
+  warn(message) {
+    this.log(message, 'warn');
+  }
+};
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Custom error class for automation-related errors
+ */
+class AutomationError extends Error {
+  /**
+   * Create a new AutomationError
+   * @param {string} message - Error message
+   * @param {Object} context - Additional context information
+   */
+  constructor(message, context = {}) {
+    super(message);
+    this.name = 'AutomationError';
+    this.context = context;
+  }
+}
+
+// ============================================================================
+// CONFIGURATION MANAGER
+// ============================================================================
+
+/**
+ * Manages configuration and state for the extension
+ */
+const ConfigManager = {
+  /**
+   * Get the user's email address from storage
+   * @returns {Promise<string>} The user's email address
+   * @throws {AutomationError} If email is not configured
+   */
+  async getEmail() {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.get(['email'], (result) => {
+        if (result.email) {
+          resolve(result.email);
+        } else {
+          reject(new AutomationError('Email not configured', {
+            suggestedAction: 'Configure email in options page'
+          }));
+        }
+      });
+    });
+  },
+
+  /**
+   * Update the execution status in storage
+   * @param {string} status - The execution status
+   * @param {Error} error - Optional error object
+   * @returns {Promise<void>}
+   */
+  async updateExecutionStatus(status, error = null) {
+    const statusRecord = {
+      timestamp: new Date().toISOString(),
+      status: status
+    };
+
+    if (error) {
+      statusRecord.error = {
+        message: error.message,
+        name: error.name,
+        context: error.context || {},
+        stack: error.stack
+      };
+    }
+
+    return new Promise((resolve) => {
+      chrome.storage.local.set({
+        lastExecutionStatus: statusRecord.status,
+        lastExecutionError: error ? JSON.stringify({
+          message: error.message,
+          name: error.name,
+          context: error.context,
+          stack: error.stack
+        }, null, 2) : null,
+        lastExecutionTime: statusRecord.timestamp
+      }, () => {
+        PersistentLogger.log(`Execution status updated: ${status}`);
+        resolve();
+      });
+    });
+  },
+
+  /**
+   * Get the current retry count
+   * @returns {Promise<number>} The current retry count
+   */
+  async getRetryCount() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['retryCount'], (result) => {
+        resolve(result.retryCount || 0);
+      });
+    });
+  },
+
+  /**
+   * Update the retry count
+   * @param {number} count - The new retry count
+   * @returns {Promise<void>}
+   */
+  async updateRetryCount(count) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ retryCount: count }, () => {
+        PersistentLogger.log(`Retry count updated: ${count}`);
+        resolve();
+      });
+    });
+  },
+
+  /**
+   * Reset the retry count to zero
+   * @returns {Promise<void>}
+   */
+  async resetRetryCount() {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ retryCount: 0 }, () => {
+        PersistentLogger.log('Retry count reset to 0');
+        resolve();
+      });
+    });
+  },
+
+  /**
+   * Record that a profile analytics file reached the upload destinations
+   * @returns {Promise<void>}
+   */
+  async recordSuccessfulUpload() {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ lastSuccessfulUpload: new Date().toISOString() }, resolve);
+    });
+  }
+};
+
+// ============================================================================
+// RUN HISTORY
+// ============================================================================
+
+/**
+ * Persistent ledger of personal, company and per-post runs.
+ * Unlike the lastExecution* fields, every attempt is kept (within the
+ * retention limits in CONFIG.HISTORY) so failures can be investigated later.
+ */
+const RunHistory = {
+  // Storage key holding the array of run records (oldest first)
+  STORAGE_KEY: 'runHistory',
+
+  // Serialises read-modify-write cycles so concurrent updates don't clobber each other
+  _writeQueue: Promise.resolve(),
+
+  /**
+   * Record the start of a run
+   * @param {Object} details - Run details
+   * @param {string} details.type - Run type: 'personal', 'backfill', 'company' or 'post'
+   * @param {string} [details.flow] - Flow variant used for the run
+   * @param {number} [details.retryNumber] - Retry attempt number (0 for a first attempt)
+   * @param {string} [details.parentRunId] - ID of the run that spawned this one
+   * @param {string} [details.companyId] - Company ID for company runs
+   * @param {string} [details.postUrl] - Post URL for per-post runs
+   * @param {string} [details.timeRange] - LinkedIn time range exported by personal and backfill runs
+   * @returns {Promise<string>} The ID of the new run record
+   */
+  async startRun({ type, flow = null, retryNumber = 0, parentRunId = null, companyId = null, postUrl = null, timeRange = null }) {
+    const id = `${type}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const record = {
+      id,
+      type,
+      flow,
+      fallbackFrom: null,
+      retryNumber,
+      parentRunId,
+      companyId,
+      postUrl,
+      timeRange,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      outcome: 'Running',
+      statusMessage: null,
+      error: null,
+      fileName: null,
+      postsProcessed: null,
+      postsTotal: null,
+      steps: null,
+      capture: null,
+      retry: null,
+      resumes: 0
+    };
+
+    await this._mutate((runs) => {
+      runs.push(record);
+    });
+    return id;
+  },
+
+  /**
+   * Merge additional fields into an existing run record
+   * @param {string|null} runId - The run ID (ignored when null)
+   * @param {Object} fields - Fields to merge into the record
+   * @returns {Promise<void>}
+   */
+  async updateRun(runId, fields) {
+    if (!runId) return;
+
+    await this._mutate((runs) => {
+      const run = runs.find(r => r.id === runId);
+      if (run) {
+        Object.assign(run, fields);
+      }
+    });
+  },
+
+  /**
+   * Mark a run as finished
+   * @param {string|null} runId - The run ID (ignored when null)
+   * @param {string} outcome - Final outcome ('Success', 'Failed', 'Session expired' or 'Interrupted')
+   * @param {Error} error - Optional error that ended the run
+   * @param {Object} fields - Optional additional fields to record
+   * @returns {Promise<void>}
+   */
+  async finishRun(runId, outcome, error = null, fields = {}) {
+    await this.updateRun(runId, {
+      ...fields,
+      outcome,
+      endedAt: new Date().toISOString(),
+      error: error ? {
+        name: error.name,
+        message: error.message,
+        context: error.context || {}
+      } : null
+    });
+  },
+
+  /**
+   * Mark runs that an earlier service worker left running as interrupted
+   * @param {number} before - Only runs started before this time (in milliseconds) are marked
+   * @param {string[]} keepRunIds - Runs being resumed, which stay running
+   * @returns {Promise<number>} Number of runs marked
+   */
+  async markInterrupted(before, keepRunIds = []) {
+    let marked = 0;
+    await this._mutate((runs) => {
+      runs.forEach((run) => {
+        if (run.outcome === 'Running' && new Date(run.startedAt).getTime() < before && !keepRunIds.includes(run.id)) {
+          Object.assign(run, {
+            outcome: RunCheckpoint.STATUS,
+            endedAt: new Date().toISOString(),
+            error: { name: 'AutomationError', message: 'The extension stopped during the run', context: {} }
+          });
+          marked++;
+        }
+      });
+    });
+    return marked;
+  },
+
+  /**
+   * Get all retained run records
+   * @returns {Promise<Object[]>} Run records, oldest first
+   */
+  async getRuns() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        resolve(result[this.STORAGE_KEY] || []);
+      });
+    });
+  },
+
+  /**
+   * Apply the retention policy to a list of run records. Records spawned by another run,
+   * such as the per-post records of advanced post statistics, don't count towards
+   * CONFIG.HISTORY.MAX_ENTRIES and are kept as long as their parent run is.
+   * @param {Object[]} runs - Run records, oldest first
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object[]} The retained records
+   */
+  prune(runs, now = Date.now()) {
+    const cutoff = now - CONFIG.HISTORY.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const recent = runs.filter(run => new Date(run.startedAt).getTime() >= cutoff);
+    const kept = new Set(recent
+      .filter(run => !run.parentRunId)
+      .slice(-CONFIG.HISTORY.MAX_ENTRIES)
+      .map(run => run.id));
+
+    return recent.filter(run => kept.has(run.id) || kept.has(run.parentRunId));
+  },
+
+  /**
+   * Apply a change to the stored ledger
+   * @param {Function} mutator - Receives the run array and modifies it in place
+   * @returns {Promise<void>}
+   */
+  _mutate(mutator) {
+    const task = this._writeQueue.then(() => new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        const runs = result[this.STORAGE_KEY] || [];
+        mutator(runs);
+        chrome.storage.local.set({ [this.STORAGE_KEY]: this.prune(runs) }, resolve);
+      });
+    }));
+
+    // Keep the queue alive even if a write fails
+    this._writeQueue = task.catch((error) => {
+      PersistentLogger.error(`Run history update failed: ${error.message}`);
+    });
+    return task;
+  }
+};
+
+// ============================================================================
+// FAILURE CAPTURE
+// ============================================================================
+
+/**
+ * Records what the automation tab showed when a recipe step failed, so a changed
+ * LinkedIn layout can be told apart from an expired login. The capture is stored in
+ * FailureCaptures (IndexedDB) and summarised on the run record as `capture`.
+ */
+const FailureCapture = {
+  SCRIPT: 'page-snapshot.js',
+
+  // Optional permission captureVisibleTab needs; granted from the options page
+  SCREENSHOT_ORIGINS: ['<all_urls>'],
+
+  /**
+   * Capture the page of a failed run. Never throws: a failed capture must not hide the failure itself.
+   * @param {number} tabId - The ID of the automation tab
+   * @param {string} runId - Run history ID of the failed run
+   * @param {string} stepId - ID of the step that failed
+   * @param {Error} error - The error the step failed with
+   * @returns {Promise<Object|null>} Summary stored on the run record, or null if nothing could be captured
+   */
+  async capture(tabId, runId, stepId, error) {
+    if (!tabId || !runId) {
+      return null;
+    }
+
+    const { MAX_DOM_LENGTH, MAX_BUTTONS } = CONFIG.FAILURE_CAPTURE;
+    let snapshot = null;
+    let snapshotError = null;
+    let screenshot = null;
+    let screenshotError = null;
+
+    try {
+      snapshot = await this.snapshot(tabId, { maxDomLength: MAX_DOM_LENGTH, maxButtons: MAX_BUTTONS });
+    } catch (captureError) {
+      snapshotError = captureError.message;
+    }
+    try {
+      screenshot = await this.screenshot(tabId);
+    } catch (captureError) {
+      screenshotError = captureError.message;
+    }
+
+    if (!snapshot && !screenshot) {
+      PersistentLogger.warn(`Could not capture the failed page: ${snapshotError}`);
+      return null;
+    }
+
+    const createdAt = new Date().toISOString();
+    const summary = {
+      capturedAt: createdAt,
+      url: snapshot ? snapshot.url : null,
+      title: snapshot ? snapshot.title : null,
+      buttonCount: snapshot ? snapshot.buttons.length : null,
+      snapshotError,
+      screenshot: Boolean(screenshot),
+      screenshotError
+    };
+
+    try {
+      await FailureCaptures.save({
+        runId,
+        createdAt,
+        step: stepId,
+        error: error.message,
+        ...(snapshot || {}),
+        snapshotError,
+        screenshot,
+        screenshotError
+      });
+      await RunHistory.updateRun(runId, { capture: summary });
+    } catch (storeError) {
+      PersistentLogger.warn(`Could not store the failure capture: ${storeError.message}`);
+      return null;
+    }
+
+    PersistentLogger.log(`Captured the failed page ${summary.url || ''} (${screenshot ? 'with' : 'without'} screenshot)`);
+    return summary;
+  },
+
+  /**
+   * Take the URL, title, visible buttons and trimmed DOM of a tab
+   * @param {number} tabId - The ID of the tab
+   * @param {Object} options - Limits passed to page-snapshot.js
+   * @returns {Promise<Object>} Snapshot as { url, title, readyState, buttons, dom }
+   * @throws {Error} If the script can't run in the tab
+   */
+  snapshot(tabId, options) {
+    return new Promise((resolve, reject) => {
+      chrome.scripting.executeScript({
+        target: { tabId },
+        files: [this.SCRIPT]
+      }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(`Page snapshot injection failed: ${chrome.runtime.lastError.message}`));
+          return;
+        }
+
+        chrome.scripting.executeScript({
+          target: { tabId },
+          func: pageOptions => window.pageSnapshot.take(pageOptions),
+          args: [options]
+        }, (results) => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(`Page snapshot script error: ${chrome.runtime.lastError.message}`));
+          } else if (!results || !results[0] || !results[0].result) {
+            reject(new Error('Page snapshot script returned no result'));
+          } else {
+            resolve(results[0].result);
+          }
+        });
+      });
+    });
+  },
+
+  /**
+   * Check whether the user turned on screenshots of failed runs and granted the permission
+   * @returns {Promise<boolean>} True if screenshots can be taken
+   */
+  async canScreenshot() {
+    const { failureScreenshots } = await new Promise((resolve) => {
+      chrome.storage.local.get(['failureScreenshots'], resolve);
+    });
+    if (failureScreenshots !== true) {
+      return false;
+    }
+
+    return new Promise((resolve) => {
+      chrome.permissions.contains({ origins: this.SCREENSHOT_ORIGINS }, granted => resolve(Boolean(granted)));
+    });
+  },
+
+  /**
+   * Take a screenshot of a tab. captureVisibleTab only sees the active tab of a window,
+   * so a background automation tab is first moved into a window of its own, without
+   * focusing it; the flow closes the tab (and with it that window) afterwards.
+   * @param {number} tabId - The ID of the tab
+   * @returns {Promise<string>} The screenshot as a JPEG data URL
+   * @throws {Error} If screenshots aren't allowed or the tab can't be captured
+   */
+  async screenshot(tabId) {
+    if (!(await this.canScreenshot())) {
+      throw new Error('Screenshots of failed runs are turned off in the options');
+    }
+
+    const tab = await new Promise((resolve, reject) => {
+      chrome.tabs.get(tabId, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+
+    let windowId = tab.windowId;
+    if (!tab.active) {
+      windowId = await new Promise((resolve, reject) => {
+        chrome.windows.create({ tabId, focused: false }, (window) => {
+          if (chrome.runtime.lastError || !window) {
+            reject(new Error(`Could not show the automation tab: ${chrome.runtime.lastError ? chrome.runtime.lastError.message : 'no window'}`));
+          } else {
+            resolve(window.id);
+          }
+        });
+      });
+      await new Promise(resolve => setTimeout(resolve, CONFIG.FAILURE_CAPTURE.RENDER_DELAY));
+    }
+
+    return new Promise((resolve, reject) => {
+      chrome.tabs.captureVisibleTab(windowId, {
+        format: 'jpeg',
+        quality: CONFIG.FAILURE_CAPTURE.SCREENSHOT_QUALITY
+      }, (dataUrl) => {
+        if (chrome.runtime.lastError || !dataUrl) {
+          reject(new Error(`Screenshot failed: ${chrome.runtime.lastError ? chrome.runtime.lastError.message : 'no image'}`));
+        } else {
+          resolve(dataUrl);
+        }
+      });
+    });
+  }
+};
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Shows the desktop notifications the user turned on in the options page
+ * (see NotificationSettings) and opens the right page when one is clicked.
+ */
+const Notifier = {
+  // Notification IDs are the prefix plus the type, so a newer notification replaces an older one
+  ID_PREFIX: 'ppa-',
+
+  DASHBOARD_URL: 'https://dash.ppa.guide',
+
+  // Where a click on each type of notification leads
+  TARGETS: {
+    runFailed: 'options',
+    loginRequired: 'login',
+    companyFailed: 'options',
+    weeklySummary: 'dashboard'
+  },
+
+  // The weekly summary covers this many days of runs
+  SUMMARY_DAYS: 7,
+
+  /**
+   * Get the notification settings
+   * @returns {Promise<Object>} One boolean per notification type
+   */
+  getSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([NotificationSettings.STORAGE_KEY], (result) => {
+        resolve(NotificationSettings.normalize(result[NotificationSettings.STORAGE_KEY]));
+      });
+    });
+  },
+
+  /**
+   * Show a notification if the user turned its type on
+   * @param {string} type - One of the types in NotificationSettings.DEFAULTS
+   * @param {string} title - The notification title
+   * @param {string} message - The notification text
+   * @returns {Promise<boolean>} True if the notification was shown
+   */
+  async notify(type, title, message) {
+    const settings = await this.getSettings();
+    if (!settings[type]) {
+      PersistentLogger.log(`${type} notification is turned off: ${title}`);
+      return false;
+    }
+
+    return new Promise((resolve) => {
+      chrome.notifications.create(`${this.ID_PREFIX}${type}`, {
+        type: 'basic',
+        iconUrl: 'PPA_chrome_icon_128.png',
+        title,
+        message,
+        priority: type === 'weeklySummary' ? 0 : 2
+      }, () => {
+        if (chrome.runtime.lastError) {
+          PersistentLogger.warn(`Could not show the ${type} notification: ${chrome.runtime.lastError.message}`);
+          resolve(false);
+        } else {
+          resolve(true);
+        }
+      });
+    });
+  },
+
+  /**
+   * Open the page a notification leads to and dismiss it
+   * @param {string} notificationId - The clicked notification
+   */
+  handleClick(notificationId) {
+    if (!notificationId.startsWith(this.ID_PREFIX)) {
+      return;
+    }
+
+    switch (this.TARGETS[notificationId.slice(this.ID_PREFIX.length)]) {
+      case 'login':
+        chrome.tabs.create({ url: LinkedInSession.LOGIN_URL });
+        break;
+      case 'dashboard':
+        chrome.tabs.create({ url: this.DASHBOARD_URL });
+        break;
+      case 'options':
+        chrome.runtime.openOptionsPage();
+        break;
+      default:
+        return;
+    }
+    chrome.notifications.clear(notificationId);
+  },
+
+  /**
+   * Summarise the past week's runs and the latest parsed export
+   * @param {Object[]} runs - Run history records
+   * @param {Object|null} localAnalytics - The stored LocalAnalytics record
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} Notification as { title, message }, or null if nothing ran this week
+   */
+  buildWeeklySummary(runs, localAnalytics, now = Date.now()) {
+    const since = now - this.SUMMARY_DAYS * 24 * 60 * 60 * 1000;
+    const week = runs.filter(run => run.outcome !== 'Running' && new Date(run.startedAt).getTime() >= since);
+    if (week.length === 0) {
+      return null;
+    }
+
+    const succeeded = week.filter(run => run.outcome === 'Success').length;
+    const parts = [`${succeeded} of ${week.length} runs succeeded in the past ${this.SUMMARY_DAYS} days.`];
+
+    if (localAnalytics && localAnalytics.summary && new Date(localAnalytics.parsedAt).getTime() >= since) {
+      const { impressions, newFollowers } = localAnalytics.summary;
+      parts.push(`Latest export: ${impressions.toLocaleString()} impressions and ${newFollowers.toLocaleString()} new followers.`);
+    }
+
+    return { title: 'Your weekly PPA summary is ready', message: parts.join(' ') };
+  },
+
+  /**
+   * Show the weekly summary if it is turned on and anything ran this week
+   * @returns {Promise<void>}
+   */
+  async sendWeeklySummary() {
+    const settings = await this.getSettings();
+    if (!settings.weeklySummary) {
+      return;
+    }
+
+    const runs = await RunHistory.getRuns();
+    const localAnalytics = await new Promise((resolve) => {
+      chrome.storage.local.get([LocalAnalytics.STORAGE_KEY], result => resolve(result[LocalAnalytics.STORAGE_KEY] || null));
+    });
+
+    const summary = this.buildWeeklySummary(runs, localAnalytics);
+    if (!summary) {
+      PersistentLogger.log('No runs in the past week, skipping the weekly summary');
+      return;
+    }
+    await this.notify('weeklySummary', summary.title, summary.message);
+  },
+
+  /**
+   * Make sure the weekly summary alarm exists, without moving an existing one
+   */
+  setupWeeklySummaryAlarm() {
+    const week = this.SUMMARY_DAYS * 24 * 60;
+    chrome.alarms.get(CONFIG.ALARMS.WEEKLY_SUMMARY, (alarm) => {
+      if (!alarm) {
+        chrome.alarms.create(CONFIG.ALARMS.WEEKLY_SUMMARY, { delayInMinutes: week, periodInMinutes: week });
+      }
+    });
+  }
+};
+
+// ============================================================================
+// TOOLBAR BADGE
+// ============================================================================
+
+/**
+ * Shows the state of the profile upload on the toolbar icon and summarises the
+ * last and next run in its tooltip. Refreshed whenever the stored run state changes
+ * and by the watchdog, which keeps the retry countdown and upload age current.
+ */
+const ToolbarBadge = {
+  // Stored run state the badge is computed from
+  STATE_KEYS: [
+    'lastExecutionStatus', 'lastExecutionTime', 'nextExecution', 'retryScheduled', 'nextRetryTime',
+    'lastSuccessfulUpload', PauseSettings.STORAGE_KEY
+  ],
+
+  COLORS: {
+    running: '#0a66c2',
+    paused: '#6f42c1',
+    retry: '#6c757d',
+    failed: '#dc3545',
+    stale: '#f0ad4e'
+  },
+
+  // Badge text while automated runs are paused
+  PAUSED_TEXT: 'II',
+
+  // Badge text cycles through these frames while a run is in progress
+  SPINNER_FRAMES: ['|', '/', '-', '\\'],
+  SPINNER_INTERVAL: 500,
+
+  // The last upload counts as stale once it is older than this many upload intervals
+  STALE_INTERVALS: 2,
+
+  // Timer of the running spinner
+  _spinner: null,
+
+  /**
+   * Work out the badge for the stored run state
+   * @param {Object} data - The STATE_KEYS values from storage
+   * @param {number} now - Current time in milliseconds
+   * @param {number} interval - Upload interval in milliseconds
+   * @returns {Object} Badge as { state, text, color, title }; state is 'running', 'paused',
+   *   'retry', 'failed', 'stale' or 'ok'
+   */
+  describe(data, now = Date.now(), interval = EXECUTION_INTERVAL) {
+    const status = data.lastExecutionStatus || null;
+    const retryAt = data.retryScheduled && data.nextRetryTime ? new Date(data.nextRetryTime).getTime() : null;
+    const lastUpload = data.lastSuccessfulUpload ? new Date(data.lastSuccessfulUpload).getTime() : null;
+    const pause = PauseSettings.normalize(data[PauseSettings.STORAGE_KEY], now);
+
+    const lines = ['Professional Profile Analytics'];
+    lines.push(status && data.lastExecutionTime
+      ? `Last run: ${status} (${new Date(data.lastExecutionTime).toLocaleString()})`
+      : 'Last run: none yet');
+    if (lastUpload) {
+      lines.push(`Last upload: ${new Date(lastUpload).toLocaleString()}`);
+    }
+    if (pause) {
+      lines.push(PauseSettings.describe(pause));
+    }
+    if (retryAt && retryAt > now) {
+      lines.push(`Retry: ${new Date(retryAt).toLocaleString()}`);
+    }
+    lines.push(data.nextExecution
+      ? `Next run: ${new Date(data.nextExecution).toLocaleString()}`
+      : 'Next run: not scheduled');
+    const title = lines.join('\n');
+
+    if (status === 'Running') {
+      return { state: 'running', text: this.SPINNER_FRAMES[0], color: this.COLORS.running, title };
+    }
+    if (PauseSettings.isPaused(pause)) {
+      return { state: 'paused', text: this.PAUSED_TEXT, color: this.COLORS.paused, title };
+    }
+    if (retryAt && retryAt > now) {
+      // The badge fits four characters, so longer waits count down in hours
+      const minutes = Math.ceil((retryAt - now) / (60 * 1000));
+      const text = minutes < 60 ? `${minutes}m` : `${Math.ceil(minutes / 60)}h`;
+      return { state: 'retry', text, color: this.COLORS.retry, title };
+    }
+    if (status === 'Failed' || status === LinkedInSession.STATUS || status === RunCheckpoint.STATUS ||
+        (status && status.startsWith(RetryPolicy.GAVE_UP_STATUS))) {
+      return { state: 'failed', text: '!', color: this.COLORS.failed, title };
+    }
+    if (lastUpload && now - lastUpload > this.STALE_INTERVALS * interval) {
+      const days = Math.floor((now - lastUpload) / (24 * 60 * 60 * 1000));
+      return { state: 'stale', text: `${days}d`, color: this.COLORS.stale, title };
+    }
+    return { state: 'ok', text: '', color: null, title };
+  },
+
+  /**
+   * Update the badge and tooltip from storage
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    try {
+      const data = await new Promise((resolve) => {
+        chrome.storage.local.get(this.STATE_KEYS, resolve);
+      });
+      const badge = this.describe(data);
+
+      this._setSpinner(badge.state === 'running');
+      await chrome.action.setBadgeText({ text: badge.text });
+      if (badge.color) {
+        await chrome.action.setBadgeBackgroundColor({ color: badge.color });
+      }
+      await chrome.action.setTitle({ title: badge.title });
+    } catch (error) {
+      PersistentLogger.warn(`Could not update the toolbar badge: ${error.message}`);
+    }
+  },
+
+  /**
+   * Start or stop cycling the spinner frames
+   * @param {boolean} running - Whether a run is in progress
+   */
+  _setSpinner(running) {
+    if (running && !this._spinner) {
+      let frame = 0;
+      this._spinner = setInterval(() => {
+        frame = (frame + 1) % this.SPINNER_FRAMES.length;
+        chrome.action.setBadgeText({ text: this.SPINNER_FRAMES[frame] });
+      }, this.SPINNER_INTERVAL);
+    } else if (!running && this._spinner) {
+      clearInterval(this._spinner);
+      this._spinner = null;
+    }
+  }
+};
+
+// ============================================================================
+// WEB REQUEST TRACKER
+// ============================================================================
+
+/**
+ * Tracks web requests to detect file downloads
+ */
+const WebRequestTracker = {
+  /**
+   * Track a file download from a specific tab
+   * @param {number} tabId - The ID of the tab to track
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<string>} The URL of the downloaded file
+   * @throws {AutomationError} If no download is detected within the timeout
+   */
+  trackDownload(tabId, timeout = 15000) {
+    return new Promise((resolve, reject) => {
+      const listener = (details) => {
+        if (details.method === "GET" && details.url.includes(".xlsx")) {
+          chrome.webRequest.onBeforeRequest.removeListener(listener);
+          resolve(details.url);
+        }
+      };
+
+      chrome.webRequest.onBeforeRequest.addListener(
+        listener,
+        { urls: ["<all_urls>"] },
+        []
+      );
+
+      // Set a timeout to reject if no download is detected
+      setTimeout(() => {
+        chrome.webRequest.onBeforeRequest.removeListener(listener);
+        reject(new AutomationError('No .xlsx download detected', {
+          tabId,
+          timeout
+        }));
+      }, timeout);
+    });
+  }
+};
+
+// ============================================================================
+// INITIALIZATION FUNCTIONS
+// ============================================================================
+
+/**
+ * Initialize the execution interval based on stored settings
+ * @returns {Promise<void>}
+ */
+async function initializeExecutionInterval() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['uploadFrequency'], (result) => {
+      if (result.uploadFrequency) {
+        const frequency = CONFIG.UPLOAD_FREQUENCIES[result.uploadFrequency];
+        EXECUTION_INTERVAL = frequency ? frequency.interval : CONFIG.DEFAULT_EXECUTION_INTERVAL; // 3 days (default)
+      }
+      PersistentLogger.log(`Execution interval set to ${EXECUTION_INTERVAL / (24 * 60 * 60 * 1000)} days`);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Get the LinkedIn time range exported by scheduled runs
+ * @returns {Promise<string>} The time range for the configured upload frequency
+ */
+async function getScheduledTimeRange() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['uploadFrequency'], (result) => {
+      const frequency = CONFIG.UPLOAD_FREQUENCIES[result.uploadFrequency];
+      resolve(frequency ? frequency.timeRange : CONFIG.LINKEDIN.DEFAULT_TIME_RANGE);
+    });
+  });
+}
+
+// ============================================================================
+// FILE UPLOADER
+// ============================================================================
+
+/**
+ * Handles file uploads to the webhook
+ */
+const FileUploader = {
+  /**
+   * Upload a file to the webhook
+   * @param {string} fileUrl - The URL of the file to upload
+   * @param {string} email - The user's email address
+   * @param {string} runId - Optional run history ID to record the file name against
+   * @returns {Promise<Object>} The response from the webhook, or { queued: true } if the
+   *   upload failed and the file was placed in the offline upload queue
+   * @throws {AutomationError} If the file cannot be fetched from LinkedIn or the backend
+   *   rejects it
+   */
+  async uploadToWebhook(fileUrl, email, runId = null) {
+    try {
+      if (!fileUrl) {
+        throw new AutomationError('File URL is not provided');
+      }
+
+      // Fetch the file
+      PersistentLogger.log(`Fetching file from URL: ${fileUrl}`);
+      const response = await fetch(fileUrl);
+
+      if (!response.ok) {
+        throw new AutomationError('Failed to fetch file', {
+          status: response.status,
+          url: fileUrl
+        });
+      }
+
+      // Create Blob and extract filename
+      const fileBlob = await response.blob();
+      const urlParams = new URLSearchParams(new URL(fileUrl).search);
+      const fileName = urlParams.get('x-ambry-um-filename') || 'default_filename.xlsx';
+
+      if (!fileName.endsWith('.xlsx')) {
+        throw new AutomationError('Invalid file type', {
+          fileName
+        });
+      }
+      await RunHistory.updateRun(runId, { fileName });
+      await ExportArchive.trySave({ type: ExportArchive.TYPES.PROFILE, fileName, blob: fileBlob });
+      await LocalAnalytics.storeFromBlob(fileBlob, fileName);
+
+      // The file is in hand, so transient upload failures are queued for replay instead of
+      // failing the run; a rejected file fails it
+      const result = await UploadDestinations.deliverOrQueue({
+        type: UploadDestinations.TYPES.PROFILE,
+        email,
+        fileName,
+        blob: fileBlob
+      }, runId);
+
+      if (!result || (!result.queued && !result.archivedOnly)) {
+        await ConfigManager.recordSuccessfulUpload();
+      }
+      return result;
+
+    } catch (error) {
+      PersistentLogger.error(`File upload error: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Send an already downloaded file to the webhook
+   * @param {Blob} fileBlob - The file contents
+   * @param {string} fileName - The file name
+   * @param {string} email - The user's email address
+   * @returns {Promise<Object>} The response from the webhook
+   * @throws {AutomationError} If the upload fails
+   */
+  async sendToWebhook(fileBlob, fileName, email) {
+    try {
+      // Prepare FormData
+      const formData = new FormData();
+      formData.append("Email", email);
+      formData.append("xlsx", fileBlob, fileName);
+
+      // Upload to webhook
+      PersistentLogger.log('Uploading file to webhook...');
+      const uploadResponse = await fetch(CONFIG.ENDPOINTS.WEBHOOK, {
+        method: "POST",
+        body: formData,
+      });
+
+      if (!uploadResponse.ok) {
+        throw new AutomationError('Upload failed', {
+          status: uploadResponse.status,
+          responseText: await uploadResponse.text()
+        });
+      }
+
+      PersistentLogger.log('File successfully uploaded');
+      const apiResponse = await uploadResponse.json();
+      
+      // Handle Lambda response format with statusCode and body
+      if (apiResponse.statusCode === 200 && apiResponse.body) {
+        // Parse the body if it's a string
+        let responseBody = apiResponse.body;
+        if (typeof responseBody === 'string') {
+          try {
+            responseBody = JSON.parse(responseBody);
+          } catch (parseError) {
+            PersistentLogger.warn(`Failed to parse response body: ${parseError.message}`);
+            responseBody = apiResponse.body;
+          }
+        }
+        
+        PersistentLogger.log(`API response: ${responseBody.message || 'Success'}`);
+        if (responseBody.extracted_urls) {
+          PersistentLogger.log(`Extracted ${responseBody.extracted_urls.length} analytics URLs from Excel file`);
+        }
+        
+        return responseBody;
+      } else {
+        // Fallback for direct response format
+        PersistentLogger.log(`API response: ${apiResponse.message || 'Success'}`);
+        return apiResponse;
+      }
+
+    } catch (error) {
+      PersistentLogger.error(`File upload error: ${error.message}`);
+      throw error;
+    }
+  }
+};
+
+// ============================================================================
+// UPLOAD DESTINATIONS
+// ============================================================================
+
+/**
+ * Routes downloaded files to every enabled upload destination.
+ * The built-in Professional Profile Analytics destination keeps its native payloads;
+ * custom destinations get per-type URLs, an optional auth header and a choice of
+ * multipart or base64 JSON payloads. With no destination enabled, files are only
+ * kept in the local export archive.
+ */
+const UploadDestinations = {
+  STORAGE_KEY: 'uploadDestinations',
+  BUILT_IN_ID: 'ppa',
+
+  // Kinds of file that can be uploaded
+  TYPES: {
+    PROFILE: 'profile',
+    COMPANY: 'company',
+    POST: 'post'
+  },
+
+  // Payload formats for custom destinations
+  FORMATS: {
+    MULTIPART: 'multipart',
+    JSON: 'json'
+  },
+
+  /**
+   * Get the built-in Professional Profile Analytics destination
+   * @param {boolean} enabled - Whether the destination is enabled
+   * @returns {Object} The built-in destination
+   */
+  getBuiltIn(enabled = true) {
+    return {
+      id: this.BUILT_IN_ID,
+      label: 'Professional Profile Analytics',
+      builtIn: true,
+      enabled
+    };
+  },
+
+  /**
+   * Get all configured destinations, including the built-in one
+   * @returns {Promise<Object[]>} The destinations
+   */
+  async getAll() {
+    const stored = await new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        resolve(result[this.STORAGE_KEY] || null);
+      });
+    });
+
+    if (!stored) {
+      return [this.getBuiltIn()];
+    }
+
+    // Always keep the built-in destination in the list, honouring its stored enabled flag
+    const builtIn = stored.find(destination => destination.id === this.BUILT_IN_ID);
+    const custom = stored.filter(destination => destination.id !== this.BUILT_IN_ID);
+    return [this.getBuiltIn(builtIn ? builtIn.enabled !== false : true), ...custom];
+  },
+
+  /**
+   * Get a destination by ID
+   * @param {string} id - The destination ID
+   * @returns {Promise<Object|null>} The destination
+   */
+  async get(id) {
+    const destinations = await this.getAll();
+    return destinations.find(destination => destination.id === id) || null;
+  },
+
+  /**
+   * Get the enabled destinations that accept a type of file
+   * @param {string} type - One of TYPES
+   * @returns {Promise<Object[]>} The destinations
+   */
+  async getTargets(type) {
+    const destinations = await this.getAll();
+    return destinations.filter(destination => (
+      destination.enabled !== false && (destination.builtIn || this.getUrl(destination, type))
+    ));
+  },
+
+  /**
+   * Get the URL a custom destination uses for a type of file
+   * @param {Object} destination - The destination
+   * @param {string} type - One of TYPES
+   * @returns {string|null} The URL, or null if the destination doesn't take this type
+   */
+  getUrl(destination, type) {
+    return (destination.urls && destination.urls[type]) || null;
+  },
+
+  /**
+   * Upload a file to every destination that accepts its type
+   * @param {Object} upload - The file and its metadata
+   * @param {string} upload.type - One of TYPES
+   * @param {string} upload.email - The user's email address
+   * @param {string} upload.fileName - The file name
+   * @param {Blob} [upload.blob] - The file contents (either blob or data is required)
+   * @param {string} [upload.data] - The file contents, base64 encoded
+   * @param {string} [upload.companyId] - Company ID for company files
+   * @param {string} [upload.postId] - Post activity ID for post files
+   * @param {string} [upload.analyticsUrl] - Post analytics URL for post files
+   * @param {Object} [upload.fileValidation] - File name checks for post files
+   * @returns {Promise<Object>} The primary response, the primary destination's ID, and the
+   *   destinations that succeeded and failed
+   */
+  async deliver(upload) {
+    const targets = await this.getTargets(upload.type);
+    const result = { response: null, primaryId: null, delivered: [], failures: [] };
+
+    if (targets.length === 0) {
+      PersistentLogger.log(`No upload destination enabled for ${upload.type} files, ${upload.fileName} is kept in the local archive only`);
+      return result;
+    }
+
+    // The built-in destination comes first whenever it is enabled
+    result.primaryId = targets[0].id;
+
+    for (const destination of targets) {
+      try {
+        const response = await this.send(destination, upload);
+        result.delivered.push(destination.id);
+
+        // The built-in response drives follow-up work such as advanced post statistics
+        if (destination.builtIn || result.response === null) {
+          result.response = response;
+        }
+      } catch (error) {
+        PersistentLogger.error(`Upload of ${upload.fileName} to ${destination.label} failed: ${error.message}`);
+        result.failures.push({ destinationId: destination.id, label: destination.label, error });
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * Upload a file to every destination, queueing it for each destination that failed
+   * @param {Object} upload - The file and its metadata (see deliver)
+   * @param {string} runId - Optional run history ID the file belongs to
+   * @returns {Promise<Object>} The primary response. It is flagged as queued if the primary
+   *   destination failed and the file was queued for it; other destinations whose upload
+   *   was queued are listed in queuedTo by label.
+   * @throws {Error} The primary destination's error if it rejected the file, so the run
+   *   fails with the backend error class
+   */
+  async deliverOrQueue(upload, runId = null) {
+    const delivery = await this.deliver(upload);
+    const queued = [];
+
+    for (const failure of delivery.failures) {
+      // The queue drops uploads a destination rejected instead of queueing them
+      const id = await UploadQueue.enqueue({ ...upload, runId, destinationId: failure.destinationId, error: failure.error });
+      if (id !== null) {
+        queued.push(failure);
+      }
+    }
+
+    const primaryFailure = delivery.failures.find(failure => failure.destinationId === delivery.primaryId);
+    if (primaryFailure && !UploadQueue.isRetryable(primaryFailure.error)) {
+      throw primaryFailure.error;
+    }
+
+    if (queued.length > 0) {
+      await RunHistory.updateRun(runId, { uploadQueued: true });
+    }
+
+    if (primaryFailure) {
+      return {
+        ...(delivery.response || {}),
+        queued: true,
+        message: `Upload failed, file queued for retry: ${primaryFailure.error.message}`
+      };
+    }
+
+    if (delivery.delivered.length === 0) {
+      return { archivedOnly: true, message: 'No upload destination enabled, file kept in the local archive' };
+    }
+
+    // The primary destination has the file; the others catch up from the queue
+    if (queued.length > 0) {
+      return { ...delivery.response, queuedTo: queued.map(failure => failure.label) };
+    }
+
+    return delivery.response;
+  },
+
+  /**
+   * Upload a file to one destination
+   * @param {Object} destination - The destination
+   * @param {Object} upload - The file and its metadata (see deliver)
+   * @returns {Promise<Object>} The destination response
+   */
+  async send(destination, upload) {
+    if (destination.builtIn) {
+      return this._sendBuiltIn(upload);
+    }
+    return this._sendCustom(destination, upload);
+  },
+
+  /**
+   * Upload a file to the Professional Profile Analytics service using its native payloads
+   * @param {Object} upload - The file and its metadata (see deliver)
+   * @returns {Promise<Object>} The service response
+   */
+  async _sendBuiltIn(upload) {
+    switch (upload.type) {
+      case this.TYPES.COMPANY:
+        return sendCompanyUpload(await this._getData(upload), upload.fileName, upload.companyId, upload.email);
+      case this.TYPES.POST:
+        return sendPostAnalyticsUpload(
+          this._getBlob(upload), upload.fileName, upload.email,
+          upload.postId, upload.analyticsUrl, upload.fileValidation
+        );
+      default:
+        return FileUploader.sendToWebhook(this._getBlob(upload), upload.fileName, upload.email);
+    }
+  },
+
+  /**
+   * Upload a file to a custom destination
+   * @param {Object} destination - The destination
+   * @param {Object} upload - The file and its metadata (see deliver)
+   * @returns {Promise<Object>} The destination response
+   * @throws {AutomationError} If the upload fails
+   */
+  async _sendCustom(destination, upload) {
+    const url = this.getUrl(destination, upload.type);
+    const headers = this.getAuthHeaders(destination);
+    const metadata = this.getMetadata(upload);
+    let body;
+
+    if (destination.format === this.FORMATS.JSON) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify({ ...metadata, file: await this._getData(upload) });
+    } else {
+      body = new FormData();
+      Object.entries(metadata).forEach(([key, value]) => {
+        body.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+      });
+      body.append('xlsx', this._getBlob(upload), upload.fileName);
+    }
+
+    PersistentLogger.log(`Uploading ${upload.fileName} to ${destination.label}`);
+    const response = await fetch(url, { method: 'POST', headers, body });
+
+    if (!response.ok) {
+      throw new AutomationError(`Upload to ${destination.label} failed`, {
+        status: response.status,
+        responseText: await response.text()
+      });
+    }
+
+    return this._parseResponse(response);
+  },
+
+  /**
+   * Send a test request to every URL of a destination
+   * @param {Object} destination - The destination
+   * @returns {Promise<Object[]>} One result per configured URL
+   */
+  async testConnection(destination) {
+    const results = [];
+
+    for (const type of Object.values(this.TYPES)) {
+      const url = this.getUrl(destination, type);
+      if (!url) continue;
+
+      const headers = this.getAuthHeaders(destination);
+      const metadata = { test: true, type, sent_at: new Date().toISOString() };
+      let body;
+
+      if (destination.format === this.FORMATS.JSON) {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(metadata);
+      } else {
+        body = new FormData();
+        Object.entries(metadata).forEach(([key, value]) => body.append(key, String(value)));
+      }
+
+      try {
+        const response = await fetch(url, { method: 'POST', headers, body });
+        results.push({ type, url, ok: response.ok, status: response.status });
+      } catch (error) {
+        results.push({ type, url, ok: false, status: null, error: error.message });
+      }
+    }
+
+    PersistentLogger.log(`Tested destination ${destination.label}: ${results.filter(r => r.ok).length}/${results.length} URLs reachable`);
+    return results;
+  },
+
+  /**
+   * Build the request headers for a destination's auth settings
+   * @param {Object} destination - The destination
+   * @returns {Object} The headers
+   */
+  getAuthHeaders(destination) {
+    const headers = {};
+    if (destination.authHeaderValue) {
+      headers[destination.authHeaderName || 'Authorization'] = destination.authHeaderValue;
+    }
+    return headers;
+  },
+
+  /**
+   * Build the metadata fields sent with a file to a custom destination
+   * @param {Object} upload - The file and its metadata (see deliver)
+   * @returns {Object} The metadata fields
+   */
+  getMetadata(upload) {
+    const metadata = {
+      type: upload.type,
+      email: upload.email,
+      file_name: upload.fileName
+    };
+
+    if (upload.companyId) metadata.company_id = upload.companyId;
+    if (upload.postId) metadata.post_id = upload.postId;
+    if (upload.analyticsUrl) metadata.analytics_url = upload.analyticsUrl;
+    if (upload.fileValidation) metadata.file_validation = upload.fileValidation;
+
+    return metadata;
+  },
+
+  /**
+   * Get the file contents of an upload as a blob
+   * @param {Object} upload - The file and its metadata
+   * @returns {Blob} The file contents
+   */
+  _getBlob(upload) {
+    return upload.blob || base64ToBlob(upload.data, upload.mimeType || 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  },
+
+  /**
+   * Get the file contents of an upload, base64 encoded
+   * @param {Object} upload - The file and its metadata
+   * @returns {Promise<string>} The base64 encoded contents
+   */
+  async _getData(upload) {
+    return upload.data || blobToBase64(upload.blob);
+  },
+
+  /**
+   * Parse a destination response as JSON, falling back to its text
+   * @param {Response} response - The fetch response
+   * @returns {Promise<Object>} The parsed response
+   */
+  async _parseResponse(response) {
+    const text = await response.text();
+    try {
+      return text ? JSON.parse(text) : {};
+    } catch (parseError) {
+      return { message: text };
+    }
+  }
+};
+
+// ============================================================================
+// LOCAL ANALYTICS
+// ============================================================================
+
+/**
+ * Parses each downloaded creator analytics export locally so the popup can show
+ * stats when the backend is unreachable or the user has not signed up
+ */
+const LocalAnalytics = {
+  STORAGE_KEY: 'localAnalytics',
+
+  /**
+   * Parse an export and store the model and its summary
+   * @param {Blob} fileBlob - The export contents
+   * @param {string} fileName - The export file name
+   * @returns {Promise<Object|null>} The stored record, or null if parsing failed
+   */
+  async storeFromBlob(fileBlob, fileName) {
+    try {
+      const model = AnalyticsExportParser.parseFile(await fileBlob.arrayBuffer());
+      const record = {
+        fileName,
+        parsedAt: new Date().toISOString(),
+        summary: AnalyticsExportParser.summarize(model),
+        model
+      };
+
+      await new Promise((resolve) => {
+        chrome.storage.local.set({ [this.STORAGE_KEY]: record }, resolve);
+      });
+
+      PersistentLogger.log(`Parsed ${fileName} locally: ${model.totals.impressions} impressions over ${model.daily.length} days`);
+      return record;
+    } catch (error) {
+      // Parsing is best effort and must never block the upload
+      PersistentLogger.warn(`Failed to parse ${fileName} locally: ${error.message}`);
+      return null;
+    }
+  }
+};
+
+// ============================================================================
+// UPLOAD QUEUE
+// ============================================================================
+
+/**
+ * Durable queue of downloaded files whose upload failed.
+ * Files are kept in IndexedDB (see queued-uploads.js) and replayed with exponential backoff
+ * by the watchdog alarm, so a backend outage never forces LinkedIn to be scraped again.
+ */
+const UploadQueue = {
+  // Where earlier versions kept the queue, base64 encoded
+  LEGACY_STORAGE_KEY: 'uploadQueue',
+
+  // Serialises adding and dropping entries so concurrent callers don't drop an entry twice
+  _writeQueue: Promise.resolve(),
+
+  // Moves entries from LEGACY_STORAGE_KEY into IndexedDB, once per service worker
+  _migration: null,
+
+  // Whether a drain is in progress
+  _draining: false,
+
+  /**
+   * Add a file to the queue after a failed upload, dropping the oldest entries beyond
+   * CONFIG.UPLOAD_QUEUE.MAX_ENTRIES. Uploads that failed for good (see isRetryable) are
+   * dropped straight away.
+   * @param {Object} upload - The upload to queue
+   * @param {string} upload.type - One of UploadDestinations.TYPES
+   * @param {string} upload.fileName - The file name
+   * @param {Blob} [upload.blob] - The file contents (either blob or data is required)
+   * @param {string} [upload.data] - The file contents, base64 encoded
+   * @param {string} upload.email - The user's email address
+   * @param {string} [upload.companyId] - Company ID for company uploads
+   * @param {string} [upload.runId] - Run history ID the file belongs to
+   * @param {string} [upload.destinationId] - The upload destination that failed
+   * @param {Error} [upload.error] - The error from the failed upload
+   * @returns {Promise<number|null>} The queue entry ID, or null if the upload was dropped
+   *   because its error is not worth a replay
+   */
+  async enqueue({ type, fileName, blob = null, data = null, email, companyId = null, runId = null, destinationId = UploadDestinations.BUILT_IN_ID, error = null }) {
+    const now = Date.now();
+    const mimeType = (blob && blob.type) || 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    const entry = {
+      type,
+      fileName,
+      email,
+      companyId,
+      runId,
+      destinationId,
+      blob: blob || base64ToBlob(data, mimeType),
+      mimeType,
+      attempts: 1,
+      createdAt: new Date(now).toISOString(),
+      nextAttemptAt: now + this.getBackoffDelay(1),
+      lastError: error ? error.message : null
+    };
+
+    await this._migrate();
+    if (error && !this.isRetryable(error)) {
+      await this._drop(entry, `not retried: ${error.message}`);
+      return null;
+    }
+
+    const id = await this._serialize(async () => {
+      const added = await QueuedUploads.add(entry);
+      await this._dropOverflow();
+      return added;
+    });
+
+    PersistentLogger.warn(`Upload of ${fileName} failed, queued for retry at ${new Date(entry.nextAttemptAt).toISOString()}`);
+    return id;
+  },
+
+  /**
+   * Check whether a failed upload is worth replaying. Network errors, server errors and
+   * rate limiting pass; a file the destination rejected would be rejected again.
+   * @param {Error} error - The upload error
+   * @returns {boolean} True if RetryPolicy classifies the error as a network error
+   */
+  isRetryable(error) {
+    return RetryPolicy.classify(error) === 'network';
+  },
+
+  /**
+   * Get the delay before the next replay of an entry
+   * @param {number} attempts - Number of failed uploads so far
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempts) {
+    const { BASE_DELAY, MAX_DELAY } = CONFIG.UPLOAD_QUEUE;
+    return Math.min(BASE_DELAY * Math.pow(2, attempts - 1), MAX_DELAY);
+  },
+
+  /**
+   * Get all queued uploads
+   * @returns {Promise<Object[]>} The queue entries with their files, oldest first
+   */
+  async getEntries() {
+    await this._migrate();
+    return QueuedUploads.getAll();
+  },
+
+  /**
+   * Replay every entry whose backoff has elapsed
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    if (this._draining) {
+      return;
+    }
+    this._draining = true;
+
+    try {
+      const now = Date.now();
+      const due = (await this.getEntries()).filter(entry => entry.nextAttemptAt <= now);
+
+      if (due.length > 0) {
+        PersistentLogger.log(`Replaying ${due.length} queued upload(s)`);
+      }
+
+      for (const entry of due) {
+        const destination = await UploadDestinations.get(entry.destinationId || UploadDestinations.BUILT_IN_ID);
+        if (!destination || destination.enabled === false) {
+          await this._drop(entry, `destination ${entry.destinationId} is no longer enabled`);
+          continue;
+        }
+
+        try {
+          await UploadDestinations.send(destination, entry);
+          await QueuedUploads.delete(entry.id);
+          await RunHistory.updateRun(entry.runId, { uploadQueued: false, uploadedAt: new Date().toISOString() });
+          if (entry.type === UploadDestinations.TYPES.PROFILE) {
+            await ConfigManager.recordSuccessfulUpload();
+          }
+          PersistentLogger.log(`Queued upload of ${entry.fileName} delivered after ${entry.attempts} failed attempt(s)`);
+        } catch (error) {
+          await this._recordFailure(entry, error);
+        }
+      }
+    } finally {
+      this._draining = false;
+    }
+  },
+
+  /**
+   * Push an entry's next replay back, or drop it once it has used up its attempts or the
+   * destination rejected it
+   * @param {Object} entry - The queue entry
+   * @param {Error} error - The upload error
+   * @returns {Promise<void>}
+   */
+  async _recordFailure(entry, error) {
+    const attempts = entry.attempts + 1;
+
+    if (!this.isRetryable(error)) {
+      await this._drop(entry, `not retried: ${error.message}`);
+      return;
+    }
+
+    if (attempts >= CONFIG.UPLOAD_QUEUE.MAX_ATTEMPTS) {
+      await this._drop(entry, `gave up after ${attempts} attempts: ${error.message}`);
+      return;
+    }
+
+    const nextAttemptAt = Date.now() + this.getBackoffDelay(attempts);
+    await QueuedUploads.update(entry.id, { attempts, nextAttemptAt, lastError: error.message });
+    PersistentLogger.warn(`Queued upload of ${entry.fileName} failed again, next attempt at ${new Date(nextAttemptAt).toISOString()}`);
+  },
+
+  /**
+   * Drop the oldest entries beyond CONFIG.UPLOAD_QUEUE.MAX_ENTRIES
+   * @returns {Promise<void>}
+   */
+  async _dropOverflow() {
+    const entries = await QueuedUploads.getAll();
+    const overflow = entries.slice(0, Math.max(0, entries.length - CONFIG.UPLOAD_QUEUE.MAX_ENTRIES));
+
+    for (const entry of overflow) {
+      await this._drop(entry, `the queue holds at most ${CONFIG.UPLOAD_QUEUE.MAX_ENTRIES} files`);
+    }
   },
 
   /**
-   * Try multiple strategies to click the Export button
-   * @param {number} tabId - The ID of the tab
-   * @param {string} email - The user's email address
-   * @param {Object} webRequestTracker - The WebRequestTracker object
-   * @param {Object} fileUploader - The FileUploader object
-   * @param {Object} logger - The Logger object
+   * Remove an entry without uploading it, and record that in the log and its run
+   * @param {Object} entry - The queue entry; without an ID it was never stored
+   * @param {string} reason - Why the upload is dropped, for the log
    * @returns {Promise<void>}
-   * @throws {Error} If all click attempts fail
    */
-  async clickExportButton(tabId, email, webRequestTracker, fileUploader, logger) {
-    let downloadTracked = false;
-    let downloadUrl = null;
-
-    try {
-      // Track download before clicking
-      const downloadTracker = webRequestTracker.trackDownload(tabId);
-
-      // Attempt to click the button
-      await MultilingualTabInteractions.clickButton(tabId, 'export');
-
-      // Wait for potential download
-      const apiURL = await Promise.race([
-        downloadTracker,
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Download timeout')), 30000)
-        )
-      ]);
-
-      // Store the download URL for advanced processing
-      downloadUrl = apiURL;
-      logger.log(`Download URL captured: ${downloadUrl}`);
-
-      // If download is successful, upload the file and get API response
-      const apiResponse = await fileUploader.uploadToWebhook(apiURL, email);
-      downloadTracked = true;
-      
-      logger.log('API response received for advanced statistics processing');
+  async _drop(entry, reason) {
+    if (entry.id !== undefined) {
+      await QueuedUploads.delete(entry.id);
+    }
+    await RunHistory.updateRun(entry.runId, { uploadQueued: false, uploadDropped: true });
+    PersistentLogger.error(`Dropped queued upload of ${entry.fileName}: ${reason}`);
+  },
 
-      return { 
-        success: true, 
-        downloadUrl: downloadUrl,
-        apiResponse: apiResponse
-      };
+  /**
+   * Move the entries earlier versions kept in chrome.storage.local into IndexedDB
+   * @returns {Promise<void>}
+   */
+  _migrate() {
+    if (!this._migration) {
+      this._migration = this._serialize(async () => {
+        const legacy = await new Promise((resolve) => {
+          chrome.storage.local.get([this.LEGACY_STORAGE_KEY], result => resolve(result[this.LEGACY_STORAGE_KEY] || []));
+        });
+        if (legacy.length === 0) {
+          return;
+        }
 
-    } catch (error) {
-      logger.warn(`Attempt to click 'export' failed: ${error.message}`);
-      throw error;
+        for (const { id, data, ...entry } of legacy) {
+          await QueuedUploads.add({ ...entry, blob: base64ToBlob(data, entry.mimeType) });
+        }
+        await new Promise((resolve) => {
+          chrome.storage.local.remove([this.LEGACY_STORAGE_KEY], resolve);
+        });
+        PersistentLogger.log(`Moved ${legacy.length} queued upload(s) to IndexedDB`);
+      }).catch((error) => {
+        // Left in storage for the next service worker to try again
+        PersistentLogger.error(`Queued uploads could not be moved to IndexedDB: ${error.message}`);
+      });
     }
+    return this._migration;
+  },
 
-    if (!downloadTracked) {
-      throw new Error('Failed to download file after multiple attempts');
-    }
+  /**
+   * Run a task after the add and drop tasks before it
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} The task's result
+   */
+  _serialize(task) {
+    const run = this._writeQueue.then(task);
+    this._writeQueue = run.catch(() => {});
+    return run;
   }
 };
 
+/**
+ * Encode a blob as base64
+ * @param {Blob} blob - The blob to encode
+ * @returns {Promise<string>} The base64 encoded contents
+ */
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  // Convert in chunks to stay below the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 contents into a blob
+ * @param {string} data - The base64 encoded contents
+ * @param {string} mimeType - The blob MIME type
+ * @returns {Blob} The decoded blob
+ */
+function base64ToBlob(data, mimeType) {
+  const binaryString = atob(data);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
 // ============================================================================
-// CONFIGURATION CONSTANTS
+// RETRY MECHANISM
 // ============================================================================
 
 /**
- * Application constants for timing, URLs, and configuration
+ * Schedule a retry of a failed run as the retry policy decides for its error class,
+ * or record that the run was given up
+ * @param {Error} error - Optional error of the failed run
+ * @param {string} runId - Optional run history ID of the failed run
+ * @returns {Promise<void>}
  */
-const CONFIG = {
-  // Default execution interval (3 days in milliseconds)
-  DEFAULT_EXECUTION_INTERVAL: 3 * 24 * 60 * 60 * 1000,
+async function scheduleRetry(error = null, runId = null) {
+  const currentRetryCount = await ConfigManager.getRetryCount();
+  const decision = RetryPolicy.decide(error, currentRetryCount);
+  const { label } = RetryPolicy.CLASSES[decision.errorClass];
+  PersistentLogger.log(`Run failed with error class "${decision.errorClass}" after ${currentRetryCount} retries`);
+
+  if (!decision.retry) {
+    // The count stays as it is so the status shows how many retries were made;
+    // the next scheduled run starts a new sequence
+    const status = RetryPolicy.describeGaveUp(decision.errorClass, currentRetryCount);
+    chrome.storage.local.remove(['nextRetryTime', 'retryScheduled']);
+    await RunHistory.updateRun(runId, { retry: { errorClass: decision.errorClass, gaveUp: true, retryAt: null } });
+    await ConfigManager.updateExecutionStatus(status, error);
+    PersistentLogger.error(`${status}${error ? ` (${error.message})` : ''}`);
+    await Notifier.notify(
+      'runFailed',
+      'LinkedIn analytics upload failed',
+      `${status}${error ? `: ${error.message}` : ''}. Click for the run history.`
+    );
+    return;
+  }
 
-  // Alarm names for scheduling
-  ALARMS: {
-    MAIN: "autoDownloadAndUpload",
-    WATCHDOG: "watchdog",
-    RETRY: "retryExecution"
-  },
+  const newRetryCount = currentRetryCount + 1;
+  await ConfigManager.updateRetryCount(newRetryCount);
 
-  // API endpoints
-  ENDPOINTS: {
-    WEBHOOK: "https://cwf6tbhekvwzbb35oe3psa7lza0oiaoj.lambda-url.us-east-1.on.aws/"
-  },
+  const retryTime = Date.now() + decision.delay;
+  const retryTimeISO = new Date(retryTime).toISOString();
 
-  // Retry configuration
-  RETRY: {
-    INTERVAL: 2 * 60 * 1000, // 2 minutes in milliseconds (reduced from 5)
-    MAX_ATTEMPTS: 3          // Increased from 2
-  },
+  // Store the next retry time in storage for the watchdog to check
+  chrome.storage.local.set({
+    nextRetryTime: retryTimeISO,
+    retryScheduled: true
+  });
 
-  // LinkedIn URLs
-  LINKEDIN: {
-    HOME: "https://linkedin.com",
-    ANALYTICS: "https://www.linkedin.com/analytics/creator/content/?metricType=IMPRESSIONS&timeRange=past_28_days"
+  // Create alarm for retry execution
+  chrome.alarms.create(CONFIG.ALARMS.RETRY, { when: retryTime });
+  await RunHistory.updateRun(runId, { retry: { errorClass: decision.errorClass, gaveUp: false, retryAt: retryTimeISO } });
+
+  // Selector fixes for a changed LinkedIn page may have been published since the run started
+  if (decision.errorClass === 'uiChange') {
+    SelectorManifest.load(true).catch((manifestError) => {
+      PersistentLogger.warn(`Selector manifest could not be refreshed before the retry: ${manifestError.message}`);
+    });
   }
-};
 
-// Current execution interval (can be modified based on user settings)
-let EXECUTION_INTERVAL = CONFIG.DEFAULT_EXECUTION_INTERVAL;
+  PersistentLogger.log(`Scheduled retry #${newRetryCount} (${label}) in ${Math.round(decision.delay / 60000)} minutes. Time: ${retryTimeISO}`);
+}
+
 
 // ============================================================================
-// LOGGING UTILITY
+// FLOW SELECTION
 // ============================================================================
 
 /**
- * Persistent logging utility for consistent logging and storage of log messages
+ * Chooses between the direct analytics URL flow and the home-page
+ * click-through flow, remembering which one last worked for each account
  */
-const PersistentLogger = {
+const FlowSelector = {
+  // Available LinkedIn navigation flows
+  FLOWS: {
+    DIRECT: 'direct',
+    CLICK_THROUGH: 'click-through'
+  },
+
+  // User-selectable preferences (stored as flowPreference)
+  PREFERENCES: {
+    ADAPTIVE: 'adaptive',
+    ALWAYS_DIRECT: 'direct',
+    ALWAYS_CLICK_THROUGH: 'click-through'
+  },
+
   /**
-   * Log a message with specified level
-   * @param {string} message - The message to log
-   * @param {string} level - Log level (info, error, warn)
+   * Get the user's flow preference
+   * @returns {Promise<string>} One of the PREFERENCES values
    */
-  log(message, level = 'info') {
-    const timestamp = new Date().toISOString();
-    console.log(`[${level.toUpperCase()}] ${timestamp}: ${message}`);
+  async getPreference() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['flowPreference'], (result) => {
+        resolve(result.flowPreference || this.PREFERENCES.ADAPTIVE);
+      });
+    });
+  },
 
-    // Store logs in chrome storage for persistent logging
-    chrome.storage.local.get(['logs'], (result) => {
-      const logs = result.logs || [];
-      logs.push({ timestamp, level, message });
+  /**
+   * Get the recorded flow statistics for an account
+   * @param {string} email - The account's email address
+   * @returns {Promise<Object>} Stats with lastSuccessfulFlow and per-flow counters
+   */
+  async getStats(email) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['flowStats'], (result) => {
+        const allStats = result.flowStats || {};
+        resolve(allStats[email] || { lastSuccessfulFlow: null, successes: {}, failures: {} });
+      });
+    });
+  },
 
-      // Keep only the last 100 logs to prevent storage overflow
-      const trimmedLogs = logs.slice(-100);
-      chrome.storage.local.set({ logs: trimmedLogs });
+  /**
+   * Get the ordered list of flows to try for this run
+   * @param {string} email - The account's email address
+   * @returns {Promise<string[]>} Flows in the order they should be attempted
+   */
+  async getFlowOrder(email) {
+    const preference = await this.getPreference();
+
+    // A forced flow is never swapped for the other one
+    if (preference === this.PREFERENCES.ALWAYS_DIRECT) {
+      return [this.FLOWS.DIRECT];
+    }
+    if (preference === this.PREFERENCES.ALWAYS_CLICK_THROUGH) {
+      return [this.FLOWS.CLICK_THROUGH];
+    }
+
+    const stats = await this.getStats(email);
+    const preferred = stats.lastSuccessfulFlow || this.FLOWS.DIRECT;
+    const fallback = preferred === this.FLOWS.DIRECT ? this.FLOWS.CLICK_THROUGH : this.FLOWS.DIRECT;
+    return [preferred, fallback];
+  },
+
+  /**
+   * Record a successful flow for an account
+   * @param {string} email - The account's email address
+   * @param {string} flow - The flow that succeeded
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(email, flow) {
+    await this._updateStats(email, (stats) => {
+      stats.lastSuccessfulFlow = flow;
+      stats.lastSuccessAt = new Date().toISOString();
+      stats.successes[flow] = (stats.successes[flow] || 0) + 1;
     });
   },
 
   /**
-   * Log an error message
-   * @param {string} message - The error message
+   * Record a failed flow for an account
+   * @param {string} email - The account's email address
+   * @param {string} flow - The flow that failed
+   * @returns {Promise<void>}
    */
-  error(message) {
-    this.log(message, 'error');
+  async recordFailure(email, flow) {
+    await this._updateStats(email, (stats) => {
+      stats.failures[flow] = (stats.failures[flow] || 0) + 1;
+    });
   },
 
   /**
-   * Log a warning message
-   * @param {string} message - The warning message
+   * Apply a change to an account's flow statistics
+   * @param {string} email - The account's email address
+   * @param {Function} updater - Receives the stats object and modifies it in place
+   * @returns {Promise<void>}
    */
-  warn(message) {
-    this.log(message, 'warn');
+  async _updateStats(email, updater) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['flowStats'], (result) => {
+        const allStats = result.flowStats || {};
+        const stats = allStats[email] || { lastSuccessfulFlow: null, successes: {}, failures: {} };
+        updater(stats);
+        allStats[email] = stats;
+        chrome.storage.local.set({ flowStats: allStats }, resolve);
+      });
+    });
   }
 };
 
 // ============================================================================
-// ERROR HANDLING
+// RUN LOCK
 // ============================================================================
 
 /**
- * Custom error class for automation-related errors
+ * Persisted single-flight locks: one for personal runs (scheduled, retried, manual
+ * and backfill) and one for company runs. A lock records its owner and a heartbeat,
+ * so the next run can take over a lock whose run ended without releasing it.
  */
-class AutomationError extends Error {
+const RunLock = {
+  // Storage key holding the locks by name
+  STORAGE_KEY: 'runLocks',
+
+  NAMES: {
+    PERSONAL: 'personal',
+    COMPANY: 'company'
+  },
+
+  HEARTBEAT_INTERVAL: 30 * 1000,
+
+  // A lock without a heartbeat for this long is taken over
+  STALE_AFTER: 2 * 60 * 1000,
+
+  // This service worker instance. Runs don't survive the worker, so a lock of an
+  // earlier instance is taken over without waiting for its heartbeat to go stale.
+  WORKER_ID: `worker-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+
+  // Serialises read-modify-write cycles so two entry points can't both take a lock
+  _writeQueue: Promise.resolve(),
+
+  // Heartbeat timers of the locks held by this worker, by lock name
+  _heartbeats: {},
+
   /**
-   * Create a new AutomationError
-   * @param {string} message - Error message
-   * @param {Object} context - Additional context information
+   * Check whether a lock was abandoned by its owner
+   * @param {Object} lock - The stored lock
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if the lock can be taken over
    */
-  constructor(message, context = {}) {
-    super(message);
-    this.name = 'AutomationError';
-    this.context = context;
+  isStale(lock, now = Date.now()) {
+    return lock.workerId !== this.WORKER_ID || now - lock.heartbeatAt > this.STALE_AFTER;
+  },
+
+  /**
+   * Get the live holder of a lock
+   * @param {string} name - One of NAMES
+   * @returns {Promise<Object|null>} The lock as { owner, purpose, workerId, acquiredAt, heartbeatAt },
+   *   or null if it is free or abandoned
+   */
+  async getHolder(name) {
+    const locks = await new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], result => resolve(result[this.STORAGE_KEY] || {}));
+    });
+    const lock = locks[name];
+    return lock && !this.isStale(lock) ? lock : null;
+  },
+
+  /**
+   * Take a lock unless a live run holds it, and keep it alive until it is released
+   * @param {string} name - One of NAMES
+   * @param {string} purpose - What the run is for, e.g. 'retry' or 'backfill'
+   * @returns {Promise<string|null>} Owner ID to release the lock with, or null if it is held
+   */
+  async acquire(name, purpose) {
+    const owner = `${purpose}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    let holder = null;
+    let abandoned = null;
+
+    await this._mutate((locks) => {
+      const now = Date.now();
+      const lock = locks[name];
+      if (lock && !this.isStale(lock, now)) {
+        holder = lock;
+        return;
+      }
+      abandoned = lock || null;
+      locks[name] = { owner, purpose, workerId: this.WORKER_ID, acquiredAt: now, heartbeatAt: now };
+    });
+
+    if (holder) {
+      PersistentLogger.log(`The ${name} run lock is held by a ${holder.purpose} since ${new Date(holder.acquiredAt).toISOString()}, not starting a ${purpose}`);
+      return null;
+    }
+    if (abandoned) {
+      PersistentLogger.warn(`Taking over the ${name} run lock abandoned by a ${abandoned.purpose} (last heartbeat ${new Date(abandoned.heartbeatAt).toISOString()})`);
+    }
+
+    this._heartbeats[name] = setInterval(() => this._beat(name, owner), this.HEARTBEAT_INTERVAL);
+    return owner;
+  },
+
+  /**
+   * Release a lock, unless another run has taken it over in the meantime
+   * @param {string} name - One of NAMES
+   * @param {string} owner - The owner ID returned by acquire
+   * @returns {Promise<void>}
+   */
+  async release(name, owner) {
+    this._stopHeartbeat(name);
+    await this._mutate((locks) => {
+      if (locks[name] && locks[name].owner === owner) {
+        delete locks[name];
+      }
+    });
+  },
+
+  /**
+   * Refresh the heartbeat of a held lock, or stop beating if it was taken over
+   * @param {string} name - One of NAMES
+   * @param {string} owner - The owner ID returned by acquire
+   * @returns {Promise<void>}
+   */
+  async _beat(name, owner) {
+    let held = false;
+    await this._mutate((locks) => {
+      if (locks[name] && locks[name].owner === owner) {
+        locks[name].heartbeatAt = Date.now();
+        held = true;
+      }
+    });
+    if (!held) {
+      PersistentLogger.warn(`The ${name} run lock was taken over, stopping its heartbeat`);
+      this._stopHeartbeat(name);
+    }
+  },
+
+  /**
+   * Stop the heartbeat timer of a lock
+   * @param {string} name - One of NAMES
+   */
+  _stopHeartbeat(name) {
+    clearInterval(this._heartbeats[name]);
+    delete this._heartbeats[name];
+  },
+
+  /**
+   * Apply a change to the stored locks, serialised with other writes
+   * @param {Function} mutator - Receives the locks object and modifies it in place
+   * @returns {Promise<void>}
+   */
+  _mutate(mutator) {
+    const task = this._writeQueue.then(() => new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        const locks = result[this.STORAGE_KEY] || {};
+        mutator(locks);
+        chrome.storage.local.set({ [this.STORAGE_KEY]: locks }, resolve);
+      });
+    }));
+
+    this._writeQueue = task.catch(() => {});
+    return task;
   }
-}
+};
 
 // ============================================================================
-// CONFIGURATION MANAGER
+// RUN CHECKPOINTS
 // ============================================================================
 
 /**
- * Manages configuration and state for the extension
+ * Persisted progress of the personal and company run in progress, so a run outlives
+ * the service worker. A personal run moves through the phases navigate, export, upload
+ * and posts (post i of N); a company run has the single phase company. A new worker
+ * resumes a run an earlier one left behind: the post loop continues with the post it
+ * was on, while the earlier phases start the export again in the same run record, as
+ * the tab and download they depended on are gone. Runs that can't be resumed are
+ * marked interrupted.
  */
-const ConfigManager = {
+const RunCheckpoint = {
+  // Storage key holding the checkpoints by run lock name
+  STORAGE_KEY: 'runCheckpoints',
+
+  PHASES: {
+    NAVIGATE: 'navigate',
+    EXPORT: 'export',
+    UPLOAD: 'upload',
+    POSTS: 'posts',
+    COMPANY: 'company'
+  },
+
+  // Recipe actions that start a later phase of a personal run
+  ACTION_PHASES: {
+    expectDownload: 'export',
+    upload: 'upload'
+  },
+
+  // Run outcome and execution status of runs that are not resumed
+  STATUS: 'Interrupted',
+
+  // A run is resumed at most this often, and not after this long without progress
+  MAX_RESUMES: 2,
+  MAX_AGE: 6 * 60 * 60 * 1000,
+
+  // Runs started before this belong to an earlier service worker instance
+  WORKER_STARTED_AT: Date.now(),
+
+  // Serialises read-modify-write cycles of the checkpoints
+  _writeQueue: Promise.resolve(),
+
   /**
-   * Get the user's email address from storage
-   * @returns {Promise<string>} The user's email address
-   * @throws {AutomationError} If email is not configured
+   * Get the stored checkpoints
+   * @returns {Promise<Object>} Checkpoints keyed by RunLock.NAMES
    */
-  async getEmail() {
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.get(['email'], (result) => {
-        if (result.email) {
-          resolve(result.email);
-        } else {
-          reject(new AutomationError('Email not configured', {
-            suggestedAction: 'Configure email in options page'
-          }));
-        }
-      });
+  async getAll() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], result => resolve(result[this.STORAGE_KEY] || {}));
     });
   },
 
   /**
-   * Update the execution status in storage
-   * @param {string} status - The execution status
-   * @param {Error} error - Optional error object
+   * Start the checkpoint of a new run; the caller holds the run lock of the same name
+   * @param {string} name - One of RunLock.NAMES
+   * @param {Object} fields - The runId, plus the run options of a personal run or the companyId of a company run
    * @returns {Promise<void>}
    */
-  async updateExecutionStatus(status, error = null) {
-    const statusRecord = {
-      timestamp: new Date().toISOString(),
-      status: status
-    };
-
-    if (error) {
-      statusRecord.error = {
-        message: error.message,
-        name: error.name,
-        context: error.context || {},
-        stack: error.stack
+  async start(name, fields) {
+    const now = Date.now();
+    await this._mutate((checkpoints) => {
+      checkpoints[name] = {
+        phase: name === RunLock.NAMES.COMPANY ? this.PHASES.COMPANY : this.PHASES.NAVIGATE,
+        step: null,
+        tabId: null,
+        posts: null,
+        resumes: 0,
+        ...fields,
+        workerId: RunLock.WORKER_ID,
+        startedAt: now,
+        updatedAt: now
       };
-    }
-
-    return new Promise((resolve) => {
-      chrome.storage.local.set({
-        lastExecutionStatus: statusRecord.status,
-        lastExecutionError: error ? JSON.stringify({
-          message: error.message,
-          name: error.name,
-          context: error.context,
-          stack: error.stack
-        }, null, 2) : null,
-        lastExecutionTime: statusRecord.timestamp
-      }, () => {
-        PersistentLogger.log(`Execution status updated: ${status}`);
-        resolve();
-      });
     });
   },
 
   /**
-   * Get the current retry count
-   * @returns {Promise<number>} The current retry count
+   * Merge progress into the checkpoint of a run
+   * @param {string|null} runId - The run ID (ignored when null or not checkpointed, like backfill runs)
+   * @param {Object|Function} fields - Fields to merge, or a function of the checkpoint returning them
+   * @returns {Promise<void>}
+   */
+  async update(runId, fields) {
+    if (!runId) return;
+
+    await this._mutate((checkpoints) => {
+      const checkpoint = Object.values(checkpoints).find(c => c.runId === runId);
+      if (checkpoint) {
+        Object.assign(checkpoint, typeof fields === 'function' ? fields(checkpoint) : fields, { updatedAt: Date.now() });
+      }
+    });
+  },
+
+  /**
+   * Record the recipe step a run is about to perform
+   * @param {string|null} runId - The run ID
+   * @param {Object} step - The recipe step
+   * @param {number} tabId - The tab the recipe automates
+   * @returns {Promise<void>}
    */
-  async getRetryCount() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['retryCount'], (result) => {
-        resolve(result.retryCount || 0);
-      });
+  async step(runId, step, tabId) {
+    const order = [this.PHASES.NAVIGATE, this.PHASES.EXPORT, this.PHASES.UPLOAD];
+    await this.update(runId, (checkpoint) => {
+      const phase = this.ACTION_PHASES[step.action];
+      // Company runs keep their single phase, and a personal run never moves back
+      const advance = checkpoint.phase !== this.PHASES.COMPANY && phase &&
+        order.indexOf(phase) > order.indexOf(checkpoint.phase);
+      return advance ? { step: step.id, tabId, phase } : { step: step.id, tabId };
     });
   },
 
   /**
-   * Update the retry count
-   * @param {number} count - The new retry count
+   * Remove the checkpoint of a finished run
+   * @param {string|null} runId - The run ID (ignored when null)
    * @returns {Promise<void>}
    */
-  async updateRetryCount(count) {
-    return new Promise((resolve) => {
-      chrome.storage.local.set({ retryCount: count }, () => {
-        PersistentLogger.log(`Retry count updated: ${count}`);
-        resolve();
+  async clear(runId) {
+    if (!runId) return;
+
+    await this._mutate((checkpoints) => {
+      Object.keys(checkpoints).forEach((name) => {
+        if (checkpoints[name].runId === runId) {
+          delete checkpoints[name];
+        }
       });
     });
   },
 
   /**
-   * Reset the retry count to zero
+   * Describe where a run is, e.g. "export" or "posts 4/30"
+   * @param {Object} checkpoint - The checkpoint
+   * @returns {string} The phase, with the post about to be processed in the posts phase
+   */
+  describe(checkpoint) {
+    if (checkpoint.phase === this.PHASES.POSTS && checkpoint.posts) {
+      return `${checkpoint.phase} ${checkpoint.posts.next + 1}/${checkpoint.posts.urls.length}`;
+    }
+    return checkpoint.phase;
+  },
+
+  /**
+   * Resume the runs an earlier service worker left behind, or mark them interrupted,
+   * along with any other run records it left running
    * @returns {Promise<void>}
    */
-  async resetRetryCount() {
-    return new Promise((resolve) => {
-      chrome.storage.local.set({ retryCount: 0 }, () => {
-        PersistentLogger.log('Retry count reset to 0');
-        resolve();
+  async recover() {
+    const checkpoints = await this.getAll();
+    const resuming = [];
+
+    for (const [name, checkpoint] of Object.entries(checkpoints)) {
+      if (checkpoint.workerId === RunLock.WORKER_ID) {
+        continue;
+      }
+      if (checkpoint.tabId) {
+        LinkedInMultilingualAutomation.closeTab(checkpoint.tabId, Logger);
+      }
+
+      if (checkpoint.resumes >= this.MAX_RESUMES || Date.now() - checkpoint.updatedAt > this.MAX_AGE) {
+        await this.abandon(name, checkpoint);
+        continue;
+      }
+
+      resuming.push(checkpoint.runId);
+      // Worker start-up doesn't wait for the resumed run
+      this.resume(name, checkpoint).catch((error) => {
+        PersistentLogger.error(`Resuming the ${name} run ${checkpoint.runId} failed: ${error.message}`);
       });
-    });
-  }
-};
+    }
 
-// ============================================================================
-// WEB REQUEST TRACKER
-// ============================================================================
+    // Per-post runs, and backfill runs, which are not checkpointed
+    const marked = await RunHistory.markInterrupted(this.WORKER_STARTED_AT, resuming);
+    if (marked > 0) {
+      PersistentLogger.warn(`Marked ${marked} run(s) left running by an earlier service worker as interrupted`);
+    }
+
+    const { lastExecutionStatus, backfillStatus } = await new Promise((resolve) => {
+      chrome.storage.local.get(['lastExecutionStatus', 'backfillStatus'], resolve);
+    });
+    const personal = checkpoints[RunLock.NAMES.PERSONAL];
+    if (lastExecutionStatus === 'Running' && !(personal && resuming.includes(personal.runId))) {
+      await ConfigManager.updateExecutionStatus(this.STATUS);
+    }
+    if (backfillStatus && backfillStatus.status === 'Running') {
+      chrome.storage.local.set({
+        backfillStatus: { ...backfillStatus, status: this.STATUS, finishedAt: new Date().toISOString() }
+      });
+    }
+  },
 
-/**
- * Tracks web requests to detect file downloads
- */
-const WebRequestTracker = {
   /**
-   * Track a file download from a specific tab
-   * @param {number} tabId - The ID of the tab to track
-   * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise<string>} The URL of the downloaded file
-   * @throws {AutomationError} If no download is detected within the timeout
+   * Continue an abandoned run from its checkpoint under its run lock
+   * @param {string} name - One of RunLock.NAMES
+   * @param {Object} checkpoint - The checkpoint left behind
+   * @returns {Promise<void>}
    */
-  trackDownload(tabId, timeout = 15000) {
-    return new Promise((resolve, reject) => {
-      const listener = (details) => {
-        if (details.method === "GET" && details.url.includes(".xlsx")) {
-          chrome.webRequest.onBeforeRequest.removeListener(listener);
-          resolve(details.url);
-        }
-      };
+  async resume(name, checkpoint) {
+    const owner = await RunLock.acquire(name, 'resume');
+    if (!owner) {
+      await this.abandon(name, checkpoint);
+      return;
+    }
 
-      chrome.webRequest.onBeforeRequest.addListener(
-        listener,
-        { urls: ["<all_urls>"] },
-        []
-      );
+    const resumes = checkpoint.resumes + 1;
+    const keepsPhase = checkpoint.phase === this.PHASES.POSTS || checkpoint.phase === this.PHASES.COMPANY;
+    try {
+      PersistentLogger.warn(`Resuming the ${name} run ${checkpoint.runId} from phase ${this.describe(checkpoint)} (resume ${resumes} of ${this.MAX_RESUMES})`);
+      await this._mutate((checkpoints) => {
+        checkpoints[name] = {
+          ...checkpoint,
+          phase: keepsPhase ? checkpoint.phase : this.PHASES.NAVIGATE,
+          step: null,
+          tabId: null,
+          resumes,
+          workerId: RunLock.WORKER_ID,
+          updatedAt: Date.now()
+        };
+      });
+      await RunHistory.updateRun(checkpoint.runId, { resumes });
 
-      // Set a timeout to reject if no download is detected
-      setTimeout(() => {
-        chrome.webRequest.onBeforeRequest.removeListener(listener);
-        reject(new AutomationError('No .xlsx download detected', {
-          tabId,
-          timeout
-        }));
-      }, timeout);
+      if (name === RunLock.NAMES.COMPANY) {
+        await executeCompanyPageAutomation(checkpoint.companyId, checkpoint.runId);
+      } else if (checkpoint.phase === this.PHASES.POSTS) {
+        await resumePostAnalytics(checkpoint);
+      } else {
+        await executeAutomationScript({ ...checkpoint.options, runId: checkpoint.runId });
+      }
+    } finally {
+      await RunLock.release(name, owner);
+    }
+  },
+
+  /**
+   * Give up on an abandoned run: mark it interrupted and retry a personal run whose
+   * profile export hadn't been uploaded yet
+   * @param {string} name - One of RunLock.NAMES
+   * @param {Object} checkpoint - The checkpoint left behind
+   * @returns {Promise<void>}
+   */
+  async abandon(name, checkpoint) {
+    const error = new AutomationError(`Run interrupted in phase ${this.describe(checkpoint)}`, {
+      phase: checkpoint.phase,
+      step: checkpoint.step,
+      resumes: checkpoint.resumes
     });
+    PersistentLogger.warn(`Marking the ${name} run ${checkpoint.runId} as interrupted: ${error.message}`);
+
+    await this.clear(checkpoint.runId);
+    await RunHistory.finishRun(checkpoint.runId, this.STATUS, error);
+    if (name === RunLock.NAMES.COMPANY) {
+      await updateCompanyExecutionStatus(checkpoint.companyId, this.STATUS, error);
+      return;
+    }
+
+    await ConfigManager.updateExecutionStatus(this.STATUS, error);
+    if (checkpoint.phase !== this.PHASES.POSTS) {
+      await scheduleRetry(error, checkpoint.runId);
+    }
+  },
+
+  /**
+   * Apply a change to the stored checkpoints, serialised with other writes
+   * @param {Function} mutator - Receives the checkpoints object and modifies it in place
+   * @returns {Promise<void>}
+   */
+  _mutate(mutator) {
+    const task = this._writeQueue.then(() => new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        const checkpoints = result[this.STORAGE_KEY] || {};
+        mutator(checkpoints);
+        chrome.storage.local.set({ [this.STORAGE_KEY]: checkpoints }, resolve);
+      });
+    }));
+
+    this._writeQueue = task.catch(() => {});
+    return task;
   }
 };
 
 // ============================================================================
-// INITIALIZATION FUNCTIONS
+// MAIN AUTOMATION SCRIPT
 // ============================================================================
 
 /**
- * Initialize the execution interval based on stored settings
- * @returns {Promise<void>}
+ * Open a background tab for an automation flow
+ * @param {string} url - The URL to open
+ * @returns {Promise<number>} The ID of the created tab
+ * @throws {Error} If the tab could not be created
  */
-async function initializeExecutionInterval() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['uploadFrequency'], (result) => {
-      if (result.uploadFrequency) {
-        switch(result.uploadFrequency) {
-          case 'daily':
-            EXECUTION_INTERVAL = 24 * 60 * 60 * 1000; // 1 day
-            break;
-          default:
-            EXECUTION_INTERVAL = CONFIG.DEFAULT_EXECUTION_INTERVAL; // 3 days (default)
-        }
+function createAutomationTab(url) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.create({
+      url,
+      active: false
+    }, (tab) => {
+      if (!tab || !tab.id) {
+        reject(new Error('Failed to create tab'));
+      } else {
+        resolve(tab.id);
       }
-      PersistentLogger.log(`Execution interval set to ${EXECUTION_INTERVAL / (24 * 60 * 60 * 1000)} days`);
-      resolve();
     });
   });
 }
 
-// ============================================================================
-// FILE UPLOADER
-// ============================================================================
-
 /**
- * Handles file uploads to the webhook
+ * Run a single LinkedIn flow in its own tab
+ * @param {string} flow - One of FlowSelector.FLOWS
+ * @param {string} email - The user's email address
+ * @param {string} runId - Run history ID for this run
+ * @param {string} timeRange - LinkedIn time range to export
+ * @returns {Promise<void>}
+ * @throws {Error} If the flow fails
  */
-const FileUploader = {
-  /**
-   * Upload a file to the webhook
-   * @param {string} fileUrl - The URL of the file to upload
-   * @param {string} email - The user's email address
-   * @returns {Promise<Object>} The response from the webhook
-   * @throws {AutomationError} If file fetch or upload fails
-   */
-  async uploadToWebhook(fileUrl, email) {
+async function runLinkedInFlow(flow, email, runId, timeRange = CONFIG.LINKEDIN.DEFAULT_TIME_RANGE) {
+  const useDirect = flow === FlowSelector.FLOWS.DIRECT;
+  // The recipe's first step navigates the tab
+  const tabId = await createAutomationTab('about:blank');
+  PersistentLogger.log(`Created tab with ID: ${tabId}`);
+
+  try {
+    if (useDirect) {
+      await LinkedInMultilingualAutomation.executeStepsDirect(
+        tabId,
+        email,
+        WebRequestTracker,
+        FileUploader,
+        ConfigManager,
+        Logger,
+        runId,
+        timeRange
+      );
+    } else {
+      await LinkedInMultilingualAutomation.executeSteps(
+        tabId,
+        email,
+        WebRequestTracker,
+        FileUploader,
+        ConfigManager,
+        Logger,
+        runId,
+        timeRange
+      );
+    }
+  } catch (error) {
+    // Close the tab if it still exists
     try {
-      if (!fileUrl) {
-        throw new AutomationError('File URL is not provided');
-      }
+      PersistentLogger.log(`Attempting to close tab ${tabId}`);
+      chrome.tabs.remove(tabId);
+    } catch (e) {
+      PersistentLogger.log(`Tab ${tabId} already closed or doesn't exist`);
+    }
+    throw error;
+  }
+}
 
-      // Fetch the file
-      PersistentLogger.log(`Fetching file from URL: ${fileUrl}`);
-      const response = await fetch(fileUrl);
+/**
+ * Run the main automation script, unless another personal run holds the run lock
+ * @param {Object} options - Run options (see executeAutomationScript)
+ * @returns {Promise<boolean>} True if a flow succeeded; false if it failed or didn't start
+ */
+async function runAutomationScript(options = {}) {
+  const owner = await RunLock.acquire(RunLock.NAMES.PERSONAL, options.retry ? 'retry' : 'run');
+  if (!owner) {
+    return false;
+  }
 
-      if (!response.ok) {
-        throw new AutomationError('Failed to fetch file', {
-          status: response.status,
-          url: fileUrl
-        });
-      }
+  try {
+    return await executeAutomationScript(options);
+  } finally {
+    await RunLock.release(RunLock.NAMES.PERSONAL, owner);
+  }
+}
 
-      // Create Blob and extract filename
-      const fileBlob = await response.blob();
-      const urlParams = new URLSearchParams(new URL(fileUrl).search);
-      const fileName = urlParams.get('x-ambry-um-filename') || 'default_filename.xlsx';
+/**
+ * Execute the main automation script; the caller holds the personal run lock
+ * @param {Object} options - Run options
+ * @param {string} [options.timeRange] - LinkedIn time range to export (defaults to the upload frequency's range)
+ * @param {boolean} [options.backfill] - One-off backfill run: recorded as such and never retried
+ * @param {boolean} [options.retry] - Retry of a failed run, continuing its retry count
+ * @param {string} [options.runId] - Run record of an interrupted run to resume; its checkpoint is already set
+ * @returns {Promise<boolean>} True if a flow succeeded
+ */
+async function executeAutomationScript({ timeRange = null, backfill = false, retry = false, runId = null } = {}) {
+  try {
+    timeRange = timeRange || await getScheduledTimeRange();
 
-      if (!fileName.endsWith('.xlsx')) {
-        throw new AutomationError('Invalid file type', {
-          fileName
-        });
+    // Scheduled and manual runs start a new retry sequence, also after an earlier one gave up
+    if (!backfill && !retry && !runId) {
+      await ConfigManager.resetRetryCount();
+    }
+
+    // Record the run before anything can fail so every attempt shows up in the history
+    if (!runId) {
+      runId = await RunHistory.startRun({
+        type: backfill ? 'backfill' : 'personal',
+        retryNumber: backfill ? 0 : await ConfigManager.getRetryCount(),
+        timeRange
+      });
+      // A backfill walks several ranges and is not resumed
+      if (!backfill) {
+        await RunCheckpoint.start(RunLock.NAMES.PERSONAL, { runId, options: { timeRange, retry } });
       }
+    }
 
-      // Prepare FormData
-      const formData = new FormData();
-      formData.append("Email", email);
-      formData.append("xlsx", fileBlob, fileName);
+    // Retrieve email
+    const email = await ConfigManager.getEmail();
 
-      // Upload to webhook
-      PersistentLogger.log('Uploading file to webhook...');
-      const uploadResponse = await fetch(CONFIG.ENDPOINTS.WEBHOOK, {
-        method: "POST",
-        body: formData,
-      });
+    // Update execution status to Running
+    await ConfigManager.updateExecutionStatus('Running');
 
-      if (!uploadResponse.ok) {
-        throw new AutomationError('Upload failed', {
-          status: uploadResponse.status,
-          responseText: await uploadResponse.text()
-        });
-      }
+    // Log the execution attempt with timestamp
+    const timestamp = new Date().toISOString();
+    PersistentLogger.log(`=== AUTOMATION SCRIPT STARTED at ${timestamp} ===`);
 
-      PersistentLogger.log('File successfully uploaded');
-      const apiResponse = await uploadResponse.json();
-      
-      // Handle Lambda response format with statusCode and body
-      if (apiResponse.statusCode === 200 && apiResponse.body) {
-        // Parse the body if it's a string
-        let responseBody = apiResponse.body;
-        if (typeof responseBody === 'string') {
-          try {
-            responseBody = JSON.parse(responseBody);
-          } catch (parseError) {
-            PersistentLogger.warn(`Failed to parse response body: ${parseError.message}`);
-            responseBody = apiResponse.body;
-          }
-        }
-        
-        PersistentLogger.log(`API response: ${responseBody.message || 'Success'}`);
-        if (responseBody.extracted_urls) {
-          PersistentLogger.log(`Extracted ${responseBody.extracted_urls.length} analytics URLs from Excel file`);
+    // Try the preferred flow first and fall back to the other one within the same run
+    const flows = await FlowSelector.getFlowOrder(email);
+    PersistentLogger.log(`Flow order for this run: ${flows.join(' -> ')}`);
+
+    let lastError = null;
+    for (const flow of flows) {
+      await RunHistory.updateRun(runId, {
+        flow,
+        fallbackFrom: flow === flows[0] ? null : flows[0]
+      });
+      await RunCheckpoint.update(runId, { email, flow });
+
+      try {
+        await runLinkedInFlow(flow, email, runId, timeRange);
+      } catch (error) {
+        lastError = error;
+        PersistentLogger.error(`Automation flow "${flow}" failed: ${error.message}`);
+        // The other flow would fail the same way on an unsupported language or an expired session,
+        // and would upload the file a second time once this flow's upload has started
+        if (error.context && (error.context.unsupportedLanguage || error.context.sessionExpired || error.context.uploadStarted)) {
+          break;
         }
-        
-        return responseBody;
-      } else {
-        // Fallback for direct response format
-        PersistentLogger.log(`API response: ${apiResponse.message || 'Success'}`);
-        return apiResponse;
+        await FlowSelector.recordFailure(email, flow);
+        continue;
       }
 
-    } catch (error) {
-      PersistentLogger.error(`File upload error: ${error.message}`);
-      throw error;
+      await FlowSelector.recordSuccess(email, flow);
+      await RunHistory.finishRun(runId, 'Success');
+      // If successful, reset retry count
+      await ConfigManager.resetRetryCount();
+      // Clear retry flags
+      chrome.storage.local.remove(['nextRetryTime', 'retryScheduled']);
+      PersistentLogger.log(`=== AUTOMATION COMPLETED SUCCESSFULLY at ${new Date().toISOString()} (flow: ${flow}) ===`);
+      return true;
+    }
+
+    if (lastError.context && lastError.context.sessionExpired) {
+      // Retries can't log the user in; the next scheduled run checks the session again
+      PersistentLogger.error(`Automation stopped: ${lastError.message}`);
+      await RunHistory.finishRun(runId, 'Session expired', lastError);
+      await ConfigManager.updateExecutionStatus(LinkedInSession.STATUS, lastError);
+      await ConfigManager.resetRetryCount();
+      chrome.storage.local.remove(['nextRetryTime', 'retryScheduled']);
+      return false;
+    }
+
+    PersistentLogger.error(`All automation flows failed: ${lastError.message}`);
+    await RunHistory.finishRun(runId, 'Failed', lastError);
+    if (!backfill) {
+      await scheduleRetry(lastError, runId);
+    }
+  } catch (error) {
+    PersistentLogger.error(`Automation initialization failed: ${error.message}`);
+    await RunHistory.finishRun(runId, 'Failed', error);
+    await ConfigManager.updateExecutionStatus('Failed', error);
+    if (!backfill) {
+      await scheduleRetry(error, runId);
+    }
+  } finally {
+    await RunCheckpoint.clear(runId);
+  }
+
+  return false;
+}
+
+/**
+ * Continue the post analytics of an interrupted personal run whose profile export was
+ * already uploaded; the caller holds the personal run lock
+ * @param {Object} checkpoint - The run's checkpoint in the posts phase
+ * @returns {Promise<void>}
+ */
+async function resumePostAnalytics(checkpoint) {
+  const { runId, email, flow, posts } = checkpoint;
+  let tabId = null;
+
+  try {
+    await ConfigManager.updateExecutionStatus('Running');
+    tabId = await createAutomationTab('about:blank');
+    PersistentLogger.log(`Created tab with ID: ${tabId}`);
+
+    const results = await AdvancedPostAnalytics.processAdvancedStatistics(tabId, email, posts.urls, Logger, runId, posts);
+    await LinkedInMultilingualAutomation.recordSuccess(ConfigManager, Logger, runId, results, true, null);
+
+    await FlowSelector.recordSuccess(email, flow);
+    await RunHistory.finishRun(runId, 'Success');
+    chrome.storage.local.remove(['nextRetryTime', 'retryScheduled']);
+    PersistentLogger.log(`=== RESUMED AUTOMATION COMPLETED SUCCESSFULLY at ${new Date().toISOString()} (flow: ${flow}) ===`);
+  } catch (error) {
+    // The profile export was uploaded, so the run isn't retried
+    PersistentLogger.error(`Resumed post analytics failed: ${error.message}`);
+    await RunHistory.finishRun(runId, 'Failed', error);
+    await ConfigManager.updateExecutionStatus('Failed', error);
+  } finally {
+    if (tabId) {
+      LinkedInMultilingualAutomation.closeTab(tabId, Logger);
     }
+    await RunCheckpoint.clear(runId);
   }
-};
+}
 
 // ============================================================================
-// RETRY MECHANISM
+// HISTORICAL BACKFILL
 // ============================================================================
 
 /**
- * Schedule a retry attempt
- * @returns {Promise<void>}
+ * Export LinkedIn's longer time ranges once so a new account's dashboard has history.
+ * Walks every backfill range up to the requested depth, shortest first, holding the
+ * personal run lock throughout.
+ * @param {string} depth - The longest time range to export, one of CONFIG.BACKFILL.TIME_RANGES
+ * @returns {Promise<boolean>} False if a backfill or another personal run was already running
  */
-async function scheduleRetry() {
-  const currentRetryCount = await ConfigManager.getRetryCount();
-  PersistentLogger.log(`Current retry count before scheduling: ${currentRetryCount}`);
+async function runBackfill(depth) {
+  const depthIndex = CONFIG.BACKFILL.TIME_RANGES.indexOf(depth);
+  if (depthIndex === -1) {
+    throw new AutomationError(`Unsupported backfill range: ${depth}`);
+  }
 
-  // Reset retry count if it's already at or above the maximum
-  if (currentRetryCount >= CONFIG.RETRY.MAX_ATTEMPTS) {
-    PersistentLogger.log(`Retry count ${currentRetryCount} is at or above maximum ${CONFIG.RETRY.MAX_ATTEMPTS}. Resetting to 0.`);
-    await ConfigManager.resetRetryCount();
-    // Clear retry flags
-    chrome.storage.local.remove(['nextRetryTime', 'retryScheduled']);
-    PersistentLogger.log('Retry count has been reset to 0 and retry flags cleared.');
-    return;
+  const owner = await RunLock.acquire(RunLock.NAMES.PERSONAL, 'backfill');
+  if (!owner) {
+    return false;
   }
 
-  // Normal retry scheduling logic
-  const newRetryCount = currentRetryCount + 1;
-  await ConfigManager.updateRetryCount(newRetryCount);
+  const ranges = CONFIG.BACKFILL.TIME_RANGES.slice(0, depthIndex + 1);
+  const backfillStatus = {
+    depth,
+    status: 'Running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    completedRanges: [],
+    failedRanges: []
+  };
 
-  // Calculate retry time (2 minutes later)
-  const retryTime = Date.now() + CONFIG.RETRY.INTERVAL;
-  const retryTimeISO = new Date(retryTime).toISOString();
+  try {
+    await new Promise(resolve => chrome.storage.local.set({ backfillStatus }, resolve));
+    PersistentLogger.log(`=== BACKFILL STARTED for ${ranges.join(', ')} ===`);
 
-  // Store the next retry time in storage for the watchdog to check
-  chrome.storage.local.set({
-    nextRetryTime: retryTimeISO,
-    retryScheduled: true
-  });
+    for (const timeRange of ranges) {
+      const success = await executeAutomationScript({ timeRange, backfill: true });
+      (success ? backfillStatus.completedRanges : backfillStatus.failedRanges).push(timeRange);
+      await new Promise(resolve => chrome.storage.local.set({ backfillStatus }, resolve));
+    }
 
-  // Create alarm for retry execution
-  chrome.alarms.create(CONFIG.ALARMS.RETRY, { when: retryTime });
+    backfillStatus.status = backfillStatus.failedRanges.length === 0 ? 'Success' : 'Failed';
+    PersistentLogger.log(`=== BACKFILL FINISHED: ${backfillStatus.status} ===`);
+  } catch (error) {
+    backfillStatus.status = 'Failed';
+    PersistentLogger.error(`Backfill failed: ${error.message}`);
+  } finally {
+    backfillStatus.finishedAt = new Date().toISOString();
+    chrome.storage.local.set({ backfillStatus });
+    await RunLock.release(RunLock.NAMES.PERSONAL, owner);
+  }
 
-  PersistentLogger.log(`Scheduled retry #${newRetryCount} in 2 minutes. Time: ${retryTimeISO}`);
-  PersistentLogger.log('Using alarm-based retry mechanism only');
+  return true;
 }
 
-
 // ============================================================================
-// MAIN AUTOMATION SCRIPT
+// COMPANY PAGE AUTOMATION
 // ============================================================================
 
 /**
- * Run the main automation script
- * @returns {Promise<void>}
+ * Manages the list of company pages and their per-company upload status
  */
-async function runAutomationScript() {
-  try {
-    // Retrieve email
-    const email = await ConfigManager.getEmail();
+const CompanyManager = {
+  COMPANIES_KEY: 'companies',
+  STATUS_KEY: 'companyStatus',
 
-    // Update execution status to Running
-    await ConfigManager.updateExecutionStatus('Running');
+  // Serialises read-modify-write cycles so concurrent callers don't overwrite each other
+  _writeQueue: Promise.resolve(),
 
-    // Log the execution attempt with timestamp
-    const timestamp = new Date().toISOString();
-    PersistentLogger.log(`=== AUTOMATION SCRIPT STARTED at ${timestamp} ===`);
+  /**
+   * Get the configured company pages, migrating the legacy single company ID
+   * @returns {Promise<Object[]>} Companies as { id, label }
+   */
+  async getCompanies() {
+    const result = await new Promise((resolve) => {
+      chrome.storage.local.get([
+        this.COMPANIES_KEY,
+        'companyId',
+        'lastCompanyExecutionTime',
+        'lastCompanyExecutionStatus',
+        'lastCompanyExecutionError',
+        'nextCompanyExecution'
+      ], resolve);
+    });
 
-    // Randomly choose between the existing and new solution
-    const useDirect = Math.random() < 0.5; // 50% chance for each
-    PersistentLogger.log(`Using direct approach: ${useDirect}`);
+    if (Array.isArray(result[this.COMPANIES_KEY])) {
+      return result[this.COMPANIES_KEY];
+    }
 
-    if (useDirect) {
-      // New solution: use executeStepsDirect with multi-language support
-      chrome.tabs.create({
-        url: CONFIG.LINKEDIN.ANALYTICS,
-        active: false
-      }, async (tab) => {
-        if (!tab || !tab.id) {
-          const error = new Error('Failed to create tab');
-          PersistentLogger.error(`Tab creation failed: ${error.message}`);
-          await scheduleRetry();
-          return;
-        }
+    if (!result.companyId) {
+      return [];
+    }
 
-        const tabId = tab.id;
-        PersistentLogger.log(`Created tab with ID: ${tabId}`);
+    // Move the single company ID and its status into the list format
+    const companyId = String(result.companyId);
+    const companies = [{ id: companyId, label: '' }];
+    let lastError = null;
+    if (result.lastCompanyExecutionError) {
+      try {
+        lastError = JSON.parse(result.lastCompanyExecutionError);
+      } catch (parseError) {
+        lastError = { name: 'Error', message: result.lastCompanyExecutionError };
+      }
+    }
 
-        try {
-          await LinkedInMultilingualAutomation.executeStepsDirect(
-            tabId,
-            email,
-            WebRequestTracker,
-            FileUploader,
-            ConfigManager,
-            Logger
-          );
-          // If successful, reset retry count
-          await ConfigManager.resetRetryCount();
-          // Clear retry flags
-          chrome.storage.local.remove(['nextRetryTime', 'retryScheduled']);
-          PersistentLogger.log(`=== AUTOMATION COMPLETED SUCCESSFULLY at ${new Date().toISOString()} ===`);
-
-          // Check if company page upload is needed
-          await checkAndRunCompanyPageUpload();
-        } catch (error) {
-          PersistentLogger.error(`Direct automation script failed: ${error.message}`);
-          await scheduleRetry();
-          // Close the tab if it still exists
-          try {
-            PersistentLogger.log(`Attempting to close tab ${tabId}`);
-            chrome.tabs.remove(tabId);
-          } catch (e) {
-            PersistentLogger.log(`Tab ${tabId} already closed or doesn't exist`);
-          }
-        }
+    await this.updateStatus(companyId, {
+      lastExecutionTime: result.lastCompanyExecutionTime || null,
+      lastStatus: result.lastCompanyExecutionStatus || null,
+      lastError,
+      nextExecution: result.nextCompanyExecution || null
+    });
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [this.COMPANIES_KEY]: companies }, resolve);
+    });
+    chrome.storage.local.remove([
+      'companyId',
+      'lastCompanyExecutionTime',
+      'lastCompanyExecutionStatus',
+      'lastCompanyExecutionError',
+      'nextCompanyExecution'
+    ]);
+
+    PersistentLogger.log(`Migrated company ID ${companyId} to the company list`);
+    return companies;
+  },
+
+  /**
+   * Get the upload status of every company
+   * @returns {Promise<Object>} Status objects keyed by company ID
+   */
+  async getStatuses() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.STATUS_KEY], (result) => {
+        resolve(result[this.STATUS_KEY] || {});
       });
-    } else {
-      // Use multi-language solution for standard flow
-      chrome.tabs.create({
-        url: CONFIG.LINKEDIN.HOME,
-        active: false
-      }, async (tab) => {
-        if (!tab || !tab.id) {
-          const error = new Error('Failed to create tab');
-          PersistentLogger.error(`Tab creation failed: ${error.message}`);
-          await scheduleRetry();
-          return;
-        }
+    });
+  },
+
+  /**
+   * Merge fields into a company's upload status
+   * @param {string} companyId - The LinkedIn company ID
+   * @param {Object} fields - Status fields to update
+   * @returns {Promise<void>}
+   */
+  updateStatus(companyId, fields) {
+    const task = this._writeQueue.then(() => new Promise((resolve) => {
+      chrome.storage.local.get([this.STATUS_KEY], (result) => {
+        const statuses = result[this.STATUS_KEY] || {};
+        statuses[companyId] = { ...(statuses[companyId] || {}), ...fields };
+        chrome.storage.local.set({ [this.STATUS_KEY]: statuses }, resolve);
+      });
+    }));
 
-        const tabId = tab.id;
-        PersistentLogger.log(`Created tab with ID: ${tabId}`);
+    this._writeQueue = task.catch(() => {});
+    return task;
+  },
 
-        try {
-          await LinkedInMultilingualAutomation.executeSteps(
-            tabId,
-            email,
-            WebRequestTracker,
-            FileUploader,
-            ConfigManager,
-            Logger
-          );
-          // If successful, reset retry count
-          await ConfigManager.resetRetryCount();
-          // Clear retry flags
-          chrome.storage.local.remove(['nextRetryTime', 'retryScheduled']);
-          PersistentLogger.log(`=== AUTOMATION COMPLETED SUCCESSFULLY at ${new Date().toISOString()} ===`);
-
-          // Check if company page upload is needed
-          await checkAndRunCompanyPageUpload();
-        } catch (error) {
-          PersistentLogger.error(`Automation script failed: ${error.message}`);
-          await scheduleRetry();
-          // Close the tab if it still exists
-          try {
-            PersistentLogger.log(`Attempting to close tab ${tabId}`);
-            chrome.tabs.remove(tabId);
-          } catch (e) {
-            PersistentLogger.log(`Tab ${tabId} already closed or doesn't exist`);
-          }
-        }
+  /**
+   * Get the company upload schedule
+   * @returns {Promise<Object>} The normalized schedule settings
+   */
+  async getSchedule() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([CompanySchedule.STORAGE_KEY], (result) => {
+        resolve(CompanySchedule.normalize(result[CompanySchedule.STORAGE_KEY]));
       });
+    });
+  },
+
+  /**
+   * Record each company's next run time and set the company alarm for the earliest one
+   * @returns {Promise<number|null>} The alarm time in milliseconds, or null if no companies are configured
+   */
+  async scheduleNextRun() {
+    const companies = await this.getCompanies();
+    if (companies.length === 0) {
+      chrome.alarms.clear(CONFIG.ALARMS.COMPANY);
+      PersistentLogger.log('No company IDs configured, company alarm cleared');
+      return null;
     }
-  } catch (error) {
-    PersistentLogger.error(`Automation initialization failed: ${error.message}`);
-    await ConfigManager.updateExecutionStatus('Failed', error);
-    await scheduleRetry();
-  }
-}
 
-// ============================================================================
-// COMPANY PAGE AUTOMATION
-// ============================================================================
+    const schedule = await this.getSchedule();
+    const statuses = await this.getStatuses();
+    const now = Date.now();
+    let earliest = null;
 
-// Global flag to prevent multiple company automations from running simultaneously
-let companyAutomationRunning = false;
+    for (const company of companies) {
+      const status = statuses[company.id] || {};
+      const nextExecution = CompanySchedule.getNextRun(status.lastExecutionTime, schedule, now);
+      if (status.nextExecution !== nextExecution) {
+        await this.updateStatus(company.id, { nextExecution });
+      }
+      earliest = earliest === null ? nextExecution : Math.min(earliest, nextExecution);
+    }
+
+    // Chrome does not fire alarms sooner than a minute out, so overdue companies run then
+    const when = Math.max(earliest, now + 60 * 1000);
+    chrome.alarms.create(CONFIG.ALARMS.COMPANY, { when });
+    PersistentLogger.log(`Company alarm set (${CompanySchedule.describe(schedule)}). Next company run: ${new Date(when).toISOString()}`);
+    return when;
+  }
+};
 
 /**
- * Check if company page upload is needed and run it if necessary
+ * Check which company pages need an upload and run them one after another
+ * @param {boolean} force - Run every company regardless of when it last ran
+ * @param {boolean} deferred - The run policy already let this deferred pass start
  */
-async function checkAndRunCompanyPageUpload() {
-  try {
-    // Prevent multiple simultaneous executions
-    if (companyAutomationRunning) {
-      PersistentLogger.log('Company automation already running, skipping duplicate request');
-      return;
-    }
+async function checkAndRunCompanyPageUpload(force = false, deferred = false) {
+  // The company alarm is set again when a pause ends or the deferred pass runs
+  if (!force && await AutomationPause.holdsBack('company')) {
+    return;
+  }
+  if (!force && !deferred && await ExecutionPolicy.holdsBack('company')) {
+    return;
+  }
 
-    PersistentLogger.log('Checking if company page upload is needed...');
+  // Prevent overlapping passes over the company list and single company runs
+  const owner = await RunLock.acquire(RunLock.NAMES.COMPANY, 'company pass');
+  if (!owner) {
+    PersistentLogger.log('Company automation already running, skipping duplicate request');
+    return;
+  }
 
-    // Get company ID from storage
-    const result = await new Promise((resolve) => {
-      chrome.storage.local.get(['companyId', 'lastCompanyExecutionTime'], resolve);
-    });
+  try {
+    PersistentLogger.log('Checking if company page uploads are needed...');
 
-    if (!result.companyId) {
-      PersistentLogger.log('No company ID configured, skipping company page upload');
+    const companies = await CompanyManager.getCompanies();
+    if (companies.length === 0) {
+      PersistentLogger.log('No company IDs configured, skipping company page upload');
       return;
     }
 
-    const companyId = result.companyId;
-    const lastCompanyExecution = result.lastCompanyExecutionTime;
-    const now = Date.now();
-    const sevenDaysAgo = now - (7 * 24 * 60 * 60 * 1000); // 7 days in milliseconds
+    const schedule = await CompanyManager.getSchedule();
+    const statuses = await CompanyManager.getStatuses();
 
-    // Check if last execution was more than 7 days ago or never executed
-    if (!lastCompanyExecution || lastCompanyExecution < sevenDaysAgo) {
-      PersistentLogger.log(`Company page upload needed. Last execution: ${lastCompanyExecution ? new Date(lastCompanyExecution).toISOString() : 'Never'}`);
-      await runCompanyPageAutomation(companyId);
-    } else {
-      PersistentLogger.log(`Company page upload not needed. Last execution: ${new Date(lastCompanyExecution).toISOString()}`);
-      // Update next execution time
-      const nextExecution = lastCompanyExecution + (7 * 24 * 60 * 60 * 1000);
-      chrome.storage.local.set({ nextCompanyExecution: nextExecution });
+    for (const company of companies) {
+      const status = statuses[company.id] || {};
+
+      if (force || CompanySchedule.isDue(status, schedule)) {
+        PersistentLogger.log(`Company page upload needed for ${company.id}. Last execution: ${status.lastExecutionTime ? new Date(status.lastExecutionTime).toISOString() : 'Never'}`);
+        await executeCompanyPageAutomation(company.id);
+
+        // The remaining companies would stop at the same login wall
+        if (await LinkedInSession.isExpired()) {
+          PersistentLogger.log('LinkedIn session expired, skipping the remaining company page uploads');
+          break;
+        }
+      } else {
+        PersistentLogger.log(`Company page upload not needed for ${company.id}. Last execution: ${new Date(status.lastExecutionTime).toISOString()}`);
+      }
     }
   } catch (error) {
     PersistentLogger.error(`Error checking company page upload: ${error.message}`);
+  } finally {
+    await RunLock.release(RunLock.NAMES.COMPANY, owner);
+
+    // Set the alarm for whichever company is due next
+    await CompanyManager.scheduleNextRun().catch((error) => {
+      PersistentLogger.error(`Failed to schedule next company run: ${error.message}`);
+    });
   }
 }
 
 /**
- * Run the company page automation script
+ * Run the company page automation script for one company, unless another company
+ * run holds the run lock
  * @param {string} companyId - The LinkedIn company ID
+ * @returns {Promise<boolean>} False if another company run was already in progress
  */
 async function runCompanyPageAutomation(companyId) {
-  // Set the running flag
-  companyAutomationRunning = true;
+  const owner = await RunLock.acquire(RunLock.NAMES.COMPANY, `company ${companyId} run`);
+  if (!owner) {
+    PersistentLogger.log(`Company automation already running, not starting company ${companyId}`);
+    return false;
+  }
+
+  try {
+    await executeCompanyPageAutomation(companyId);
+  } finally {
+    await RunLock.release(RunLock.NAMES.COMPANY, owner);
+  }
+  return true;
+}
+
+/**
+ * Execute the company page automation script for one company; the caller holds
+ * the company run lock
+ * @param {string} companyId - The LinkedIn company ID
+ * @param {string} runId - Run record of an interrupted run to resume; its checkpoint is already set
+ * @returns {Promise<void>}
+ */
+async function executeCompanyPageAutomation(companyId, runId = null) {
+  let tabId = null;
 
   try {
     PersistentLogger.log(`Starting company page automation for company ${companyId}`);
+    if (!runId) {
+      runId = await RunHistory.startRun({ type: 'company', flow: 'company-page', companyId });
+      await RunCheckpoint.start(RunLock.NAMES.COMPANY, { runId, companyId });
+    }
 
     // Update company execution status
     const now = Date.now();
-    chrome.storage.local.set({
-      lastCompanyExecutionTime: now,
-      lastCompanyExecutionStatus: 'Running'
+    await CompanyManager.updateStatus(companyId, {
+      lastExecutionTime: now,
+      lastStatus: 'Running'
     });
 
     // Get user email
@@ -1451,742 +4574,220 @@ async function runCompanyPageAutomation(companyId) {
       throw new Error('User email not configured');
     }
 
-    // Create tab for company analytics page
-    const companyUrl = `https://www.linkedin.com/company/${companyId}/admin/analytics/updates/`;
-
-    chrome.tabs.create({
-      url: companyUrl,
-      active: false
-    }, async (tab) => {
-      if (!tab || !tab.id) {
-        const error = new Error('Failed to create company analytics tab');
-        PersistentLogger.error(`Company tab creation failed: ${error.message}`);
-        await updateCompanyExecutionStatus('Failed', error);
-        companyAutomationRunning = false; // Reset flag
-        return;
-      }
-
-      const tabId = tab.id;
-      PersistentLogger.log(`Created company analytics tab with ID: ${tabId}`);
-
-      try {
-        await executeCompanyPageSteps(tabId, companyId, email);
+    // Create tab for company analytics page; the recipe's first step navigates it
+    try {
+      tabId = await createAutomationTab('about:blank');
+    } catch (tabError) {
+      throw new Error('Failed to create company analytics tab');
+    }
+    PersistentLogger.log(`Created company analytics tab with ID: ${tabId}`);
 
-        // Update success status
-        await updateCompanyExecutionStatus('Success');
+    await executeCompanyPageSteps(tabId, companyId, email, runId);
 
-        // Schedule next execution (7 days from now)
-        const nextExecution = now + (7 * 24 * 60 * 60 * 1000);
-        chrome.storage.local.set({ nextCompanyExecution: nextExecution });
+    // Update success status
+    await RunHistory.finishRun(runId, 'Success');
+    await updateCompanyExecutionStatus(companyId, 'Success');
 
-        PersistentLogger.log(`Company page automation completed successfully`);
-      } catch (error) {
-        PersistentLogger.error(`Company page automation failed: ${error.message}`);
-        await updateCompanyExecutionStatus('Failed', error);
+    // Record the next execution according to the company schedule
+    const schedule = await CompanyManager.getSchedule();
+    await CompanyManager.updateStatus(companyId, { nextExecution: CompanySchedule.getNextRun(now, schedule) });
 
-        // Close the tab if it still exists
-        try {
-          chrome.tabs.remove(tabId);
-        } catch (e) {
-          PersistentLogger.log(`Company tab ${tabId} already closed or doesn't exist`);
-        }
-      } finally {
-        // Always reset the running flag
-        companyAutomationRunning = false;
-      }
-    });
+    PersistentLogger.log(`Company page automation completed successfully for company ${companyId}`);
   } catch (error) {
-    PersistentLogger.error(`Company page automation initialization failed: ${error.message}`);
-    await updateCompanyExecutionStatus('Failed', error);
-    companyAutomationRunning = false; // Reset flag
-  }
-}
-
-/**
- * Execute the steps for company page analytics download
- * @param {number} tabId - The tab ID
- * @param {string} companyId - The company ID
- * @param {string} email - User email
- */
-async function executeCompanyPageSteps(tabId, companyId, email) {
-  return new Promise((resolve, reject) => {
-    let downloadStarted = false;
-    let downloadCompleted = false;
-    let exportPopupHandled = false;
-    let secondExportClicked = false;
-    const timeout = 120000; // 120 seconds timeout (increased for popup handling)
-
-    // Set up download listener
-    const downloadListener = (downloadItem) => {
-      // Only log if it's a potential analytics file
-      if (downloadItem.filename &&
-          (downloadItem.filename.includes('analytics') ||
-           downloadItem.filename.includes('export') ||
-           downloadItem.filename.includes('company') ||
-           downloadItem.filename.toLowerCase().includes('.xlsx') ||
-           downloadItem.filename.toLowerCase().includes('.xls'))) {
-
-        downloadStarted = true;
-        PersistentLogger.log(`Company analytics download started: ${downloadItem.filename.split('/').pop() || downloadItem.filename.split('\\').pop()}`);
-
-        // Monitor download completion
-        const checkDownload = () => {
-          chrome.downloads.search({ id: downloadItem.id }, (results) => {
-            if (results.length > 0) {
-              const download = results[0];
-
-              if (download.state === 'complete') {
-                downloadCompleted = true;
-                PersistentLogger.log(`Company analytics download completed successfully`);
-
-                // Upload the file
-                uploadCompanyFile(download.filename, companyId, email)
-                  .then(() => {
-                    // Clean up - safely remove tab
-                    try {
-                      chrome.tabs.remove(tabId, () => {
-                        if (chrome.runtime.lastError) {
-                          // Tab already closed or doesn't exist - this is fine
-                          PersistentLogger.log(`Tab ${tabId} was already closed`);
-                        }
-                      });
-                    } catch (e) {
-                      // Ignore tab removal errors
-                      PersistentLogger.log(`Tab ${tabId} cleanup skipped - already closed`);
-                    }
-                    chrome.downloads.onCreated.removeListener(downloadListener);
-                    resolve();
-                  })
-                  .catch(reject);
-              } else if (download.state === 'interrupted') {
-                chrome.downloads.onCreated.removeListener(downloadListener);
-                reject(new Error(`Company analytics download failed: ${download.error}`));
-              } else {
-                // Still downloading, check again
-                setTimeout(checkDownload, 1000);
-              }
-            }
-          });
-        };
-
-        setTimeout(checkDownload, 1000);
-      }
-    };
-
-    chrome.downloads.onCreated.addListener(downloadListener);
-
-    // Wait for page to load and then click first export button
-    chrome.tabs.onUpdated.addListener(function listener(updatedTabId, changeInfo) {
-      if (updatedTabId === tabId && changeInfo.status === 'complete') {
-        chrome.tabs.onUpdated.removeListener(listener);
-
-        PersistentLogger.log('Company analytics page loaded, looking for first export button...');
-
-        // Wait longer for the page to fully render - LinkedIn analytics pages can be slow
-        setTimeout(() => {
-          // First, wait for analytics content to load properly
-          const waitForAnalyticsContent = async (tabId, maxAttempts = 10) => {
-            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-              // Only log if we need multiple attempts (keep it clean for normal cases)
-              if (attempt > 1) {
-                PersistentLogger.log(`⏳ Waiting for analytics content to load (attempt ${attempt}/${maxAttempts})...`);
-              }
-              
-              const contentCheck = await new Promise((resolve) => {
-                chrome.scripting.executeScript({
-                  target: { tabId },
-                  function: () => {
-                    const pageText = document.body.textContent.toLowerCase();
-                    
-                    // Check for loading indicators
-                    const isLoading = pageText.includes('loading') || 
-                                    pageText.includes('please wait') ||
-                                    document.querySelector('.loading, .spinner, [data-testid="loading"]');
-                    
-                    // Check for analytics content
-                    const hasAnalyticsContent = pageText.includes('analytics') || 
-                                              pageText.includes('insights') ||
-                                              pageText.includes('performance') ||
-                                              pageText.includes('impressions') ||
-                                              pageText.includes('engagement');
-                    
-                    // Check for export-related content
-                    const hasExportContent = pageText.includes('export') ||
-                                           document.querySelector('button, [role="button"]')?.textContent?.toLowerCase().includes('export');
-                    
-                    // Check for actual error messages (not loading states)
-                    const hasRealAccessError = (pageText.includes('access denied') || 
-                                              pageText.includes('not authorized')) &&
-                                              !isLoading && hasAnalyticsContent;
-                    
-                    return {
-                      isLoading,
-                      hasAnalyticsContent,
-                      hasExportContent,
-                      hasRealAccessError,
-                      currentUrl: window.location.href,
-                      pageTitle: document.title,
-                      buttonCount: document.querySelectorAll('button, [role="button"], .artdeco-button, a').length
-                    };
-                  }
-                }, (results) => {
-                  resolve(results && results[0] ? results[0].result : null);
-                });
-              });
-              
-              if (!contentCheck) {
-                PersistentLogger.log(`⚠️ Could not check page content (attempt ${attempt})`);
-                if (attempt < maxAttempts) {
-                  await new Promise(resolve => setTimeout(resolve, 2000));
-                  continue;
-                } else {
-                  return { ready: false, error: 'Could not access page content' };
-                }
-              }
-              
-              // Remove verbose page state logging - keep it simple
-              
-              // Check for real access errors (not loading states)
-              if (contentCheck.hasRealAccessError) {
-                return { 
-                  ready: false, 
-                  error: `Company analytics access denied. User may not have admin permissions for company ${companyId}. Page: ${contentCheck.currentUrl}` 
-                };
-              }
-              
-              // Page is ready if it has analytics content and is not loading
-              if (contentCheck.hasAnalyticsContent && !contentCheck.isLoading && contentCheck.buttonCount > 0) {
-                PersistentLogger.log(`📊 Company analytics page ready (${contentCheck.buttonCount} elements available)`);
-                return { ready: true, contentCheck };
-              }
-              
-              // Wait before next attempt
-              if (attempt < maxAttempts) {
-                PersistentLogger.log(`⏳ Page not ready yet, waiting 3 seconds before next check...`);
-                await new Promise(resolve => setTimeout(resolve, 3000));
-              }
-            }
-            
-            return { ready: false, error: 'Page did not load analytics content within expected time' };
-          };
-          
-          // Wait for content to be ready
-          waitForAnalyticsContent(tabId).then((readinessResult) => {
-            if (!readinessResult.ready) {
-              chrome.downloads.onCreated.removeListener(downloadListener);
-              reject(new Error(readinessResult.error));
-              return;
-            }
-            
-            // Page is ready, proceed with export button search
-            
-            // Proceed with export button search
-            chrome.scripting.executeScript({
-              target: { tabId },
-              function: findAndClickCompanyExportButton
-            }, (results) => {
-              if (results && results[0] && results[0].result) {
-                PersistentLogger.log('First company export button clicked successfully');
-
-                // Wait for popup/modal to appear and then handle the second export button
-                setTimeout(() => {
-                  handleExportPopup(tabId);
-                }, 3000); // Increased wait time to 3 seconds for popup to appear
-
-              } else {
-                chrome.downloads.onCreated.removeListener(downloadListener);
-                
-                // Get more detailed error information
-                chrome.scripting.executeScript({
-                  target: { tabId },
-                  function: () => {
-                    return {
-                      url: window.location.href,
-                      title: document.title,
-                      buttonCount: document.querySelectorAll('button, [role="button"], .artdeco-button, a').length,
-                      hasExportText: document.body.textContent.toLowerCase().includes('export'),
-                      pageContent: document.body.textContent.substring(0, 500) // First 500 chars for debugging
-                    };
-                  }
-                }, (debugResults) => {
-                  let errorMessage = 'Failed to find or click first company export button';
-                  
-                  if (debugResults && debugResults[0] && debugResults[0].result) {
-                    const debug = debugResults[0].result;
-                    errorMessage += `\nPage URL: ${debug.url}`;
-                    errorMessage += `\nPage Title: ${debug.title}`;
-                    errorMessage += `\nClickable elements found: ${debug.buttonCount}`;
-                    errorMessage += `\nPage contains 'export' text: ${debug.hasExportText}`;
-                    errorMessage += `\nPage content preview: ${debug.pageContent.substring(0, 200)}...`;
-                  }
-                  
-                  PersistentLogger.log(`🔍 Company page debug info: ${errorMessage}`);
-                  reject(new Error(errorMessage));
-                });
-              }
-            });
-          }).catch((error) => {
-            chrome.downloads.onCreated.removeListener(downloadListener);
-            reject(new Error(`Page readiness check failed: ${error.message}`));
-          });
-        }, 5000); // Increased from 3000 to 5000ms to allow more time for initial page load
-      }
-    });
-
-    // Function to handle the export popup/modal
-    const handleExportPopup = (tabId) => {
-      PersistentLogger.log('Looking for second export button in popup/modal...');
-
-      chrome.scripting.executeScript({
-        target: { tabId },
-        function: findAndClickSecondExportButton
-      }, (results) => {
-        if (results && results[0] && results[0].result) {
-          PersistentLogger.log('Second company export button clicked successfully');
-          exportPopupHandled = true;
-          secondExportClicked = true;
-
-          // Wait longer for download to start after second click (5 seconds)
-          setTimeout(() => {
-            if (!downloadStarted) {
-              PersistentLogger.log('Checking for recent company analytics downloads...');
-
-              // Check for any recent downloads that might be the company file
-              checkForRecentDownloads(companyId, email)
-                .then(() => {
-                  chrome.downloads.onCreated.removeListener(downloadListener);
-                  // Safely remove tab
-                  try {
-                    chrome.tabs.remove(tabId, () => {
-                      if (chrome.runtime.lastError) {
-                        PersistentLogger.log(`Tab ${tabId} was already closed`);
-                      }
-                    });
-                  } catch (e) {
-                    PersistentLogger.log(`Tab ${tabId} cleanup skipped - already closed`);
-                  }
-                  resolve();
-                })
-                .catch(() => {
-                  PersistentLogger.log('No recent downloads found, trying alternative export methods...');
-                  // Try clicking again or look for alternative buttons
-                  chrome.scripting.executeScript({
-                    target: { tabId },
-                    function: findAndClickAlternativeExportButton
-                  }, (altResults) => {
-                    if (altResults && altResults[0] && altResults[0].result) {
-                      PersistentLogger.log('Alternative export button clicked');
-                      // Wait another 5 seconds for this attempt
-                      setTimeout(() => {
-                        if (!downloadStarted) {
-                          chrome.downloads.onCreated.removeListener(downloadListener);
-                          reject(new Error('Company analytics download did not start after multiple attempts'));
-                        }
-                      }, 5000);
-                    } else {
-                      chrome.downloads.onCreated.removeListener(downloadListener);
-                      reject(new Error('All export button attempts failed'));
-                    }
-                  });
-                });
-            }
-          }, 5000); // Wait 5 seconds after second export click
-
-        } else {
-          PersistentLogger.log('Second export button not found, trying alternative approaches...');
-
-          // Try alternative approaches for the popup
-          setTimeout(() => {
-            chrome.scripting.executeScript({
-              target: { tabId },
-              function: findAndClickAlternativeExportButton
-            }, (altResults) => {
-              if (altResults && altResults[0] && altResults[0].result) {
-                PersistentLogger.log('Alternative export button clicked successfully');
-                exportPopupHandled = true;
-                secondExportClicked = true;
-
-                // Wait for download after alternative click
-                setTimeout(() => {
-                  if (!downloadStarted) {
-                    checkForRecentDownloads(companyId, email)
-                      .then(() => {
-                        chrome.downloads.onCreated.removeListener(downloadListener);
-                        chrome.tabs.remove(tabId);
-                        resolve();
-                      })
-                      .catch(() => {
-                        chrome.downloads.onCreated.removeListener(downloadListener);
-                        reject(new Error('Company analytics download did not start'));
-                      });
-                  }
-                }, 5000);
-              } else {
-                chrome.downloads.onCreated.removeListener(downloadListener);
-                reject(new Error('Failed to find second export button in popup'));
-              }
-            });
-          }, 2000);
-        }
-      });
-    };
-
-    // Set timeout for the entire process
-    setTimeout(() => {
-      if (!downloadCompleted) {
-        PersistentLogger.log('Company automation timeout - checking for recent downloads...');
-
-        if (secondExportClicked) {
-          // If we clicked the second export button, check for recent downloads
-          checkForRecentDownloads(companyId, email)
-            .then(() => {
-              chrome.downloads.onCreated.removeListener(downloadListener);
-              // Safely remove tab
-              try {
-                chrome.tabs.remove(tabId, () => {
-                  if (chrome.runtime.lastError) {
-                    PersistentLogger.log(`Tab ${tabId} was already closed`);
-                  }
-                });
-              } catch (e) {
-                PersistentLogger.log(`Tab ${tabId} cleanup skipped - already closed`);
-              }
-              resolve();
-            })
-            .catch(() => {
-              chrome.downloads.onCreated.removeListener(downloadListener);
-              // Safely remove tab
-              try {
-                chrome.tabs.remove(tabId, () => {
-                  if (chrome.runtime.lastError) {
-                    PersistentLogger.log(`Tab ${tabId} was already closed`);
-                  }
-                });
-              } catch (e) {
-                PersistentLogger.log(`Tab ${tabId} cleanup skipped - already closed`);
-              }
-              reject(new Error('Company page automation timed out - no download detected'));
-            });
-        } else {
-          chrome.downloads.onCreated.removeListener(downloadListener);
-          // Safely remove tab
-          try {
-            chrome.tabs.remove(tabId, () => {
-              if (chrome.runtime.lastError) {
-                PersistentLogger.log(`Tab ${tabId} was already closed`);
-              }
-            });
-          } catch (e) {
-            PersistentLogger.log(`Tab ${tabId} cleanup skipped - already closed`);
-          }
-          reject(new Error('Company page automation timed out'));
-        }
-      }
-    }, timeout);
-  });
+    PersistentLogger.error(`Company page automation failed for company ${companyId}: ${error.message}`);
+    const sessionExpired = Boolean(error.context && error.context.sessionExpired);
+    await RunHistory.finishRun(runId, sessionExpired ? 'Session expired' : 'Failed', error);
+    await updateCompanyExecutionStatus(companyId, sessionExpired ? LinkedInSession.STATUS : 'Failed', error);
+    // An expired session already asked the user to log in
+    if (!sessionExpired) {
+      await Notifier.notify('companyFailed', 'Company page upload failed', `Company ${companyId}: ${error.message}`);
+    }
+  } finally {
+    await RunCheckpoint.clear(runId);
+  }
 }
 
 /**
- * Check for recent downloads that might be the company analytics file
+ * Execute the steps for company page analytics download (the "company" recipe)
+ * @param {number} tabId - The tab ID
  * @param {string} companyId - The company ID
  * @param {string} email - User email
- * @returns {Promise} Promise that resolves if a recent download is found and uploaded
+ * @param {string} runId - Optional run history ID for this run
+ * @returns {Promise<void>}
+ * @throws {AutomationError} If a step of the recipe fails
  */
-async function checkForRecentDownloads(companyId, email) {
-  return new Promise((resolve, reject) => {
-    // Look for downloads from the last 30 seconds
-    const thirtySecondsAgo = Date.now() - 30000;
-
-    chrome.downloads.search({
-      orderBy: ['-startTime'],
-      limit: 10
-    }, async (downloads) => {
-
-      for (const download of downloads) {
-        // Check if download started recently and looks like analytics data
-        if (download.startTime && new Date(download.startTime).getTime() > thirtySecondsAgo) {
-
-          // Check if filename suggests it's analytics data (xls/xlsx format)
-          if (download.filename &&
-              (download.filename.includes('analytics') ||
-               download.filename.includes('export') ||
-               download.filename.includes('company') ||
-               download.filename.toLowerCase().includes('.xlsx') ||
-               download.filename.toLowerCase().includes('.xls'))) {
-
-            PersistentLogger.log(`Found recent company analytics file`);
-
-            if (download.state === 'complete') {
-              try {
-                await uploadCompanyFile(download.filename, companyId, email);
-                resolve();
-                return;
-              } catch (error) {
-                PersistentLogger.error(`Failed to upload recent download: ${error.message}`);
-              }
-            } else if (download.state === 'in_progress') {
-              // Wait for it to complete
-              PersistentLogger.log('Download in progress, waiting for completion...');
-              const waitForCompletion = () => {
-                chrome.downloads.search({ id: download.id }, async (results) => {
-                  if (results.length > 0 && results[0].state === 'complete') {
-                    try {
-                      await uploadCompanyFile(results[0].filename, companyId, email);
-                      resolve();
-                    } catch (error) {
-                      reject(error);
-                    }
-                  } else if (results.length > 0 && results[0].state === 'interrupted') {
-                    reject(new Error('Recent download was interrupted'));
-                  } else {
-                    setTimeout(waitForCompletion, 1000);
-                  }
-                });
-              };
-              waitForCompletion();
-              return;
-            }
-          }
-        }
-      }
-
-      reject(new Error('No recent company analytics downloads found'));
+async function executeCompanyPageSteps(tabId, companyId, email, runId = null) {
+  try {
+    await StepEngine.run('company', {
+      tabId,
+      email,
+      runId,
+      vars: { companyId }
     });
-  });
+  } finally {
+    try {
+      chrome.tabs.remove(tabId, () => {
+        if (chrome.runtime.lastError) {
+          PersistentLogger.log(`Tab ${tabId} was already closed`);
+        }
+      });
+    } catch (e) {
+      PersistentLogger.log(`Tab ${tabId} cleanup skipped - already closed`);
+    }
+  }
 }
 
 /**
- * Function to be injected into the company analytics page to find and click export button
+ * Wait until the company analytics page has rendered its content
+ * @param {number} tabId - The tab ID
+ * @param {string} companyId - The company ID
+ * @param {number} maxAttempts - Number of checks before giving up
+ * @returns {Promise<void>}
+ * @throws {AutomationError} If the user can't access the page or the content never loads
  */
-function findAndClickCompanyExportButton() {
-  console.log('🔍 Starting search for company export button...');
-  
-  // Multi-language export button selectors
-  const exportTexts = [
-    'Export',      // English
-    'Exportieren', // German
-    'Exportar',    // Spanish
-    'Exporter'     // French
-  ];
-
-  // Try different selectors with more comprehensive approach
-  const selectors = [
-    'button',
-    '[role="button"]',
-    '.artdeco-button',
-    '.artdeco-button--primary',
-    '.artdeco-button--secondary',
-    'a[role="button"]',
-    'a',
-    'span[role="button"]',
-    '[data-control-name*="export"]',
-    '[aria-label*="export"]',
-    '[aria-label*="Export"]'
-  ];
-
-  // First, log all available buttons for debugging
-  const allButtons = document.querySelectorAll('button, [role="button"], .artdeco-button, a');
-  console.log(`📊 Found ${allButtons.length} total clickable elements on page`);
-  
-  // Log first 10 button texts for debugging
-  const buttonTexts = [];
-  for (let i = 0; i < Math.min(allButtons.length, 10); i++) {
-    const text = allButtons[i].textContent?.trim();
-    const ariaLabel = allButtons[i].getAttribute('aria-label');
-    if (text || ariaLabel) {
-      buttonTexts.push(`"${text || ariaLabel}"`);
+async function waitForCompanyAnalyticsContent(tabId, companyId, maxAttempts = 10) {
+  let pageAccessible = false;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    // Only log if we need multiple attempts (keep it clean for normal cases)
+    if (attempt > 1) {
+      PersistentLogger.log(`⏳ Waiting for analytics content to load (attempt ${attempt}/${maxAttempts})...`);
     }
-  }
-  console.log(`🔤 Sample button texts: ${buttonTexts.join(', ')}`);
 
-  // Try each selector type
-  for (const selector of selectors) {
-    console.log(`🔍 Trying selector: ${selector}`);
-    const elements = document.querySelectorAll(selector);
-    console.log(`   Found ${elements.length} elements with selector ${selector}`);
-    
-    for (const element of elements) {
-      // Check if element is visible
-      if (element.offsetParent === null) continue;
-      
-      const text = element.textContent?.trim();
-      const ariaLabel = element.getAttribute('aria-label');
-      const title = element.getAttribute('title');
-      const dataControlName = element.getAttribute('data-control-name');
-      
-      // Check all possible text sources
-      const textSources = [text, ariaLabel, title, dataControlName].filter(Boolean);
-      
-      for (const textSource of textSources) {
-        if (exportTexts.some(exportText =>
-          textSource.toLowerCase().includes(exportText.toLowerCase())
-        )) {
-          console.log(`✅ Found company export button with text: "${textSource}" (from ${text ? 'textContent' : ariaLabel ? 'aria-label' : title ? 'title' : 'data-control-name'})`);
-          console.log(`🖱️ Clicking element:`, element);
-          element.click();
-          return true;
+    const contentCheck = await new Promise((resolve) => {
+      chrome.scripting.executeScript({
+        target: { tabId },
+        function: () => {
+          const pageText = document.body.textContent.toLowerCase();
+
+          // Check for loading indicators
+          const isLoading = pageText.includes('loading') ||
+                          pageText.includes('please wait') ||
+                          Boolean(document.querySelector('.loading, .spinner, [data-testid="loading"]'));
+
+          // Check for analytics content
+          const hasAnalyticsContent = pageText.includes('analytics') ||
+                                    pageText.includes('insights') ||
+                                    pageText.includes('performance') ||
+                                    pageText.includes('impressions') ||
+                                    pageText.includes('engagement');
+
+          // Check for actual error messages (not loading states)
+          const hasRealAccessError = (pageText.includes('access denied') ||
+                                    pageText.includes('not authorized')) &&
+                                    !isLoading && hasAnalyticsContent;
+
+          return {
+            isLoading,
+            hasAnalyticsContent,
+            hasRealAccessError,
+            currentUrl: window.location.href,
+            buttonCount: document.querySelectorAll('button, [role="button"], .artdeco-button, a').length
+          };
         }
-      }
+      }, (results) => {
+        resolve(results && results[0] ? results[0].result : null);
+      });
+    });
+
+    pageAccessible = Boolean(contentCheck);
+    if (!contentCheck) {
+      PersistentLogger.log(`⚠️ Could not check page content (attempt ${attempt})`);
+    } else if (contentCheck.hasRealAccessError) {
+      throw new AutomationError(`Company analytics access denied. User may not have admin permissions for company ${companyId}. Page: ${contentCheck.currentUrl}`, {
+        companyId,
+        url: contentCheck.currentUrl,
+        // Waiting or retrying won't grant admin rights
+        fatal: true
+      });
+    } else if (contentCheck.hasAnalyticsContent && !contentCheck.isLoading && contentCheck.buttonCount > 0) {
+      // Page is ready if it has analytics content and is not loading
+      PersistentLogger.log(`📊 Company analytics page ready (${contentCheck.buttonCount} elements available)`);
+      return;
     }
-  }
 
-  // If no exact match found, try broader search
-  console.log('🔍 No exact match found, trying broader search...');
-  
-  // Look for any button that might be related to downloading/exporting
-  const broadSearchTerms = [
-    'download', 'save', 'get', 'csv', 'excel', 'xlsx', 'data',
-    'herunterladen', 'speichern', 'daten', // German
-    'descargar', 'guardar', 'datos', // Spanish
-    'télécharger', 'enregistrer', 'données' // French
-  ];
-  
-  for (const element of allButtons) {
-    if (element.offsetParent === null) continue;
-    
-    const text = element.textContent?.trim().toLowerCase();
-    const ariaLabel = element.getAttribute('aria-label')?.toLowerCase();
-    const title = element.getAttribute('title')?.toLowerCase();
-    
-    const allText = [text, ariaLabel, title].filter(Boolean).join(' ');
-    
-    if (broadSearchTerms.some(term => allText.includes(term))) {
-      console.log(`🎯 Found potential export button with broader search: "${element.textContent?.trim() || ariaLabel || title}"`);
-      console.log(`🖱️ Clicking potential element:`, element);
-      element.click();
-      return true;
+    // Wait before next attempt
+    if (attempt < maxAttempts) {
+      await new Promise(resolve => setTimeout(resolve, contentCheck ? 3000 : 2000));
     }
   }
 
-  console.log('❌ Company export button not found after comprehensive search');
-  console.log(`📋 Total elements checked: ${allButtons.length}`);
-  return false;
+  throw new AutomationError(!pageAccessible ? 'Could not access page content' : 'Page did not load analytics content within expected time', { companyId });
 }
 
 /**
- * Function to be injected to find and click the second export button in popup/modal
+ * Check whether a downloaded file looks like company analytics data
+ * @param {string} filename - The download's file name
+ * @returns {boolean} True for analytics, export or spreadsheet files
  */
-function findAndClickSecondExportButton() {
-  console.log('Looking for second export button in popup/modal...');
-
-  // Multi-language export button texts
-  const exportTexts = [
-    'Export',      // English
-    'Exportieren', // German
-    'Exportar',    // Spanish
-    'Exporter'     // French
-  ];
-
-  // Look for modal/popup containers first
-  const modalSelectors = [
-    '[role="dialog"]',
-    '.modal',
-    '.popup',
-    '.overlay',
-    '[data-test-modal]',
-    '.artdeco-modal',
-    '.artdeco-dropdown-content'
-  ];
-
-  // First try to find buttons within modal containers
-  for (const modalSelector of modalSelectors) {
-    const modals = document.querySelectorAll(modalSelector);
-    for (const modal of modals) {
-      if (modal.offsetParent !== null) { // Check if modal is visible
-        console.log(`Found visible modal: ${modalSelector}`);
-
-        const buttons = modal.querySelectorAll('button, [role="button"], .artdeco-button, a');
-        for (const button of buttons) {
-          const text = button.textContent?.trim();
-          if (text && exportTexts.some(exportText =>
-            text.toLowerCase().includes(exportText.toLowerCase())
-          )) {
-            console.log(`Found second export button in modal with text: ${text}`);
-            button.click();
-            return true;
-          }
-        }
-      }
-    }
-  }
-
-  // If no modal found, look for any visible export buttons that might have appeared
-  const allButtons = document.querySelectorAll('button, [role="button"], .artdeco-button, a');
-  for (const button of allButtons) {
-    if (button.offsetParent !== null) { // Check if button is visible
-      const text = button.textContent?.trim();
-      if (text && exportTexts.some(exportText =>
-        text.toLowerCase().includes(exportText.toLowerCase())
-      )) {
-        // Make sure this is not the same button we clicked before
-        const rect = button.getBoundingClientRect();
-        if (rect.width > 0 && rect.height > 0) {
-          console.log(`Found visible second export button with text: ${text}`);
-          button.click();
-          return true;
-        }
-      }
-    }
+function isCompanyAnalyticsFile(filename) {
+  if (!filename) {
+    return false;
   }
+  const name = filename.toLowerCase();
+  return ['analytics', 'export', 'company', '.xlsx', '.xls'].some(part => name.includes(part));
+}
 
-  console.log('Second export button not found in popup/modal');
-  return false;
+/**
+ * Find the newest company analytics download started after a point in time
+ * @param {number} since - Start of the window in milliseconds
+ * @returns {Promise<Object|null>} The download item, or null if there is none
+ */
+function findRecentCompanyDownload(since) {
+  return new Promise((resolve) => {
+    chrome.downloads.search({
+      orderBy: ['-startTime'],
+      limit: 10
+    }, (downloads) => {
+      resolve((downloads || []).find(download =>
+        download.startTime &&
+        new Date(download.startTime).getTime() >= since &&
+        isCompanyAnalyticsFile(download.filename)
+      ) || null);
+    });
+  });
 }
 
 /**
- * Function to be injected to find alternative export buttons or download options
+ * Wait for a company analytics download, started after the call, to complete
+ * @param {number} timeout - Time limit in milliseconds
+ * @param {Function} isActive - Returns false once the download is no longer needed
+ * @returns {Promise<string>} The downloaded file name
+ * @throws {AutomationError} If the download fails or doesn't complete in time
  */
-function findAndClickAlternativeExportButton() {
-  console.log('Looking for alternative export/download buttons...');
-
-  // Alternative texts that might appear
-  const alternativeTexts = [
-    'Download',
-    'Save',
-    'Excel',
-    'XLSX',
-    'XLS',
-    'Herunterladen', // German
-    'Descargar',     // Spanish
-    'Télécharger',   // French
-    'Guardar',       // Spanish Save
-    'Enregistrer'    // French Save
-  ];
-
-  // Look for any clickable elements with alternative texts
-  const clickableElements = document.querySelectorAll('button, [role="button"], .artdeco-button, a, span[role="button"]');
-
-  for (const element of clickableElements) {
-    if (element.offsetParent !== null) { // Check if element is visible
-      const text = element.textContent?.trim();
-      const ariaLabel = element.getAttribute('aria-label');
-      const title = element.getAttribute('title');
-
-      // Check text content, aria-label, and title
-      const textToCheck = [text, ariaLabel, title].filter(Boolean).join(' ').toLowerCase();
-
-      if (alternativeTexts.some(altText =>
-        textToCheck.includes(altText.toLowerCase())
-      )) {
-        console.log(`Found alternative export button with text: ${text || ariaLabel || title}`);
-        element.click();
-        return true;
+function watchCompanyDownload(timeout, isActive = () => true) {
+  const since = Date.now();
+  let announced = false;
+
+  return new Promise((resolve, reject) => {
+    const check = async () => {
+      if (!isActive()) {
+        reject(new AutomationError('Company download no longer expected'));
+        return;
       }
-    }
-  }
 
-  // Last resort: look for any button that might trigger a download
-  const downloadLinks = document.querySelectorAll('a[download], a[href*="download"], a[href*="export"]');
-  for (const link of downloadLinks) {
-    if (link.offsetParent !== null) {
-      console.log(`Found download link: ${link.href}`);
-      link.click();
-      return true;
-    }
-  }
+      const download = await findRecentCompanyDownload(since);
+      if (download && !announced) {
+        announced = true;
+        PersistentLogger.log(`Company analytics download started: ${download.filename.split(/[\\/]/).pop()}`);
+      }
 
-  console.log('No alternative export buttons found');
-  return false;
+      if (download && download.state === 'complete') {
+        PersistentLogger.log('Company analytics download completed successfully');
+        resolve(download.filename);
+      } else if (download && download.state === 'interrupted') {
+        reject(new AutomationError(`Company analytics download failed: ${download.error}`, { downloadError: download.error }));
+      } else if (Date.now() - since >= timeout) {
+        reject(new AutomationError(download
+          ? 'Company analytics download did not complete in time'
+          : 'Company page automation timed out - no download detected', { timeout }));
+      } else {
+        setTimeout(check, 1000);
+      }
+    };
+
+    setTimeout(check, 1000);
+  });
 }
 
 /**
@@ -2194,8 +4795,9 @@ function findAndClickAlternativeExportButton() {
  * @param {string} filename - The downloaded file name
  * @param {string} companyId - The company ID
  * @param {string} email - User email
+ * @param {string} runId - Optional run history ID to record the file name against
  */
-async function uploadCompanyFile(filename, companyId, email) {
+async function uploadCompanyFile(filename, companyId, email, runId = null) {
   return new Promise((resolve, reject) => {
     // Search for the downloaded file
     chrome.downloads.search({
@@ -2245,111 +4847,527 @@ async function uploadCompanyFile(filename, companyId, email) {
               return;
             }
 
-            if (!email) {
-              reject(new Error('User email is missing or empty'));
-              return;
-            }
+            if (!email) {
+              reject(new Error('User email is missing or empty'));
+              return;
+            }
+
+            if (!base64Data) {
+              reject(new Error('File data is missing or empty'));
+              return;
+            }
+
+            // Extract just the filename from the full path (handle both Windows and Unix paths)
+            let justFilename = download.filename;
+
+            // Extract just the filename from the full path
+            // Handle Windows paths (C:\Users\...)
+            if (justFilename.includes('\\')) {
+              justFilename = justFilename.split('\\').pop();
+            }
+
+            // Handle Unix paths (/home/user/...)
+            if (justFilename.includes('/')) {
+              justFilename = justFilename.split('/').pop();
+            }
+
+            // Fallback if extraction failed
+            if (!justFilename || justFilename === download.filename) {
+              // Try to extract from the end of the path using regex
+              const match = download.filename.match(/[^\\\/]+$/);
+              justFilename = match ? match[0] : 'company_analytics.xls';
+              PersistentLogger.log(`[DEBUG] After regex fallback: "${justFilename}"`);
+            }
+
+            // Filename extracted successfully
+            await RunHistory.updateRun(runId, { fileName: justFilename });
+            await ExportArchive.trySave({
+              type: ExportArchive.TYPES.COMPANY,
+              fileName: justFilename,
+              blob: fileBlob,
+              companyId: String(companyId)
+            });
+
+            // The file is in hand, so transient upload failures are queued for replay instead of
+            // failing the run; a rejected file fails it
+            resolve(await UploadDestinations.deliverOrQueue({
+              type: UploadDestinations.TYPES.COMPANY,
+              email: String(email),
+              fileName: justFilename,
+              data: base64Data,
+              companyId: String(companyId)
+            }, runId));
+          } catch (error) {
+            // Keep the status of a failed upload for the retry policy
+            reject(new AutomationError(`Company file processing error: ${error.message}`, error.context));
+          }
+        };
+
+        reader.onerror = () => {
+          reject(new Error('Failed to read company analytics file'));
+        };
+
+        reader.readAsDataURL(fileBlob);
+
+      } catch (error) {
+        reject(new Error(`Error processing company analytics file: ${error.message}`));
+      }
+    });
+  });
+}
+
+/**
+ * Send an already downloaded company analytics file to the company API
+ * @param {string} base64Data - The file contents, base64 encoded
+ * @param {string} fileName - The file name
+ * @param {string} companyId - The LinkedIn company ID
+ * @param {string} email - The user's email address
+ * @returns {Promise<Object>} The response from the company API
+ * @throws {AutomationError} If the upload fails
+ */
+async function sendCompanyUpload(base64Data, fileName, companyId, email) {
+  // Prepare the payload for the company API
+  const payload = {
+    company_id: String(companyId), // Ensure it's a string
+    user_email: String(email),     // Ensure it's a string
+    file: base64Data,
+    file_name: fileName
+  };
+
+  PersistentLogger.log(`Uploading company analytics file for company ${companyId}`);
+
+  // Upload to company API endpoint
+  const uploadResponse = await fetch(CONFIG.ENDPOINTS.COMPANY_WEBHOOK, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload)
+  });
+
+  if (!uploadResponse.ok) {
+    const errorText = await uploadResponse.text();
+    PersistentLogger.error(`Company file upload failed: ${uploadResponse.status} - ${errorText}`);
+    throw new AutomationError(`Company file upload failed: ${uploadResponse.status} - ${errorText}`, {
+      status: uploadResponse.status,
+      responseText: errorText
+    });
+  }
+
+  const responseData = await uploadResponse.json();
+  PersistentLogger.log('Company analytics file uploaded successfully');
+  return responseData;
+}
+
+/**
+ * Send an already downloaded post analytics file to the post analytics API
+ * @param {Blob} fileBlob - The file contents
+ * @param {string} fileName - The file name
+ * @param {string} email - The user's email address
+ * @param {string} postId - The post activity ID taken from the analytics URL
+ * @param {string} analyticsUrl - The post analytics URL
+ * @param {Object} fileValidation - File name checks reported alongside the upload
+ * @returns {Promise<Object>} The response from the post analytics API
+ * @throws {AutomationError} If the upload fails
+ */
+async function sendPostAnalyticsUpload(fileBlob, fileName, email, postId, analyticsUrl, fileValidation) {
+  // Prepare FormData for Lambda
+  const formData = new FormData();
+  formData.append('Email', email);
+  formData.append('post_id', postId);
+  formData.append('filename', fileName);
+  formData.append('analytics_url', analyticsUrl);
+  formData.append('file_validation', JSON.stringify(fileValidation || {}));
+  formData.append('xlsx', fileBlob, fileName);
+
+  // Upload to API with FormData (same as main upload)
+  const response = await fetch(CONFIG.ENDPOINTS.POST_WEBHOOK, {
+    method: 'POST',
+    body: formData
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new AutomationError(`Upload failed with status ${response.status}: ${errorText}`, {
+      status: response.status,
+      responseText: errorText
+    });
+  }
+
+  return response.json();
+}
+
+/**
+ * Update a company's execution status in storage
+ * @param {string} companyId - The LinkedIn company ID
+ * @param {string} status - The execution status
+ * @param {Error} error - Optional error object
+ */
+async function updateCompanyExecutionStatus(companyId, status, error = null) {
+  await CompanyManager.updateStatus(companyId, {
+    lastStatus: status,
+    lastExecutionTime: Date.now(),
+    // Clear previous error if successful
+    lastError: error ? {
+      name: error.name,
+      message: error.message,
+      stack: error.stack
+    } : null
+  });
+
+  PersistentLogger.log(`Company ${companyId} execution status updated: ${status}`);
+}
+
+// ============================================================================
+// AUTOMATION PAUSE
+// ============================================================================
+
+/**
+ * Holds back automated runs while the user has paused them (see pause-settings.js).
+ * The alarms keep their schedule; the runs they start are skipped and counted, and
+ * one of them is caught up on when the pause ends.
+ */
+const AutomationPause = {
+  /**
+   * Get the stored pause, including one whose date has passed
+   * @returns {Promise<Object|null>} The stored pause
+   */
+  async getStored() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([PauseSettings.STORAGE_KEY], (result) => {
+        resolve(result[PauseSettings.STORAGE_KEY] || null);
+      });
+    });
+  },
+
+  /**
+   * Pause automated runs, replacing an earlier pause
+   * @param {string} mode - One of PauseSettings.MODES
+   * @param {string|null} until - When a pause until a date ends, as an ISO string
+   * @returns {Promise<Object>} The new pause
+   * @throws {Error} If the mode is unknown or the date is not in the future
+   */
+  async pause(mode, until = null) {
+    const pause = PauseSettings.create(mode, until);
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [PauseSettings.STORAGE_KEY]: pause }, resolve);
+    });
+
+    chrome.alarms.clear(CONFIG.ALARMS.PAUSE_END);
+    if (pause.mode === PauseSettings.MODES.UNTIL) {
+      chrome.alarms.create(CONFIG.ALARMS.PAUSE_END, { when: new Date(pause.until).getTime() });
+    }
+    // A pending retry would otherwise run during the pause
+    if (PauseSettings.isPaused(pause)) {
+      chrome.alarms.clear(CONFIG.ALARMS.RETRY);
+      chrome.storage.local.remove(['nextRetryTime', 'retryScheduled']);
+    }
+
+    PersistentLogger.log(`Automation paused: ${PauseSettings.describe(pause)}`);
+    return pause;
+  },
+
+  /**
+   * End the pause, run a scheduled run it held back and set the company alarm again
+   * @param {string} reason - Why the pause ended, for the log
+   * @param {boolean} catchUp - Whether to run a scheduled run skipped during the pause
+   * @returns {Promise<void>}
+   */
+  async resume(reason, catchUp = true) {
+    const stored = await this.getStored();
+    chrome.alarms.clear(CONFIG.ALARMS.PAUSE_END);
+    if (!stored) {
+      return;
+    }
+
+    await new Promise((resolve) => {
+      chrome.storage.local.remove([PauseSettings.STORAGE_KEY], resolve);
+    });
+    PersistentLogger.log(`Automation resumed: ${reason}`);
+
+    if (catchUp && stored.mode !== PauseSettings.MODES.SKIP_NEXT && stored.skipped > 0) {
+      PersistentLogger.log(`Catching up on the ${stored.skipped} scheduled run(s) skipped during the pause`);
+      // The run policy may still defer the catch-up, e.g. until the computer is idle
+      AlarmManager.runScheduledAutomation().catch((error) => {
+        PersistentLogger.error(`Catch-up run failed: ${error.message}`);
+      });
+    }
+    await CompanyManager.scheduleNextRun().catch((error) => {
+      PersistentLogger.error(`Failed to schedule next company run: ${error.message}`);
+    });
+  },
+
+  /**
+   * End a pause whose date has passed, in case its alarm was missed
+   * @returns {Promise<void>}
+   */
+  async resumeIfExpired() {
+    const stored = await this.getStored();
+    if (stored && !PauseSettings.normalize(stored)) {
+      await this.resume('the pause date has passed');
+    }
+  },
+
+  /**
+   * Check whether the pause holds back an automated run. Scheduled runs skipped
+   * during a pause are counted, a held back retry is dropped, and a "skip next run"
+   * pause ends with the scheduled run it skips.
+   * @param {string} kind - 'scheduled', 'retry' or 'company'
+   * @returns {Promise<boolean>} True if the run must not start
+   */
+  async holdsBack(kind) {
+    const stored = await this.getStored();
+    if (!stored) {
+      return false;
+    }
+
+    const pause = PauseSettings.normalize(stored);
+    if (!pause) {
+      // The date passed before the pause-end alarm fired; this run makes up for the skipped ones
+      await this.resume('the pause date has passed', false);
+      return false;
+    }
+
+    if (pause.mode === PauseSettings.MODES.SKIP_NEXT) {
+      if (kind !== 'scheduled') {
+        return false;
+      }
+      await new Promise((resolve) => {
+        chrome.storage.local.remove([PauseSettings.STORAGE_KEY], resolve);
+      });
+      PersistentLogger.log('Skipping this scheduled run as requested; the following ones run as usual');
+      return true;
+    }
+
+    if (kind === 'scheduled') {
+      await new Promise((resolve) => {
+        chrome.storage.local.set({ [PauseSettings.STORAGE_KEY]: { ...stored, skipped: pause.skipped + 1 } }, resolve);
+      });
+    } else if (kind === 'retry') {
+      chrome.storage.local.remove(['nextRetryTime', 'retryScheduled']);
+    }
+    PersistentLogger.log(`${PauseSettings.describe(pause)}, not starting the ${kind} run`);
+    return true;
+  }
+};
+
+// ============================================================================
+// EXECUTION POLICY
+// ============================================================================
+
+/**
+ * Holds back due automated runs until the run policy lets them open their LinkedIn
+ * tabs (see run-policy.js), and pauses the post batch while the user is on LinkedIn.
+ * Deferred runs are kept in storage by kind with the time they became due, and start
+ * when the computer goes idle, the browser starts, or the watchdog finds them allowed.
+ */
+const ExecutionPolicy = {
+  DEFERRED_KEY: 'deferredRuns',
+  BROWSER_STARTED_KEY: 'browserStartedAt',
+
+  // Input within this many seconds counts as the user being at the computer
+  INTERACTION_WINDOW: 60,
+  INTERACTION_CHECK_INTERVAL: 30 * 1000,
+  // The post batch goes on after waiting this long for the user to leave LinkedIn
+  MAX_INTERACTION_WAIT: 30 * 60 * 1000,
+
+  _writeQueue: Promise.resolve(),
+
+  /**
+   * Get the run policy settings
+   * @returns {Promise<Object>} The normalized run policy
+   */
+  async getPolicy() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([RunPolicy.STORAGE_KEY], (result) => {
+        resolve(RunPolicy.normalize(result[RunPolicy.STORAGE_KEY]));
+      });
+    });
+  },
+
+  /**
+   * Get the deferred runs
+   * @returns {Promise<Object>} When each deferred kind of run became due, as ISO strings by kind
+   */
+  async getDeferred() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.DEFERRED_KEY], (result) => {
+        resolve(result[this.DEFERRED_KEY] || {});
+      });
+    });
+  },
+
+  /**
+   * Get the idle state of the computer
+   * @param {number} seconds - How long without input counts as idle (at least 15)
+   * @returns {Promise<string>} 'active', 'idle' or 'locked'
+   */
+  async queryIdleState(seconds) {
+    return new Promise((resolve) => {
+      chrome.idle.queryState(Math.max(seconds, 15), resolve);
+    });
+  },
 
-            if (!base64Data) {
-              reject(new Error('File data is missing or empty'));
-              return;
-            }
+  /**
+   * Decide whether a run due since dueSince may start now
+   * @param {Object} policy - The normalized run policy
+   * @param {number} dueSince - Time in milliseconds the run became due
+   * @returns {Promise<Object>} Decision as { run, reason }
+   */
+  async evaluate(policy, dueSince) {
+    const context = { now: Date.now(), dueSince, idleState: null, browserStartedAt: null };
+
+    if (policy.mode === RunPolicy.MODES.IDLE) {
+      context.idleState = await this.queryIdleState(policy.idleMinutes * 60);
+    } else if (policy.mode === RunPolicy.MODES.STARTUP) {
+      context.browserStartedAt = await new Promise((resolve) => {
+        chrome.storage.local.get([this.BROWSER_STARTED_KEY], (result) => {
+          resolve(result[this.BROWSER_STARTED_KEY] ? new Date(result[this.BROWSER_STARTED_KEY]).getTime() : null);
+        });
+      });
+    }
+    return RunPolicy.canRun(policy, context);
+  },
 
-            // Extract just the filename from the full path (handle both Windows and Unix paths)
-            let justFilename = download.filename;
+  /**
+   * Make chrome.idle report the idle state after the policy's idle minutes
+   * @returns {Promise<void>}
+   */
+  async applyDetectionInterval() {
+    const policy = await this.getPolicy();
+    chrome.idle.setDetectionInterval(policy.idleMinutes * 60);
+  },
 
-            // Extract just the filename from the full path
-            // Handle Windows paths (C:\Users\...)
-            if (justFilename.includes('\\')) {
-              justFilename = justFilename.split('\\').pop();
-            }
+  /**
+   * Check whether the run policy holds back a due automated run. A held back run is
+   * remembered as deferred and started by releaseDeferred().
+   * @param {string} kind - 'scheduled', 'retry' or 'company'
+   * @returns {Promise<boolean>} True if the run must not start now
+   */
+  async holdsBack(kind) {
+    const policy = await this.getPolicy();
+    const deferred = await this.getDeferred();
+    const dueSince = deferred[kind] ? new Date(deferred[kind]).getTime() : Date.now();
+    const decision = await this.evaluate(policy, dueSince);
+
+    if (decision.run) {
+      if (deferred[kind]) {
+        await this._mutate((runs) => { delete runs[kind]; });
+      }
+      return false;
+    }
 
-            // Handle Unix paths (/home/user/...)
-            if (justFilename.includes('/')) {
-              justFilename = justFilename.split('/').pop();
-            }
+    if (!deferred[kind]) {
+      await this._mutate((runs) => { runs[kind] = runs[kind] || new Date(dueSince).toISOString(); });
+      PersistentLogger.log(`Deferring the ${kind} run, ${decision.reason}. It runs by ${new Date(RunPolicy.getDeadline(policy, dueSince))} at the latest`);
+    }
+    return true;
+  },
 
-            // Fallback if extraction failed
-            if (!justFilename || justFilename === download.filename) {
-              // Try to extract from the end of the path using regex
-              const match = download.filename.match(/[^\\\/]+$/);
-              justFilename = match ? match[0] : 'company_analytics.xls';
-              PersistentLogger.log(`[DEBUG] After regex fallback: "${justFilename}"`);
-            }
+  /**
+   * Start the deferred runs the run policy now allows
+   * @param {string} trigger - What prompted the check, for the log
+   * @returns {Promise<void>}
+   */
+  async releaseDeferred(trigger) {
+    const deferred = await this.getDeferred();
+    const kinds = Object.keys(deferred);
+    if (kinds.length === 0) {
+      return;
+    }
 
-            // Filename extracted successfully
+    const policy = await this.getPolicy();
+    for (const kind of kinds) {
+      const decision = await this.evaluate(policy, new Date(deferred[kind]).getTime());
+      if (!decision.run) {
+        continue;
+      }
 
-            // Prepare the payload for the company API
-            const payload = {
-              company_id: String(companyId), // Ensure it's a string
-              user_email: String(email),     // Ensure it's a string
-              file: base64Data,
-              file_name: justFilename
-            };
+      // Only the caller that removes the entry starts the run
+      let claimed = false;
+      await this._mutate((runs) => {
+        claimed = Boolean(runs[kind]);
+        delete runs[kind];
+      });
+      if (!claimed) {
+        continue;
+      }
 
-            PersistentLogger.log(`Uploading company analytics file for company ${companyId}`);
+      PersistentLogger.log(`Starting the deferred ${kind} run (${trigger}): ${decision.reason}`);
+      const run = kind === 'company'
+        ? checkAndRunCompanyPageUpload(false, true)
+        : kind === 'retry' ? AlarmManager.runRetryAutomation(true) : AlarmManager.runScheduledAutomation(true);
+      run.catch((error) => {
+        PersistentLogger.error(`Deferred ${kind} run failed: ${error.message}`);
+      });
+    }
+  },
 
-            // Upload to company API endpoint
-            const uploadResponse = await fetch('https://sn6ujdpryv35cap42dqlgmyybe0wsxso.lambda-url.us-east-1.on.aws/', {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-              },
-              body: JSON.stringify(payload)
-            });
+  /**
+   * Check whether the user is working in a LinkedIn tab: a LinkedIn tab is the active
+   * tab of the focused window and there was input within the last minute
+   * @returns {Promise<boolean>} True while the user is on LinkedIn
+   */
+  async isUserOnLinkedIn() {
+    if (await this.queryIdleState(this.INTERACTION_WINDOW) !== 'active') {
+      return false;
+    }
 
-            if (uploadResponse.ok) {
-              const responseData = await uploadResponse.json();
-              PersistentLogger.log('Company analytics file uploaded successfully');
-              resolve(responseData);
-            } else {
-              const errorText = await uploadResponse.text();
-              PersistentLogger.error(`Company file upload failed: ${uploadResponse.status} - ${errorText}`);
-              reject(new Error(`Company file upload failed: ${uploadResponse.status} - ${errorText}`));
-            }
-          } catch (error) {
-            reject(new Error(`Company file processing error: ${error.message}`));
-          }
-        };
+    return new Promise((resolve) => {
+      chrome.windows.getLastFocused({ populate: true }, (window) => {
+        if (chrome.runtime.lastError || !window || !window.focused) {
+          resolve(false);
+          return;
+        }
+        resolve((window.tabs || []).some(tab => tab.active && /^https:\/\/([a-z0-9-]+\.)?linkedin\.com\//.test(tab.url || '')));
+      });
+    });
+  },
 
-        reader.onerror = () => {
-          reject(new Error('Failed to read company analytics file'));
-        };
+  /**
+   * Wait while the user is on LinkedIn before the post batch opens the next post,
+   * unless the run policy says not to; gives up after MAX_INTERACTION_WAIT
+   * @param {Object} logger - Logger of the run
+   * @returns {Promise<void>}
+   */
+  async waitWhileUserOnLinkedIn(logger) {
+    const policy = await this.getPolicy();
+    if (!policy.pauseForLinkedIn || !(await this.isUserOnLinkedIn())) {
+      return;
+    }
 
-        reader.readAsDataURL(fileBlob);
+    const started = Date.now();
+    logger.log('You are using LinkedIn, pausing the post batch until you leave it');
+    PersistentLogger.log('⏸️ Post batch paused while the user is on LinkedIn');
 
-      } catch (error) {
-        reject(new Error(`Error processing company analytics file: ${error.message}`));
+    while (await this.isUserOnLinkedIn()) {
+      if (Date.now() - started >= this.MAX_INTERACTION_WAIT) {
+        PersistentLogger.log(`⏯️ Post batch continues after waiting ${Math.round(this.MAX_INTERACTION_WAIT / 60000)} minutes`);
+        return;
       }
-    });
-  });
-}
+      await new Promise(resolve => setTimeout(resolve, this.INTERACTION_CHECK_INTERVAL));
+    }
+    PersistentLogger.log('⏯️ Post batch continues');
+  },
 
-/**
- * Update company execution status in storage
- * @param {string} status - The execution status
- * @param {Error} error - Optional error object
- */
-async function updateCompanyExecutionStatus(status, error = null) {
-  const updateData = {
-    lastCompanyExecutionStatus: status,
-    lastCompanyExecutionTime: Date.now()
-  };
+  /**
+   * Serialize read-modify-write cycles on the deferred runs
+   * @param {Function} mutator - Changes the deferred runs in place
+   * @returns {Promise<void>}
+   */
+  _mutate(mutator) {
+    const task = this._writeQueue.then(() => new Promise((resolve) => {
+      chrome.storage.local.get([this.DEFERRED_KEY], (result) => {
+        const runs = result[this.DEFERRED_KEY] || {};
+        mutator(runs);
+        chrome.storage.local.set({ [this.DEFERRED_KEY]: runs }, resolve);
+      });
+    }));
 
-  if (error) {
-    updateData.lastCompanyExecutionError = JSON.stringify({
-      name: error.name,
-      message: error.message,
-      stack: error.stack
-    });
-  } else {
-    // Clear previous error if successful
-    chrome.storage.local.remove(['lastCompanyExecutionError']);
+    this._writeQueue = task.catch(() => {});
+    return task;
   }
-
-  chrome.storage.local.set(updateData);
-  PersistentLogger.log(`Company execution status updated: ${status}`);
-}
+};
 
 // ============================================================================
 // ALARM MANAGER
@@ -2377,37 +5395,90 @@ const AlarmManager = {
     
     await initializeExecutionInterval();
 
-    chrome.storage.local.get("nextExecution", (data) => {
+    chrome.storage.local.get("nextExecution", async (data) => {
       const now = new Date();
-      let nextExecution;
 
-      if (data.nextExecution) {
-        nextExecution = new Date(data.nextExecution);
+      // Mark alarms as enabled
+      chrome.storage.local.set({ alarmsEnabled: true });
 
-        // Check if stored execution time is in the past
-        if (now >= nextExecution) {
-          PersistentLogger.log("Stored execution time is in the past. Running task now.");
-          runAutomationScript();
-          nextExecution = new Date(now.getTime() + EXECUTION_INTERVAL);
-        }
-      } else {
-        // First-time setup
-        nextExecution = new Date(now.getTime() + EXECUTION_INTERVAL);
+      if (data.nextExecution && new Date(data.nextExecution) > now) {
+        // Keep the planned time and make sure the alarm for it exists
+        const nextExecution = new Date(data.nextExecution);
+        chrome.alarms.create(CONFIG.ALARMS.MAIN, { when: nextExecution.getTime() });
+        PersistentLogger.log(`Alarm set. Next execution: ${nextExecution}`);
+        return;
       }
 
-      // Create recurring alarm
-      chrome.alarms.create(CONFIG.ALARMS.MAIN, {
-        periodInMinutes: EXECUTION_INTERVAL / (60 * 1000)
-      });
+      // Check if stored execution time is in the past
+      if (data.nextExecution) {
+        PersistentLogger.log("Stored execution time is in the past. Running task now.");
+        this.runScheduledAutomation();
+      }
 
-      // Save next execution time and mark alarms as enabled
-      chrome.storage.local.set({
-        nextExecution: nextExecution.toISOString(),
-        alarmsEnabled: true
+      await this.scheduleNextExecution(now.getTime());
+    });
+  },
+
+  /**
+   * Start a scheduled run unless the user paused automated runs or the run policy defers it
+   * @param {boolean} deferred - The run policy already let this deferred run start
+   * @returns {Promise<boolean>} True if a flow succeeded; false if it failed or was held back
+   */
+  async runScheduledAutomation(deferred = false) {
+    if (await AutomationPause.holdsBack('scheduled')) {
+      return false;
+    }
+    if (!deferred && await ExecutionPolicy.holdsBack('scheduled')) {
+      return false;
+    }
+    return runAutomationScript();
+  },
+
+  /**
+   * Start a retry unless the user paused automated runs or the run policy defers it
+   * @param {boolean} deferred - The run policy already let this deferred retry start
+   * @returns {Promise<boolean>} True if a flow succeeded; false if it failed or was held back
+   */
+  async runRetryAutomation(deferred = false) {
+    if (await AutomationPause.holdsBack('retry')) {
+      return false;
+    }
+    if (!deferred && await ExecutionPolicy.holdsBack('retry')) {
+      return false;
+    }
+    return runAutomationScript({ retry: true });
+  },
+
+  /**
+   * Get the run schedule settings
+   * @returns {Promise<Object>} The normalized run schedule
+   */
+  async getRunSchedule() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([RunSchedule.STORAGE_KEY], (result) => {
+        resolve(RunSchedule.normalize(result[RunSchedule.STORAGE_KEY]));
       });
+    });
+  },
 
-      PersistentLogger.log(`Alarm set. Next execution: ${nextExecution}`);
+  /**
+   * Plan the next automated run from the schedule rules (or the upload frequency),
+   * deferring it past quiet hours and adding jitter, and set the main alarm for it
+   * @param {number} after - Time in milliseconds of the run that was just started (or now)
+   * @returns {Promise<Date>} The next execution time
+   */
+  async scheduleNextExecution(after = Date.now()) {
+    const schedule = await this.getRunSchedule();
+    const planned = RunSchedule.getNextRun(schedule, after, EXECUTION_INTERVAL);
+    const nextExecution = new Date(RunSchedule.applyJitter(planned, schedule));
+
+    chrome.alarms.create(CONFIG.ALARMS.MAIN, { when: nextExecution.getTime() });
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ nextExecution: nextExecution.toISOString() }, resolve);
     });
+
+    PersistentLogger.log(`Alarm set. Next execution: ${nextExecution} (${schedule.rules.length > 0 ? schedule.rules.join('; ') : 'upload frequency'})`);
+    return nextExecution;
   },
 
   /**
@@ -2436,19 +5507,40 @@ const AlarmManager = {
    * Initialize alarm listeners
    */
   initializeAlarmListeners() {
-    chrome.alarms.onAlarm.addListener((alarm) => {
+    if (this._listenersInitialized) {
+      return;
+    }
+    this._listenersInitialized = true;
+
+    chrome.alarms.onAlarm.addListener(async (alarm) => {
       PersistentLogger.log(`Alarm triggered: ${alarm.name} at ${new Date().toISOString()}`);
 
+      // A run interrupted by the previous worker is resumed before the alarm starts a new one
+      await workerReady;
+
       switch(alarm.name) {
         case CONFIG.ALARMS.MAIN:
           this.handleMainAlarm();
           break;
         case CONFIG.ALARMS.WATCHDOG:
+          AutomationPause.resumeIfExpired();
           this.checkForMissedExecutions();
+          ExecutionPolicy.releaseDeferred('watchdog');
+          UploadQueue.drain();
+          ToolbarBadge.refresh();
           break;
         case CONFIG.ALARMS.RETRY:
           this.handleRetryAlarm();
           break;
+        case CONFIG.ALARMS.COMPANY:
+          checkAndRunCompanyPageUpload();
+          break;
+        case CONFIG.ALARMS.WEEKLY_SUMMARY:
+          Notifier.sendWeeklySummary();
+          break;
+        case CONFIG.ALARMS.PAUSE_END:
+          AutomationPause.resume('the pause date has passed');
+          break;
       }
     });
   },
@@ -2456,14 +5548,11 @@ const AlarmManager = {
   /**
    * Handle the main alarm trigger
    */
-  handleMainAlarm() {
-    const nextExecution = new Date(Date.now() + EXECUTION_INTERVAL);
-    chrome.storage.local.set({
-      nextExecution: nextExecution.toISOString()
-    });
+  async handleMainAlarm() {
+    const nextExecution = await this.scheduleNextExecution();
 
     PersistentLogger.log(`Main alarm triggered. Next execution: ${nextExecution}`);
-    runAutomationScript();
+    this.runScheduledAutomation();
   },
 
   /**
@@ -2471,7 +5560,7 @@ const AlarmManager = {
    */
   checkForMissedExecutions() {
     // First check for missed regular executions
-    chrome.storage.local.get(["nextExecution", "nextRetryTime", "retryScheduled", "retryCount"], (data) => {
+    chrome.storage.local.get(["nextExecution", "nextRetryTime", "retryScheduled", "retryCount"], async (data) => {
       const now = new Date();
       const timestamp = now.toISOString();
 
@@ -2492,7 +5581,7 @@ const AlarmManager = {
           PersistentLogger.log(`Time difference: ${now - nextRetryTime}ms`);
 
           // Run the automation script
-          runAutomationScript();
+          this.runRetryAutomation();
           return; // Exit early to avoid running regular execution check
         }
       }
@@ -2501,17 +5590,22 @@ const AlarmManager = {
       if (data.nextExecution) {
         const nextExecution = new Date(data.nextExecution);
         if (now >= nextExecution) {
+          const schedule = await this.getRunSchedule();
+
+          // A missed run caught during quiet hours waits until they end
+          if (RunSchedule.isQuiet(now.getTime(), schedule.quietHours)) {
+            const deferred = new Date(RunSchedule.deferPastQuietHours(now.getTime(), schedule.quietHours));
+            chrome.alarms.create(CONFIG.ALARMS.MAIN, { when: deferred.getTime() });
+            chrome.storage.local.set({ nextExecution: deferred.toISOString() });
+            PersistentLogger.log(`Watchdog detected missed execution during quiet hours. Deferred to ${deferred}`);
+            return;
+          }
+
           PersistentLogger.log("Watchdog detected missed execution. Running task now.");
-          runAutomationScript();
+          this.runScheduledAutomation();
 
           // Reschedule next execution
-          const newExecutionTime = new Date(now.getTime() + EXECUTION_INTERVAL);
-          chrome.alarms.create(CONFIG.ALARMS.MAIN, {
-            when: newExecutionTime.getTime()
-          });
-          chrome.storage.local.set({
-            nextExecution: newExecutionTime.toISOString()
-          });
+          await this.scheduleNextExecution(now.getTime());
         }
       }
     });
@@ -2540,7 +5634,7 @@ const AlarmManager = {
           // Run the automation script with error handling
           try {
             PersistentLogger.log('Starting automation script from retry handler');
-            runAutomationScript().catch(error => {
+            this.runRetryAutomation().catch(error => {
               PersistentLogger.error(`Retry execution failed: ${error.message}`);
             });
           } catch (error) {
@@ -2565,43 +5659,130 @@ function setupRuntimeListeners() {
   // Handle manual script execution
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'executeScript') {
-      const nextExecution = new Date(Date.now() + EXECUTION_INTERVAL);
-      chrome.storage.local.set({
-        nextExecution: nextExecution.toISOString()
-      });
+      // Check if an upload or a backfill is already running
+      RunLock.getHolder(RunLock.NAMES.PERSONAL).then((holder) => {
+        if (holder) {
+          PersistentLogger.log('Automation already running, ignoring manual request');
+          sendResponse({ started: false });
+          return;
+        }
 
-      PersistentLogger.log(`Manual execution triggered. Next execution: ${nextExecution}`);
-      runAutomationScript();
+        AlarmManager.scheduleNextExecution().then((nextExecution) => {
+          PersistentLogger.log(`Manual execution triggered. Next execution: ${nextExecution}`);
+        });
+        runAutomationScript();
+        sendResponse({ started: true });
+      });
+      return true; // Keep the message channel open for the asynchronous response
     }
     else if (message.action === 'executeCompanyScript') {
       // Check if company automation is already running
-      if (companyAutomationRunning) {
-        PersistentLogger.log('Company automation already running, ignoring manual request');
+      RunLock.getHolder(RunLock.NAMES.COMPANY).then((holder) => {
+        if (holder) {
+          PersistentLogger.log('Company automation already running, ignoring manual request');
+          sendResponse({ started: false });
+          return;
+        }
+
+        PersistentLogger.log(`Manual company execution triggered for company ID: ${message.companyId}`);
+        runCompanyPageAutomation(String(message.companyId))
+          .then(() => CompanyManager.scheduleNextRun());
+        sendResponse({ started: true });
+      });
+      return true; // Keep the message channel open for the asynchronous response
+    }
+    else if (message.action === 'executeAllCompanyScripts') {
+      RunLock.getHolder(RunLock.NAMES.COMPANY).then((holder) => {
+        if (holder) {
+          PersistentLogger.log('Company automation already running, ignoring manual request');
+          sendResponse({ started: false });
+          return;
+        }
+
+        PersistentLogger.log('Manual company execution triggered for all companies');
+        checkAndRunCompanyPageUpload(true);
+        sendResponse({ started: true });
+      });
+      return true; // Keep the message channel open for the asynchronous response
+    }
+    else if (message.action === 'updateCompanySchedule') {
+      // Company list or schedule changed in the options page
+      CompanyManager.scheduleNextRun()
+        .then(nextRun => sendResponse({ success: true, nextRun }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Keep the message channel open for the asynchronous response
+    }
+    else if (message.action === 'runBackfill') {
+      if (!CONFIG.BACKFILL.TIME_RANGES.includes(message.depth)) {
+        sendResponse({ started: false, error: `Unsupported backfill range: ${message.depth}` });
         return;
       }
+      RunLock.getHolder(RunLock.NAMES.PERSONAL).then((holder) => {
+        if (holder) {
+          sendResponse({
+            started: false,
+            error: holder.purpose === 'backfill' ? 'A backfill is already running' : 'An upload is running, try again when it has finished'
+          });
+          return;
+        }
 
-      PersistentLogger.log(`Manual company execution triggered for company ID: ${message.companyId}`);
-      runCompanyPageAutomation(message.companyId);
+        PersistentLogger.log(`Manual backfill triggered for ${message.depth}`);
+        runBackfill(message.depth);
+        sendResponse({ started: true });
+      });
+      return true; // Keep the message channel open for the asynchronous response
+    }
+    else if (message.action === 'refreshSelectorManifest') {
+      // Manifest URL changed or a manual check was requested in the options page
+      SelectorManifest.load(true)
+        .then(status => sendResponse({ success: true, status }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Keep the message channel open for the asynchronous response
+    }
+    else if (message.action === 'testUploadDestination') {
+      UploadDestinations.testConnection(message.destination)
+        .then(results => sendResponse({ success: true, results }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Keep the message channel open for the asynchronous response
     }
     else if (message.action === 'updateInterval') {
       // Update the execution interval
       EXECUTION_INTERVAL = message.interval;
 
       // Reset the alarm with the new interval
-      chrome.alarms.clear(CONFIG.ALARMS.MAIN, (wasCleared) => {
-        if (wasCleared) {
-          const nextExecution = new Date(Date.now() + EXECUTION_INTERVAL);
-          chrome.alarms.create(CONFIG.ALARMS.MAIN, {
-            periodInMinutes: EXECUTION_INTERVAL / (60 * 1000)
-          });
-
-          chrome.storage.local.set({
-            nextExecution: nextExecution.toISOString()
-          });
-
-          PersistentLogger.log(`Execution interval updated to ${EXECUTION_INTERVAL / (24 * 60 * 60 * 1000)} days. Next execution: ${nextExecution}`);
-        }
+      AlarmManager.scheduleNextExecution().then((nextExecution) => {
+        PersistentLogger.log(`Execution interval updated to ${EXECUTION_INTERVAL / (24 * 60 * 60 * 1000)} days. Next execution: ${nextExecution}`);
+        sendResponse({ nextExecution: nextExecution.toISOString() });
+      });
+      return true; // Keep the message channel open for the asynchronous response
+    }
+    else if (message.action === 'pauseAutomation') {
+      // Pause control in the popup or options page
+      AutomationPause.pause(message.mode, message.until || null)
+        .then(pause => sendResponse({ success: true, pause }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Keep the message channel open for the asynchronous response
+    }
+    else if (message.action === 'resumeAutomation') {
+      AutomationPause.resume('resumed by the user')
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Keep the message channel open for the asynchronous response
+    }
+    else if (message.action === 'updateRunPolicy') {
+      // Run policy changed in the options page; a deferred run may be allowed now
+      ExecutionPolicy.applyDetectionInterval()
+        .then(() => ExecutionPolicy.releaseDeferred('run policy changed'))
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Keep the message channel open for the asynchronous response
+    }
+    else if (message.action === 'updateRunSchedule') {
+      // Schedule rules, quiet hours or jitter changed in the options page
+      AlarmManager.scheduleNextExecution().then((nextExecution) => {
+        sendResponse({ nextExecution: nextExecution.toISOString() });
       });
+      return true; // Keep the message channel open for the asynchronous response
     }
   });
 
@@ -2624,20 +5805,43 @@ function setupRuntimeListeners() {
 
   chrome.runtime.onStartup.addListener(() => {
     PersistentLogger.log("Browser startup detected");
+
+    // Runs deferred until the browser starts may go now, after interrupted runs are recovered
+    chrome.storage.local.set({ [ExecutionPolicy.BROWSER_STARTED_KEY]: new Date().toISOString() }, () => {
+      workerReady.then(() => ExecutionPolicy.releaseDeferred('browser startup'));
+    });
     // Only set the flag, don't re-initialize everything
     chrome.storage.local.set({ alarmsEnabled: true }, () => {
       PersistentLogger.log("alarmsEnabled flag set to true on browser startup");
     });
     
     // Ensure alarms are still active (they might have been cleared)
-    AlarmManager.setupInitialAlarm();
-    AlarmManager.setupWatchdogAlarm();
+    workerReady.then(() => {
+      AlarmManager.setupInitialAlarm();
+      AlarmManager.setupWatchdogAlarm();
+    });
+  });
+
+  // Keep the toolbar badge in step with the stored run state
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && ToolbarBadge.STATE_KEYS.some(key => key in changes)) {
+      ToolbarBadge.refresh();
+    }
+  });
+
+  // Notifications open LinkedIn, the options page or the dashboard
+  chrome.notifications.onClicked.addListener((notificationId) => {
+    Notifier.handleClick(notificationId);
   });
 
   // Handle system idle state changes
-  chrome.idle.onStateChanged.addListener((newState) => {
+  chrome.idle.onStateChanged.addListener(async (newState) => {
+    await workerReady;
     if (newState === "active") {
       AlarmManager.checkForMissedExecutions();
+    } else {
+      // Idle for the run policy's idle minutes, or locked
+      ExecutionPolicy.releaseDeferred(`computer ${newState}`);
     }
   });
 }
@@ -2651,13 +5855,32 @@ function setupRuntimeListeners() {
  * @returns {Promise<void>}
  */
 async function initializeExtension() {
-  await initializeExecutionInterval();
-  setupRuntimeListeners();
+  // Resume runs the previous service worker was stopped in; the listeners, registered
+  // before this, wait for it before starting new runs
+  workerReady = initializeExecutionInterval()
+    .then(() => RunCheckpoint.recover())
+    .catch((error) => {
+      PersistentLogger.error(`Interrupted runs could not be recovered: ${error.message}`);
+    });
+  await workerReady;
 
   // Set up alarms and mark them as enabled
   AlarmManager.setupInitialAlarm();
   AlarmManager.setupWatchdogAlarm();
-  AlarmManager.initializeAlarmListeners();
+  Notifier.setupWeeklySummaryAlarm();
+  await ExecutionPolicy.applyDetectionInterval();
+  ToolbarBadge.refresh();
+  await CompanyManager.scheduleNextRun();
+
+  // Pick up selector fixes published since the last start
+  await SelectorManifest.load().catch((error) => {
+    PersistentLogger.error(`Selector manifest could not be loaded: ${error.message}`);
+  });
+
+  // Report locale packs that are missing strings
+  Object.entries(LocaleRegistry.checkCoverage()).forEach(([code, missingKeys]) => {
+    PersistentLogger.warn(`Locale pack "${code}" is missing: ${missingKeys.join(', ')}`);
+  });
 
   // Explicitly set alarmsEnabled flag
   chrome.storage.local.set({ alarmsEnabled: true });
@@ -2667,6 +5890,9 @@ async function initializeExtension() {
 // Global flag to prevent multiple initializations
 let extensionInitialized = false;
 
+// Settles once the interval is loaded and interrupted runs are recovered (see initializeExtension)
+let workerReady = Promise.resolve();
+
 /**
  * Safe initialization wrapper to prevent duplicate initialization
  */
@@ -2681,6 +5907,11 @@ async function safeInitializeExtension() {
   await initializeExtension();
 }
 
+// Register the listeners before the first await: the alarm, onStartup or idle event
+// that woke the worker only reaches listeners that exist by then
+setupRuntimeListeners();
+AlarmManager.initializeAlarmListeners();
+
 // Initialize the extension only once
 safeInitializeExtension();
 /**
@@ -2745,7 +5976,13 @@ chrome.runtime.onMessageExternal.addListener(
               chrome.scripting.executeScript({
                 target: { tabId: tab.id },
                 function: createLinkedInPost,
-                args: [request.text, request.delay || 100, request.autoSubmit || false]
+                args: [
+                  request.text,
+                  request.delay || 100,
+                  request.autoSubmit || false,
+                  LocaleRegistry.getTexts('post'),
+                  LocaleRegistry.getTexts('startPost')
+                ]
               }, (results) => {
                 debugLog("Post creation script execution results:", results);
 
@@ -2780,7 +6017,8 @@ chrome.runtime.onMessageExternal.addListener(
 );
 
 // Function to be injected into the tab to create a LinkedIn post
-function createLinkedInPost(text, delay, autoSubmit) {
+// postTexts and startPostTexts hold the button labels in every supported language
+function createLinkedInPost(text, delay, autoSubmit, postTexts, startPostTexts) {
   try {
     // Check if the helper is available
     if (!window.linkedInPostHelper) {
@@ -2793,7 +6031,7 @@ function createLinkedInPost(text, delay, autoSubmit) {
     window.linkedInPostHelper.debugLog("Current URL:", window.location.href);
 
     // Use the LinkedIn post helper functions
-    return window.linkedInPostHelper.clickStartPostButton()
+    return window.linkedInPostHelper.clickStartPostButton(startPostTexts)
       .then(editor => {
         window.linkedInPostHelper.debugLog("Editor found, proceeding to type text");
         return window.linkedInPostHelper.typeIntoEditor(editor, text, delay);
@@ -2806,18 +6044,15 @@ function createLinkedInPost(text, delay, autoSubmit) {
           window.linkedInPostHelper.debugLog("Looking for Post button to auto-submit");
 
           // Find the Post button (multi-language support)
-          const postButtonSelectors = [
-            'button[aria-label="Post"]',
-            'button[aria-label="Posten"]',  // German
-            'button[aria-label="Publicar"]', // Spanish
-            'button[aria-label="Publier"]'   // French
-          ];
+          const postLabels = postTexts.map(label => label.toLowerCase());
+          const postButtonSelectors = postTexts.map(label => `button[aria-label="${label}"]`);
 
           let postButton = null;
           for (const selector of postButtonSelectors) {
             const buttons = document.querySelectorAll(selector);
             for (const btn of buttons) {
-              if (btn.textContent.trim().match(/post|posten|publicar|publier/i)) {
+              const buttonText = btn.textContent.trim().toLowerCase();
+              if (postLabels.some(label => buttonText.includes(label))) {
                 postButton = btn;
                 break;
               }
@@ -2830,7 +6065,7 @@ function createLinkedInPost(text, delay, autoSubmit) {
             const allButtons = document.querySelectorAll('button');
             for (const btn of allButtons) {
               const text = btn.textContent.trim().toLowerCase();
-              if (text === 'post' || text === 'posten' || text === 'publicar' || text === 'publier') {
+              if (postLabels.includes(text)) {
                 postButton = btn;
                 break;
               }
@@ -2867,28 +6102,35 @@ const AdvancedPostAnalytics = {
    * @param {string} email - User email
    * @param {string[]} postUrls - Array of post URLs to process
    * @param {Object} logger - Logger instance
+   * @param {string} runId - Optional run history ID of the parent run
+   * @param {Object} resume - Optional posts checkpoint of an interrupted run as { urls, next, results };
+   *   postUrls is then ignored and processing continues at post `next`
    * @returns {Promise<Object>} Processing results
    */
-  async processAdvancedStatistics(tabId, email, postUrls, logger) {
+  async processAdvancedStatistics(tabId, email, postUrls, logger, runId = null, resume = null) {
     // Get posts limit from storage (default 30)
-    const postsLimit = await new Promise((resolve) => {
+    const postsLimit = resume ? resume.results.postsLimit : await new Promise((resolve) => {
       chrome.storage.local.get(['postsLimit'], (result) => {
         resolve(result.postsLimit || 30);
       });
     });
     
     // Limit the number of posts to process
-    const totalAvailable = postUrls.length;
+    const totalAvailable = resume ? resume.results.totalAvailable : postUrls.length;
     const postsToProcess = Math.min(totalAvailable, postsLimit);
-    const limitedPostUrls = postUrls.slice(0, postsToProcess);
+    const limitedPostUrls = resume ? resume.urls : postUrls.slice(0, postsToProcess);
+    const firstPost = resume ? resume.next : 0;
     
     logger.log(`Posts available: ${totalAvailable}, Posts limit: ${postsLimit}, Processing: ${postsToProcess} posts`);
-    PersistentLogger.log(`🚀 Starting individual post analytics processing: ${postsToProcess} posts (${totalAvailable} available, limit: ${postsLimit})`);
+    PersistentLogger.log(resume
+      ? `🚀 Resuming individual post analytics processing at post ${firstPost + 1}/${limitedPostUrls.length}`
+      : `🚀 Starting individual post analytics processing: ${postsToProcess} posts (${totalAvailable} available, limit: ${postsLimit})`);
 
+    // Uploads and errors of posts processed before an interruption are not kept
     const results = {
-      processed: 0,
-      successful: 0,
-      failed: 0,
+      processed: resume ? resume.results.processed : 0,
+      successful: resume ? resume.results.successful : 0,
+      failed: resume ? resume.results.failed : 0,
       uploads: [],
       errors: [],
       totalAvailable: totalAvailable,
@@ -2897,13 +6139,40 @@ const AdvancedPostAnalytics = {
 
     try {
       // Process each post URL (limited by user setting)
-      for (let i = 0; i < limitedPostUrls.length; i++) {
+      for (let i = firstPost; i < limitedPostUrls.length; i++) {
         const postUrl = limitedPostUrls[i];
+
+        // A worker restarted from here processes this post again
+        await RunCheckpoint.update(runId, {
+          phase: RunCheckpoint.PHASES.POSTS,
+          tabId,
+          posts: {
+            urls: limitedPostUrls,
+            next: i,
+            results: {
+              processed: results.processed,
+              successful: results.successful,
+              failed: results.failed,
+              totalAvailable,
+              postsLimit
+            }
+          }
+        });
+
+        // Don't open the next post while the user is working on LinkedIn
+        await ExecutionPolicy.waitWhileUserOnLinkedIn(logger);
         
         // Enhanced logging for each URL processing
         logger.log(`Processing post ${i + 1}/${limitedPostUrls.length}: ${postUrl}`);
         PersistentLogger.log(`🔄 Processing individual post analytics ${i + 1}/${limitedPostUrls.length}: ${postUrl}`);
 
+        const postRunId = await RunHistory.startRun({
+          type: 'post',
+          flow: 'post-analytics',
+          parentRunId: runId,
+          postUrl
+        });
+
         try {
           // Transform URL to analytics format
           const analyticsUrl = this.transformToAnalyticsUrl(postUrl);
@@ -2935,6 +6204,7 @@ const AdvancedPostAnalytics = {
                 uploadResult: uploadResult
               });
               results.successful++;
+              await RunHistory.finishRun(postRunId, 'Success', null, { fileName: uploadResult.filename });
               logger.log(`✅ Post ${i + 1}/${limitedPostUrls.length} uploaded successfully`);
               PersistentLogger.log(`✅ Successfully processed post ${i + 1}/${limitedPostUrls.length}: ${postUrl}`);
             } else {
@@ -2945,6 +6215,7 @@ const AdvancedPostAnalytics = {
                 error: `Upload failed: ${uploadResult.error}`
               });
               results.failed++;
+              await RunHistory.finishRun(postRunId, 'Failed', new AutomationError(`Upload failed: ${uploadResult.error}`, { postUrl }));
             }
           } else {
             logger.error(`❌ Download failed for post: ${postUrl}`);
@@ -2954,6 +6225,7 @@ const AdvancedPostAnalytics = {
               error: 'Download failed - no file detected'
             });
             results.failed++;
+            await RunHistory.finishRun(postRunId, 'Failed', new AutomationError('Download failed - no file detected', { postUrl }));
           }
 
           results.processed++;
@@ -2992,6 +6264,7 @@ const AdvancedPostAnalytics = {
           
           results.failed++;
           results.processed++;
+          await RunHistory.finishRun(postRunId, 'Failed', error);
           
           // Still add delay even on error to avoid rapid requests
           if (i < limitedPostUrls.length - 1) {
@@ -3303,105 +6576,24 @@ const AdvancedPostAnalytics = {
   },
 
   /**
-   * Try multiple approaches to click the export button
+   * Click the export button on a post analytics page
    * @param {number} tabId - Tab ID
    * @param {Object} logger - Logger instance
    * @returns {Promise<void>}
+   * @throws {Error} If no locator strategy finds the button
    */
   async tryClickExportButton(tabId, logger) {
-    // First try the standard MultilingualTabInteractions approach
-    try {
-      await MultilingualTabInteractions.clickButton(tabId, 'export');
-      logger.log('Export button clicked using MultilingualTabInteractions');
-      return;
-    } catch (error) {
-      logger.warn(`MultilingualTabInteractions export click failed: ${error.message}`);
-    }
-
-    // Try direct button clicking with flexible selectors
-    return new Promise((resolve, reject) => {
-      chrome.scripting.executeScript({
-        target: { tabId },
-        func: () => {
-          // Try multiple selectors for export buttons
-          const exportSelectors = [
-            'button[data-test-id="export-button"]',
-            'button[aria-label*="Export"]',
-            'button[aria-label*="export"]',
-            'button[data-test-id*="export"]',
-            'button[data-test-id*="download"]',
-            '[role="button"][aria-label*="Export"]',
-            '[role="button"][aria-label*="export"]'
-          ];
-
-          let exportButton = null;
-
-          // Try each selector
-          for (const selector of exportSelectors) {
-            exportButton = document.querySelector(selector);
-            if (exportButton) {
-              PersistentLogger.log(`Found export button with selector: ${selector}`);
-              break;
-            }
-          }
-
-          // If no button found with specific selectors, try text-based search
-          if (!exportButton) {
-            const allButtons = Array.from(document.querySelectorAll('button'));
-            exportButton = allButtons.find(btn => {
-              const text = btn.textContent?.toLowerCase() || '';
-              const ariaLabel = btn.getAttribute('aria-label')?.toLowerCase() || '';
-              return text.includes('export') || text.includes('download') || 
-                     ariaLabel.includes('export') || ariaLabel.includes('download');
-            });
-
-            if (exportButton) {
-              PersistentLogger.log(`Found export button by text search: ${exportButton.textContent || exportButton.getAttribute('aria-label')}`);
-            }
-          }
+    // The export target covers data attributes, aria-labels and button text in every language
+    const language = await MultilingualTabInteractions.getLanguage(tabId);
+    await PageConditions.waitForTargets(tabId, ['export'], language);
 
-          if (exportButton) {
-            exportButton.click();
-            return { success: true, buttonText: exportButton.textContent || exportButton.getAttribute('aria-label') };
-          } else {
-            // Log available buttons for debugging
-            const allButtons = Array.from(document.querySelectorAll('button'));
-            const buttonInfo = allButtons.map(btn => ({
-              text: btn.textContent?.trim(),
-              ariaLabel: btn.getAttribute('aria-label'),
-              dataTestId: btn.getAttribute('data-test-id'),
-              className: btn.className
-            }));
-            
-            return { 
-              success: false, 
-              error: 'No export button found',
-              availableButtons: buttonInfo.slice(0, 10) // Limit to first 10 for debugging
-            };
-          }
-        }
-      }, (results) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(`Script execution failed: ${chrome.runtime.lastError.message}`));
-          return;
-        }
+    const result = await ElementLocator.clickTarget(tabId, 'export', language);
+    if (!result.found) {
+      throw new Error(`Export button not found (language: ${language}). Strategies tried: ${result.tried.join(', ')}`);
+    }
 
-        if (results && results[0] && results[0].result) {
-          const result = results[0].result;
-          
-          if (result.success) {
-            logger.log(`Export button clicked successfully: ${result.buttonText}`);
-            resolve();
-          } else {
-            logger.error(`Export button not found: ${result.error}`);
-            logger.log('Available buttons:', result.availableButtons);
-            reject(new Error(result.error));
-          }
-        } else {
-          reject(new Error('No result from export button click script'));
-        }
-      });
-    });
+    await PageConditions.settle(tabId);
+    logger.log(`Export button clicked using ElementLocator (strategy: ${result.strategy})`);
   },
 
   /**
@@ -3500,8 +6692,6 @@ const AdvancedPostAnalytics = {
    * @returns {Promise<Object>} Upload result
    */
   async uploadSinglePostAnalytics(email, originalUrl, analyticsUrl, downloadInfo, logger) {
-    const API_ENDPOINT = 'https://mlew54d2u3dfar47trgs2rjjgi0vfopc.lambda-url.us-east-1.on.aws/';
-
     try {
       logger.log(`Uploading post analytics for: ${analyticsUrl}`);
 
@@ -3578,43 +6768,36 @@ const AdvancedPostAnalytics = {
       
       logger.log(`✅ Uploading: ${filename} (post_id: ${urlPostId})`);
       
-      // Prepare FormData for Lambda (use URL post_id, not filename post_id)
-      const formData = new FormData();
-      formData.append('Email', email);
-      formData.append('post_id', urlPostId); // Use URL post_id, not filename post_id
-      formData.append('filename', filename);
-      formData.append('analytics_url', analyticsUrl);
-      formData.append('file_validation', JSON.stringify({
-        is_postanalytics_file: isPostAnalyticsFile,
-        url_post_id: urlPostId,
-        filename_post_id: filenamePostId,
-        post_ids_match: urlPostId === filenamePostId
-      }));
-      
-      // Convert base64 back to blob for FormData
-      const binaryString = atob(fileBase64);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
-      const fileBlob = new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-      formData.append('xlsx', fileBlob, filename); // Use filename here too
-      
-      // Upload to API with FormData (same as main upload)
-      const response = await fetch(API_ENDPOINT, {
-        method: 'POST',
-        body: formData
+      // Convert base64 back to blob for upload
+      const fileBlob = base64ToBlob(fileBase64, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await ExportArchive.trySave({ type: ExportArchive.TYPES.POST, fileName: filename, blob: fileBlob, postUrl: originalUrl });
+
+      // Upload to every destination configured for post analytics (use URL post_id, not filename post_id)
+      const delivery = await UploadDestinations.deliver({
+        type: UploadDestinations.TYPES.POST,
+        email,
+        fileName: filename,
+        blob: fileBlob,
+        postId: urlPostId,
+        analyticsUrl,
+        fileValidation: {
+          is_postanalytics_file: isPostAnalyticsFile,
+          url_post_id: urlPostId,
+          filename_post_id: filenamePostId,
+          post_ids_match: urlPostId === filenamePostId
+        }
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Upload failed with status ${response.status}: ${errorText}`);
+      if (delivery.delivered.length === 0 && delivery.failures.length > 0) {
+        throw delivery.failures[0].error;
       }
+      delivery.failures.forEach((failure) => {
+        logger.warn(`Post analytics upload to destination ${failure.destinationId} failed: ${failure.error.message}`);
+      });
 
-      const result = await response.json();
       logger.log(`Post analytics uploaded successfully`);
 
-      return { success: true, result: result };
+      return { success: true, result: delivery.response, filename: filename };
 
     } catch (error) {
       logger.error(`Failed to upload single post analytics: ${error.message}`);
@@ -0,0 +1,121 @@
+/**
+ * Company Schedule
+ * Works out when each company page is next due for an upload, based on the
+ * company frequency setting (daily, every 3 days, weekly, monthly or a fixed weekday).
+ *
+ * Loaded by the background service worker, which sets the company alarm, and by
+ * the options page, which shows the next run for every company.
+ */
+
+const CompanySchedule = {
+  STORAGE_KEY: 'companySchedule',
+
+  // Supported frequency settings
+  FREQUENCIES: {
+    DAILY: 'daily',
+    EVERY_3_DAYS: '3days',
+    WEEKLY: 'weekly',
+    MONTHLY: 'monthly',
+    WEEKDAY: 'weekday'
+  },
+
+  // Weekly uploads on Monday unless configured otherwise
+  DEFAULTS: {
+    frequency: 'weekly',
+    weekday: 1
+  },
+
+  // Fixed intervals in milliseconds; monthly and weekday follow the calendar
+  INTERVALS: {
+    daily: 24 * 60 * 60 * 1000,
+    '3days': 3 * 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+  },
+
+  /**
+   * Fill in defaults and drop invalid values from stored settings
+   * @param {Object} settings - The stored company schedule
+   * @returns {Object} Settings as { frequency, weekday }
+   */
+  normalize(settings) {
+    const frequency = Object.values(this.FREQUENCIES).includes(settings && settings.frequency)
+      ? settings.frequency
+      : this.DEFAULTS.frequency;
+    const weekday = Number.isInteger(settings && settings.weekday) && settings.weekday >= 0 && settings.weekday <= 6
+      ? settings.weekday
+      : this.DEFAULTS.weekday;
+
+    return { frequency, weekday };
+  },
+
+  /**
+   * Get the time a company is next due
+   * @param {number|null} lastExecutionTime - When the company last ran, in milliseconds
+   * @param {Object} settings - The company schedule
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} The next run time in milliseconds (now if the company has never run)
+   */
+  getNextRun(lastExecutionTime, settings, now = Date.now()) {
+    if (!lastExecutionTime) {
+      return now;
+    }
+
+    const { frequency, weekday } = this.normalize(settings);
+    const last = new Date(lastExecutionTime);
+
+    if (frequency === this.FREQUENCIES.MONTHLY) {
+      // Same day next month, clamped to the last day of shorter months
+      const next = new Date(last);
+      next.setDate(1);
+      next.setMonth(next.getMonth() + 1);
+      const daysInMonth = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+      next.setDate(Math.min(last.getDate(), daysInMonth));
+      return next.getTime();
+    }
+
+    if (frequency === this.FREQUENCIES.WEEKDAY) {
+      // The next occurrence of the weekday after the last run, at the same time of day
+      const next = new Date(last);
+      const daysAhead = ((weekday - last.getDay() + 7) % 7) || 7;
+      next.setDate(next.getDate() + daysAhead);
+      return next.getTime();
+    }
+
+    return lastExecutionTime + this.INTERVALS[frequency];
+  },
+
+  /**
+   * Check whether a company is due for an upload
+   * @param {Object} status - The company's upload status
+   * @param {Object} settings - The company schedule
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if the company has never run or its next run time has passed
+   */
+  isDue(status, settings, now = Date.now()) {
+    const lastExecutionTime = status ? status.lastExecutionTime : null;
+    return this.getNextRun(lastExecutionTime, settings, now) <= now;
+  },
+
+  /**
+   * Describe the schedule for display
+   * @param {Object} settings - The company schedule
+   * @returns {string} e.g. "Every Monday"
+   */
+  describe(settings) {
+    const { frequency, weekday } = this.normalize(settings);
+    const weekdayName = new Date(2024, 0, 7 + weekday).toLocaleDateString(undefined, { weekday: 'long' });
+
+    switch (frequency) {
+      case this.FREQUENCIES.DAILY:
+        return 'Daily';
+      case this.FREQUENCIES.EVERY_3_DAYS:
+        return 'Every 3 days';
+      case this.FREQUENCIES.MONTHLY:
+        return 'Monthly';
+      case this.FREQUENCIES.WEEKDAY:
+        return `Every ${weekdayName}`;
+      default:
+        return 'Weekly';
+    }
+  }
+};
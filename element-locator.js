@@ -0,0 +1,213 @@
+/**
+ * Element Locator
+ *
+ * Finds elements on LinkedIn pages without depending on a single CSS selector or exact
+ * wording. Each logical target (export button, time-range dropdown, ...) comes with a
+ * ranked list of strategies; candidates are scored by role, aria-label, data attributes,
+ * href pattern and text similarity, and the first strategy with a good enough match wins.
+ *
+ * Injected into LinkedIn tabs by the background service worker, which builds the targets
+ * (see ElementLocator in background.js) and calls window.elementLocator.click(target).
+ * Safe to inject more than once into the same tab.
+ */
+
+(() => {
+  if (window.elementLocator) {
+    return;
+  }
+
+  // Elements a strategy considers when it doesn't name its own selector
+  const DEFAULT_SELECTOR = 'button, a, [role="button"], [role="link"], [role="menuitem"], [role="option"], [role="tab"]';
+
+  // Score a candidate needs unless the strategy or target sets its own
+  const DEFAULT_MIN_SCORE = 0.6;
+
+  // Roles implied by the element's tag when there is no explicit role attribute
+  const IMPLICIT_ROLES = {
+    a: 'link',
+    button: 'button',
+    select: 'combobox',
+    option: 'option'
+  };
+
+  /**
+   * Lowercase, trim and collapse whitespace
+   * @param {string} text - Text to normalise
+   * @returns {string} Normalised text
+   */
+  function normalize(text) {
+    return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Score how closely an element's text matches a wanted text
+   * @param {string} candidate - Text found on the element
+   * @param {string} wanted - Text the target expects
+   * @returns {number} 1 for an exact match, 0.6-1 when the wanted text is contained
+   *   (higher for tighter matches), otherwise up to 0.8 for shared words
+   */
+  function textSimilarity(candidate, wanted) {
+    const a = normalize(candidate);
+    const b = normalize(wanted);
+    if (!a || !b) {
+      return 0;
+    }
+    if (a === b) {
+      return 1;
+    }
+    if (a.includes(b)) {
+      return 0.6 + 0.4 * (b.length / a.length);
+    }
+
+    // LinkedIn rewordings usually keep most of the words, e.g. "Show 12 results"
+    const candidateWords = new Set(a.split(' '));
+    const wantedWords = new Set(b.split(' '));
+    const common = [...wantedWords].filter(word => candidateWords.has(word)).length;
+    return 0.8 * (2 * common) / (candidateWords.size + wantedWords.size);
+  }
+
+  /**
+   * Best similarity between a text and any of the wanted texts
+   * @param {string} candidate - Text found on the element
+   * @param {string[]} texts - Texts the target expects
+   * @returns {number} The highest score
+   */
+  function bestSimilarity(candidate, texts) {
+    return (texts || []).reduce((best, text) => Math.max(best, textSimilarity(candidate, text)), 0);
+  }
+
+  /**
+   * Get an element's ARIA role, explicit or implied by its tag
+   * @param {Element} element - The element
+   * @returns {string|null} The role
+   */
+  function getRole(element) {
+    return element.getAttribute('role') || IMPLICIT_ROLES[element.tagName.toLowerCase()] || null;
+  }
+
+  /**
+   * Get an element's accessible name: aria-label, then text, then title
+   * @param {Element} element - The element
+   * @returns {string} The name
+   */
+  function getAccessibleName(element) {
+    return element.getAttribute('aria-label') || element.textContent || element.getAttribute('title') || '';
+  }
+
+  /**
+   * Check whether an element is rendered
+   * @param {Element} element - The element
+   * @returns {boolean} True if visible
+   */
+  function isVisible(element) {
+    return element.offsetParent !== null || element.getClientRects().length > 0;
+  }
+
+  /**
+   * Score an element against one strategy
+   * @param {Element} element - The candidate
+   * @param {Object} strategy - The strategy
+   * @returns {number} Score from 0 (no match) to 1
+   */
+  function scoreElement(element, strategy) {
+    switch (strategy.type) {
+      case 'attribute': {
+        const pattern = new RegExp(strategy.pattern, 'i');
+        return strategy.attributes.some(name => pattern.test(element.getAttribute(name) || '')) ? 1 : 0;
+      }
+      case 'href':
+        return new RegExp(strategy.pattern, 'i').test(element.getAttribute('href') || '') ? 1 : 0;
+      case 'ariaLabel':
+        return bestSimilarity(element.getAttribute('aria-label'), strategy.texts);
+      case 'role':
+        return getRole(element) === strategy.role ? bestSimilarity(getAccessibleName(element), strategy.texts) : 0;
+      case 'text':
+        return bestSimilarity(element.textContent, strategy.texts);
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Collect the visible candidates for a strategy
+   * @param {Object} strategy - The strategy
+   * @returns {Element[]} Candidates in document order
+   */
+  function getCandidates(strategy) {
+    const selector = strategy.selector || DEFAULT_SELECTOR;
+    const roots = strategy.scope
+      ? Array.from(document.querySelectorAll(strategy.scope)).filter(isVisible)
+      : [document];
+
+    const candidates = [];
+    for (const root of roots) {
+      for (const element of root.querySelectorAll(selector)) {
+        if (isVisible(element) && !candidates.includes(element)) {
+          candidates.push(element);
+        }
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Find the element for a target, trying its strategies in rank order
+   * @param {Object} target - The target
+   * @param {string} target.name - Logical target name, for logging
+   * @param {Object[]} target.strategies - Ranked strategies
+   * @param {number} [target.minScore] - Score a match needs
+   * @returns {Object|null} The match as { element, strategy, rank, score }
+   */
+  function locate(target) {
+    for (let rank = 0; rank < target.strategies.length; rank++) {
+      const strategy = target.strategies[rank];
+      const minScore = strategy.minScore || target.minScore || DEFAULT_MIN_SCORE;
+      let best = null;
+
+      for (const element of getCandidates(strategy)) {
+        const score = scoreElement(element, strategy);
+        if (score >= minScore && (!best || score > best.score)) {
+          best = { element, strategy: strategy.name, rank, score };
+        }
+      }
+
+      if (best) {
+        return best;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find and click the element for a target
+   * @param {Object} target - The target (see locate)
+   * @returns {Object} Result as { found, strategy, rank, score, description, tried }
+   */
+  function click(target) {
+    const tried = target.strategies.map(strategy => strategy.name);
+    const match = locate(target);
+    if (!match) {
+      return { found: false, tried };
+    }
+
+    const description = `${match.element.tagName.toLowerCase()} "${normalize(getAccessibleName(match.element)).slice(0, 60)}"`;
+    match.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    match.element.click();
+
+    return {
+      found: true,
+      strategy: match.strategy,
+      rank: match.rank,
+      score: match.score,
+      description,
+      tried: tried.slice(0, match.rank + 1)
+    };
+  }
+
+  window.elementLocator = {
+    textSimilarity,
+    scoreElement,
+    locate,
+    click
+  };
+})();
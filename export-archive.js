@@ -0,0 +1,208 @@
+/**
+ * Export Archive
+ * Keeps a local IndexedDB copy of every LinkedIn export the extension fetches
+ * (profile, company and individual post analytics workbooks).
+ *
+ * Loaded by the background service worker, which writes to the archive, and by
+ * the options page, which browses, re-downloads and deletes archived files.
+ */
+
+// Debug configuration for export archive - set to false for production
+const ARCHIVE_DEBUG_MODE = false;
+
+// Enhanced Logger with conditional logging for export archive
+const ArchiveLogger = {
+  log: (message) => {
+    if (ARCHIVE_DEBUG_MODE) console.log(`[Export Archive] ${message}`);
+  },
+  error: (message) => {
+    // Always log errors, even in production
+    console.error(`[Export Archive Error] ${message}`);
+  }
+};
+
+const ExportArchive = {
+  DB_NAME: 'ppaExportArchive',
+  DB_VERSION: 1,
+  STORE: 'exports',
+
+  // Kinds of workbook stored in the archive
+  TYPES: {
+    PROFILE: 'profile',
+    COMPANY: 'company',
+    POST: 'post'
+  },
+
+  // Number of workbooks kept; a run with post analytics archives dozens, so older ones are deleted
+  MAX_ENTRIES: 500,
+
+  // Workbooks older than this are deleted, however few there are
+  MAX_AGE_DAYS: 180,
+
+  // Cached database connection
+  _dbPromise: null,
+
+  /**
+   * Open (and create on first use) the archive database
+   * @returns {Promise<IDBDatabase>} The database connection
+   */
+  open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const store = db.createObjectStore(this.STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('date', 'date');
+          store.createIndex('type', 'type');
+          store.createIndex('dateType', ['date', 'type']);
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this._dbPromise = null;
+          reject(new Error(`Failed to open export archive: ${request.error && request.error.message}`));
+        };
+      });
+    }
+    return this._dbPromise;
+  },
+
+  /**
+   * Run a request against the object store inside a transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the object store and returns an IDBRequest
+   * @returns {Promise<*>} The request result once the transaction completes
+   */
+  async _withStore(mode, work) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE, mode);
+      const request = work(transaction.objectStore(this.STORE));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Export archive transaction aborted'));
+    });
+  },
+
+  /**
+   * Format a date as a local YYYY-MM-DD key
+   * @param {Date} date - The date to format
+   * @returns {string} The date key
+   */
+  formatDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  /**
+   * Store a workbook in the archive, and delete the workbooks beyond MAX_ENTRIES
+   * or older than MAX_AGE_DAYS
+   * @param {Object} entry - The archive entry
+   * @param {string} entry.type - One of TYPES
+   * @param {string} entry.fileName - The workbook file name
+   * @param {Blob} entry.blob - The workbook contents
+   * @param {string} [entry.companyId] - Company ID for company exports
+   * @param {string} [entry.postUrl] - Post URL for individual post exports
+   * @returns {Promise<number>} The ID of the stored entry
+   */
+  async save({ type, fileName, blob, companyId = null, postUrl = null }) {
+    const now = new Date();
+    const record = {
+      type,
+      fileName,
+      blob,
+      companyId,
+      postUrl,
+      date: this.formatDate(now),
+      createdAt: now.toISOString(),
+      size: blob.size,
+      mimeType: blob.type || 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    };
+
+    const id = await this._withStore('readwrite', store => store.add(record));
+    ArchiveLogger.log(`Archived ${type} export ${fileName} (${record.size} bytes) as #${id}`);
+
+    await this.prune(now.getTime());
+    return id;
+  },
+
+  /**
+   * Delete the oldest workbooks beyond MAX_ENTRIES and those older than MAX_AGE_DAYS
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<number>} The number of deleted workbooks
+   */
+  async prune(now = Date.now()) {
+    const cutoff = new Date(now - this.MAX_AGE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const expired = (await this.list())
+      .filter((entry, index) => index >= this.MAX_ENTRIES || entry.createdAt < cutoff)
+      .map(entry => entry.id);
+
+    if (expired.length > 0) {
+      await this._withStore('readwrite', (store) => {
+        expired.forEach(id => store.delete(id));
+        return null;
+      });
+      ArchiveLogger.log(`Deleted ${expired.length} old archived export(s)`);
+    }
+    return expired.length;
+  },
+
+  /**
+   * Store a workbook, logging instead of throwing on failure so archiving never breaks an upload
+   * @param {Object} entry - The archive entry (see save)
+   * @returns {Promise<number|null>} The ID of the stored entry, or null on failure
+   */
+  async trySave(entry) {
+    try {
+      return await this.save(entry);
+    } catch (error) {
+      ArchiveLogger.error(`Failed to archive ${entry.type} export ${entry.fileName}: ${error.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * List archived workbooks without their contents, newest first
+   * @param {string} type - Optional type filter (one of TYPES)
+   * @returns {Promise<Object[]>} Archive entry metadata
+   */
+  async list(type = null) {
+    const records = await this._withStore('readonly', (store) => (
+      type ? store.index('type').getAll(type) : store.getAll()
+    ));
+
+    return records
+      .map(({ blob, ...metadata }) => metadata)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id);
+  },
+
+  /**
+   * Get an archived workbook including its contents
+   * @param {number} id - The entry ID
+   * @returns {Promise<Object|undefined>} The archive entry
+   */
+  async get(id) {
+    return this._withStore('readonly', store => store.get(id));
+  },
+
+  /**
+   * Delete an archived workbook
+   * @param {number} id - The entry ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this._withStore('readwrite', store => store.delete(id));
+  },
+
+  /**
+   * Delete every archived workbook
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._withStore('readwrite', store => store.clear());
+  }
+};
@@ -0,0 +1,339 @@
+/**
+ * Analytics Export Parser
+ * Parses the LinkedIn creator analytics export (Content_*.xlsx) into a normalized
+ * JSON model so stats can be shown without the backend.
+ *
+ * Sheets are read by position rather than name because LinkedIn localizes the
+ * sheet names and row labels; the order and layout are the same in every language.
+ */
+
+// Debug configuration for export parser - set to false for production
+const PARSER_DEBUG_MODE = false;
+
+// Enhanced Logger with conditional logging for export parser
+const ParserLogger = {
+  log: (message) => {
+    if (PARSER_DEBUG_MODE) console.log(`[Export Parser] ${message}`);
+  },
+  error: (message) => {
+    // Always log errors, even in production
+    console.error(`[Export Parser Error] ${message}`);
+  }
+};
+
+class AnalyticsExportParser {
+  // Position of each sheet in the creator analytics export
+  static get SHEETS() {
+    return {
+      DISCOVERY: 0,
+      ENGAGEMENT: 1,
+      TOP_POSTS: 2,
+      FOLLOWERS: 3,
+      DEMOGRAPHICS: 4
+    };
+  }
+
+  /**
+   * Parse an export file
+   * @param {ArrayBuffer|Uint8Array} data - The xlsx file contents
+   * @returns {Object} The normalized analytics model
+   */
+  static parseFile(data) {
+    const workbook = XLSX.read(new Uint8Array(data), { type: 'array' });
+    return AnalyticsExportParser.parseWorkbook(workbook);
+  }
+
+  /**
+   * Parse a SheetJS workbook
+   * @param {Object} workbook - The SheetJS workbook
+   * @returns {Object} The normalized analytics model
+   */
+  static parseWorkbook(workbook) {
+    const sheetRows = workbook.SheetNames.map(name => (
+      XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: true, defval: null })
+    ));
+    return AnalyticsExportParser.parseSheets(sheetRows);
+  }
+
+  /**
+   * Build the analytics model from the rows of each sheet
+   * @param {Array<Array<Array<*>>>} sheetRows - Rows of every sheet, in workbook order
+   * @returns {Object} The normalized analytics model
+   */
+  static parseSheets(sheetRows) {
+    const { SHEETS } = AnalyticsExportParser;
+
+    if (sheetRows.length < SHEETS.FOLLOWERS + 1) {
+      throw new Error(`Expected at least ${SHEETS.FOLLOWERS + 1} sheets in the analytics export, found ${sheetRows.length}`);
+    }
+
+    const discovery = AnalyticsExportParser.parseDiscovery(sheetRows[SHEETS.DISCOVERY] || []);
+    const engagement = AnalyticsExportParser.parseEngagement(sheetRows[SHEETS.ENGAGEMENT] || []);
+    const topPosts = AnalyticsExportParser.parseTopPosts(sheetRows[SHEETS.TOP_POSTS] || []);
+    const followers = AnalyticsExportParser.parseFollowers(sheetRows[SHEETS.FOLLOWERS] || []);
+    const demographics = AnalyticsExportParser.parseDemographics(sheetRows[SHEETS.DEMOGRAPHICS] || []);
+
+    // Merge the per-day series into one row per date
+    const dailyByDate = {};
+    engagement.forEach((day) => {
+      dailyByDate[day.date] = { date: day.date, impressions: day.impressions, engagements: day.engagements, newFollowers: null };
+    });
+    followers.daily.forEach((day) => {
+      dailyByDate[day.date] = dailyByDate[day.date] || { date: day.date, impressions: null, engagements: null, newFollowers: null };
+      dailyByDate[day.date].newFollowers = day.newFollowers;
+    });
+    const daily = Object.values(dailyByDate).sort((a, b) => a.date.localeCompare(b.date));
+
+    const sum = (rows, key) => rows.reduce((total, row) => total + (row[key] || 0), 0);
+    const impressions = discovery.impressions !== null ? discovery.impressions : sum(engagement, 'impressions');
+    const engagements = sum(engagement, 'engagements');
+
+    const model = {
+      period: discovery.period || AnalyticsExportParser.periodFromDaily(daily),
+      totals: {
+        impressions,
+        membersReached: discovery.membersReached,
+        engagements,
+        engagementRate: impressions > 0 ? engagements / impressions : null,
+        newFollowers: sum(followers.daily, 'newFollowers'),
+        totalFollowers: followers.total,
+        followersAsOf: followers.asOf
+      },
+      daily,
+      topPosts,
+      demographics
+    };
+
+    ParserLogger.log(`Parsed export with ${daily.length} days, ${topPosts.byImpressions.length} top posts and ${demographics.length} demographic rows`);
+    return model;
+  }
+
+  /**
+   * Parse the discovery sheet (overall impressions and members reached)
+   * @param {Array<Array<*>>} rows - The sheet rows
+   * @returns {Object} Period, impressions and members reached
+   */
+  static parseDiscovery(rows) {
+    const values = rows
+      .map(row => AnalyticsExportParser.toNumber(row && row[1]))
+      .filter(value => value !== null);
+
+    return {
+      period: AnalyticsExportParser.parsePeriod(rows[0] && rows[0][1]),
+      impressions: values.length > 0 ? values[0] : null,
+      membersReached: values.length > 1 ? values[1] : null
+    };
+  }
+
+  /**
+   * Parse the engagement sheet (impressions and engagements per day)
+   * @param {Array<Array<*>>} rows - The sheet rows
+   * @returns {Object[]} One entry per day
+   */
+  static parseEngagement(rows) {
+    return rows
+      .map(row => ({
+        date: AnalyticsExportParser.toIsoDate(row && row[0]),
+        impressions: AnalyticsExportParser.toNumber(row && row[1]),
+        engagements: AnalyticsExportParser.toNumber(row && row[2])
+      }))
+      .filter(day => day.date && (day.impressions !== null || day.engagements !== null));
+  }
+
+  /**
+   * Parse the top posts sheet (two side-by-side rankings, by engagements and by impressions)
+   * @param {Array<Array<*>>} rows - The sheet rows
+   * @returns {Object} Posts ranked by engagements and by impressions
+   */
+  static parseTopPosts(rows) {
+    const byEngagements = [];
+    const byImpressions = [];
+
+    rows.forEach((row) => {
+      if (!row) return;
+
+      const engagements = AnalyticsExportParser.toNumber(row[2]);
+      if (AnalyticsExportParser.isUrl(row[0]) && engagements !== null) {
+        byEngagements.push({
+          url: row[0].trim(),
+          publishedAt: AnalyticsExportParser.toIsoDate(row[1]),
+          engagements
+        });
+      }
+
+      const impressions = AnalyticsExportParser.toNumber(row[6]);
+      if (AnalyticsExportParser.isUrl(row[4]) && impressions !== null) {
+        byImpressions.push({
+          url: row[4].trim(),
+          publishedAt: AnalyticsExportParser.toIsoDate(row[5]),
+          impressions
+        });
+      }
+    });
+
+    return { byEngagements, byImpressions };
+  }
+
+  /**
+   * Parse the followers sheet (total followers and new followers per day)
+   * @param {Array<Array<*>>} rows - The sheet rows
+   * @returns {Object} Total followers, the date it applies to and the daily series
+   */
+  static parseFollowers(rows) {
+    const header = rows[0] || [];
+    const asOfMatch = typeof header[0] === 'string' ? header[0].match(/(\d{1,2}\/\d{1,2}\/\d{4})/) : null;
+
+    const daily = rows
+      .slice(1)
+      .map(row => ({
+        date: AnalyticsExportParser.toIsoDate(row && row[0]),
+        newFollowers: AnalyticsExportParser.toNumber(row && row[1])
+      }))
+      .filter(day => day.date && day.newFollowers !== null);
+
+    return {
+      total: AnalyticsExportParser.toNumber(header[1]),
+      asOf: asOfMatch ? AnalyticsExportParser.toIsoDate(asOfMatch[1]) : null,
+      daily
+    };
+  }
+
+  /**
+   * Parse the demographics sheet
+   * @param {Array<Array<*>>} rows - The sheet rows
+   * @returns {Object[]} One entry per demographic value
+   */
+  static parseDemographics(rows) {
+    return rows
+      .slice(1)
+      .filter(row => row && row[0] && row[1])
+      .map(row => ({
+        category: String(row[0]).trim(),
+        value: String(row[1]).trim(),
+        percentage: AnalyticsExportParser.toPercentage(row[2])
+      }));
+  }
+
+  /**
+   * Parse a "M/D/YYYY - M/D/YYYY" period label
+   * @param {*} value - The cell value
+   * @returns {Object|null} Start and end ISO dates
+   */
+  static parsePeriod(value) {
+    if (typeof value !== 'string') return null;
+
+    const match = value.match(/(\d{1,2}\/\d{1,2}\/\d{4})\s*-\s*(\d{1,2}\/\d{1,2}\/\d{4})/);
+    if (!match) return null;
+
+    return {
+      start: AnalyticsExportParser.toIsoDate(match[1]),
+      end: AnalyticsExportParser.toIsoDate(match[2])
+    };
+  }
+
+  /**
+   * Derive the period from the first and last day of the daily series
+   * @param {Object[]} daily - The daily series, sorted by date
+   * @returns {Object|null} Start and end ISO dates
+   */
+  static periodFromDaily(daily) {
+    if (daily.length === 0) return null;
+    return { start: daily[0].date, end: daily[daily.length - 1].date };
+  }
+
+  /**
+   * Convert a cell value to an ISO date (YYYY-MM-DD)
+   * @param {*} value - A M/D/YYYY string or an Excel date serial number
+   * @returns {string|null} The ISO date, or null if the value is not a date
+   */
+  static toIsoDate(value) {
+    if (typeof value === 'number' && value > 0) {
+      // Excel serial dates count days from 1899-12-30
+      const date = new Date(Date.UTC(1899, 11, 30) + Math.round(value) * 24 * 60 * 60 * 1000);
+      return date.toISOString().slice(0, 10);
+    }
+
+    if (typeof value === 'string') {
+      const match = value.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+      if (match) {
+        const [, month, day, year] = match;
+        return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a cell value to a number
+   * @param {*} value - A number or a numeric string, possibly with thousands separators
+   * @returns {number|null} The number, or null if the value is not numeric
+   */
+  static toNumber(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+
+    if (typeof value === 'string') {
+      const cleaned = value.replace(/[,\s]/g, '');
+      if (cleaned !== '' && /^-?\d+(\.\d+)?$/.test(cleaned)) {
+        return parseFloat(cleaned);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a demographics percentage to a fraction
+   * @param {*} value - A fraction (0.05), a percentage string ("5%") or a bucket like "< 1%"
+   * @returns {number|null} The fraction, or null if it cannot be determined
+   */
+  static toPercentage(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    if (typeof value === 'string') {
+      const match = value.match(/^\s*(\d+(?:\.\d+)?)\s*%\s*$/);
+      if (match) {
+        return parseFloat(match[1]) / 100;
+      }
+      const fraction = AnalyticsExportParser.toNumber(value);
+      if (fraction !== null) {
+        return fraction;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if a cell holds a URL
+   * @param {*} value - The cell value
+   * @returns {boolean} True if the value is an http(s) URL
+   */
+  static isUrl(value) {
+    return typeof value === 'string' && /^https?:\/\//.test(value.trim());
+  }
+
+  /**
+   * Reduce the model to the figures the popup shows
+   * @param {Object} model - The normalized analytics model
+   * @returns {Object} Summary figures
+   */
+  static summarize(model) {
+    const bestPost = model.topPosts.byImpressions[0] || null;
+
+    return {
+      period: model.period,
+      impressions: model.totals.impressions,
+      membersReached: model.totals.membersReached,
+      engagements: model.totals.engagements,
+      engagementRate: model.totals.engagementRate,
+      newFollowers: model.totals.newFollowers,
+      totalFollowers: model.totals.totalFollowers,
+      topPost: bestPost
+    };
+  }
+}
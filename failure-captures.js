@@ -0,0 +1,118 @@
+/**
+ * Failure Captures
+ * Keeps a local IndexedDB record of what the automation tab showed when a run failed:
+ * a screenshot, a trimmed DOM snapshot, the URL and the visible buttons.
+ *
+ * Loaded by the background service worker, which stores a capture when a recipe step
+ * fails, and by the options page, which offers the captures for download from the run history.
+ */
+
+// Debug configuration for failure captures - set to false for production
+const CAPTURE_DEBUG_MODE = false;
+
+// Enhanced Logger with conditional logging for failure captures
+const CaptureLogger = {
+  log: (message) => {
+    if (CAPTURE_DEBUG_MODE) console.log(`[Failure Captures] ${message}`);
+  },
+  error: (message) => {
+    // Always log errors, even in production
+    console.error(`[Failure Captures Error] ${message}`);
+  }
+};
+
+const FailureCaptures = {
+  DB_NAME: 'ppaFailureCaptures',
+  DB_VERSION: 1,
+  STORE: 'captures',
+
+  // Number of captures kept; screenshots are large, so older ones are deleted
+  MAX_ENTRIES: 20,
+
+  // Cached database connection
+  _dbPromise: null,
+
+  /**
+   * Open (and create on first use) the capture database
+   * @returns {Promise<IDBDatabase>} The database connection
+   */
+  open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const store = db.createObjectStore(this.STORE, { keyPath: 'runId' });
+          store.createIndex('createdAt', 'createdAt');
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this._dbPromise = null;
+          reject(new Error(`Failed to open failure captures: ${request.error && request.error.message}`));
+        };
+      });
+    }
+    return this._dbPromise;
+  },
+
+  /**
+   * Run a request against the object store inside a transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the object store and returns an IDBRequest
+   * @returns {Promise<*>} The request result once the transaction completes
+   */
+  async _withStore(mode, work) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE, mode);
+      const request = work(transaction.objectStore(this.STORE));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Failure capture transaction aborted'));
+    });
+  },
+
+  /**
+   * Store the capture of a failed run, replacing an earlier one for the same run,
+   * and delete the oldest captures beyond MAX_ENTRIES
+   * @param {Object} capture - The capture
+   * @param {string} capture.runId - Run history ID of the failed run
+   * @param {string} capture.createdAt - When the capture was taken (ISO string)
+   * @returns {Promise<void>}
+   */
+  async save(capture) {
+    await this._withStore('readwrite', store => store.put(capture));
+    CaptureLogger.log(`Stored failure capture for run ${capture.runId}`);
+
+    const keys = await this._withStore('readonly', store => store.index('createdAt').getAllKeys());
+    const expired = keys.slice(0, Math.max(0, keys.length - this.MAX_ENTRIES));
+    if (expired.length > 0) {
+      await this._withStore('readwrite', (store) => {
+        expired.forEach(runId => store.delete(runId));
+        return null;
+      });
+      CaptureLogger.log(`Deleted ${expired.length} old failure capture(s)`);
+    }
+  },
+
+  /**
+   * Get the capture of a run
+   * @param {string} runId - The run history ID
+   * @returns {Promise<Object|undefined>} The capture
+   */
+  async get(runId) {
+    return this._withStore('readonly', store => store.get(runId));
+  },
+
+  /**
+   * Delete every capture
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._withStore('readwrite', store => store.clear());
+  }
+};
@@ -24,7 +24,8 @@ function debugLog(message, data = null) {
 }
 
 // Function to find and click the "Start a post" button
-function clickStartPostButton() {
+// startPostTexts holds the button label in every supported language
+function clickStartPostButton(startPostTexts = ['Start a post']) {
   return new Promise((resolve, reject) => {
     debugLog('Starting clickStartPostButton function');
     
@@ -32,12 +33,7 @@ function clickStartPostButton() {
     debugLog('Current URL:', window.location.href);
     
     // Try different selectors for the "Start a post" button
-    const possibleSelectors = [
-      'button[aria-label="Start a post"]',
-      'button[aria-label="Beitrag erstellen"]', // German
-      'button[aria-label="Crear una publicación"]', // Spanish
-      'button[aria-label="Commencer un post"]' // French
-    ];
+    const possibleSelectors = startPostTexts.map(label => `button[aria-label="${label}"]`);
     
     // Try to find the button
     let button = null;
@@ -65,10 +61,7 @@ function clickStartPostButton() {
       
       for (const el of allButtons) {
         const text = el.textContent.trim().toLowerCase();
-        if (text.includes('start a post') || 
-            text.includes('beitrag erstellen') ||
-            text.includes('crear una publicación') ||
-            text.includes('commencer un post')) {
+        if (startPostTexts.some(label => text.includes(label.toLowerCase()))) {
           button = el;
           debugLog('Found button by text content:', el.outerHTML);
           break;
@@ -0,0 +1,21 @@
+/**
+ * German LinkedIn UI strings
+ */
+LocaleRegistry.register('de', {
+  name: 'German',
+  strings: {
+    // Analytics navigation
+    postImpressions: 'Impressions von Beiträgen',
+    past7Days: 'Vergangene 7 Tage',
+    past28Days: 'Vergangene 28 Tage',
+    showResults: 'Ergebnisse anzeigen',
+    export: 'Exportieren',
+    // Post composer (Shiny app integration)
+    startPost: 'Beitrag erstellen',
+    post: 'Posten',
+    // Fallback words for finding the company export button
+    download: 'herunterladen',
+    save: 'speichern',
+    data: 'daten'
+  }
+});
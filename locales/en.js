@@ -0,0 +1,21 @@
+/**
+ * English LinkedIn UI strings (the reference pack: every other pack provides the same keys)
+ */
+LocaleRegistry.register('en', {
+  name: 'English',
+  strings: {
+    // Analytics navigation
+    postImpressions: 'Post impressions',
+    past7Days: 'Past 7 days',
+    past28Days: 'Past 28 days',
+    showResults: 'Show results',
+    export: 'Export',
+    // Post composer (Shiny app integration)
+    startPost: 'Start a post',
+    post: 'Post',
+    // Fallback words for finding the company export button
+    download: 'download',
+    save: 'save',
+    data: 'data'
+  }
+});
@@ -0,0 +1,21 @@
+/**
+ * Spanish LinkedIn UI strings
+ */
+LocaleRegistry.register('es', {
+  name: 'Spanish',
+  strings: {
+    // Analytics navigation
+    postImpressions: 'Impresiones de la publicación',
+    past7Days: 'Últimos 7 días',
+    past28Days: 'Últimos 28 días',
+    showResults: 'Mostrar resultados',
+    export: 'Exportar',
+    // Post composer (Shiny app integration)
+    startPost: 'Crear una publicación',
+    post: 'Publicar',
+    // Fallback words for finding the company export button
+    download: 'descargar',
+    save: 'guardar',
+    data: 'datos'
+  }
+});
@@ -0,0 +1,21 @@
+/**
+ * French LinkedIn UI strings
+ */
+LocaleRegistry.register('fr', {
+  name: 'French',
+  strings: {
+    // Analytics navigation
+    postImpressions: 'Impressions des publications',
+    past7Days: 'Les 7 derniers jours',
+    past28Days: 'Les 28 derniers jours',
+    showResults: 'Afficher les résultats',
+    export: 'Exporter',
+    // Post composer (Shiny app integration)
+    startPost: 'Commencer un post',
+    post: 'Publier',
+    // Fallback words for finding the company export button
+    download: 'télécharger',
+    save: 'enregistrer',
+    data: 'données'
+  }
+});
@@ -0,0 +1,21 @@
+/**
+ * Italian LinkedIn UI strings
+ */
+LocaleRegistry.register('it', {
+  name: 'Italian',
+  strings: {
+    // Analytics navigation
+    postImpressions: 'Impressioni dei post',
+    past7Days: 'Ultimi 7 giorni',
+    past28Days: 'Ultimi 28 giorni',
+    showResults: 'Mostra risultati',
+    export: 'Esporta',
+    // Post composer (Shiny app integration)
+    startPost: 'Crea un post',
+    post: 'Pubblica',
+    // Fallback words for finding the company export button
+    download: 'scarica',
+    save: 'salva',
+    data: 'dati'
+  }
+});
@@ -0,0 +1,21 @@
+/**
+ * Japanese LinkedIn UI strings
+ */
+LocaleRegistry.register('ja', {
+  name: 'Japanese',
+  strings: {
+    // Analytics navigation
+    postImpressions: '投稿のインプレッション',
+    past7Days: '過去7日間',
+    past28Days: '過去28日間',
+    showResults: '結果を表示',
+    export: 'エクスポート',
+    // Post composer (Shiny app integration)
+    startPost: '投稿を開始',
+    post: '投稿',
+    // Fallback words for finding the company export button
+    download: 'ダウンロード',
+    save: '保存',
+    data: 'データ'
+  }
+});
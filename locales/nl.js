@@ -0,0 +1,21 @@
+/**
+ * Dutch LinkedIn UI strings
+ */
+LocaleRegistry.register('nl', {
+  name: 'Dutch',
+  strings: {
+    // Analytics navigation
+    postImpressions: 'Weergaven van bijdragen',
+    past7Days: 'Afgelopen 7 dagen',
+    past28Days: 'Afgelopen 28 dagen',
+    showResults: 'Resultaten weergeven',
+    export: 'Exporteren',
+    // Post composer (Shiny app integration)
+    startPost: 'Bijdrage starten',
+    post: 'Plaatsen',
+    // Fallback words for finding the company export button
+    download: 'downloaden',
+    save: 'opslaan',
+    data: 'gegevens'
+  }
+});
@@ -0,0 +1,21 @@
+/**
+ * Polish LinkedIn UI strings
+ */
+LocaleRegistry.register('pl', {
+  name: 'Polish',
+  strings: {
+    // Analytics navigation
+    postImpressions: 'Wyświetlenia postów',
+    past7Days: 'Ostatnie 7 dni',
+    past28Days: 'Ostatnie 28 dni',
+    showResults: 'Pokaż wyniki',
+    export: 'Eksportuj',
+    // Post composer (Shiny app integration)
+    startPost: 'Utwórz post',
+    post: 'Opublikuj',
+    // Fallback words for finding the company export button
+    download: 'pobierz',
+    save: 'zapisz',
+    data: 'dane'
+  }
+});
@@ -0,0 +1,21 @@
+/**
+ * Portuguese LinkedIn UI strings
+ */
+LocaleRegistry.register('pt', {
+  name: 'Portuguese',
+  strings: {
+    // Analytics navigation
+    postImpressions: 'Impressões da publicação',
+    past7Days: 'Últimos 7 dias',
+    past28Days: 'Últimos 28 dias',
+    showResults: 'Exibir resultados',
+    export: 'Exportar',
+    // Post composer (Shiny app integration)
+    startPost: 'Começar publicação',
+    post: 'Publicar',
+    // Fallback words for finding the company export button
+    download: 'baixar',
+    save: 'salvar',
+    data: 'dados'
+  }
+});
@@ -0,0 +1,111 @@
+/**
+ * Locale Registry
+ * Collects the LinkedIn UI strings for every supported interface language. Each
+ * language lives in its own file under locales/ and registers itself here, so adding
+ * a language means adding one file and listing its code in LOCALES.
+ *
+ * Loaded by the background service worker. Functions injected into LinkedIn pages
+ * cannot see the registry, so they receive the texts they need as arguments.
+ */
+
+const LocaleRegistry = {
+  // English is the reference pack: its keys are the keys every pack must provide
+  DEFAULT_LOCALE: 'en',
+
+  // Language codes with a pack in locales/<code>.js
+  LOCALES: ['en', 'de', 'es', 'fr', 'it', 'pt', 'nl', 'pl', 'sv', 'tr', 'ja'],
+
+  // Registered packs keyed by language code
+  _packs: {},
+
+  /**
+   * Register a locale pack
+   * @param {string} code - Primary language code, e.g. 'de'
+   * @param {Object} pack - The pack
+   * @param {string} pack.name - English name of the language
+   * @param {Object} pack.strings - LinkedIn UI strings keyed like the English pack
+   */
+  register(code, pack) {
+    this._packs[code] = { code, name: pack.name, strings: pack.strings };
+  },
+
+  /**
+   * Get the script paths of every locale pack, relative to the extension root
+   * @returns {string[]} Paths for importScripts
+   */
+  getFiles() {
+    return this.LOCALES.map(code => `locales/${code}.js`);
+  },
+
+  /**
+   * Check whether a language has a registered pack
+   * @param {string} code - Primary language code
+   * @returns {boolean} True if the language is supported
+   */
+  has(code) {
+    return Boolean(this._packs[code]);
+  },
+
+  /**
+   * Get a language's pack, falling back to English
+   * @param {string} code - Primary language code ('default' means English)
+   * @returns {Object} The pack as { code, name, strings }
+   */
+  get(code) {
+    return this._packs[code] || this._packs[this.DEFAULT_LOCALE];
+  },
+
+  /**
+   * Get every translation of a UI string
+   * @param {string} key - The string key, e.g. 'export'
+   * @param {string} preferred - Optional language code whose text should come first
+   * @returns {string[]} Unique texts, preferred language first, then English, then the rest
+   */
+  getTexts(key, preferred = null) {
+    const order = [preferred, this.DEFAULT_LOCALE, ...this.LOCALES].filter(code => code && this._packs[code]);
+    const texts = [];
+
+    for (const code of order) {
+      const text = this._packs[code].strings[key];
+      if (text && !texts.includes(text)) {
+        texts.push(text);
+      }
+    }
+
+    return texts;
+  },
+
+  /**
+   * Get the page texts that identify each non-English language
+   * @returns {Object[]} Entries as { code, texts }
+   */
+  getDetectionHints() {
+    return this.LOCALES
+      .filter(code => code !== this.DEFAULT_LOCALE && this._packs[code])
+      .map(code => ({
+        code,
+        texts: [this._packs[code].strings.postImpressions, this._packs[code].strings.past28Days].filter(Boolean)
+      }));
+  },
+
+  /**
+   * Report the keys each pack is missing compared with the English pack
+   * @returns {Object} Missing keys keyed by language code; languages listed in LOCALES
+   *   without a registered pack report every key as missing
+   */
+  checkCoverage() {
+    const reference = this._packs[this.DEFAULT_LOCALE];
+    const requiredKeys = reference ? Object.keys(reference.strings) : [];
+    const missing = {};
+
+    for (const code of this.LOCALES) {
+      const pack = this._packs[code];
+      const missingKeys = requiredKeys.filter(key => !pack || !pack.strings[key]);
+      if (missingKeys.length > 0) {
+        missing[code] = missingKeys;
+      }
+    }
+
+    return missing;
+  }
+};
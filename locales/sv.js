@@ -0,0 +1,21 @@
+/**
+ * Swedish LinkedIn UI strings
+ */
+LocaleRegistry.register('sv', {
+  name: 'Swedish',
+  strings: {
+    // Analytics navigation
+    postImpressions: 'Visningar av inlägg',
+    past7Days: 'Senaste 7 dagarna',
+    past28Days: 'Senaste 28 dagarna',
+    showResults: 'Visa resultat',
+    export: 'Exportera',
+    // Post composer (Shiny app integration)
+    startPost: 'Skapa ett inlägg',
+    post: 'Publicera',
+    // Fallback words for finding the company export button
+    download: 'ladda ned',
+    save: 'spara',
+    data: 'data'
+  }
+});
@@ -0,0 +1,21 @@
+/**
+ * Turkish LinkedIn UI strings
+ */
+LocaleRegistry.register('tr', {
+  name: 'Turkish',
+  strings: {
+    // Analytics navigation
+    postImpressions: 'Gönderi gösterimleri',
+    past7Days: 'Son 7 gün',
+    past28Days: 'Son 28 gün',
+    showResults: 'Sonuçları göster',
+    export: 'Dışa aktar',
+    // Post composer (Shiny app integration)
+    startPost: 'Gönderi başlat',
+    post: 'Yayınla',
+    // Fallback words for finding the company export button
+    download: 'indir',
+    save: 'kaydet',
+    data: 'veri'
+  }
+});
@@ -0,0 +1,33 @@
+/**
+ * Notification Settings
+ * Which desktop notifications the user turned on. Every type is opt-in except the
+ * login reminder, since a run can't succeed again until the user logs in to LinkedIn.
+ *
+ * Loaded by the background service worker, which shows the notifications, and by the
+ * options page, which has a switch per type.
+ */
+
+const NotificationSettings = {
+  STORAGE_KEY: 'notificationSettings',
+
+  // Notification types and whether they are on before the user changes anything
+  DEFAULTS: {
+    runFailed: false,       // A personal run failed and no retry is left
+    loginRequired: true,    // LinkedIn showed a login wall, checkpoint or captcha
+    companyFailed: false,   // A company page upload failed
+    weeklySummary: false    // The summary of the past week's runs is ready
+  },
+
+  /**
+   * Fill in defaults and drop unknown types from stored settings
+   * @param {Object} settings - The stored notification settings
+   * @returns {Object} One boolean per type in DEFAULTS
+   */
+  normalize(settings) {
+    const stored = settings || {};
+    return Object.fromEntries(Object.entries(this.DEFAULTS).map(([type, enabled]) => [
+      type,
+      typeof stored[type] === 'boolean' ? stored[type] : enabled
+    ]));
+  }
+};
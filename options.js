@@ -19,34 +19,29 @@ document.addEventListener("DOMContentLoaded", function () {
     }
   });
 
-  // Get the company ID from storage and set it in the input field if it's available
-  chrome.storage.local.get("companyId", function (data) {
-    if (data.companyId) {
-      document.getElementById("companyId").value = data.companyId;
-    }
-  });
+  // Add a company when the user clicks the "Add Company" button
+  document.getElementById("add-company").addEventListener("click", function () {
+    const companyId = document.getElementById("newCompanyId").value.trim();
+    const label = document.getElementById("newCompanyLabel").value.trim();
 
-  // Save the company ID when the user clicks the "Save Company ID" button
-  document.getElementById("save-company-id").addEventListener("click", function () {
-    const companyId = document.getElementById("companyId").value.trim();
-    
     // Validate company ID (should be numeric)
-    if (companyId && /^\d+$/.test(companyId)) {
-      // Save the company ID to chrome storage
-      chrome.storage.local.set({ companyId: companyId }, function () {
-        showStatusMessage("companyIdStatus", "Company ID saved successfully!", "success");
-        // Update company execution displays
-        updateCompanyExecutionDisplays();
-      });
-    } else if (companyId === "") {
-      // Allow clearing the company ID
-      chrome.storage.local.remove("companyId", function () {
-        showStatusMessage("companyIdStatus", "Company ID cleared.", "success");
-        updateCompanyExecutionDisplays();
-      });
-    } else {
+    if (!/^\d+$/.test(companyId)) {
       showStatusMessage("companyIdStatus", "Please enter a valid numeric Company ID.", "error");
+      return;
     }
+
+    getCompanyList(function (companies) {
+      if (companies.some(company => company.id === companyId)) {
+        showStatusMessage("companyIdStatus", "This company is already in the list.", "error");
+        return;
+      }
+
+      saveCompanyList([...companies, { id: companyId, label }], function () {
+        document.getElementById("newCompanyId").value = "";
+        document.getElementById("newCompanyLabel").value = "";
+        showStatusMessage("companyIdStatus", "Company added successfully!", "success");
+      });
+    });
   });
 
 
@@ -61,30 +56,44 @@ document.addEventListener("DOMContentLoaded", function () {
      const frequency = document.getElementById('uploadFrequency').value;
 
      chrome.storage.local.set({ uploadFrequency: frequency }, function() {
-       // Update the interval in milliseconds based on selection
-       let interval;
-       switch(frequency) {
-         case 'daily':
-           interval = 24 * 60 * 60 * 1000; // 1 day
-           break;
-         default:
-           interval = 3 * 24 * 60 * 60 * 1000; // 3 days (default)
-       }
-
        // Send message to background script to update interval
        chrome.runtime.sendMessage({
          action: 'updateInterval',
-         interval: interval
+         interval: getUploadInterval(frequency)
+       }, (response) => {
+         // Display the next execution time planned by the background
+         if (response && response.nextExecution) {
+           updateNextExecutionDisplay(response.nextExecution);
+         }
        });
 
-       // Calculate and display the next execution time
-       updateNextExecutionDisplay(interval);
-
        // Show status message
        showStatusMessage("frequencyStatus", "Frequency saved successfully!", "success");
      });
    });
 
+  // Load flow preference and the flow that last worked for the configured account
+  chrome.storage.local.get(['flowPreference', 'flowStats', 'email'], function(result) {
+    if (result.flowPreference) {
+      document.getElementById('flowPreference').value = result.flowPreference;
+    }
+
+    const stats = result.flowStats && result.email ? result.flowStats[result.email] : null;
+    if (stats && stats.lastSuccessfulFlow) {
+      document.getElementById('lastSuccessfulFlow').textContent =
+        `Last successful flow: ${stats.lastSuccessfulFlow}.`;
+    }
+  });
+
+  // Save flow preference
+  document.getElementById('saveFlowPreference').addEventListener('click', function() {
+    const flowPreference = document.getElementById('flowPreference').value;
+
+    chrome.storage.local.set({ flowPreference: flowPreference }, function() {
+      showStatusMessage("flowPreferenceStatus", "Navigation flow saved successfully!", "success");
+    });
+  });
+
   // Load and handle advanced post statistics setting
   chrome.storage.local.get(['advancedPostStats', 'postsLimit'], function(result) {
     if (result.advancedPostStats !== undefined) {
@@ -164,54 +173,56 @@ function showStatusMessage(elementId, message, type) {
 }
 
 // Function to update the next execution display
-function updateNextExecutionDisplay(interval) {
+function updateNextExecutionDisplay(nextExecution) {
   const nextExecutionElement = document.getElementById("nextExecution");
 
-  // Get the current time
-  const now = new Date();
-
-  // Calculate the next execution time based on the new interval
-  const nextExecution = new Date(now.getTime() + interval);
-
-  // Update the storage with the new next execution time
-  chrome.storage.local.set({ nextExecution: nextExecution.getTime() });
-
   // Update the display
-  nextExecutionElement.textContent = nextExecution.toLocaleString();
+  nextExecutionElement.textContent = new Date(nextExecution).toLocaleString();
+}
+
+// Function to get the upload interval in milliseconds for a frequency setting
+function getUploadInterval(frequency) {
+  switch(frequency) {
+    case 'daily':
+      return 24 * 60 * 60 * 1000; // 1 day
+    case 'weekly':
+      return 7 * 24 * 60 * 60 * 1000; // 7 days
+    case 'monthly':
+      return 30 * 24 * 60 * 60 * 1000; // 30 days
+    default:
+      return 3 * 24 * 60 * 60 * 1000; // 3 days (default)
+  }
 }
 
 //
 document.getElementById('run-script').addEventListener('click', () => {
-  // Set alarmsEnabled to true when manually running the script
-  chrome.storage.local.set({ alarmsEnabled: true }, () => {
-    OptionsLogger.log("alarmsEnabled flag set to true when manually running script");
+  chrome.runtime.sendMessage({ action: 'executeScript' }, (response) => {
+    if (response && response.started) {
+      showStatusMessage("runScriptStatus", "Analytics download initiated...", "success");
+    } else {
+      showStatusMessage("runScriptStatus", "An analytics run is already in progress.", "error");
+    }
   });
-  
-  chrome.runtime.sendMessage({ action: 'executeScript' });
 });
 
-// Manual company script execution
+// Manual company script execution for all configured companies
 document.getElementById('run-company-script').addEventListener('click', () => {
-  // Check if company ID is configured
-  chrome.storage.local.get("companyId", function (data) {
-    if (!data.companyId) {
-      showStatusMessage("companyIdStatus", "Please configure Company ID first before running company analytics.", "error");
+  // Check if a company is configured
+  getCompanyList(function (companies) {
+    if (companies.length === 0) {
+      showStatusMessage("companyIdStatus", "Please add a company first before running company analytics.", "error");
       return;
     }
     
-    // Set alarmsEnabled to true when manually running the script
-    chrome.storage.local.set({ alarmsEnabled: true }, () => {
-      OptionsLogger.log("alarmsEnabled flag set to true when manually running company script");
-    });
-    
     // Send message to background script to execute company analytics
-    chrome.runtime.sendMessage({ 
-      action: 'executeCompanyScript',
-      companyId: data.companyId 
+    chrome.runtime.sendMessage({ action: 'executeAllCompanyScripts' }, (response) => {
+      // Show feedback to user
+      if (response && response.started) {
+        showStatusMessage("companyIdStatus", `Company analytics download initiated for ${companies.length} ${companies.length === 1 ? "company" : "companies"}...`, "success");
+      } else {
+        showStatusMessage("companyIdStatus", "A company analytics run is already in progress.", "error");
+      }
     });
-    
-    // Show feedback to user
-    showStatusMessage("companyIdStatus", "Company analytics download initiated...", "success");
   });
 });
 
@@ -259,78 +270,1321 @@ document.addEventListener("DOMContentLoaded", () => {
     }
 });
 
-    // Load and display company execution information
-    updateCompanyExecutionDisplays();
 });
 
-// Function to update company execution displays
-function updateCompanyExecutionDisplays() {
-    const nextCompanyExecutionElement = document.getElementById("nextCompanyExecution");
-    const lastCompanyExecutionElement = document.getElementById("lastCompanyExecution");
-
-    chrome.storage.local.get([
-        "companyId", 
-        "nextCompanyExecution", 
-        "lastCompanyExecutionTime", 
-        "lastCompanyExecutionStatus", 
-        "lastCompanyExecutionError"
-    ], (data) => {
-        if (!data.companyId) {
-            nextCompanyExecutionElement.textContent = "Company ID not configured. Company uploads disabled.";
-            lastCompanyExecutionElement.textContent = "Configure Company ID to enable company analytics.";
+/////
+// alarm checker
+/////
+
+// Function to show whether scheduled runs happen, a pause taking precedence
+function renderAlarmStatus(data) {
+    const pause = PauseSettings.normalize(data[PauseSettings.STORAGE_KEY]);
+    const alarmStatus = document.getElementById("alarmStatus");
+
+    if (PauseSettings.isPaused(pause)) {
+        alarmStatus.innerText = `⏸️ ${PauseSettings.describe(pause)}. Scheduled runs are skipped until automation resumes.`;
+        alarmStatus.style.color = "#6f42c1";
+    } else if (!data.alarmsEnabled) {
+        alarmStatus.innerText = "⚠️ Warning: Chrome Alarms and Scheduling are disabled. Automated data upload will not work.";
+        alarmStatus.style.color = "red";
+    } else {
+        alarmStatus.innerText = PauseSettings.describe(pause);
+        alarmStatus.style.color = "";
+    }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    const keys = ["alarmsEnabled", PauseSettings.STORAGE_KEY];
+
+    chrome.storage.local.get(keys, renderAlarmStatus);
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === "local" && keys.some(key => key in changes)) {
+            chrome.storage.local.get(keys, renderAlarmStatus);
+        }
+    });
+});
+
+
+/////
+// run history
+/////
+const RUN_HISTORY_OUTCOME_BADGES = {
+    Success: "bg-success",
+    Failed: "bg-danger",
+    Running: "bg-info text-dark",
+    // Run outcome and company status when LinkedIn showed a login wall
+    "Session expired": "bg-warning text-dark",
+    "LinkedIn session expired": "bg-warning text-dark",
+    // Runs left behind when Chrome stopped the extension's service worker
+    Interrupted: "bg-dark"
+};
+
+// Current sort order of the run history table
+let runHistorySort = { key: "startedAt", direction: "desc" };
+
+// Function to get the value a run history column is sorted by
+function getRunHistorySortValue(run, key) {
+    switch (key) {
+        case "startedAt":
+            return new Date(run.startedAt).getTime();
+        case "duration":
+            return run.endedAt ? new Date(run.endedAt) - new Date(run.startedAt) : -1;
+        case "retryNumber":
+        case "postsProcessed":
+            return run[key] === null || run[key] === undefined ? -1 : run[key];
+        case "details":
+            return (run.error && run.error.message) || run.statusMessage || "";
+        default:
+            return (run[key] || "").toString().toLowerCase();
+    }
+}
+
+// Function to format a run duration for display
+function formatRunDuration(run) {
+    if (!run.endedAt) {
+        return "—";
+    }
+    const seconds = Math.round((new Date(run.endedAt) - new Date(run.startedAt)) / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+// Symbols for the step results of a run
+const RUN_STEP_SYMBOLS = {
+    success: "✓",
+    failed: "✗",
+    skipped: "–"
+};
+
+// Function to summarise a run's automation steps, one line per step
+function formatRunSteps(run) {
+    if (!run.steps || run.steps.length === 0) {
+        return null;
+    }
+    return run.steps.map((step) => {
+        const attempts = step.attempts > 1 ? `, ${step.attempts} attempts` : "";
+        const error = step.error ? `: ${step.error}` : "";
+        return `${RUN_STEP_SYMBOLS[step.status] || "?"} ${step.id} (${(step.durationMs / 1000).toFixed(1)}s${attempts})${error}`;
+    }).join("\n");
+}
+
+// Function to build a table cell with plain text content
+function createRunHistoryCell(text, title = null) {
+    const cell = document.createElement("td");
+    cell.textContent = text;
+    if (title) {
+        cell.title = title;
+    }
+    return cell;
+}
+
+// Origins the background worker needs to take screenshots of failed runs
+const FAILURE_SCREENSHOT_ORIGINS = ["<all_urls>"];
+
+// Function to save a file from the options page
+function saveFile(href, fileName) {
+    const link = document.createElement("a");
+    link.href = href;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+// Function to download what the automation tab showed when a run failed
+async function downloadFailureCapture(runId, part) {
+    try {
+        const capture = await FailureCaptures.get(runId);
+        if (!capture) {
+            showStatusMessage("runHistoryStatus", "This capture is no longer stored.", "error");
+            return;
+        }
+
+        if (part === "screenshot") {
+            saveFile(capture.screenshot, `ppa-failure-${runId}.jpg`);
+            return;
+        }
+
+        // The report holds everything except the screenshot, which is saved as an image
+        const { screenshot, ...report } = capture;
+        const url = URL.createObjectURL(new Blob([JSON.stringify(report, null, 2)], { type: "application/json" }));
+        saveFile(url, `ppa-failure-${runId}.json`);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        OptionsLogger.error(`Failed to download failure capture: ${error.message}`);
+        showStatusMessage("runHistoryStatus", `Download failed: ${error.message}`, "error");
+    }
+}
+
+// Function to summarise a run's failure capture for the details tooltip
+function formatRunCapture(run) {
+    if (!run.capture) {
+        return null;
+    }
+    const lines = [`Page: ${run.capture.url || "unknown"}`];
+    if (run.capture.title) {
+        lines.push(`Title: ${run.capture.title}`);
+    }
+    if (run.capture.buttonCount !== null) {
+        lines.push(`Visible buttons: ${run.capture.buttonCount}`);
+    }
+    if (run.capture.screenshotError) {
+        lines.push(`No screenshot: ${run.capture.screenshotError}`);
+    }
+    return lines.join("\n");
+}
+
+// Function to describe how a failed run was retried, from its error class
+function formatRunRetry(run) {
+    if (!run.retry) {
+        return null;
+    }
+    const errorClass = RetryPolicy.CLASSES[run.retry.errorClass];
+    const label = errorClass ? errorClass.label : run.retry.errorClass;
+    if (run.retry.gaveUp) {
+        return `${label}: gave up`;
+    }
+    return `${label}: retry at ${new Date(run.retry.retryAt).toLocaleString()}`;
+}
+
+// Function to render the run history table from storage
+function renderRunHistory() {
+    const tableBody = document.getElementById("runHistoryBody");
+
+    chrome.storage.local.get(["runHistory"], (data) => {
+        const runs = (data.runHistory || []).slice();
+        const { key, direction } = runHistorySort;
+        const factor = direction === "asc" ? 1 : -1;
+
+        runs.sort((a, b) => {
+            const valueA = getRunHistorySortValue(a, key);
+            const valueB = getRunHistorySortValue(b, key);
+            if (valueA < valueB) return -1 * factor;
+            if (valueA > valueB) return 1 * factor;
+            return 0;
+        });
+
+        // Reflect the sort order in the header
+        document.querySelectorAll("#runHistoryTable th[data-sort-key]").forEach((header) => {
+            header.classList.remove("sorted-asc", "sorted-desc");
+            if (header.dataset.sortKey === key) {
+                header.classList.add(`sorted-${direction}`);
+            }
+        });
+
+        tableBody.innerHTML = "";
+
+        if (runs.length === 0) {
+            const row = document.createElement("tr");
+            const cell = createRunHistoryCell("No runs recorded yet.");
+            cell.colSpan = 9;
+            cell.className = "text-muted small";
+            row.appendChild(cell);
+            tableBody.appendChild(row);
             return;
         }
 
-        // Show next company execution time
-        if (data.nextCompanyExecution) {
-            const nextExecution = new Date(data.nextCompanyExecution);
-            nextCompanyExecutionElement.textContent = nextExecution.toLocaleString();
+        runs.forEach((run) => {
+            const row = document.createElement("tr");
+
+            row.appendChild(createRunHistoryCell(new Date(run.startedAt).toLocaleString()));
+            row.appendChild(createRunHistoryCell(
+                run.type + (run.companyId ? ` (${run.companyId})` : "") +
+                    (run.timeRange && run.timeRange !== "past_28_days" ? ` (${run.timeRange})` : ""),
+                run.postUrl || null
+            ));
+            row.appendChild(createRunHistoryCell(
+                run.flow ? run.flow + (run.fallbackFrom ? ` (after ${run.fallbackFrom})` : "") : "—"
+            ));
+            row.appendChild(createRunHistoryCell(run.type === "personal" ? String(run.retryNumber) : "—"));
+
+            const outcomeCell = document.createElement("td");
+            const outcomeBadge = document.createElement("span");
+            outcomeBadge.className = `badge ${RUN_HISTORY_OUTCOME_BADGES[run.outcome] || "bg-secondary"}`;
+            outcomeBadge.textContent = run.outcome;
+            outcomeCell.appendChild(outcomeBadge);
+            // Runs continued from their checkpoint after the service worker was stopped
+            if (run.resumes) {
+                const resumeNote = document.createElement("div");
+                resumeNote.className = "small text-muted";
+                resumeNote.textContent = `resumed ${run.resumes}×`;
+                outcomeCell.appendChild(resumeNote);
+            }
+            row.appendChild(outcomeCell);
+
+            row.appendChild(createRunHistoryCell(formatRunDuration(run)));
+            const uploadNote = run.uploadQueued ? " (upload queued)" : run.uploadDropped ? " (upload dropped)" : "";
+            row.appendChild(createRunHistoryCell((run.fileName || "—") + uploadNote));
+            row.appendChild(createRunHistoryCell(
+                run.postsProcessed === null || run.postsProcessed === undefined
+                    ? "—"
+                    : `${run.postsProcessed}/${run.postsTotal || run.postsProcessed}`
+            ));
+
+            // The tooltip lists the steps the run went through
+            const steps = formatRunSteps(run);
+            if (run.error) {
+                const context = run.error.context && Object.keys(run.error.context).length > 0
+                    ? JSON.stringify(run.error.context, null, 2)
+                    : null;
+                const detailsCell = createRunHistoryCell(
+                    run.error.message,
+                    [steps, formatRunCapture(run), context].filter(Boolean).join("\n\n") || null
+                );
+                detailsCell.classList.add("text-danger");
+
+                // The retry policy's verdict, e.g. a retry after a network error or giving up
+                const retry = formatRunRetry(run);
+                if (retry) {
+                    const retryNote = document.createElement("div");
+                    retryNote.className = "small text-muted";
+                    retryNote.textContent = retry;
+                    detailsCell.appendChild(retryNote);
+                }
+
+                // Downloads of what the page showed when the run failed
+                if (run.capture) {
+                    const actions = document.createElement("div");
+                    actions.className = "mt-1";
+                    actions.appendChild(createArchiveActionButton(
+                        "bi-filetype-json", "Download page report", "btn-outline-secondary", () => downloadFailureCapture(run.id, "report")
+                    ));
+                    if (run.capture.screenshot) {
+                        actions.appendChild(createArchiveActionButton(
+                            "bi-image", "Download screenshot", "btn-outline-secondary", () => downloadFailureCapture(run.id, "screenshot")
+                        ));
+                    }
+                    detailsCell.appendChild(actions);
+                }
+                row.appendChild(detailsCell);
+            } else {
+                row.appendChild(createRunHistoryCell(run.statusMessage || "", steps));
+            }
+
+            tableBody.appendChild(row);
+        });
+    });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    renderRunHistory();
+
+    // Sort when a column header is clicked; clicking the same column again flips the direction
+    document.querySelectorAll("#runHistoryTable th[data-sort-key]").forEach((header) => {
+        header.addEventListener("click", () => {
+            const key = header.dataset.sortKey;
+            if (runHistorySort.key === key) {
+                runHistorySort.direction = runHistorySort.direction === "asc" ? "desc" : "asc";
+            } else {
+                runHistorySort = { key, direction: key === "startedAt" ? "desc" : "asc" };
+            }
+            renderRunHistory();
+        });
+    });
+
+    document.getElementById("clear-run-history").addEventListener("click", () => {
+        chrome.storage.local.remove("runHistory", () => {
+            showStatusMessage("runHistoryStatus", "Run history cleared.", "success");
+        });
+        FailureCaptures.clear().catch((error) => {
+            OptionsLogger.error(`Failed to clear failure captures: ${error.message}`);
+        });
+    });
+
+    // Screenshots need the optional permission as well as the setting; turning them off keeps the
+    // permission, since removing <all_urls> could also take away hosts granted to upload destinations
+    const screenshotToggle = document.getElementById("failureScreenshots");
+    chrome.storage.local.get(["failureScreenshots"], (data) => {
+        chrome.permissions.contains({ origins: FAILURE_SCREENSHOT_ORIGINS }, (granted) => {
+            screenshotToggle.checked = data.failureScreenshots === true && Boolean(granted);
+        });
+    });
+    screenshotToggle.addEventListener("change", () => {
+        if (!screenshotToggle.checked) {
+            chrome.storage.local.set({ failureScreenshots: false }, () => {
+                showStatusMessage("runHistoryStatus", "Failed runs will no longer include a screenshot.", "success");
+            });
+            return;
+        }
+
+        chrome.permissions.request({ origins: FAILURE_SCREENSHOT_ORIGINS }, (granted) => {
+            screenshotToggle.checked = Boolean(granted);
+            if (!granted) {
+                showStatusMessage("runHistoryStatus", "Screenshots need access to all sites.", "error");
+                return;
+            }
+            chrome.storage.local.set({ failureScreenshots: true }, () => {
+                showStatusMessage("runHistoryStatus", "Failed runs will include a screenshot.", "success");
+            });
+        });
+    });
+
+    // Keep the table current while runs are in progress
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === "local" && changes.runHistory) {
+            renderRunHistory();
+        }
+    });
+});
+
+
+/////
+// export archive
+/////
+
+// Function to format a file size for display
+function formatArchiveSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} B`;
+}
+
+// Function to build an icon button for an archive row
+function createArchiveActionButton(iconClass, label, className, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `btn btn-sm ${className} ms-1`;
+    button.title = label;
+    const icon = document.createElement("i");
+    icon.className = `bi ${iconClass}`;
+    button.appendChild(icon);
+    button.addEventListener("click", onClick);
+    return button;
+}
+
+// Function to save an archived workbook to disk again
+async function downloadArchivedExport(id) {
+    try {
+        const entry = await ExportArchive.get(id);
+        if (!entry) {
+            showStatusMessage("exportArchiveStatus", "This file is no longer in the archive.", "error");
+            renderExportArchive();
+            return;
+        }
+
+        const url = URL.createObjectURL(entry.blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = entry.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        OptionsLogger.error(`Failed to download archived export: ${error.message}`);
+        showStatusMessage("exportArchiveStatus", `Download failed: ${error.message}`, "error");
+    }
+}
+
+// Function to remove a single workbook from the archive
+async function deleteArchivedExport(id) {
+    try {
+        await ExportArchive.delete(id);
+        showStatusMessage("exportArchiveStatus", "File deleted from archive.", "success");
+        renderExportArchive();
+    } catch (error) {
+        OptionsLogger.error(`Failed to delete archived export: ${error.message}`);
+        showStatusMessage("exportArchiveStatus", `Delete failed: ${error.message}`, "error");
+    }
+}
+
+// Function to render the export archive table from IndexedDB
+async function renderExportArchive() {
+    const tableBody = document.getElementById("exportArchiveBody");
+    const type = document.getElementById("exportArchiveType").value || null;
+
+    let entries;
+    try {
+        entries = await ExportArchive.list(type);
+    } catch (error) {
+        OptionsLogger.error(`Failed to load export archive: ${error.message}`);
+        showStatusMessage("exportArchiveStatus", `Could not open the archive: ${error.message}`, "error");
+        return;
+    }
+
+    tableBody.innerHTML = "";
+
+    if (entries.length === 0) {
+        const row = document.createElement("tr");
+        const cell = createRunHistoryCell("No archived exports yet.");
+        cell.colSpan = 6;
+        cell.className = "text-muted small";
+        row.appendChild(cell);
+        tableBody.appendChild(row);
+        return;
+    }
+
+    entries.forEach((entry) => {
+        const row = document.createElement("tr");
+
+        row.appendChild(createRunHistoryCell(entry.date, new Date(entry.createdAt).toLocaleString()));
+        row.appendChild(createRunHistoryCell(entry.type));
+        row.appendChild(createRunHistoryCell(entry.fileName));
+        row.appendChild(createRunHistoryCell(formatArchiveSize(entry.size)));
+        row.appendChild(createRunHistoryCell(
+            entry.companyId ? `Company ${entry.companyId}` : (entry.postUrl ? "Post" : "—"),
+            entry.postUrl || null
+        ));
+
+        const actionsCell = document.createElement("td");
+        actionsCell.className = "text-end text-nowrap";
+        actionsCell.appendChild(createArchiveActionButton(
+            "bi-download", "Download", "btn-outline-primary", () => downloadArchivedExport(entry.id)
+        ));
+        actionsCell.appendChild(createArchiveActionButton(
+            "bi-trash", "Delete", "btn-outline-danger", () => deleteArchivedExport(entry.id)
+        ));
+        row.appendChild(actionsCell);
+
+        tableBody.appendChild(row);
+    });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    renderExportArchive();
+
+    document.getElementById("exportArchiveType").addEventListener("change", renderExportArchive);
+    document.getElementById("refresh-export-archive").addEventListener("click", renderExportArchive);
+
+    document.getElementById("clear-export-archive").addEventListener("click", async () => {
+        if (!confirm("Delete every archived export from this browser?")) {
+            return;
+        }
+        try {
+            await ExportArchive.clear();
+            showStatusMessage("exportArchiveStatus", "Export archive cleared.", "success");
+            renderExportArchive();
+        } catch (error) {
+            OptionsLogger.error(`Failed to clear export archive: ${error.message}`);
+            showStatusMessage("exportArchiveStatus", `Clear failed: ${error.message}`, "error");
+        }
+    });
+
+    // New files are archived as runs progress, so refresh alongside the run history
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === "local" && changes.runHistory) {
+            renderExportArchive();
+        }
+    });
+});
+
+
+/////
+// upload destinations
+/////
+
+// Mirrors the built-in destination in background.js
+const BUILT_IN_DESTINATION = {
+    id: "ppa",
+    label: "Professional Profile Analytics",
+    builtIn: true,
+    enabled: true
+};
+
+const DESTINATION_TYPES = ["profile", "company", "post"];
+
+// Function to load destinations from storage, always including the built-in one
+function getUploadDestinations(callback) {
+    chrome.storage.local.get(["uploadDestinations"], (data) => {
+        const stored = data.uploadDestinations || [];
+        const builtIn = stored.find(destination => destination.id === BUILT_IN_DESTINATION.id);
+        const custom = stored.filter(destination => destination.id !== BUILT_IN_DESTINATION.id);
+        callback([{ ...BUILT_IN_DESTINATION, enabled: builtIn ? builtIn.enabled !== false : true }, ...custom]);
+    });
+}
+
+// Function to save destinations to storage
+function saveUploadDestinations(destinations, callback) {
+    chrome.storage.local.set({ uploadDestinations: destinations }, callback);
+}
+
+// Function to read the destination form
+function readDestinationForm() {
+    return {
+        id: document.getElementById("destinationId").value || `dest-${Date.now()}`,
+        label: document.getElementById("destinationLabel").value.trim(),
+        enabled: true,
+        format: document.getElementById("destinationFormat").value,
+        urls: {
+            profile: document.getElementById("destinationProfileUrl").value.trim(),
+            company: document.getElementById("destinationCompanyUrl").value.trim(),
+            post: document.getElementById("destinationPostUrl").value.trim()
+        },
+        authHeaderName: document.getElementById("destinationAuthHeaderName").value.trim(),
+        authHeaderValue: document.getElementById("destinationAuthHeaderValue").value
+    };
+}
+
+// Function to fill the destination form, or reset it when no destination is given
+function fillDestinationForm(destination = null) {
+    const urls = (destination && destination.urls) || {};
+    document.getElementById("destinationId").value = destination ? destination.id : "";
+    document.getElementById("destinationLabel").value = destination ? destination.label : "";
+    document.getElementById("destinationFormat").value = destination ? destination.format || "multipart" : "multipart";
+    document.getElementById("destinationProfileUrl").value = urls.profile || "";
+    document.getElementById("destinationCompanyUrl").value = urls.company || "";
+    document.getElementById("destinationPostUrl").value = urls.post || "";
+    document.getElementById("destinationAuthHeaderName").value = destination ? destination.authHeaderName || "" : "";
+    document.getElementById("destinationAuthHeaderValue").value = destination ? destination.authHeaderValue || "" : "";
+    document.getElementById("destinationFormTitle").textContent = destination ? `Edit ${destination.label}` : "Add a destination";
+}
+
+// Function to validate a destination, returning an error message or null
+function validateDestination(destination) {
+    if (!destination.label) {
+        return "Please enter a name for the destination.";
+    }
+
+    const urls = DESTINATION_TYPES.map(type => destination.urls[type]).filter(Boolean);
+    if (urls.length === 0) {
+        return "Please enter at least one URL.";
+    }
+
+    for (const url of urls) {
+        try {
+            const parsed = new URL(url);
+            if (parsed.protocol !== "https:" && !["127.0.0.1", "localhost"].includes(parsed.hostname)) {
+                return `Only HTTPS URLs or local servers are supported: ${url}`;
+            }
+        } catch (error) {
+            return `Invalid URL: ${url}`;
+        }
+    }
+
+    return null;
+}
+
+// Function to ask for access to the hosts a destination uploads to
+function requestDestinationPermissions(destination, callback) {
+    const origins = [...new Set(
+        DESTINATION_TYPES
+            .map(type => destination.urls[type])
+            .filter(Boolean)
+            .map((url) => {
+                const parsed = new URL(url);
+                return `${parsed.protocol}//${parsed.hostname}/*`;
+            })
+    )];
+
+    chrome.permissions.request({ origins }, callback);
+}
+
+// Function to render the destinations table
+function renderUploadDestinations() {
+    const tableBody = document.getElementById("destinationsBody");
+
+    getUploadDestinations((destinations) => {
+        tableBody.innerHTML = "";
+
+        destinations.forEach((destination) => {
+            const row = document.createElement("tr");
+
+            const enabledCell = document.createElement("td");
+            const toggle = document.createElement("div");
+            toggle.className = "form-check form-switch mb-0";
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.className = "form-check-input";
+            checkbox.checked = destination.enabled !== false;
+            checkbox.addEventListener("change", () => {
+                const updated = destinations.map(d => (d.id === destination.id ? { ...d, enabled: checkbox.checked } : d));
+                saveUploadDestinations(updated, () => {
+                    showStatusMessage("destinationsStatus",
+                        `${destination.label} ${checkbox.checked ? "enabled" : "disabled"}.`, "success");
+                });
+            });
+            toggle.appendChild(checkbox);
+            enabledCell.appendChild(toggle);
+            row.appendChild(enabledCell);
+
+            const nameCell = createRunHistoryCell(destination.label);
+            if (destination.builtIn) {
+                const badge = document.createElement("span");
+                badge.className = "badge bg-secondary ms-2";
+                badge.textContent = "Built-in";
+                nameCell.appendChild(badge);
+            }
+            row.appendChild(nameCell);
+
+            row.appendChild(createRunHistoryCell(
+                destination.builtIn
+                    ? DESTINATION_TYPES.join(", ")
+                    : DESTINATION_TYPES.filter(type => destination.urls && destination.urls[type]).join(", ")
+            ));
+            row.appendChild(createRunHistoryCell(destination.builtIn ? "native" : destination.format || "multipart"));
+
+            const actionsCell = document.createElement("td");
+            actionsCell.className = "text-end text-nowrap";
+            if (!destination.builtIn) {
+                actionsCell.appendChild(createArchiveActionButton(
+                    "bi-pencil", "Edit", "btn-outline-primary", () => fillDestinationForm(destination)
+                ));
+                actionsCell.appendChild(createArchiveActionButton(
+                    "bi-trash", "Delete", "btn-outline-danger", () => {
+                        saveUploadDestinations(destinations.filter(d => d.id !== destination.id), () => {
+                            showStatusMessage("destinationsStatus", `${destination.label} deleted.`, "success");
+                        });
+                    }
+                ));
+            }
+            row.appendChild(actionsCell);
+
+            tableBody.appendChild(row);
+        });
+    });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    renderUploadDestinations();
+
+    document.getElementById("save-destination").addEventListener("click", () => {
+        const destination = readDestinationForm();
+        const validationError = validateDestination(destination);
+        if (validationError) {
+            showStatusMessage("destinationsStatus", validationError, "error");
+            return;
+        }
+
+        // Host access has to be requested directly from the click
+        requestDestinationPermissions(destination, (granted) => {
+            if (!granted) {
+                showStatusMessage("destinationsStatus", "Permission to upload to this host was denied.", "error");
+                return;
+            }
+
+            getUploadDestinations((destinations) => {
+                const existing = destinations.find(d => d.id === destination.id);
+                const updated = existing
+                    ? destinations.map(d => (d.id === destination.id ? { ...destination, enabled: existing.enabled } : d))
+                    : [...destinations, destination];
+
+                saveUploadDestinations(updated, () => {
+                    fillDestinationForm();
+                    showStatusMessage("destinationsStatus", `${destination.label} saved.`, "success");
+                });
+            });
+        });
+    });
+
+    document.getElementById("test-destination").addEventListener("click", () => {
+        const destination = readDestinationForm();
+        const validationError = validateDestination({ ...destination, label: destination.label || "Test" });
+        if (validationError) {
+            showStatusMessage("destinationsStatus", validationError, "error");
+            return;
+        }
+
+        requestDestinationPermissions(destination, (granted) => {
+            if (!granted) {
+                showStatusMessage("destinationsStatus", "Permission to upload to this host was denied.", "error");
+                return;
+            }
+
+            showStatusMessage("destinationsStatus", "Testing connection...", "info");
+            chrome.runtime.sendMessage({ action: "testUploadDestination", destination }, (response) => {
+                if (!response || !response.success) {
+                    showStatusMessage("destinationsStatus",
+                        `Test failed: ${(response && response.error) || "no response from the extension"}`, "error");
+                    return;
+                }
+
+                const summary = response.results
+                    .map(result => `${result.type}: ${result.ok ? `OK (${result.status})` : `failed (${result.status || result.error})`}`)
+                    .join(", ");
+                const allOk = response.results.every(result => result.ok);
+                showStatusMessage("destinationsStatus", summary, allOk ? "success" : "error");
+            });
+        });
+    });
+
+    document.getElementById("reset-destination-form").addEventListener("click", () => fillDestinationForm());
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === "local" && changes.uploadDestinations) {
+            renderUploadDestinations();
+        }
+    });
+});
+
+
+/////
+// company list
+/////
+
+// Function to load the company list, falling back to the legacy single company ID
+function getCompanyList(callback) {
+    chrome.storage.local.get(["companies", "companyId"], (data) => {
+        if (Array.isArray(data.companies)) {
+            callback(data.companies);
+        } else if (data.companyId) {
+            callback([{ id: String(data.companyId), label: "" }]);
         } else {
-            // Calculate next execution (weekly from now)
-            const nextWeek = new Date();
-            nextWeek.setDate(nextWeek.getDate() + 7);
-            nextCompanyExecutionElement.textContent = `${nextWeek.toLocaleString()} (estimated)`;
+            callback([]);
         }
+    });
+}
+
+// Function to save the company list, replacing the legacy single company ID
+function saveCompanyList(companies, callback) {
+    chrome.storage.local.set({ companies }, () => {
+        chrome.storage.local.remove("companyId", () => {
+            // Let the background reschedule the company alarm
+            chrome.runtime.sendMessage({ action: "updateCompanySchedule" });
+            if (callback) callback();
+        });
+    });
+}
+
+// Function to show the weekday picker only for the weekday frequency
+function toggleCompanyWeekday() {
+    const frequency = document.getElementById("companyFrequency").value;
+    document.getElementById("companyWeekday").classList.toggle("d-none", frequency !== CompanySchedule.FREQUENCIES.WEEKDAY);
+}
+
+// Function to load the company schedule into the form
+function loadCompanySchedule() {
+    chrome.storage.local.get([CompanySchedule.STORAGE_KEY], (data) => {
+        const schedule = CompanySchedule.normalize(data[CompanySchedule.STORAGE_KEY]);
+        document.getElementById("companyFrequency").value = schedule.frequency;
+        document.getElementById("companyWeekday").value = String(schedule.weekday);
+        toggleCompanyWeekday();
+    });
+}
+
+// Function to save the company schedule and reschedule the company alarm
+function saveCompanySchedule() {
+    const schedule = CompanySchedule.normalize({
+        frequency: document.getElementById("companyFrequency").value,
+        weekday: parseInt(document.getElementById("companyWeekday").value, 10)
+    });
+
+    chrome.storage.local.set({ [CompanySchedule.STORAGE_KEY]: schedule }, () => {
+        chrome.runtime.sendMessage({ action: "updateCompanySchedule" }, (response) => {
+            if (response && response.success && response.nextRun) {
+                showStatusMessage("companyScheduleStatus", `${CompanySchedule.describe(schedule)}. Next company run: ${new Date(response.nextRun).toLocaleString()}`, "success");
+            } else {
+                showStatusMessage("companyScheduleStatus", `Company schedule saved: ${CompanySchedule.describe(schedule)}`, "success");
+            }
+        });
+    });
+}
+
+// Function to render the company list with each company's upload status
+function renderCompanyList() {
+    const list = document.getElementById("companyList");
 
-        // Show last company execution time and status
-        if (data.lastCompanyExecutionTime) {
-            const lastExecutionTime = new Date(data.lastCompanyExecutionTime);
-            let statusMessage = `${lastExecutionTime.toLocaleString()} - Status: ${data.lastCompanyExecutionStatus || 'Unknown'}`;
-
-            if (data.lastCompanyExecutionError) {
-                try {
-                    const errorDetails = JSON.parse(data.lastCompanyExecutionError);
-                    statusMessage += `<br>Error: ${errorDetails.message}`;
-                } catch (parseError) {
-                    statusMessage += `<br>Error: ${data.lastCompanyExecutionError}`;
+    getCompanyList((companies) => {
+        chrome.storage.local.get(["companyStatus", CompanySchedule.STORAGE_KEY], (data) => {
+            const statuses = data.companyStatus || {};
+            const schedule = data[CompanySchedule.STORAGE_KEY];
+            list.innerHTML = "";
+
+            if (companies.length === 0) {
+                const item = document.createElement("li");
+                item.className = "list-group-item text-muted small";
+                item.textContent = "No companies configured. Company uploads disabled.";
+                list.appendChild(item);
+                return;
+            }
+
+            companies.forEach((company) => {
+                const status = statuses[company.id] || {};
+                const item = document.createElement("li");
+                item.className = "list-group-item";
+
+                const row = document.createElement("div");
+                row.className = "d-flex justify-content-between align-items-start";
+
+                const details = document.createElement("div");
+                const title = document.createElement("div");
+                title.className = "fw-semibold";
+                title.textContent = company.label || `Company ${company.id}`;
+                const idLabel = document.createElement("span");
+                idLabel.className = "text-muted small ms-2";
+                idLabel.textContent = `#${company.id}`;
+                title.appendChild(idLabel);
+                details.appendChild(title);
+
+                const statusLine = document.createElement("div");
+                statusLine.className = "small";
+                const badge = document.createElement("span");
+                badge.className = `badge me-2 ${RUN_HISTORY_OUTCOME_BADGES[status.lastStatus] || "bg-secondary"}`;
+                badge.textContent = status.lastStatus || "Never run";
+                statusLine.appendChild(badge);
+                const times = document.createElement("span");
+                times.className = "text-muted";
+                const lastText = status.lastExecutionTime ? new Date(status.lastExecutionTime).toLocaleString() : "—";
+                const nextRun = CompanySchedule.getNextRun(status.lastExecutionTime, schedule);
+                const nextText = nextRun <= Date.now() ? "due now" : new Date(nextRun).toLocaleString();
+                times.textContent = `Last: ${lastText} · Next: ${nextText}`;
+                statusLine.appendChild(times);
+                details.appendChild(statusLine);
+
+                if (status.lastError && status.lastError.message) {
+                    const errorLine = document.createElement("div");
+                    errorLine.className = "small text-danger";
+                    errorLine.textContent = `Error: ${status.lastError.message}`;
+                    details.appendChild(errorLine);
                 }
+
+                const actions = document.createElement("div");
+                actions.className = "text-nowrap";
+                actions.appendChild(createArchiveActionButton("bi-play-fill", "Run now", "btn-outline-warning", () => {
+                    chrome.runtime.sendMessage({ action: "executeCompanyScript", companyId: company.id }, (response) => {
+                        if (response && response.started) {
+                            showStatusMessage("companyIdStatus", `Company analytics download initiated for ${company.label || company.id}...`, "success");
+                        } else {
+                            showStatusMessage("companyIdStatus", "A company analytics run is already in progress.", "error");
+                        }
+                    });
+                }));
+                actions.appendChild(createArchiveActionButton("bi-trash", "Remove", "btn-outline-danger", () => {
+                    saveCompanyList(companies.filter(c => c.id !== company.id), () => {
+                        showStatusMessage("companyIdStatus", `${company.label || company.id} removed.`, "success");
+                    });
+                }));
+
+                row.appendChild(details);
+                row.appendChild(actions);
+                item.appendChild(row);
+                list.appendChild(item);
+            });
+        });
+    });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    renderCompanyList();
+    loadCompanySchedule();
+
+    document.getElementById("companyFrequency").addEventListener("change", toggleCompanyWeekday);
+    document.getElementById("save-company-schedule").addEventListener("click", saveCompanySchedule);
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === "local" && (changes.companies || changes.companyStatus || changes.companyId || changes[CompanySchedule.STORAGE_KEY])) {
+            renderCompanyList();
+        }
+    });
+});
+
+
+/////
+// run schedule
+/////
+
+// Function to load the run schedule into the form
+function loadRunSchedule() {
+    chrome.storage.local.get([RunSchedule.STORAGE_KEY], (data) => {
+        const schedule = RunSchedule.normalize(data[RunSchedule.STORAGE_KEY]);
+        document.getElementById("scheduleRules").value = schedule.rules.join("\n");
+        document.getElementById("quietHoursEnabled").checked = schedule.quietHours.enabled;
+        document.getElementById("quietHoursStart").value = schedule.quietHours.start;
+        document.getElementById("quietHoursEnd").value = schedule.quietHours.end;
+        document.getElementById("scheduleJitter").value = schedule.jitterMinutes;
+    });
+}
+
+// Function to validate and save the run schedule, then reschedule the next run
+function saveRunSchedule() {
+    const rules = document.getElementById("scheduleRules").value
+        .split("\n")
+        .map(rule => rule.trim())
+        .filter(Boolean);
+
+    const errors = RunSchedule.validate(rules);
+    if (errors.length > 0) {
+        showStatusMessage("scheduleStatus", errors.join(" "), "error");
+        return;
+    }
+
+    const schedule = RunSchedule.normalize({
+        rules,
+        quietHours: {
+            enabled: document.getElementById("quietHoursEnabled").checked,
+            start: document.getElementById("quietHoursStart").value,
+            end: document.getElementById("quietHoursEnd").value
+        },
+        jitterMinutes: parseInt(document.getElementById("scheduleJitter").value, 10) || 0
+    });
+
+    chrome.storage.local.set({ [RunSchedule.STORAGE_KEY]: schedule }, () => {
+        chrome.runtime.sendMessage({ action: "updateRunSchedule" }, (response) => {
+            if (response && response.nextExecution) {
+                updateNextExecutionDisplay(response.nextExecution);
             }
+            showStatusMessage("scheduleStatus", "Schedule saved successfully!", "success");
+        });
+    });
+}
+
+// Function to show the next five planned runs
+function renderPlannedRuns() {
+    const list = document.getElementById("plannedRuns");
+
+    chrome.storage.local.get([RunSchedule.STORAGE_KEY, "uploadFrequency", "nextExecution"], (data) => {
+        const schedule = RunSchedule.normalize(data[RunSchedule.STORAGE_KEY]);
+        const now = Date.now();
+        const scheduled = data.nextExecution ? new Date(data.nextExecution).getTime() : null;
+        const runs = RunSchedule.getNextRuns(schedule, now, getUploadInterval(data.uploadFrequency), 5, scheduled);
+
+        list.innerHTML = "";
+        runs.forEach((time, index) => {
+            const item = document.createElement("li");
+            item.textContent = new Date(time).toLocaleString();
+
+            // The scheduled run already includes its jitter; later runs get theirs when planned
+            if (schedule.jitterMinutes > 0 && !(index === 0 && time === scheduled)) {
+                item.textContent += ` (+ up to ${schedule.jitterMinutes} min)`;
+            }
+            list.appendChild(item);
+        });
+    });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    loadRunSchedule();
+    renderPlannedRuns();
+
+    document.getElementById("saveSchedule").addEventListener("click", saveRunSchedule);
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === "local" && (changes[RunSchedule.STORAGE_KEY] || changes.uploadFrequency || changes.nextExecution)) {
+            renderPlannedRuns();
+        }
+    });
+});
+
+
+/////
+// run policy
+/////
+
+// Function to show the fields that apply to the chosen run policy
+function toggleRunPolicyFields() {
+    const mode = document.getElementById("runPolicyMode").value;
+    document.getElementById("runPolicyIdleRow").style.display = mode === RunPolicy.MODES.IDLE ? "" : "none";
+    document.getElementById("runPolicyDeferralRow").style.display = mode === RunPolicy.MODES.ANY_TIME ? "none" : "";
+}
+
+// Function to load the run policy into the form
+function loadRunPolicy() {
+    chrome.storage.local.get([RunPolicy.STORAGE_KEY], (data) => {
+        const policy = RunPolicy.normalize(data[RunPolicy.STORAGE_KEY]);
+        document.getElementById("runPolicyMode").value = policy.mode;
+        document.getElementById("runPolicyIdleMinutes").value = policy.idleMinutes;
+        document.getElementById("runPolicyMaxDeferral").value = policy.maxDeferralHours;
+        document.getElementById("runPolicyPauseForLinkedIn").checked = policy.pauseForLinkedIn;
+        document.getElementById("runPolicySummary").textContent = RunPolicy.describe(policy);
+        toggleRunPolicyFields();
+    });
+}
+
+// Function to save the run policy and let the background start a run it no longer defers
+function saveRunPolicy() {
+    const policy = RunPolicy.normalize({
+        mode: document.getElementById("runPolicyMode").value,
+        idleMinutes: parseInt(document.getElementById("runPolicyIdleMinutes").value, 10),
+        maxDeferralHours: parseInt(document.getElementById("runPolicyMaxDeferral").value, 10),
+        pauseForLinkedIn: document.getElementById("runPolicyPauseForLinkedIn").checked
+    });
+
+    chrome.storage.local.set({ [RunPolicy.STORAGE_KEY]: policy }, () => {
+        chrome.runtime.sendMessage({ action: "updateRunPolicy" }, (response) => {
+            if (response && response.success === false) {
+                showStatusMessage("runPolicyStatus", `Policy saved, but the background could not apply it: ${response.error}`, "error");
+                return;
+            }
+            loadRunPolicy();
+            showStatusMessage("runPolicyStatus", "Policy saved successfully!", "success");
+        });
+    });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    loadRunPolicy();
+
+    document.getElementById("runPolicyMode").addEventListener("change", toggleRunPolicyFields);
+    document.getElementById("saveRunPolicy").addEventListener("click", saveRunPolicy);
+});
 
-            lastCompanyExecutionElement.innerHTML = statusMessage;
+
+/////
+// selector manifest
+/////
+
+// Function to describe which selector manifest is in use
+function renderSelectorManifestInfo(status) {
+    const info = document.getElementById("selectorManifestInfo");
+
+    if (!status) {
+        info.textContent = "Using the selectors shipped with the extension.";
+        return;
+    }
+
+    let text = status.source === "remote"
+        ? `Using manifest version ${status.version} from ${status.url}, fetched ${new Date(status.fetchedAt).toLocaleString()}.`
+        : `Using the selectors shipped with the extension (version ${status.version}).`;
+    if (status.lastError) {
+        text += ` Last check failed: ${status.lastError}`;
+    }
+    info.textContent = text;
+}
+
+// Function to load the latest manifest and report the result
+function refreshSelectorManifest() {
+    chrome.runtime.sendMessage({ action: "refreshSelectorManifest" }, (response) => {
+        if (!response || !response.success) {
+            showStatusMessage("selectorManifestStatus", (response && response.error) || "Selector manifest could not be loaded.", "error");
+        } else if (response.status.lastError) {
+            showStatusMessage("selectorManifestStatus", `Manifest not updated: ${response.status.lastError}`, "error");
         } else {
-            lastCompanyExecutionElement.textContent = "No upload has run yet.";
+            showStatusMessage("selectorManifestStatus", `Selector manifest version ${response.status.version} is active.`, "success");
         }
     });
 }
 
+document.addEventListener("DOMContentLoaded", () => {
+    const urlInput = document.getElementById("selectorManifestUrl");
+
+    chrome.storage.local.get(["selectorManifestUrl", "selectorManifestStatus"], (data) => {
+        urlInput.value = data.selectorManifestUrl || "";
+        renderSelectorManifestInfo(data.selectorManifestStatus);
+    });
+
+    document.getElementById("save-selector-manifest-url").addEventListener("click", () => {
+        const url = urlInput.value.trim();
 
+        if (!url) {
+            chrome.storage.local.remove("selectorManifestUrl", refreshSelectorManifest);
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            showStatusMessage("selectorManifestStatus", `Invalid URL: ${url}`, "error");
+            return;
+        }
+        if (parsed.protocol !== "https:" && !["127.0.0.1", "localhost"].includes(parsed.hostname)) {
+            showStatusMessage("selectorManifestStatus", "Only HTTPS URLs or local servers are supported.", "error");
+            return;
+        }
+
+        // The background needs access to the manifest's host to fetch it
+        chrome.permissions.request({ origins: [`${parsed.protocol}//${parsed.hostname}/*`] }, (granted) => {
+            if (!granted) {
+                showStatusMessage("selectorManifestStatus", "Access to the manifest host was not granted.", "error");
+                return;
+            }
+            chrome.storage.local.set({ selectorManifestUrl: url }, refreshSelectorManifest);
+        });
+    });
+
+    document.getElementById("check-selector-manifest").addEventListener("click", refreshSelectorManifest);
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === "local" && changes.selectorManifestStatus) {
+            renderSelectorManifestInfo(changes.selectorManifestStatus.newValue);
+        }
+    });
+});
 
 
 /////
-// alarm checker
+// LinkedIn language banner
 /////
+
+// Function to warn when LinkedIn is set to a language the automation can't read
+function renderLanguageBanner(detectedLanguage) {
+    const banner = document.getElementById("languageBanner");
+
+    if (!detectedLanguage || detectedLanguage.supported !== false) {
+        banner.classList.add("d-none");
+        return;
+    }
+
+    const languageNames = new Intl.DisplayNames(["en"], { type: "language" });
+    const supported = LocaleRegistry.LOCALES.map(code => languageNames.of(code)).join(", ");
+    const locale = (detectedLanguage.originalValue || detectedLanguage.code).replace("-", "_");
+
+    document.getElementById("languageBannerText").textContent =
+        `Your LinkedIn interface is set to an unsupported language (${locale}), so uploads will fail. ` +
+        `Switch LinkedIn to one of these languages under Settings > Account preferences > Display > Language: ${supported}.`;
+    banner.classList.remove("d-none");
+}
+
 document.addEventListener("DOMContentLoaded", () => {
-    // Force set alarmsEnabled to true when options page is opened
-    chrome.storage.local.set({ alarmsEnabled: true }, () => {
-        OptionsLogger.log("alarmsEnabled flag set to true from options page");
+    chrome.storage.local.get(["detectedLanguage"], (data) => {
+        renderLanguageBanner(data.detectedLanguage);
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === "local" && changes.detectedLanguage) {
+            renderLanguageBanner(changes.detectedLanguage.newValue);
+        }
+    });
+});
+
+
+/////
+// historical backfill
+/////
+
+// Labels for the LinkedIn time ranges used by the backfill
+const BACKFILL_RANGE_LABELS = {
+    past_90_days: "past 90 days",
+    past_365_days: "past 365 days"
+};
+
+// Function to show the progress of the last backfill
+function renderBackfillProgress(backfillStatus) {
+    const progress = document.getElementById("backfillProgress");
+
+    if (!backfillStatus) {
+        progress.textContent = "No backfill has run yet.";
+        return;
+    }
+
+    const started = new Date(backfillStatus.startedAt).toLocaleString();
+    const completed = backfillStatus.completedRanges.map(range => BACKFILL_RANGE_LABELS[range] || range);
+    const failed = backfillStatus.failedRanges.map(range => BACKFILL_RANGE_LABELS[range] || range);
+
+    let text = `Last backfill (${BACKFILL_RANGE_LABELS[backfillStatus.depth] || backfillStatus.depth}) started ${started}: ${backfillStatus.status}`;
+    if (completed.length > 0) {
+        text += ` · uploaded ${completed.join(", ")}`;
+    }
+    if (failed.length > 0) {
+        text += ` · failed ${failed.join(", ")}`;
+    }
+    progress.textContent = text;
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    chrome.storage.local.get(["backfillStatus"], (data) => {
+        renderBackfillProgress(data.backfillStatus);
+    });
+
+    document.getElementById("run-backfill").addEventListener("click", () => {
+        const depth = document.getElementById("backfillDepth").value;
+
+        chrome.storage.local.get("email", (data) => {
+            if (!data.email) {
+                showStatusMessage("backfillStatus", "Please configure your email first before running a backfill.", "error");
+                return;
+            }
+
+            chrome.runtime.sendMessage({ action: "runBackfill", depth }, (response) => {
+                if (response && response.started) {
+                    showStatusMessage("backfillStatus", `Backfill of the ${BACKFILL_RANGE_LABELS[depth]} started. This can take several minutes.`, "success");
+                } else {
+                    showStatusMessage("backfillStatus", (response && response.error) || "Backfill could not be started.", "error");
+                }
+            });
+        });
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === "local" && changes.backfillStatus) {
+            renderBackfillProgress(changes.backfillStatus.newValue);
+        }
+    });
+});
+
+
+/////
+// desktop notifications
+/////
+
+// Function to reflect the stored notification settings in the switches
+function renderNotificationSettings(settings) {
+    document.querySelectorAll("[data-notification-type]").forEach((toggle) => {
+        toggle.checked = settings[toggle.dataset.notificationType];
+    });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    chrome.storage.local.get([NotificationSettings.STORAGE_KEY], (data) => {
+        renderNotificationSettings(NotificationSettings.normalize(data[NotificationSettings.STORAGE_KEY]));
+    });
+
+    // Save every switch whenever one changes
+    document.querySelectorAll("[data-notification-type]").forEach((toggle) => {
+        toggle.addEventListener("change", () => {
+            const settings = {};
+            document.querySelectorAll("[data-notification-type]").forEach((item) => {
+                settings[item.dataset.notificationType] = item.checked;
+            });
+
+            chrome.storage.local.set({ [NotificationSettings.STORAGE_KEY]: NotificationSettings.normalize(settings) }, () => {
+                showStatusMessage("notificationSettingsStatus", "Notification settings saved.", "success");
+            });
+        });
+    });
+});
+
+
+/////
+// pause automation
+/////
+
+// Function to show the pause in effect with the matching controls
+function renderPause(storedPause) {
+    const pause = PauseSettings.normalize(storedPause);
+    const status = document.getElementById("pauseStatus");
+
+    status.textContent = pause && pause.skipped > 0
+        ? `${PauseSettings.describe(pause)} (${pause.skipped} scheduled ${pause.skipped === 1 ? "run" : "runs"} skipped so far)`
+        : PauseSettings.describe(pause);
+    status.className = `small mb-2 ${PauseSettings.isPaused(pause) ? "text-warning fw-semibold" : "text-muted"}`;
+    document.getElementById("pauseForm").style.display = pause ? "none" : "flex";
+    document.getElementById("resumeButton").style.display = pause ? "inline-block" : "none";
+}
+
+// Function to ask the background script to pause or resume; the storage change updates the display
+function sendPauseRequest(message, successMessage) {
+    chrome.runtime.sendMessage(message, (response) => {
+        if (response && response.success) {
+            showStatusMessage("pauseMessage", successMessage, "success");
+        } else {
+            showStatusMessage("pauseMessage", (response && response.error) || "The pause could not be changed.", "error");
+        }
+    });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    const modeSelect = document.getElementById("pauseMode");
+    const untilInput = document.getElementById("pauseUntil");
+
+    chrome.storage.local.get([PauseSettings.STORAGE_KEY], (data) => {
+        renderPause(data[PauseSettings.STORAGE_KEY]);
+    });
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === "local" && PauseSettings.STORAGE_KEY in changes) {
+            renderPause(changes[PauseSettings.STORAGE_KEY].newValue);
+        }
+    });
+
+    // A pause ends at the start of the chosen day, so the earliest choice is tomorrow
+    untilInput.min = PauseSettings.toDateInput(Date.now() + 24 * 60 * 60 * 1000);
+    modeSelect.addEventListener("change", () => {
+        untilInput.style.display = modeSelect.value === PauseSettings.MODES.UNTIL ? "inline-block" : "none";
+    });
+
+    document.getElementById("pauseButton").addEventListener("click", () => {
+        let until = null;
+        if (modeSelect.value === PauseSettings.MODES.UNTIL) {
+            const time = PauseSettings.parseDate(untilInput.value);
+            if (time === null) {
+                showStatusMessage("pauseMessage", "Choose the day to resume on.", "error");
+                return;
+            }
+            until = new Date(time).toISOString();
+        }
+        sendPauseRequest({ action: "pauseAutomation", mode: modeSelect.value, until }, "Automated uploads paused.");
     });
-    
-    chrome.storage.local.get("alarmsEnabled", (data) => {
-        let message = data.alarmsEnabled
-            ? "✅ Chrome Alarms and Scheduling are enabled!"
-            : "⚠️ Warning: Chrome Alarms and Scheduling are disabled. Automated data upload will not not work.";
 
-        document.getElementById("alarmStatus").innerText = message;
-        document.getElementById("alarmStatus").style.color = data.alarmsEnabled ? "green" : "red";
+    document.getElementById("resumeButton").addEventListener("click", () => {
+        sendPauseRequest({ action: "resumeAutomation" }, "Automated uploads resumed.");
     });
 });
@@ -0,0 +1,143 @@
+/**
+ * Page Conditions
+ *
+ * Waits inside a LinkedIn page until a condition holds, instead of sleeping for a fixed
+ * time. Conditions are re-checked whenever the DOM changes (MutationObserver) or a network
+ * request finishes (PerformanceObserver), so a wait ends as soon as the page is ready.
+ *
+ * Injected after element-locator.js by the background service worker (see PageConditions
+ * in background.js), which calls window.pageConditions.waitFor(condition, timeout).
+ * Safe to inject more than once into the same tab.
+ */
+
+(() => {
+  if (window.pageConditions) {
+    return;
+  }
+
+  // Minimum time between two checks, so large pages aren't re-scanned on every mutation
+  const CHECK_INTERVAL = 100;
+
+  // Re-check on a timer too, for conditions that become true without a DOM change
+  const POLL_INTERVAL = 250;
+
+  // Last time a network request finished or the DOM changed, for the quiet condition
+  const activity = {
+    lastRequestAt: 0,
+    lastMutationAt: 0
+  };
+
+  // Requests that finished before the script was injected still count
+  const finishedRequests = performance.getEntriesByType('resource');
+  if (finishedRequests.length > 0) {
+    activity.lastRequestAt = performance.timeOrigin + Math.max(...finishedRequests.map(entry => entry.responseEnd));
+  }
+
+  new PerformanceObserver(() => {
+    activity.lastRequestAt = Date.now();
+  }).observe({ type: 'resource' });
+
+  new MutationObserver(() => {
+    activity.lastMutationAt = Date.now();
+  }).observe(document, { childList: true, subtree: true, attributes: true, characterData: true });
+
+  /**
+   * Check whether an element is rendered
+   * @param {Element} element - The element
+   * @returns {boolean} True if visible
+   */
+  function isVisible(element) {
+    return element.offsetParent !== null || element.getClientRects().length > 0;
+  }
+
+  /**
+   * Evaluate a condition once
+   * @param {Object} condition - The condition
+   * @param {number} startedAt - When the wait started, in milliseconds
+   * @returns {Object|null} Details of the match, or null if the condition doesn't hold yet
+   */
+  function evaluate(condition, startedAt) {
+    switch (condition.type) {
+      case 'ready':
+        return document.readyState === 'complete' ? {} : null;
+      case 'visible': {
+        if (condition.selector) {
+          return Array.from(document.querySelectorAll(condition.selector)).some(isVisible) ? {} : null;
+        }
+        const index = condition.targets.findIndex(target => window.elementLocator.locate(target));
+        return index === -1 ? null : { target: index };
+      }
+      case 'gone':
+        return Array.from(document.querySelectorAll(condition.selector)).some(isVisible) ? null : {};
+      case 'networkIdle':
+        return Date.now() - Math.max(activity.lastRequestAt, startedAt) >= condition.idleTime ? {} : null;
+      case 'quiet': {
+        const lastActivity = Math.max(activity.lastRequestAt, activity.lastMutationAt, startedAt);
+        return Date.now() - lastActivity >= condition.idleTime ? {} : null;
+      }
+      case 'all': {
+        const details = condition.conditions.map(part => evaluate(part, startedAt));
+        return details.every(Boolean) ? Object.assign({}, ...details) : null;
+      }
+      default:
+        throw new Error(`Unknown page condition: ${condition.type}`);
+    }
+  }
+
+  /**
+   * Wait until a condition holds
+   * @param {Object} condition - The condition: ready, visible (targets or selector), gone
+   *   (selector), networkIdle or quiet (idleTime), or all (conditions)
+   * @param {number} timeout - Maximum wait in milliseconds
+   * @returns {Promise<Object>} Result as { met, elapsed } plus details of the match
+   */
+  function waitFor(condition, timeout) {
+    const startedAt = Date.now();
+
+    return new Promise((resolve) => {
+      let done = false;
+      let lastCheck = 0;
+      let scheduled = null;
+
+      const finish = (met, details = {}) => {
+        done = true;
+        observer.disconnect();
+        clearTimeout(scheduled);
+        clearInterval(poll);
+        clearTimeout(deadline);
+        resolve({ met, elapsed: Date.now() - startedAt, ...details });
+      };
+
+      const check = () => {
+        scheduled = null;
+        if (done) {
+          return;
+        }
+        lastCheck = Date.now();
+        const details = evaluate(condition, startedAt);
+        if (details) {
+          finish(true, details);
+        }
+      };
+
+      const schedule = () => {
+        if (done || scheduled) {
+          return;
+        }
+        scheduled = setTimeout(check, Math.max(0, lastCheck + CHECK_INTERVAL - Date.now()));
+      };
+
+      const observer = new MutationObserver(schedule);
+      observer.observe(document, { childList: true, subtree: true, attributes: true, characterData: true });
+      document.addEventListener('readystatechange', schedule, { once: true });
+      const poll = setInterval(schedule, POLL_INTERVAL);
+      const deadline = setTimeout(() => finish(false), timeout);
+
+      check();
+    });
+  }
+
+  window.pageConditions = {
+    waitFor
+  };
+})();
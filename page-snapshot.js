@@ -0,0 +1,125 @@
+/**
+ * Page Snapshot
+ *
+ * Records what a LinkedIn page looked like when an automation step failed: the URL, the
+ * title, the buttons a user could have clicked and a trimmed copy of the DOM. Comparing
+ * these shows whether LinkedIn changed its layout or showed a login page instead.
+ *
+ * Injected by the background service worker (see FailureCapture in background.js), which
+ * calls window.pageSnapshot.take(options). Safe to inject more than once into the same tab.
+ */
+
+(() => {
+  if (window.pageSnapshot) {
+    return;
+  }
+
+  // Elements listed as buttons, the same kinds the element locator clicks
+  const BUTTON_SELECTOR = 'button, a, [role="button"], [role="link"], [role="menuitem"], [role="option"], [role="tab"], input[type="button"], input[type="submit"]';
+
+  // Elements that don't help to understand the layout and only make the snapshot larger
+  const REMOVED_SELECTOR = 'script, style, noscript, template, link, meta, iframe, svg, canvas, video, audio, img, picture, source';
+
+  // Attributes kept on every element; everything else is dropped except data-* and aria-*
+  const KEPT_ATTRIBUTES = ['id', 'class', 'role', 'type', 'name', 'href', 'title', 'alt', 'placeholder', 'disabled', 'hidden', 'for', 'lang', 'dir'];
+
+  // Longest text kept for a single button
+  const MAX_BUTTON_TEXT = 100;
+
+  /**
+   * Collapse whitespace and shorten long text
+   * @param {string} text - The text
+   * @param {number} max - Maximum length
+   * @returns {string} The cleaned text
+   */
+  function clean(text, max) {
+    const value = (text || '').replace(/\s+/g, ' ').trim();
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+  }
+
+  /**
+   * Check whether an element is rendered
+   * @param {Element} element - The element
+   * @returns {boolean} True if visible
+   */
+  function isVisible(element) {
+    return element.offsetParent !== null || element.getClientRects().length > 0;
+  }
+
+  /**
+   * List the visible buttons and links
+   * @param {number} max - Maximum number of buttons
+   * @returns {Object[]} Buttons as { tag, role, text, ariaLabel, href, disabled }
+   */
+  function listButtons(max) {
+    return Array.from(document.querySelectorAll(BUTTON_SELECTOR))
+      .filter(isVisible)
+      .slice(0, max)
+      .map(element => ({
+        tag: element.tagName.toLowerCase(),
+        role: element.getAttribute('role'),
+        text: clean(element.innerText || element.textContent || element.value, MAX_BUTTON_TEXT),
+        ariaLabel: element.getAttribute('aria-label'),
+        href: element.getAttribute('href'),
+        disabled: element.disabled === true || element.getAttribute('aria-disabled') === 'true'
+      }));
+  }
+
+  /**
+   * Copy the page without scripts, styles, media and form values
+   * @param {number} maxLength - Maximum length of the HTML in characters
+   * @returns {Object} Snapshot as { html, length, truncated }, length being the untrimmed length
+   */
+  function trimDom(maxLength) {
+    const copy = document.documentElement.cloneNode(true);
+
+    copy.querySelectorAll(REMOVED_SELECTOR).forEach(element => element.remove());
+    [copy, ...copy.querySelectorAll('*')].forEach((element) => {
+      Array.from(element.attributes).forEach(({ name }) => {
+        if (!KEPT_ATTRIBUTES.includes(name) && !name.startsWith('data-') && !name.startsWith('aria-')) {
+          element.removeAttribute(name);
+        }
+      });
+      // Never keep what was typed into a form
+      if (element.tagName === 'TEXTAREA') {
+        element.textContent = '';
+      }
+    });
+
+    // Comments only add noise
+    const walker = document.createTreeWalker(copy, NodeFilter.SHOW_COMMENT);
+    const comments = [];
+    while (walker.nextNode()) {
+      comments.push(walker.currentNode);
+    }
+    comments.forEach(comment => comment.remove());
+
+    const html = copy.outerHTML.replace(/>\s+</g, '><');
+    return {
+      html: html.length > maxLength ? html.slice(0, maxLength) : html,
+      length: html.length,
+      truncated: html.length > maxLength
+    };
+  }
+
+  /**
+   * Take a snapshot of the page
+   * @param {Object} options - Limits
+   * @param {number} options.maxDomLength - Maximum length of the DOM snapshot in characters
+   * @param {number} options.maxButtons - Maximum number of buttons listed
+   * @returns {Object} Snapshot as { url, title, readyState, buttons, dom }
+   */
+  function take({ maxDomLength, maxButtons }) {
+    return {
+      url: window.location.href,
+      title: document.title,
+      readyState: document.readyState,
+      buttons: listButtons(maxButtons),
+      dom: trimDom(maxDomLength)
+    };
+  }
+
+  window.pageSnapshot = {
+    take
+  };
+})();
@@ -0,0 +1,119 @@
+/**
+ * Pause Settings
+ * Lets the user hold back automated uploads: until a date, until they resume, or for
+ * the next scheduled run only. Pausing holds back scheduled, retried and company runs;
+ * runs started by hand from the popup or options page always go ahead.
+ *
+ * Loaded by the background service worker, which holds back the runs and resumes when
+ * the date passes, and by the options page and the popup, which have the pause control.
+ */
+
+const PauseSettings = {
+  STORAGE_KEY: 'automationPause',
+
+  MODES: {
+    UNTIL: 'until',             // Paused until a date, then resumed automatically
+    INDEFINITE: 'indefinite',   // Paused until the user resumes
+    SKIP_NEXT: 'skipNext'       // Only the next scheduled profile run is skipped
+  },
+
+  /**
+   * Build a new pause
+   * @param {string} mode - One of MODES
+   * @param {string|null} until - When a pause until a date ends, as an ISO string
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} The pause as { mode, until, since, skipped }
+   * @throws {Error} If the mode is unknown or the end of the pause is not in the future
+   */
+  create(mode, until = null, now = Date.now()) {
+    if (!Object.values(this.MODES).includes(mode)) {
+      throw new Error(`Unknown pause mode: ${mode}`);
+    }
+    const untilTime = mode === this.MODES.UNTIL ? new Date(until).getTime() : null;
+    if (mode === this.MODES.UNTIL && !(untilTime > now)) {
+      throw new Error('Choose a date in the future to pause until');
+    }
+
+    return {
+      mode,
+      until: untilTime === null ? null : new Date(untilTime).toISOString(),
+      since: new Date(now).toISOString(),
+      skipped: 0
+    };
+  },
+
+  /**
+   * Get the pause in effect from the stored one
+   * @param {Object} pause - The stored pause
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} The pause, or null if there is none, it is invalid or its date has passed
+   */
+  normalize(pause, now = Date.now()) {
+    if (!pause || !Object.values(this.MODES).includes(pause.mode)) {
+      return null;
+    }
+    if (pause.mode === this.MODES.UNTIL && !(new Date(pause.until).getTime() > now)) {
+      return null;
+    }
+
+    return {
+      mode: pause.mode,
+      until: pause.mode === this.MODES.UNTIL ? pause.until : null,
+      since: pause.since || null,
+      skipped: Number(pause.skipped) || 0
+    };
+  },
+
+  /**
+   * Check whether a pause holds back every automated run, not just the next one
+   * @param {Object|null} pause - The pause in effect
+   * @returns {boolean} True while paused until a date or indefinitely
+   */
+  isPaused(pause) {
+    return Boolean(pause) && pause.mode !== this.MODES.SKIP_NEXT;
+  },
+
+  /**
+   * Get the end of a pause from the value of a date input: the start of that day
+   * @param {string} value - Date as YYYY-MM-DD
+   * @returns {number|null} Local midnight of the day in milliseconds, or null if invalid
+   */
+  parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) {
+      return null;
+    }
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date.getMonth() === Number(match[2]) - 1 ? date.getTime() : null;
+  },
+
+  /**
+   * Format a time as the value of a date input
+   * @param {number} time - Time in milliseconds
+   * @returns {string} The local date as YYYY-MM-DD
+   */
+  toDateInput(time) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  /**
+   * Describe a pause for the status displays and the toolbar tooltip
+   * @param {Object|null} pause - The pause in effect
+   * @returns {string} e.g. "Paused until 24/12/2026, 00:00:00"
+   */
+  describe(pause) {
+    if (!pause) {
+      return 'Automation active';
+    }
+    switch (pause.mode) {
+      case this.MODES.UNTIL:
+        return `Paused until ${new Date(pause.until).toLocaleString()}`;
+      case this.MODES.INDEFINITE:
+        return 'Paused until you resume';
+      default:
+        return 'The next scheduled run will be skipped';
+    }
+  }
+};
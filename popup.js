@@ -98,9 +98,134 @@ const UI = {
    */
   clearLoading: function() {
     document.getElementById("apiResponse").textContent = "";
+  },
+
+  /**
+   * Format a number for display, or "NA" if it is missing
+   * @param {number} value - The number to format
+   * @returns {string} The formatted number
+   */
+  formatNumber: function(value) {
+    return value === null || value === undefined ? "NA" : Number(value).toLocaleString();
+  },
+
+  /**
+   * Show stats parsed locally from the latest LinkedIn export
+   * @param {Object} localAnalytics - The stored local analytics record
+   * @param {string} notice - Explanation shown above the stats
+   */
+  showLocalStats: function(localAnalytics, notice) {
+    const summary = localAnalytics.summary;
+
+    document.getElementById("local_impressions").textContent = UI.formatNumber(summary.impressions);
+    document.getElementById("local_members_reached").textContent = UI.formatNumber(summary.membersReached);
+    document.getElementById("local_engagements").textContent = UI.formatNumber(summary.engagements);
+    document.getElementById("local_engagement_rate").textContent =
+      summary.engagementRate === null ? "NA" : (summary.engagementRate * 100).toFixed(2) + "%";
+    document.getElementById("local_new_followers").textContent = UI.formatNumber(summary.newFollowers);
+    document.getElementById("local_total_followers").textContent = UI.formatNumber(summary.totalFollowers);
+
+    const period = summary.period ? ` (${summary.period.start} to ${summary.period.end})` : "";
+    document.getElementById("local_notice").textContent = notice + period;
+    document.getElementById("version").textContent =
+      "(last LinkedIn export " + new Date(localAnalytics.parsedAt).toLocaleDateString() + ")";
+    document.getElementById("localStats").style.display = "block";
+  }
+};
+
+/**
+ * Pause control for automated uploads (see pause-settings.js)
+ */
+const PauseControl = {
+  /**
+   * Show the pause in effect with the matching controls
+   * @param {Object} storedPause - The stored pause
+   */
+  render: function(storedPause) {
+    const pause = PauseSettings.normalize(storedPause);
+    const status = document.getElementById("pause-status");
+
+    status.textContent = PauseSettings.describe(pause);
+    status.style.color = "";
+    document.getElementById("pause-form").style.display = pause ? "none" : "flex";
+    document.getElementById("resume-button").style.display = pause ? "inline-block" : "none";
+  },
+
+  /**
+   * Show why the pause could not be changed
+   * @param {string} message - The error message
+   */
+  showError: function(message) {
+    const status = document.getElementById("pause-status");
+    status.textContent = message;
+    status.style.color = "#d11124";
+  },
+
+  /**
+   * Ask the background script to pause or resume; the storage change updates the display
+   * @param {Object} message - The pauseAutomation or resumeAutomation message
+   */
+  send: function(message) {
+    chrome.runtime.sendMessage(message, function(response) {
+      if (!response || !response.success) {
+        PauseControl.showError((response && response.error) || "The pause could not be changed.");
+      }
+    });
+  },
+
+  /**
+   * Load the pause and set up the controls
+   */
+  initialize: function() {
+    const modeSelect = document.getElementById("pause-mode");
+    const untilInput = document.getElementById("pause-until");
+
+    chrome.storage.local.get(PauseSettings.STORAGE_KEY, function(data) {
+      PauseControl.render(data[PauseSettings.STORAGE_KEY]);
+    });
+    chrome.storage.onChanged.addListener(function(changes, areaName) {
+      if (areaName === "local" && PauseSettings.STORAGE_KEY in changes) {
+        PauseControl.render(changes[PauseSettings.STORAGE_KEY].newValue);
+      }
+    });
+
+    // A pause ends at the start of the chosen day, so the earliest choice is tomorrow
+    untilInput.min = PauseSettings.toDateInput(Date.now() + 24 * 60 * 60 * 1000);
+    modeSelect.addEventListener("change", function() {
+      untilInput.style.display = modeSelect.value === PauseSettings.MODES.UNTIL ? "inline-block" : "none";
+    });
+
+    document.getElementById("pause-button").addEventListener("click", function() {
+      let until = null;
+      if (modeSelect.value === PauseSettings.MODES.UNTIL) {
+        const time = PauseSettings.parseDate(untilInput.value);
+        if (time === null) {
+          PauseControl.showError("Choose the day to resume on.");
+          return;
+        }
+        until = new Date(time).toISOString();
+      }
+      PauseControl.send({ action: "pauseAutomation", mode: modeSelect.value, until: until });
+    });
+
+    document.getElementById("resume-button").addEventListener("click", function() {
+      PauseControl.send({ action: "resumeAutomation" });
+    });
   }
 };
 
+/**
+ * Get the stats parsed locally from the latest LinkedIn export
+ * @returns {Promise<Object|null>} The stored local analytics record
+ */
+function getLocalAnalytics() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get("localAnalytics", function(data) {
+      resolve(data.localAnalytics || null);
+    });
+  });
+}
+
 /**
  * Fetch and display analytics data
  * @param {string} email - User's email address
@@ -166,7 +291,15 @@ async function fetchAnalyticsData(email) {
 
   } catch (error) {
     console.error("Error fetching analytics data:", error);
-    UI.showError("An error occurred while fetching data. Please try again later.");
+
+    // Fall back to the figures parsed from the latest LinkedIn export
+    const localAnalytics = await getLocalAnalytics();
+    if (localAnalytics) {
+      UI.clearLoading();
+      UI.showLocalStats(localAnalytics, "The PPA service is unavailable, showing figures from your latest LinkedIn export.");
+    } else {
+      UI.showError("An error occurred while fetching data. Please try again later.");
+    }
   }
 }
 
@@ -187,6 +320,13 @@ function initializePopup() {
       // No email configured, show error
       errorMessage.style.display = "block";
       UI.clearLoading();
+
+      // Local stats don't need the PPA service
+      getLocalAnalytics().then(function(localAnalytics) {
+        if (localAnalytics) {
+          UI.showLocalStats(localAnalytics, "Figures from your latest LinkedIn export.");
+        }
+      });
     }
   });
 
@@ -199,6 +339,8 @@ function initializePopup() {
   dashboardButton.addEventListener("click", function() {
     chrome.tabs.create({ url: DASHBOARD_URL });
   });
+
+  PauseControl.initialize();
 }
 
 // Initialize when DOM is loaded
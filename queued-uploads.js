@@ -0,0 +1,105 @@
+/**
+ * Queued Uploads
+ * Keeps the files of failed uploads in IndexedDB until the upload queue delivers them.
+ * Workbooks are stored as blobs: chrome.storage.local has a 10 MB quota, which a few
+ * base64 encoded exports would use up.
+ *
+ * Loaded by the background service worker, whose UploadQueue replays the files.
+ */
+
+const QueuedUploads = {
+  DB_NAME: 'ppaQueuedUploads',
+  DB_VERSION: 1,
+  STORE: 'uploads',
+
+  // Cached database connection
+  _dbPromise: null,
+
+  /**
+   * Open (and create on first use) the queued uploads database
+   * @returns {Promise<IDBDatabase>} The database connection
+   */
+  open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          // IDs count up, so entries come back in the order they were queued
+          db.createObjectStore(this.STORE, { keyPath: 'id', autoIncrement: true });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this._dbPromise = null;
+          reject(new Error(`Failed to open queued uploads: ${request.error && request.error.message}`));
+        };
+      });
+    }
+    return this._dbPromise;
+  },
+
+  /**
+   * Run a request against the object store inside a transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the object store and returns an IDBRequest
+   * @returns {Promise<*>} The request result once the transaction completes
+   */
+  async _withStore(mode, work) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE, mode);
+      const request = work(transaction.objectStore(this.STORE));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Queued uploads transaction aborted'));
+    });
+  },
+
+  /**
+   * Store a new queued upload
+   * @param {Object} entry - The queue entry without an ID, with the file as entry.blob
+   * @returns {Promise<number>} The ID of the stored entry
+   */
+  async add(entry) {
+    return this._withStore('readwrite', store => store.add(entry));
+  },
+
+  /**
+   * Change fields of a queued upload, if it is still queued
+   * @param {number} id - The queue entry ID
+   * @param {Object} changes - The fields to change
+   * @returns {Promise<void>}
+   */
+  async update(id, changes) {
+    await this._withStore('readwrite', (store) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, ...changes });
+        }
+      };
+      return request;
+    });
+  },
+
+  /**
+   * Get every queued upload including its file
+   * @returns {Promise<Object[]>} The queue entries, oldest first
+   */
+  async getAll() {
+    return this._withStore('readonly', store => store.getAll());
+  },
+
+  /**
+   * Delete a queued upload
+   * @param {number} id - The queue entry ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this._withStore('readwrite', store => store.delete(id));
+  }
+};
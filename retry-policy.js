@@ -0,0 +1,121 @@
+/**
+ * Retry Policy
+ * Classifies the error of a failed profile run and decides whether and when it is
+ * retried. Transient network errors are retried with exponential backoff and jitter,
+ * a LinkedIn UI change gets a few slower retries, and runs that need the user (login,
+ * language or email setup) or that the upload backend rejected are not retried.
+ *
+ * Loaded by the background service worker, which schedules the retries, and by the
+ * options page, which labels the error class of failed runs in the run history.
+ */
+
+const RetryPolicy = {
+  // Error classes, most specific first. Retry n waits baseDelay * 2^(n-1), capped at
+  // maxDelay; a class with maxAttempts 0 is never retried.
+  CLASSES: {
+    auth: {
+      label: 'LinkedIn login or account setup',
+      maxAttempts: 0
+    },
+    backend: {
+      label: 'Rejected by the upload backend',
+      maxAttempts: 0
+    },
+    uiChange: {
+      label: 'LinkedIn UI change',
+      baseDelay: 15 * 60 * 1000,
+      maxDelay: 60 * 60 * 1000,
+      maxAttempts: 2
+    },
+    network: {
+      label: 'Transient network error',
+      baseDelay: 2 * 60 * 1000,
+      maxDelay: 30 * 60 * 1000,
+      maxAttempts: 5
+    },
+    unknown: {
+      label: 'Unexpected error',
+      baseDelay: 2 * 60 * 1000,
+      maxDelay: 15 * 60 * 1000,
+      maxAttempts: 3
+    }
+  },
+
+  // Up to this fraction of the delay is added at random so retries don't line up
+  JITTER: 0.2,
+
+  // Execution status prefix once no retry is left
+  GAVE_UP_STATUS: 'Gave up',
+
+  /**
+   * Work out the class of a run's error
+   * @param {Error|null} error - The error that ended the run
+   * @returns {string} One of the keys of CLASSES
+   */
+  classify(error) {
+    if (!error) {
+      return 'unknown';
+    }
+
+    const context = error.context || {};
+    const message = error.message || '';
+    const status = Number(context.status) || 0;
+
+    if (context.sessionExpired || context.unsupportedLanguage || /Email not configured/.test(message)) {
+      return 'auth';
+    }
+    if (status >= 400 && status < 500 && status !== 408 && status !== 429 && /upload( to .+)? failed/i.test(message)) {
+      return 'backend';
+    }
+    if (context.targets || /not found|became visible|Invalid file type|No \.xlsx download detected/i.test(message)) {
+      return 'uiChange';
+    }
+    if (status >= 500 || status === 408 || status === 429 || context.timeout ||
+        /Timed out|Failed to fetch|NetworkError|net::ERR_|Navigation to .+ failed|No tab with id/i.test(message)) {
+      return 'network';
+    }
+    return 'unknown';
+  },
+
+  /**
+   * Get the wait before a retry, including jitter
+   * @param {string} errorClass - One of the keys of CLASSES
+   * @param {number} attempt - The retry about to be scheduled (1 for the first)
+   * @param {Function} random - Source of random numbers in [0, 1)
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(errorClass, attempt, random = Math.random) {
+    const { baseDelay, maxDelay } = this.CLASSES[errorClass];
+    const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+    return Math.round(delay * (1 + this.JITTER * random()));
+  },
+
+  /**
+   * Decide whether a failed run is retried
+   * @param {Error|null} error - The error that ended the run
+   * @param {number} retries - Retries already made since the last scheduled run
+   * @param {Function} random - Source of random numbers in [0, 1)
+   * @returns {Object} Decision as { errorClass, retry, delay }; delay is null without a retry
+   */
+  decide(error, retries, random = Math.random) {
+    const errorClass = this.classify(error);
+    if (retries >= this.CLASSES[errorClass].maxAttempts) {
+      return { errorClass, retry: false, delay: null };
+    }
+    return { errorClass, retry: true, delay: this.getDelay(errorClass, retries + 1, random) };
+  },
+
+  /**
+   * Describe the final state of a run that is not retried (again)
+   * @param {string} errorClass - One of the keys of CLASSES
+   * @param {number} retries - Retries made before giving up
+   * @returns {string} Execution status, starting with GAVE_UP_STATUS
+   */
+  describeGaveUp(errorClass, retries) {
+    const { label } = this.CLASSES[errorClass];
+    if (retries === 0) {
+      return `${this.GAVE_UP_STATUS}: ${label}, not retried`;
+    }
+    return `${this.GAVE_UP_STATUS} after ${retries} ${retries === 1 ? 'retry' : 'retries'}: ${label}`;
+  }
+};
@@ -0,0 +1,106 @@
+/**
+ * Run Policy
+ * Decides when a due automated run may open its LinkedIn tabs: any time, only once the
+ * computer has been idle for a number of minutes, or just after the browser started.
+ * A run that waits longer than the maximum deferral runs anyway.
+ *
+ * Loaded by the background service worker, which defers the due runs, and by the
+ * options page, which edits the policy.
+ */
+
+const RunPolicy = {
+  STORAGE_KEY: 'runPolicy',
+
+  MODES: {
+    ANY_TIME: 'anyTime',   // Runs start as soon as they are due
+    IDLE: 'idle',          // Runs wait until the computer has been idle for idleMinutes
+    STARTUP: 'startup'     // Runs wait for the next browser startup
+  },
+
+  DEFAULTS: {
+    mode: 'anyTime',
+    idleMinutes: 10,
+    maxDeferralHours: 12,
+    pauseForLinkedIn: true
+  },
+
+  // chrome.idle detects idle states of 15 seconds to 4 hours
+  MAX_IDLE_MINUTES: 240,
+  MAX_DEFERRAL_HOURS: 72,
+
+  // A due run may start this long after the browser started in startup mode
+  STARTUP_WINDOW: 15 * 60 * 1000,
+
+  /**
+   * Fill in defaults and clamp stored values
+   * @param {Object} settings - The stored run policy
+   * @returns {Object} Settings as { mode, idleMinutes, maxDeferralHours, pauseForLinkedIn }
+   */
+  normalize(settings) {
+    const stored = settings || {};
+    const clamp = (value, max, fallback) => (Number.isFinite(value)
+      ? Math.min(Math.max(Math.round(value), 1), max)
+      : fallback);
+
+    return {
+      mode: Object.values(this.MODES).includes(stored.mode) ? stored.mode : this.DEFAULTS.mode,
+      idleMinutes: clamp(stored.idleMinutes, this.MAX_IDLE_MINUTES, this.DEFAULTS.idleMinutes),
+      maxDeferralHours: clamp(stored.maxDeferralHours, this.MAX_DEFERRAL_HOURS, this.DEFAULTS.maxDeferralHours),
+      pauseForLinkedIn: stored.pauseForLinkedIn !== undefined ? Boolean(stored.pauseForLinkedIn) : this.DEFAULTS.pauseForLinkedIn
+    };
+  },
+
+  /**
+   * Get the time a run due since dueSince runs at the latest
+   * @param {Object} policy - The normalized run policy
+   * @param {number} dueSince - Time in milliseconds the run became due
+   * @returns {number} Time in milliseconds
+   */
+  getDeadline(policy, dueSince) {
+    return dueSince + policy.maxDeferralHours * 60 * 60 * 1000;
+  },
+
+  /**
+   * Decide whether a due run may start now
+   * @param {Object} policy - The normalized run policy
+   * @param {Object} context - { now, dueSince, idleState, browserStartedAt }; idleState is
+   *   the chrome.idle state for the policy's idle minutes, browserStartedAt in milliseconds
+   * @returns {Object} Decision as { run, reason }
+   */
+  canRun(policy, context) {
+    const { now, dueSince, idleState, browserStartedAt } = context;
+
+    if (policy.mode === this.MODES.ANY_TIME) {
+      return { run: true, reason: 'runs may start any time' };
+    }
+    if (now >= this.getDeadline(policy, dueSince)) {
+      return { run: true, reason: `it waited the maximum of ${policy.maxDeferralHours} hours` };
+    }
+
+    if (policy.mode === this.MODES.IDLE) {
+      return idleState === 'idle' || idleState === 'locked'
+        ? { run: true, reason: `the computer has been idle for ${policy.idleMinutes} minutes` }
+        : { run: false, reason: `waiting until the computer has been idle for ${policy.idleMinutes} minutes` };
+    }
+
+    return browserStartedAt && now - browserStartedAt <= this.STARTUP_WINDOW
+      ? { run: true, reason: 'the browser has just started' }
+      : { run: false, reason: 'waiting for the next browser startup' };
+  },
+
+  /**
+   * Describe a run policy for the options page
+   * @param {Object} policy - The normalized run policy
+   * @returns {string} e.g. "Due runs wait until the computer has been idle for 10 minutes (at most 12 hours)"
+   */
+  describe(policy) {
+    switch (policy.mode) {
+      case this.MODES.IDLE:
+        return `Due runs wait until the computer has been idle for ${policy.idleMinutes} minutes (at most ${policy.maxDeferralHours} hours)`;
+      case this.MODES.STARTUP:
+        return `Due runs wait for the next browser startup (at most ${policy.maxDeferralHours} hours)`;
+      default:
+        return 'Due runs start right away';
+    }
+  }
+};
@@ -0,0 +1,402 @@
+/**
+ * Run Schedule
+ * Parses the schedule rules for the automated profile upload ("weekdays at 07:30",
+ * "every 12 hours", "Sunday night" or a five-field cron expression) and works out
+ * the planned runs, deferring runs that fall in quiet hours and adding jitter.
+ *
+ * Loaded by the background service worker, which sets the main alarm, and by the
+ * options page, which validates rules and previews the next planned runs.
+ */
+
+const RunSchedule = {
+  STORAGE_KEY: 'runSchedule',
+
+  // No rules means the upload frequency setting decides; no quiet hours; no jitter
+  DEFAULTS: {
+    rules: [],
+    quietHours: { enabled: false, start: '22:00', end: '07:00' },
+    jitterMinutes: 0
+  },
+
+  // Interval rules shorter than this are rejected to keep LinkedIn traffic human-like
+  MIN_INTERVAL_HOURS: 1,
+  MAX_JITTER_MINUTES: 120,
+
+  DAY_NAMES: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+
+  // Times used for "Sunday night", "weekdays morning" and so on
+  TIMES_OF_DAY: {
+    midnight: '00:00',
+    morning: '08:00',
+    noon: '12:00',
+    afternoon: '15:00',
+    evening: '19:00',
+    night: '22:00'
+  },
+
+  // Time used when a day rule doesn't name one
+  DEFAULT_TIME: '09:00',
+
+  /**
+   * Fill in defaults and drop invalid values from stored settings
+   * @param {Object} settings - The stored run schedule
+   * @returns {Object} Settings as { rules, quietHours, jitterMinutes }
+   */
+  normalize(settings) {
+    const stored = settings || {};
+    const quietHours = { ...this.DEFAULTS.quietHours, ...(stored.quietHours || {}) };
+    const jitterMinutes = Number.isFinite(stored.jitterMinutes)
+      ? Math.min(Math.max(Math.round(stored.jitterMinutes), 0), this.MAX_JITTER_MINUTES)
+      : this.DEFAULTS.jitterMinutes;
+
+    return {
+      rules: Array.isArray(stored.rules) ? stored.rules.filter(rule => typeof rule === 'string' && rule.trim()) : [],
+      quietHours: {
+        enabled: Boolean(quietHours.enabled),
+        start: this.parseTime(quietHours.start) !== null ? quietHours.start : this.DEFAULTS.quietHours.start,
+        end: this.parseTime(quietHours.end) !== null ? quietHours.end : this.DEFAULTS.quietHours.end
+      },
+      jitterMinutes
+    };
+  },
+
+  /**
+   * Parse a time of day
+   * @param {string} text - "07:30", "7:30pm", "7am" or a word like "night"
+   * @returns {number|null} Minutes after midnight, or null if the text is not a time
+   */
+  parseTime(text) {
+    if (typeof text !== 'string') return null;
+    const value = text.trim().toLowerCase();
+
+    if (this.TIMES_OF_DAY[value]) {
+      return this.parseTime(this.TIMES_OF_DAY[value]);
+    }
+
+    const match = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match) return null;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = match[3];
+
+    // A bare number is only a time with am/pm ("7pm"), not "7"
+    if (!match[2] && !meridiem) return null;
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+  },
+
+  /**
+   * Parse a day specification into weekday numbers
+   * @param {string} text - "daily", "weekdays", "weekends" or day names like "mon, wed and fri"
+   * @returns {number[]|null} Weekdays (0 = Sunday), or null if the text is not a day specification
+   */
+  parseDays(text) {
+    const value = text.trim().toLowerCase().replace(/^every\s+/, '');
+
+    if (['day', 'daily', 'every day'].includes(value)) return [0, 1, 2, 3, 4, 5, 6];
+    if (['weekday', 'weekdays'].includes(value)) return [1, 2, 3, 4, 5];
+    if (['weekend', 'weekends'].includes(value)) return [0, 6];
+
+    const days = [];
+    for (const part of value.split(/\s*(?:,|\/|\band\b)\s*/).filter(Boolean)) {
+      const name = part.replace(/s$/, '');
+      const day = this.DAY_NAMES.findIndex(dayName => name.length >= 3 && dayName.startsWith(name));
+      if (day === -1) return null;
+      if (!days.includes(day)) days.push(day);
+    }
+    return days.length > 0 ? days.sort((a, b) => a - b) : null;
+  },
+
+  /**
+   * Parse one field of a cron expression
+   * @param {string} field - e.g. "*", "30", "1-5", "0,12" or "*\/6"
+   * @param {number} min - Smallest allowed value
+   * @param {number} max - Largest allowed value
+   * @returns {number[]|null} Matching values, or null if the field is invalid
+   */
+  parseCronField(field, min, max) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+      const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!match) return null;
+
+      const start = match[1] === '*' ? min : parseInt(match[2], 10);
+      const end = match[1] === '*' ? max : (match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : start));
+      const step = match[4] ? parseInt(match[4], 10) : 1;
+      if (start < min || end > max || start > end || step < 1) return null;
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return [...values].sort((a, b) => a - b);
+  },
+
+  /**
+   * Parse a schedule rule
+   * @param {string} text - The rule as typed by the user
+   * @returns {Object} { type: 'interval', intervalMs } or { type: 'calendar', minutes, hours, daysOfMonth, months, weekdays }
+   * @throws {Error} If the rule cannot be understood
+   */
+  parseRule(text) {
+    const value = String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+
+    // "every 12 hours", "every 2 days"
+    const interval = value.match(/^every (\d+(?:\.\d+)?) ?(hours?|h|days?|d)$/);
+    if (interval) {
+      const hours = parseFloat(interval[1]) * (interval[2].startsWith('d') ? 24 : 1);
+      if (hours < this.MIN_INTERVAL_HOURS) {
+        throw new Error(`"${text}" runs too often; the shortest interval is ${this.MIN_INTERVAL_HOURS} hour`);
+      }
+      return { type: 'interval', intervalMs: hours * 60 * 60 * 1000 };
+    }
+
+    // Five-field cron expression: minute hour day-of-month month day-of-week
+    const fields = value.split(' ');
+    if (fields.length === 5 && fields.every(field => /^[\d*,\/-]+$/.test(field))) {
+      const minutes = this.parseCronField(fields[0], 0, 59);
+      const hours = this.parseCronField(fields[1], 0, 23);
+      const daysOfMonth = this.parseCronField(fields[2], 1, 31);
+      const months = this.parseCronField(fields[3], 1, 12);
+      const cronWeekdays = this.parseCronField(fields[4], 0, 7);
+      if (!minutes || !hours || !daysOfMonth || !months || !cronWeekdays) {
+        throw new Error(`"${text}" is not a valid cron expression`);
+      }
+      // Two minutes in the same hour, e.g. "*/30 0 * * *", are two runs within that hour
+      if (minutes.length > 1) {
+        throw new Error(`"${text}" runs too often; at most one run per hour is allowed`);
+      }
+      // Cron allows both 0 and 7 for Sunday
+      const weekdays = [...new Set(cronWeekdays.map(day => day % 7))].sort((a, b) => a - b);
+      return {
+        type: 'calendar',
+        minutes,
+        hours,
+        daysOfMonth: fields[2] === '*' ? null : daysOfMonth,
+        months,
+        weekdays: fields[4] === '*' ? null : weekdays
+      };
+    }
+
+    // "weekdays at 07:30", "sunday night", "mon, wed and fri at 6pm", "daily"
+    let dayText = value;
+    let time = null;
+    const at = value.match(/^(.+?) at (.+)$/);
+    if (at) {
+      dayText = at[1];
+      time = this.parseTime(at[2]);
+      if (time === null) {
+        throw new Error(`"${at[2]}" in "${text}" is not a time of day`);
+      }
+    } else {
+      const word = value.match(/^(.+?) (midnight|morning|noon|afternoon|evening|night)$/);
+      if (word) {
+        dayText = word[1];
+        time = this.parseTime(word[2]);
+      }
+    }
+
+    const weekdays = this.parseDays(dayText);
+    if (!weekdays) {
+      throw new Error(`"${text}" is not a schedule rule. Try "weekdays at 07:30", "every 12 hours" or "sunday night"`);
+    }
+    if (time === null) {
+      time = this.parseTime(this.DEFAULT_TIME);
+    }
+
+    return {
+      type: 'calendar',
+      minutes: [time % 60],
+      hours: [Math.floor(time / 60)],
+      daysOfMonth: null,
+      months: null,
+      weekdays: weekdays.length === 7 ? null : weekdays
+    };
+  },
+
+  /**
+   * Check schedule rules and collect the ones that cannot be parsed
+   * @param {string[]} rules - The rules as typed by the user
+   * @returns {string[]} One error message per invalid rule
+   */
+  validate(rules) {
+    const errors = [];
+    rules.forEach((rule) => {
+      try {
+        this.parseRule(rule);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    });
+    return errors;
+  },
+
+  /**
+   * Check whether a calendar rule allows a given day
+   * @param {Object} rule - A parsed calendar rule
+   * @param {Date} date - The day to check
+   * @returns {boolean} True if the rule can fire on that day
+   */
+  matchesDay(rule, date) {
+    if (rule.months !== null && !rule.months.includes(date.getMonth() + 1)) return false;
+
+    const dayOfMonth = rule.daysOfMonth === null || rule.daysOfMonth.includes(date.getDate());
+    const weekday = rule.weekdays === null || rule.weekdays.includes(date.getDay());
+
+    // Like cron, a rule restricting both fields fires when either matches
+    if (rule.daysOfMonth !== null && rule.weekdays !== null) {
+      return dayOfMonth || weekday;
+    }
+    return dayOfMonth && weekday;
+  },
+
+  /**
+   * Get the first time after a given time that a rule fires
+   * @param {Object} rule - A parsed rule
+   * @param {number} after - Time in milliseconds of the previous run
+   * @returns {number|null} The next time in milliseconds, or null if the rule never fires within a year
+   */
+  nextOccurrence(rule, after) {
+    if (rule.type === 'interval') {
+      return after + rule.intervalMs;
+    }
+
+    const afterDate = new Date(after);
+    const day = new Date(afterDate.getFullYear(), afterDate.getMonth(), afterDate.getDate());
+
+    for (let i = 0; i < 400; i++) {
+      if (this.matchesDay(rule, day)) {
+        for (const hour of rule.hours) {
+          for (const minute of rule.minutes) {
+            const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute).getTime();
+            if (candidate > after) {
+              return candidate;
+            }
+          }
+        }
+      }
+      day.setDate(day.getDate() + 1);
+    }
+
+    return null;
+  },
+
+  /**
+   * Check whether a time falls in quiet hours
+   * @param {number} time - Time in milliseconds
+   * @param {Object} quietHours - { enabled, start, end }
+   * @returns {boolean} True if runs at this time should be deferred
+   */
+  isQuiet(time, quietHours) {
+    if (!quietHours || !quietHours.enabled) return false;
+
+    const start = this.parseTime(quietHours.start);
+    const end = this.parseTime(quietHours.end);
+    if (start === null || end === null || start === end) return false;
+
+    const date = new Date(time);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    // Quiet hours may wrap past midnight (e.g. 22:00 - 07:00)
+    return start < end ? (minutes >= start && minutes < end) : (minutes >= start || minutes < end);
+  },
+
+  /**
+   * Move a run that falls in quiet hours to the end of the quiet period
+   * @param {number} time - Time in milliseconds
+   * @param {Object} quietHours - { enabled, start, end }
+   * @returns {number} The original time, or the end of the quiet period it falls in
+   */
+  deferPastQuietHours(time, quietHours) {
+    if (!this.isQuiet(time, quietHours)) return time;
+
+    const end = this.parseTime(quietHours.end);
+    const date = new Date(time);
+    const deferred = new Date(date.getFullYear(), date.getMonth(), date.getDate(), Math.floor(end / 60), end % 60);
+    if (deferred.getTime() <= time) {
+      deferred.setDate(deferred.getDate() + 1);
+    }
+    return deferred.getTime();
+  },
+
+  /**
+   * Get the next planned run
+   * @param {Object} settings - The run schedule
+   * @param {number} after - Time in milliseconds of the previous run (or now)
+   * @param {number} fallbackInterval - Interval in milliseconds used when there are no rules
+   * @returns {number} The next run time in milliseconds, without jitter
+   */
+  getNextRun(settings, after, fallbackInterval) {
+    const { rules, quietHours } = this.normalize(settings);
+
+    let next = null;
+    for (const text of rules) {
+      let rule;
+      try {
+        rule = this.parseRule(text);
+      } catch (error) {
+        continue;
+      }
+      const occurrence = this.nextOccurrence(rule, after);
+      if (occurrence !== null && (next === null || occurrence < next)) {
+        next = occurrence;
+      }
+    }
+
+    if (next === null) {
+      next = after + fallbackInterval;
+    }
+
+    return this.deferPastQuietHours(next, quietHours);
+  },
+
+  /**
+   * Get the next planned runs
+   * @param {Object} settings - The run schedule
+   * @param {number} after - Time in milliseconds of the previous run (or now)
+   * @param {number} fallbackInterval - Interval in milliseconds used when there are no rules
+   * @param {number} count - How many runs to plan
+   * @param {number|null} first - An already scheduled next run to start from
+   * @returns {number[]} Run times in milliseconds, without jitter
+   */
+  getNextRuns(settings, after, fallbackInterval, count = 5, first = null) {
+    const runs = [];
+    let previous = after;
+
+    if (first !== null && first > after) {
+      runs.push(first);
+      previous = first;
+    }
+
+    while (runs.length < count) {
+      const next = this.getNextRun(settings, previous, fallbackInterval);
+      runs.push(next);
+      previous = next;
+    }
+
+    return runs;
+  },
+
+  /**
+   * Add a random delay of up to the configured jitter, keeping the run out of quiet hours
+   * @param {number} time - The planned run time in milliseconds
+   * @param {Object} settings - The run schedule
+   * @param {Function} random - Source of random numbers in [0, 1)
+   * @returns {number} The jittered run time in milliseconds
+   */
+  applyJitter(time, settings, random = Math.random) {
+    const { quietHours, jitterMinutes } = this.normalize(settings);
+    if (jitterMinutes === 0) return time;
+
+    const jittered = time + Math.floor(random() * jitterMinutes * 60 * 1000);
+    return this.deferPastQuietHours(jittered, quietHours);
+  }
+};
@@ -0,0 +1,204 @@
+/**
+ * Unit Tests for pausing automated runs
+ *
+ * Tests:
+ * - Pauses until a date, indefinitely or for the next run only are validated and stored
+ * - A pause holds back scheduled, retried and company runs, counting the skipped scheduled runs
+ * - "Skip next run" skips one scheduled run and then ends
+ * - Automation resumes when the date passes, catching up on a skipped run once
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('AutomationPause', () => {
+  let PauseSettings;
+  let AutomationPause;
+  let AlarmManager;
+  let CompanyManager;
+  let worker;
+  let storage;
+  const DAY = 24 * 60 * 60 * 1000;
+
+  beforeAll(() => {
+    // Runs pause-settings.js as the service worker's importScripts would
+    const source = fs.readFileSync(path.join(__dirname, '..', 'pause-settings.js'), 'utf8');
+    PauseSettings = new Function(`${source}\nreturn PauseSettings;`)();
+  });
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+
+    AutomationPause = worker.get('AutomationPause');
+    AlarmManager = worker.get('AlarmManager');
+    CompanyManager = worker.get('CompanyManager');
+    AlarmManager.runScheduledAutomation = jest.fn().mockResolvedValue(true);
+    CompanyManager.scheduleNextRun = jest.fn().mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  const logged = async (message) => {
+    await worker.settle();
+    return worker.messages().includes(message);
+  };
+
+  describe('PauseSettings', () => {
+    it('should only pause until a date in the future', () => {
+      const now = Date.now();
+
+      expect(PauseSettings.create('until', new Date(now + DAY).toISOString(), now)).toEqual({
+        mode: 'until',
+        until: new Date(now + DAY).toISOString(),
+        since: new Date(now).toISOString(),
+        skipped: 0
+      });
+      expect(() => PauseSettings.create('until', new Date(now - DAY).toISOString(), now)).toThrow('Choose a date in the future to pause until');
+      expect(() => PauseSettings.create('until', null, now)).toThrow('Choose a date in the future');
+      expect(() => PauseSettings.create('forever')).toThrow('Unknown pause mode: forever');
+    });
+
+    it('should treat a pause whose date has passed as over', () => {
+      const now = Date.now();
+      const pause = PauseSettings.create('until', new Date(now + DAY).toISOString(), now);
+
+      expect(PauseSettings.normalize(pause, now + DAY - 1)).toMatchObject({ mode: 'until' });
+      expect(PauseSettings.normalize(pause, now + DAY)).toBeNull();
+      expect(PauseSettings.normalize({ mode: 'sometimes' })).toBeNull();
+    });
+
+    it('should end a pause at the start of the chosen day', () => {
+      expect(PauseSettings.parseDate('2026-12-24')).toBe(new Date(2026, 11, 24).getTime());
+      expect(PauseSettings.parseDate('2026-02-30')).toBeNull();
+      expect(PauseSettings.parseDate('')).toBeNull();
+      expect(PauseSettings.toDateInput(new Date(2026, 0, 5, 18, 30).getTime())).toBe('2026-01-05');
+    });
+
+    it('should hold back every run only while paused until a date or indefinitely', () => {
+      expect(PauseSettings.isPaused(PauseSettings.create('indefinite'))).toBe(true);
+      expect(PauseSettings.isPaused(PauseSettings.create('skipNext'))).toBe(false);
+      expect(PauseSettings.isPaused(null)).toBe(false);
+    });
+  });
+
+  describe('pause()', () => {
+    it('should set the pause-end alarm and drop a pending retry', async () => {
+      const until = new Date(Date.now() + 3 * DAY).toISOString();
+      storage.retryScheduled = true;
+      storage.nextRetryTime = new Date().toISOString();
+      worker.chrome.alarms.create('retryExecution', { delayInMinutes: 30 });
+
+      await AutomationPause.pause('until', until);
+
+      expect(storage.automationPause).toMatchObject({ mode: 'until', until, skipped: 0 });
+      expect(worker.alarms.pauseEnd.scheduledTime).toBe(new Date(until).getTime());
+      expect(worker.alarms.retryExecution).toBeUndefined();
+      expect(storage.retryScheduled).toBeUndefined();
+    });
+
+    it('should keep a pending retry when only the next run is skipped', async () => {
+      storage.retryScheduled = true;
+      worker.chrome.alarms.create('retryExecution', { delayInMinutes: 30 });
+
+      await AutomationPause.pause('skipNext');
+
+      expect(worker.alarms.pauseEnd).toBeUndefined();
+      expect(worker.alarms.retryExecution).toBeDefined();
+      expect(storage.retryScheduled).toBe(true);
+    });
+
+    it('should reject a date in the past', async () => {
+      await expect(AutomationPause.pause('until', new Date(Date.now() - DAY).toISOString())).rejects.toThrow('Choose a date in the future');
+      expect(storage.automationPause).toBeUndefined();
+    });
+  });
+
+  describe('holdsBack()', () => {
+    it('should let runs start when automation is not paused', async () => {
+      await expect(AutomationPause.holdsBack('scheduled')).resolves.toBe(false);
+    });
+
+    it('should hold back every kind of run while paused and count the skipped scheduled runs', async () => {
+      await AutomationPause.pause('indefinite');
+      storage.retryScheduled = true;
+
+      const held = [
+        await AutomationPause.holdsBack('scheduled'),
+        await AutomationPause.holdsBack('retry'),
+        await AutomationPause.holdsBack('company'),
+        await AutomationPause.holdsBack('scheduled')
+      ];
+
+      expect(held).toEqual([true, true, true, true]);
+      expect(storage.automationPause.skipped).toBe(2);
+      expect(storage.retryScheduled).toBeUndefined();
+      expect(await logged('Paused until you resume, not starting the company run')).toBe(true);
+    });
+
+    it('should skip one scheduled run and then end the pause', async () => {
+      await AutomationPause.pause('skipNext');
+
+      expect(await AutomationPause.holdsBack('retry')).toBe(false);
+      expect(await AutomationPause.holdsBack('company')).toBe(false);
+      expect(await AutomationPause.holdsBack('scheduled')).toBe(true);
+      expect(storage.automationPause).toBeUndefined();
+      expect(await AutomationPause.holdsBack('scheduled')).toBe(false);
+    });
+
+    it('should end a pause whose date passed without catching up, since this run does', async () => {
+      storage.automationPause = { mode: 'until', until: new Date(Date.now() - 1000).toISOString(), skipped: 3 };
+
+      await expect(AutomationPause.holdsBack('scheduled')).resolves.toBe(false);
+
+      expect(storage.automationPause).toBeUndefined();
+      expect(AlarmManager.runScheduledAutomation).not.toHaveBeenCalled();
+      expect(CompanyManager.scheduleNextRun).toHaveBeenCalled();
+    });
+  });
+
+  describe('resume()', () => {
+    it('should catch up once on the scheduled runs skipped during the pause', async () => {
+      storage.automationPause = { mode: 'until', until: new Date(Date.now() - 1000).toISOString(), skipped: 2 };
+      worker.chrome.alarms.create('pauseEnd', { when: Date.now() - 1000 });
+
+      await AutomationPause.resumeIfExpired();
+
+      expect(storage.automationPause).toBeUndefined();
+      expect(AlarmManager.runScheduledAutomation).toHaveBeenCalledTimes(1);
+      expect(worker.alarms.pauseEnd).toBeUndefined();
+      expect(CompanyManager.scheduleNextRun).toHaveBeenCalled();
+      expect(await logged('Automation resumed: the pause date has passed')).toBe(true);
+    });
+
+    it('should leave a pause that is still running alone', async () => {
+      await AutomationPause.pause('until', new Date(Date.now() + DAY).toISOString());
+
+      await AutomationPause.resumeIfExpired();
+
+      expect(storage.automationPause).toBeDefined();
+    });
+
+    it('should not run anything when nothing was skipped', async () => {
+      await AutomationPause.pause('indefinite');
+
+      await AutomationPause.resume('resumed by the user');
+
+      expect(storage.automationPause).toBeUndefined();
+      expect(AlarmManager.runScheduledAutomation).not.toHaveBeenCalled();
+    });
+
+    it('should log a catch-up run that fails', async () => {
+      storage.automationPause = { mode: 'indefinite', until: null, skipped: 1 };
+      AlarmManager.runScheduledAutomation.mockRejectedValue(new Error('No profile URL configured'));
+
+      await AutomationPause.resume('resumed by the user');
+
+      expect(await logged('Catch-up run failed: No profile URL configured')).toBe(true);
+    });
+  });
+});
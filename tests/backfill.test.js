@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for upload frequencies and the historical backfill
+ *
+ * Tests:
+ * - Mapping the upload frequency to an interval and LinkedIn time range
+ * - Building the analytics URL for a time range
+ * - Walking the backfill ranges up to the requested depth
+ * - Recording backfill progress and refusing overlapping backfills
+ */
+
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('Upload frequencies and backfill', () => {
+  let worker;
+  let CONFIG;
+  let storage;
+  let executeAutomationScript;
+  let getAnalyticsUrl;
+  let getScheduledTimeRange;
+  let runBackfill;
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+
+    CONFIG = worker.get('CONFIG');
+    getAnalyticsUrl = worker.get('getAnalyticsUrl');
+    getScheduledTimeRange = worker.get('getScheduledTimeRange');
+    runBackfill = worker.get('runBackfill');
+
+    // The runs themselves have their own tests
+    executeAutomationScript = jest.fn().mockResolvedValue(true);
+    worker.set('executeAutomationScript', executeAutomationScript);
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  describe('upload frequencies', () => {
+    it('should export 28 days for daily, 3-day and weekly runs', async () => {
+      for (const frequency of ['daily', '3days', 'weekly']) {
+        storage.uploadFrequency = frequency;
+        expect(await getScheduledTimeRange()).toBe('past_28_days');
+      }
+    });
+
+    it('should export 90 days for monthly runs so there are no gaps between runs', async () => {
+      storage.uploadFrequency = 'monthly';
+
+      expect(await getScheduledTimeRange()).toBe('past_90_days');
+      expect(CONFIG.UPLOAD_FREQUENCIES.monthly.interval).toBeLessThan(90 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should fall back to 28 days when no frequency is set', async () => {
+      expect(await getScheduledTimeRange()).toBe('past_28_days');
+    });
+  });
+
+  describe('getAnalyticsUrl()', () => {
+    it('should replace the time range and keep the other parameters', () => {
+      const url = new URL(getAnalyticsUrl('past_365_days'));
+
+      expect(url.searchParams.get('timeRange')).toBe('past_365_days');
+      expect(url.searchParams.get('metricType')).toBe('IMPRESSIONS');
+    });
+
+    it('should default to the past 28 days', () => {
+      expect(getAnalyticsUrl()).toBe(CONFIG.LINKEDIN.ANALYTICS);
+    });
+  });
+
+  describe('runBackfill()', () => {
+    it('should export only the past 90 days for a 90-day backfill', async () => {
+      await runBackfill('past_90_days');
+
+      expect(executeAutomationScript.mock.calls.map(call => call[0])).toEqual([
+        { timeRange: 'past_90_days', backfill: true }
+      ]);
+    });
+
+    it('should walk every range up to 365 days, shortest first', async () => {
+      await runBackfill('past_365_days');
+
+      expect(executeAutomationScript.mock.calls.map(call => call[0].timeRange)).toEqual(['past_90_days', 'past_365_days']);
+      expect(storage.backfillStatus).toMatchObject({
+        depth: 'past_365_days',
+        status: 'Success',
+        completedRanges: ['past_90_days', 'past_365_days'],
+        failedRanges: []
+      });
+      expect(storage.backfillStatus.finishedAt).not.toBeNull();
+    });
+
+    it('should keep going and report failure when one range fails', async () => {
+      executeAutomationScript.mockImplementation(async ({ timeRange }) => timeRange !== 'past_90_days');
+
+      await runBackfill('past_365_days');
+
+      expect(executeAutomationScript).toHaveBeenCalledTimes(2);
+      expect(storage.backfillStatus).toMatchObject({
+        status: 'Failed',
+        completedRanges: ['past_365_days'],
+        failedRanges: ['past_90_days']
+      });
+    });
+
+    it('should reject unsupported ranges', async () => {
+      await expect(runBackfill('past_28_days')).rejects.toThrow('Unsupported backfill range: past_28_days');
+      expect(executeAutomationScript).not.toHaveBeenCalled();
+    });
+
+    it('should ignore a backfill requested while another personal run holds the lock', async () => {
+      let release;
+      executeAutomationScript.mockImplementation(() => new Promise((resolve) => { release = resolve; }));
+
+      const first = runBackfill('past_90_days');
+      await worker.settle();
+      const second = await runBackfill('past_365_days');
+      release(true);
+      await first;
+
+      expect(second).toBe(false);
+      expect(executeAutomationScript).toHaveBeenCalledTimes(1);
+      expect(await worker.get('RunLock').getHolder('personal')).toBeNull();
+    });
+  });
+});
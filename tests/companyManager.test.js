@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for CompanyManager
+ *
+ * Tests multi-company page support including:
+ * - Migrating the legacy single company ID and its status into the company list
+ * - Per-company status updates that don't overwrite each other
+ * - Running due companies one after another
+ */
+
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('CompanyManager', () => {
+  let worker;
+  let CompanyManager;
+  let storage;
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+
+    CompanyManager = worker.get('CompanyManager');
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  describe('getCompanies()', () => {
+    it('should return an empty list when nothing is configured', async () => {
+      expect(await CompanyManager.getCompanies()).toEqual([]);
+    });
+
+    it('should return the configured companies', async () => {
+      storage.companies = [{ id: '105563936', label: 'Acme' }, { id: '42', label: '' }];
+
+      expect(await CompanyManager.getCompanies()).toEqual(storage.companies);
+    });
+
+    it('should migrate the legacy company ID and its status', async () => {
+      storage.companyId = '105563936';
+      storage.lastCompanyExecutionTime = 1700000000000;
+      storage.lastCompanyExecutionStatus = 'Failed';
+      storage.lastCompanyExecutionError = JSON.stringify({ name: 'Error', message: 'Page load timeout' });
+      storage.nextCompanyExecution = 1700604800000;
+
+      const companies = await CompanyManager.getCompanies();
+
+      expect(companies).toEqual([{ id: '105563936', label: '' }]);
+      expect(storage.companies).toEqual(companies);
+      expect(storage.companyStatus['105563936']).toEqual({
+        lastExecutionTime: 1700000000000,
+        lastStatus: 'Failed',
+        lastError: { name: 'Error', message: 'Page load timeout' },
+        nextExecution: 1700604800000
+      });
+      expect(storage.companyId).toBeUndefined();
+      expect(storage.lastCompanyExecutionTime).toBeUndefined();
+    });
+
+    it('should keep a legacy error that is not JSON as its message', async () => {
+      storage.companyId = '42';
+      storage.lastCompanyExecutionError = 'Something broke';
+
+      await CompanyManager.getCompanies();
+
+      expect(storage.companyStatus['42'].lastError).toEqual({ name: 'Error', message: 'Something broke' });
+    });
+  });
+
+  describe('updateStatus()', () => {
+    it('should merge fields into the existing status', async () => {
+      await CompanyManager.updateStatus('1', { lastStatus: 'Running', lastExecutionTime: 100 });
+      await CompanyManager.updateStatus('1', { lastStatus: 'Success' });
+
+      expect((await CompanyManager.getStatuses())['1']).toEqual({ lastStatus: 'Success', lastExecutionTime: 100 });
+    });
+
+    it('should not lose concurrent updates for different companies', async () => {
+      await Promise.all([
+        CompanyManager.updateStatus('1', { lastStatus: 'Success' }),
+        CompanyManager.updateStatus('2', { lastStatus: 'Failed' }),
+        CompanyManager.updateStatus('3', { lastStatus: 'Running' })
+      ]);
+
+      const statuses = await CompanyManager.getStatuses();
+      expect(Object.keys(statuses).sort()).toEqual(['1', '2', '3']);
+    });
+  });
+
+  describe('company batch', () => {
+    // Runs checkAndRunCompanyPageUpload with the company runs themselves replaced
+    async function runBatch(runCompany, force = false) {
+      worker.set('executeCompanyPageAutomation', runCompany);
+      await worker.get('checkAndRunCompanyPageUpload')(force);
+    }
+
+    it('should run only the companies that are due, one after another', async () => {
+      storage.companies = [{ id: '1', label: '' }, { id: '2', label: '' }, { id: '3', label: '' }];
+      storage.companyStatus = { 2: { lastExecutionTime: Date.now() } };
+      const order = [];
+      let active = 0;
+      const runCompany = jest.fn(async (companyId) => {
+        active++;
+        expect(active).toBe(1);
+        order.push(companyId);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+      });
+
+      await runBatch(runCompany);
+
+      expect(order).toEqual(['1', '3']);
+    });
+
+    it('should run every company when forced', async () => {
+      storage.companies = [{ id: '1', label: '' }, { id: '2', label: '' }];
+      storage.companyStatus = { 1: { lastExecutionTime: Date.now() }, 2: { lastExecutionTime: Date.now() } };
+      const runCompany = jest.fn().mockResolvedValue(true);
+
+      await runBatch(runCompany, true);
+
+      expect(runCompany.mock.calls.map(call => call[0])).toEqual(['1', '2']);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for CompanySchedule
+ *
+ * Tests the company page upload schedule including:
+ * - Daily, every 3 days and weekly intervals
+ * - Calendar months, including shorter months
+ * - A fixed weekday
+ * - Falling back to the weekly default for invalid settings
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+describe('CompanySchedule', () => {
+  let CompanySchedule;
+  const DAY = 24 * 60 * 60 * 1000;
+
+  beforeAll(() => {
+    // Runs company-schedule.js as the service worker's importScripts would
+    const source = fs.readFileSync(path.join(__dirname, '..', 'company-schedule.js'), 'utf8');
+    CompanySchedule = new Function(`${source}\nreturn CompanySchedule;`)();
+  });
+
+  describe('normalize()', () => {
+    it('should default to weekly on Monday', () => {
+      expect(CompanySchedule.normalize(undefined)).toEqual({ frequency: 'weekly', weekday: 1 });
+    });
+
+    it('should drop an unknown frequency and an out-of-range weekday', () => {
+      expect(CompanySchedule.normalize({ frequency: 'hourly', weekday: 9 })).toEqual({ frequency: 'weekly', weekday: 1 });
+    });
+
+    it('should keep valid settings', () => {
+      expect(CompanySchedule.normalize({ frequency: 'weekday', weekday: 0 })).toEqual({ frequency: 'weekday', weekday: 0 });
+    });
+  });
+
+  describe('getNextRun()', () => {
+    // Wednesday 15 January 2025, 10:30 local time
+    const last = new Date(2025, 0, 15, 10, 30).getTime();
+
+    it('should run immediately when the company has never run', () => {
+      expect(CompanySchedule.getNextRun(null, { frequency: 'daily' }, 1000)).toBe(1000);
+    });
+
+    it('should add a fixed interval for daily, every 3 days and weekly', () => {
+      expect(CompanySchedule.getNextRun(last, { frequency: 'daily' })).toBe(last + DAY);
+      expect(CompanySchedule.getNextRun(last, { frequency: '3days' })).toBe(last + 3 * DAY);
+      expect(CompanySchedule.getNextRun(last, { frequency: 'weekly' })).toBe(last + 7 * DAY);
+    });
+
+    it('should run on the same day next month', () => {
+      const next = new Date(CompanySchedule.getNextRun(last, { frequency: 'monthly' }));
+
+      expect([next.getFullYear(), next.getMonth(), next.getDate(), next.getHours()]).toEqual([2025, 1, 15, 10]);
+    });
+
+    it('should clamp to the last day of a shorter month', () => {
+      const endOfJanuary = new Date(2025, 0, 31, 8, 0).getTime();
+      const next = new Date(CompanySchedule.getNextRun(endOfJanuary, { frequency: 'monthly' }));
+
+      expect([next.getMonth(), next.getDate()]).toEqual([1, 28]);
+    });
+
+    it('should run on the next configured weekday', () => {
+      const next = new Date(CompanySchedule.getNextRun(last, { frequency: 'weekday', weekday: 5 }));
+
+      expect(next.getDay()).toBe(5);
+      expect(next.getDate()).toBe(17);
+      expect(next.getHours()).toBe(10);
+    });
+
+    it('should wait a full week when the last run was on the configured weekday', () => {
+      const next = new Date(CompanySchedule.getNextRun(last, { frequency: 'weekday', weekday: 3 }));
+
+      expect(next.getDate()).toBe(22);
+    });
+  });
+
+  describe('isDue()', () => {
+    const now = new Date(2025, 0, 20, 12, 0).getTime();
+
+    it('should be due when the company has never run', () => {
+      expect(CompanySchedule.isDue(undefined, {}, now)).toBe(true);
+      expect(CompanySchedule.isDue({}, {}, now)).toBe(true);
+    });
+
+    it('should follow the configured frequency', () => {
+      const status = { lastExecutionTime: now - 2 * DAY };
+
+      expect(CompanySchedule.isDue(status, { frequency: 'daily' }, now)).toBe(true);
+      expect(CompanySchedule.isDue(status, { frequency: '3days' }, now)).toBe(false);
+      expect(CompanySchedule.isDue(status, { frequency: 'weekly' }, now)).toBe(false);
+    });
+  });
+});
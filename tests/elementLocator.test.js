@@ -0,0 +1,234 @@
+/**
+ * Unit Tests for the element locator
+ *
+ * Tests:
+ * - Text similarity scoring, including reworded LinkedIn labels
+ * - Trying strategies in rank order and reporting the one that matched
+ * - Matching by data attribute, aria-label, role, href and text
+ * - Scoping a strategy to dialogs and ignoring hidden elements
+ * - Building targets from locale keys, detected language first
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('Element locator', () => {
+  let elementLocator;
+  let worker;
+  let ElementLocator;
+  let LocaleRegistry;
+  const bundled = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'selector-manifest.json'), 'utf8'));
+
+  beforeAll(async () => {
+    // Targets are built by the service worker and passed to the page
+    worker = startServiceWorker({});
+    await worker.settle();
+    ElementLocator = worker.get('ElementLocator');
+    LocaleRegistry = worker.get('LocaleRegistry');
+
+    // jsdom doesn't lay out the page, so treat every element that isn't display:none as visible
+    Object.defineProperty(HTMLElement.prototype, 'offsetParent', {
+      configurable: true,
+      get() {
+        return this.style.display === 'none' ? null : this.parentNode;
+      }
+    });
+    HTMLElement.prototype.scrollIntoView = jest.fn();
+
+    // Runs element-locator.js in the page, as chrome.scripting.executeScript would
+    const source = fs.readFileSync(path.join(__dirname, '..', 'element-locator.js'), 'utf8');
+    new Function(source)();
+    elementLocator = window.elementLocator;
+  });
+
+  afterAll(() => {
+    worker.stop();
+    delete HTMLElement.prototype.offsetParent;
+    delete window.elementLocator;
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  // The export target of the bundled manifest, as the service worker builds it
+  const exportTarget = (language = 'en') => ElementLocator.getTarget(bundled, 'export', language);
+
+  describe('textSimilarity()', () => {
+    it('should score an exact match as 1, ignoring case and whitespace', () => {
+      expect(elementLocator.textSimilarity('  Show   Results ', 'show results')).toBe(1);
+    });
+
+    it('should score tighter containing matches higher', () => {
+      const tight = elementLocator.textSimilarity('Export data', 'Export');
+      const loose = elementLocator.textSimilarity('Export your analytics for the selected period', 'Export');
+
+      expect(tight).toBeGreaterThan(loose);
+      expect(loose).toBeGreaterThanOrEqual(0.6);
+    });
+
+    it('should match a reworded label by its shared words', () => {
+      expect(elementLocator.textSimilarity('Show 12 results', 'Show results')).toBeGreaterThanOrEqual(0.6);
+      expect(elementLocator.textSimilarity('Cancel', 'Show results')).toBe(0);
+    });
+  });
+
+  describe('click()', () => {
+    it('should prefer the data attribute over text matches', () => {
+      document.body.innerHTML = `
+        <button id="text-only">Export</button>
+        <button id="hook" data-test-id="analytics-export-button"><span>Download</span></button>`;
+      const clicked = jest.fn();
+      document.getElementById('hook').addEventListener('click', clicked);
+
+      const result = elementLocator.click(exportTarget());
+
+      expect(clicked).toHaveBeenCalled();
+      expect(result).toMatchObject({ found: true, strategy: 'data-attribute', rank: 0, score: 1 });
+      expect(result.tried).toEqual(['data-attribute']);
+    });
+
+    it('should fall back to the aria-label when there is no data attribute', () => {
+      document.body.innerHTML = '<button aria-label="Exportieren"><svg></svg></button>';
+
+      const result = elementLocator.click(exportTarget('de'));
+
+      expect(result).toMatchObject({ found: true, strategy: 'aria-label', rank: 1 });
+      expect(result.description).toBe('button "exportieren"');
+    });
+
+    it('should pick the closest text match among several candidates', () => {
+      document.body.innerHTML = `
+        <div role="button" id="loose">Export options and settings</div>
+        <div role="button" id="tight">Export</div>`;
+      const clicked = jest.fn();
+      document.getElementById('tight').addEventListener('click', clicked);
+
+      const result = elementLocator.click(exportTarget());
+
+      expect(result.strategy).toBe('button-name');
+      expect(clicked).toHaveBeenCalled();
+    });
+
+    it('should match a link by its href pattern', () => {
+      document.body.innerHTML = `
+        <a href="/feed/">Home</a>
+        <a href="/analytics/creator/content/?metricType=IMPRESSIONS">1,204 impressions</a>`;
+
+      const result = elementLocator.click({
+        name: 'postImpressions',
+        strategies: [
+          { name: 'href', type: 'href', selector: 'a', pattern: '/analytics/creator/content' },
+          { name: 'link-name', type: 'role', role: 'link', texts: ['Post impressions'] }
+        ]
+      });
+
+      expect(result).toMatchObject({ found: true, strategy: 'href' });
+    });
+
+    it('should look inside dialogs first when the strategy is scoped', () => {
+      document.body.innerHTML = `
+        <button id="page">Export</button>
+        <div role="dialog"><button id="dialog">Export</button></div>`;
+      const clicked = jest.fn();
+      document.getElementById('dialog').addEventListener('click', clicked);
+
+      const result = elementLocator.click({
+        name: 'companyExportConfirm',
+        strategies: [
+          { name: 'dialog-button', type: 'role', role: 'button', scope: '[role="dialog"]', texts: ['Export'] },
+          { name: 'button-name', type: 'role', role: 'button', texts: ['Export'] }
+        ]
+      });
+
+      expect(result.strategy).toBe('dialog-button');
+      expect(clicked).toHaveBeenCalled();
+    });
+
+    it('should ignore hidden elements', () => {
+      document.body.innerHTML = '<button style="display: none">Export</button>';
+
+      expect(elementLocator.click(exportTarget())).toEqual({
+        found: false,
+        tried: ['data-attribute', 'aria-label', 'button-name', 'text']
+      });
+    });
+
+    it('should keep the same locator when injected again', () => {
+      const source = fs.readFileSync(path.join(__dirname, '..', 'element-locator.js'), 'utf8');
+      new Function(source)();
+
+      expect(window.elementLocator).toBe(elementLocator);
+    });
+  });
+
+  describe('getTarget()', () => {
+    const getTarget = (manifest, key, language) => ElementLocator.getTarget(manifest, key, language);
+
+    it('should resolve locale keys with the detected language first', () => {
+      const manifest = { texts: {}, targets: { export: [{ name: 'text', type: 'text', textKeys: ['export'], extraTexts: ['csv'] }] } };
+
+      const texts = getTarget(manifest, 'export', 'de').strategies[0].texts;
+      expect(texts.slice(0, 2)).toEqual(['Exportieren', 'Export']);
+      expect(texts[texts.length - 1]).toBe('csv');
+    });
+
+    it('should put manifest text overrides before the locale packs', () => {
+      const manifest = { texts: { de: { export: 'Daten exportieren' } }, targets: {} };
+
+      expect(getTarget(manifest, 'export', 'de').strategies[0].texts.slice(0, 3)).toEqual(['Daten exportieren', 'Exportieren', 'Export']);
+    });
+
+    it('should fall back to aria-label and text strategies for unknown targets', () => {
+      const target = getTarget({ texts: {}, targets: {} }, 'export');
+
+      expect(target.strategies.map(strategy => strategy.name)).toEqual(['aria-label', 'text']);
+      expect(target.strategies[1].texts).toEqual(LocaleRegistry.getTexts('export'));
+      expect(target.strategies[1].texts[0]).toBe('Export');
+    });
+  });
+
+  describe('post analytics export button', () => {
+    let originals;
+    let logger;
+
+    beforeEach(() => {
+      const MultilingualTabInteractions = worker.get('MultilingualTabInteractions');
+      const PageConditions = worker.get('PageConditions');
+      originals = [
+        [MultilingualTabInteractions, 'getLanguage'],
+        [PageConditions, 'waitForTargets'],
+        [PageConditions, 'settle'],
+        [ElementLocator, 'clickTarget']
+      ].map(([object, name]) => [object, name, object[name]]);
+
+      MultilingualTabInteractions.getLanguage = jest.fn().mockResolvedValue('de');
+      PageConditions.waitForTargets = jest.fn().mockResolvedValue({ met: true });
+      PageConditions.settle = jest.fn().mockResolvedValue();
+      logger = { log: jest.fn() };
+    });
+
+    afterEach(() => {
+      originals.forEach(([object, name, method]) => { object[name] = method; });
+    });
+
+    it('should click the export target in the detected language', async () => {
+      ElementLocator.clickTarget = jest.fn().mockResolvedValue({ found: true, strategy: 'aria-label', tried: [] });
+
+      await worker.get('AdvancedPostAnalytics').tryClickExportButton(7, logger);
+
+      expect(worker.get('PageConditions').waitForTargets).toHaveBeenCalledWith(7, ['export'], 'de');
+      expect(ElementLocator.clickTarget).toHaveBeenCalledWith(7, 'export', 'de');
+      expect(worker.get('PageConditions').settle).toHaveBeenCalledWith(7);
+    });
+
+    it('should name the strategies tried when no strategy finds the button', async () => {
+      ElementLocator.clickTarget = jest.fn().mockResolvedValue({ found: false, tried: ['data-attribute', 'aria-label'] });
+
+      await expect(worker.get('AdvancedPostAnalytics').tryClickExportButton(7, logger))
+        .rejects.toThrow('Export button not found (language: de). Strategies tried: data-attribute, aria-label');
+      expect(worker.get('PageConditions').settle).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit Tests for the export archive
+ *
+ * Tests:
+ * - Saved workbooks are listed newest first, without their contents
+ * - Saving deletes the oldest workbooks beyond MAX_ENTRIES
+ * - Saving deletes workbooks older than MAX_AGE_DAYS
+ * - A failed save is logged instead of thrown
+ */
+
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('ExportArchive', () => {
+  let worker;
+  let ExportArchive;
+  let Blob;
+  const DAY = 24 * 60 * 60 * 1000;
+
+  beforeEach(async () => {
+    worker = startServiceWorker({});
+    await worker.settle();
+    ExportArchive = worker.get('ExportArchive');
+    Blob = worker.get('Blob');
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  const workbook = (fileName, type = 'post') => ({ type, fileName, blob: new Blob(['xlsx'], { type: 'application/octet-stream' }) });
+
+  it('should list saved workbooks newest first without their contents', async () => {
+    const first = await ExportArchive.save(workbook('Content_2025-05-01.xlsx', 'profile'));
+    const second = await ExportArchive.save(workbook('PostAnalytics_1.xlsx'));
+
+    const entries = await ExportArchive.list();
+
+    expect(entries.map(entry => entry.id)).toEqual([second, first]);
+    expect(entries[0]).toMatchObject({ type: 'post', fileName: 'PostAnalytics_1.xlsx', size: 4, mimeType: 'application/octet-stream' });
+    expect(entries[0].blob).toBeUndefined();
+    expect(await ExportArchive.list('profile')).toHaveLength(1);
+  });
+
+  it('should delete the oldest workbooks beyond MAX_ENTRIES', async () => {
+    ExportArchive.MAX_ENTRIES = 3;
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      ids.push(await ExportArchive.save(workbook(`PostAnalytics_${i}.xlsx`)));
+    }
+
+    expect((await ExportArchive.list()).map(entry => entry.id)).toEqual(ids.slice(2).reverse());
+    expect(await ExportArchive.get(ids[0])).toBeUndefined();
+  });
+
+  it('should delete workbooks older than MAX_AGE_DAYS', async () => {
+    const createdAt = age => new Date(Date.now() - age).toISOString();
+    const old = await ExportArchive._withStore('readwrite', store => store.add({ ...workbook('old.xlsx'), createdAt: createdAt(181 * DAY) }));
+    const recent = await ExportArchive._withStore('readwrite', store => store.add({ ...workbook('recent.xlsx'), createdAt: createdAt(179 * DAY) }));
+
+    const id = await ExportArchive.save(workbook('new.xlsx'));
+
+    expect((await ExportArchive.list()).map(entry => entry.id)).toEqual([id, recent]);
+    expect(await ExportArchive.get(old)).toBeUndefined();
+  });
+
+  it('should log instead of throwing when a workbook cannot be stored', async () => {
+    ExportArchive._withStore = jest.fn().mockRejectedValue(new Error('QuotaExceededError'));
+
+    await expect(ExportArchive.trySave(workbook('PostAnalytics_1.xlsx'))).resolves.toBeNull();
+  });
+});
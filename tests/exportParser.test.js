@@ -0,0 +1,174 @@
+/**
+ * Unit Tests for AnalyticsExportParser
+ *
+ * Tests the local parser for the LinkedIn creator analytics export including:
+ * - Discovery, engagement, top posts, followers and demographics sheets
+ * - Date and number normalization
+ * - The summary shown in the popup
+ * - Reading the sheets of an xlsx file with SheetJS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('../xlsx.full.min.js');
+
+describe('AnalyticsExportParser', () => {
+  let AnalyticsExportParser;
+
+  beforeAll(() => {
+    // Runs export-parser.js with SheetJS, as the service worker's importScripts would
+    const source = fs.readFileSync(path.join(__dirname, '..', 'export-parser.js'), 'utf8');
+    AnalyticsExportParser = new Function('XLSX', `${source}\nreturn AnalyticsExportParser;`)(XLSX);
+  });
+
+  // Rows of a small export, as returned by sheet_to_json with header: 1
+  function buildSheets() {
+    return [
+      [
+        ['Overall Performance', '1/1/2025 - 1/3/2025'],
+        ['Impressions', 1000],
+        ['Members reached', 400]
+      ],
+      [
+        ['Date', 'Impressions', 'Engagements'],
+        ['1/1/2025', 300, 10],
+        ['1/2/2025', 300, 5],
+        ['1/3/2025', 400, 15]
+      ],
+      [
+        ['Maximum of 50 posts available to include in this list'],
+        [],
+        ['Post URL', 'Post publish date', 'Engagements', null, 'Post URL', 'Post publish date', 'Impressions'],
+        ['https://www.linkedin.com/feed/update/urn:li:activity:7341072233987026944/', '1/1/2025', 20, null,
+          'https://www.linkedin.com/feed/update/urn:li:activity:7341072233987026945/', '1/2/2025', 700]
+      ],
+      [
+        ['Total followers on 1/3/2025:', 1234],
+        [],
+        ['Date', 'New followers'],
+        ['1/1/2025', 2],
+        ['1/2/2025', 3]
+      ],
+      [
+        ['Top Demographics', 'Value', 'Percentage'],
+        ['Job titles', 'Software Engineer', 0.12],
+        ['Locations', 'Berlin', '< 1%']
+      ]
+    ];
+  }
+
+  describe('parseSheets()', () => {
+    it('should compute totals across the export', () => {
+      const model = AnalyticsExportParser.parseSheets(buildSheets());
+
+      expect(model.period).toEqual({ start: '2025-01-01', end: '2025-01-03' });
+      expect(model.totals).toEqual({
+        impressions: 1000,
+        membersReached: 400,
+        engagements: 30,
+        engagementRate: 0.03,
+        newFollowers: 5,
+        totalFollowers: 1234,
+        followersAsOf: '2025-01-03'
+      });
+    });
+
+    it('should merge engagement and follower series by date', () => {
+      const model = AnalyticsExportParser.parseSheets(buildSheets());
+
+      expect(model.daily).toEqual([
+        { date: '2025-01-01', impressions: 300, engagements: 10, newFollowers: 2 },
+        { date: '2025-01-02', impressions: 300, engagements: 5, newFollowers: 3 },
+        { date: '2025-01-03', impressions: 400, engagements: 15, newFollowers: null }
+      ]);
+    });
+
+    it('should read both top post rankings', () => {
+      const { topPosts } = AnalyticsExportParser.parseSheets(buildSheets());
+
+      expect(topPosts.byEngagements).toEqual([{
+        url: 'https://www.linkedin.com/feed/update/urn:li:activity:7341072233987026944/',
+        publishedAt: '2025-01-01',
+        engagements: 20
+      }]);
+      expect(topPosts.byImpressions[0].impressions).toBe(700);
+    });
+
+    it('should keep demographics with unknown percentages as null', () => {
+      const { demographics } = AnalyticsExportParser.parseSheets(buildSheets());
+
+      expect(demographics).toEqual([
+        { category: 'Job titles', value: 'Software Engineer', percentage: 0.12 },
+        { category: 'Locations', value: 'Berlin', percentage: null }
+      ]);
+    });
+
+    it('should work without a demographics sheet', () => {
+      const model = AnalyticsExportParser.parseSheets(buildSheets().slice(0, 4));
+
+      expect(model.demographics).toEqual([]);
+      expect(model.totals.impressions).toBe(1000);
+    });
+
+    it('should fall back to daily impressions and dates when discovery is empty', () => {
+      const sheets = buildSheets();
+      sheets[0] = [];
+
+      const model = AnalyticsExportParser.parseSheets(sheets);
+
+      expect(model.totals.impressions).toBe(1000);
+      expect(model.period).toEqual({ start: '2025-01-01', end: '2025-01-03' });
+    });
+
+    it('should reject workbooks with too few sheets', () => {
+      expect(() => AnalyticsExportParser.parseSheets(buildSheets().slice(0, 2)))
+        .toThrow('Expected at least 4 sheets in the analytics export, found 2');
+    });
+  });
+
+  describe('parseFile()', () => {
+    it('should read the sheets of an xlsx file in workbook order', () => {
+      const workbook = XLSX.utils.book_new();
+      ['DISCOVERY', 'ENGAGEMENT', 'TOP POSTS', 'FOLLOWERS', 'DEMOGRAPHICS'].forEach((name, index) => {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(buildSheets()[index]), name);
+      });
+      const data = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+
+      expect(AnalyticsExportParser.parseFile(data)).toEqual(AnalyticsExportParser.parseSheets(buildSheets()));
+    });
+  });
+
+  describe('value normalization', () => {
+    it('should convert M/D/YYYY strings and Excel serials to ISO dates', () => {
+      expect(AnalyticsExportParser.toIsoDate('1/5/2025')).toBe('2025-01-05');
+      expect(AnalyticsExportParser.toIsoDate(45658)).toBe('2025-01-01');
+      expect(AnalyticsExportParser.toIsoDate('Date')).toBeNull();
+    });
+
+    it('should parse numbers with thousands separators', () => {
+      expect(AnalyticsExportParser.toNumber('12,345')).toBe(12345);
+      expect(AnalyticsExportParser.toNumber(42)).toBe(42);
+      expect(AnalyticsExportParser.toNumber('Impressions')).toBeNull();
+      expect(AnalyticsExportParser.toNumber(null)).toBeNull();
+    });
+
+    it('should convert percentage strings to fractions', () => {
+      expect(AnalyticsExportParser.toPercentage('25%')).toBe(0.25);
+      expect(AnalyticsExportParser.toPercentage('0.3')).toBe(0.3);
+    });
+  });
+
+  describe('summarize()', () => {
+    it('should pick the headline figures and the top post by impressions', () => {
+      const summary = AnalyticsExportParser.summarize(AnalyticsExportParser.parseSheets(buildSheets()));
+
+      expect(summary).toMatchObject({
+        impressions: 1000,
+        engagements: 30,
+        newFollowers: 5,
+        totalFollowers: 1234
+      });
+      expect(summary.topPost.url).toBe('https://www.linkedin.com/feed/update/urn:li:activity:7341072233987026945/');
+    });
+  });
+});
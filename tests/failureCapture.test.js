@@ -0,0 +1,214 @@
+/**
+ * Unit Tests for failure captures
+ *
+ * Tests:
+ * - The page snapshot lists visible buttons and keeps a trimmed copy of the DOM
+ * - Scripts, styles, inline handlers and typed text are left out of the snapshot
+ * - Long pages are truncated to the configured length
+ * - A capture stores the snapshot and screenshot and summarises them on the run record
+ * - A capture never throws, with or without a screenshot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('Failure capture', () => {
+  describe('page snapshot', () => {
+    let pageSnapshot;
+
+    // Runs a page script, as chrome.scripting.executeScript would
+    const inject = file => new Function(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'))();
+
+    beforeAll(() => {
+      // jsdom doesn't lay out the page, so treat every element that isn't display:none as visible
+      Object.defineProperty(HTMLElement.prototype, 'offsetParent', {
+        configurable: true,
+        get() {
+          return this.style.display === 'none' ? null : this.parentNode;
+        }
+      });
+
+      inject('page-snapshot.js');
+      pageSnapshot = window.pageSnapshot;
+    });
+
+    afterAll(() => {
+      delete HTMLElement.prototype.offsetParent;
+      delete window.pageSnapshot;
+    });
+
+    beforeEach(() => {
+      document.title = 'Analytics | LinkedIn';
+      document.body.innerHTML = '';
+    });
+
+    it('should record the URL, title and visible buttons', () => {
+      document.body.innerHTML = `
+        <button aria-label="Export analytics">  Export
+        </button>
+        <a href="/feed/">Home</a>
+        <div role="button" aria-disabled="true">Show results</div>
+        <button style="display: none">Hidden</button>
+      `;
+
+      const snapshot = pageSnapshot.take({ maxDomLength: 10000, maxButtons: 10 });
+
+      expect(snapshot.url).toBe(window.location.href);
+      expect(snapshot.title).toBe('Analytics | LinkedIn');
+      expect(snapshot.buttons).toEqual([
+        { tag: 'button', role: null, text: 'Export', ariaLabel: 'Export analytics', href: null, disabled: false },
+        { tag: 'a', role: null, text: 'Home', ariaLabel: null, href: '/feed/', disabled: false },
+        { tag: 'div', role: 'button', text: 'Show results', ariaLabel: null, href: null, disabled: true }
+      ]);
+    });
+
+    it('should limit the number of buttons', () => {
+      document.body.innerHTML = '<button>1</button><button>2</button><button>3</button>';
+
+      expect(pageSnapshot.take({ maxDomLength: 10000, maxButtons: 2 }).buttons).toHaveLength(2);
+    });
+
+    it('should leave out scripts, styles, handlers and typed text', () => {
+      document.body.innerHTML = `
+        <script>window.secret = 1;</script>
+        <style>.a { color: red; }</style>
+        <!-- tracking -->
+        <form class="login__form" data-id="login">
+          <input id="password" type="password" value="hunter2" onclick="steal()">
+          <textarea name="message">Draft post</textarea>
+          <button type="submit" aria-label="Sign in" style="color: blue">Sign in</button>
+        </form>
+      `;
+
+      const { html } = pageSnapshot.take({ maxDomLength: 10000, maxButtons: 10 }).dom;
+
+      expect(html).toContain('<form class="login__form" data-id="login">');
+      expect(html).toContain('<button type="submit" aria-label="Sign in">Sign in</button>');
+      expect(html).toContain('<input id="password" type="password">');
+      ['window.secret', 'color', 'tracking', 'hunter2', 'steal', 'Draft post'].forEach((text) => {
+        expect(html).not.toContain(text);
+      });
+    });
+
+    it('should not change the page itself', () => {
+      document.body.innerHTML = '<script>var a;</script><button style="color: blue">Export</button>';
+
+      pageSnapshot.take({ maxDomLength: 10000, maxButtons: 10 });
+
+      expect(document.querySelector('script')).not.toBeNull();
+      expect(document.querySelector('button').getAttribute('style')).toBe('color: blue');
+    });
+
+    it('should truncate long pages', () => {
+      document.body.innerHTML = `<p>${'analytics '.repeat(500)}</p>`;
+
+      const { dom } = pageSnapshot.take({ maxDomLength: 1000, maxButtons: 10 });
+
+      expect(dom.html).toHaveLength(1000);
+      expect(dom.length).toBeGreaterThan(5000);
+      expect(dom.truncated).toBe(true);
+    });
+
+    it('should keep the same functions when injected again', () => {
+      inject('page-snapshot.js');
+
+      expect(window.pageSnapshot).toBe(pageSnapshot);
+    });
+  });
+
+  describe('capture()', () => {
+    let worker;
+    let FailureCapture;
+    let FailureCaptures;
+    let RunHistory;
+    let runId;
+
+    const snapshot = {
+      url: 'https://www.linkedin.com/checkpoint/challenge/',
+      title: 'Security Verification | LinkedIn',
+      readyState: 'complete',
+      buttons: [{ tag: 'button', role: null, text: 'Submit', ariaLabel: null, href: null, disabled: false }],
+      dom: { html: '<html></html>', length: 13, truncated: false }
+    };
+
+    beforeEach(async () => {
+      worker = startServiceWorker({});
+      await worker.settle();
+      FailureCapture = worker.get('FailureCapture');
+      FailureCaptures = worker.get('FailureCaptures');
+      RunHistory = worker.get('RunHistory');
+      runId = await RunHistory.startRun({ type: 'personal', flow: 'direct' });
+
+      // Snapshot and screenshot drive a real tab, so they are replaced per test
+      FailureCapture.snapshot = jest.fn().mockResolvedValue(snapshot);
+      FailureCapture.screenshot = jest.fn().mockResolvedValue('data:image/jpeg;base64,AAAA');
+    });
+
+    afterEach(() => {
+      worker.stop();
+    });
+
+    const getRun = async () => (await RunHistory.getRuns()).find(run => run.id === runId);
+
+    it('should store the snapshot and screenshot and summarise them on the run', async () => {
+      const summary = await FailureCapture.capture(7, runId, 'export', new Error('Element not found for export'));
+
+      expect(FailureCapture.snapshot).toHaveBeenCalledWith(7, { maxDomLength: expect.any(Number), maxButtons: expect.any(Number) });
+      expect(await FailureCaptures.get(runId)).toEqual(expect.objectContaining({
+        runId,
+        step: 'export',
+        error: 'Element not found for export',
+        url: snapshot.url,
+        buttons: snapshot.buttons,
+        dom: snapshot.dom,
+        screenshot: 'data:image/jpeg;base64,AAAA'
+      }));
+      expect(summary).toEqual({
+        capturedAt: expect.any(String),
+        url: snapshot.url,
+        title: snapshot.title,
+        buttonCount: 1,
+        snapshotError: null,
+        screenshot: true,
+        screenshotError: null
+      });
+      expect((await getRun()).capture).toEqual(summary);
+    });
+
+    it('should keep the snapshot when no screenshot can be taken', async () => {
+      FailureCapture.screenshot.mockRejectedValue(new Error('Screenshots of failed runs are turned off in the options'));
+
+      const summary = await FailureCapture.capture(7, runId, 'export', new Error('Element not found'));
+
+      expect(summary).toMatchObject({
+        screenshot: false,
+        screenshotError: 'Screenshots of failed runs are turned off in the options'
+      });
+      expect(await FailureCaptures.get(runId)).toEqual(expect.objectContaining({ screenshot: null, url: snapshot.url }));
+    });
+
+    it('should give up quietly when the tab is already gone', async () => {
+      FailureCapture.snapshot.mockRejectedValue(new Error('Page snapshot injection failed: No tab with id: 7'));
+      FailureCapture.screenshot.mockRejectedValue(new Error('No tab with id: 7'));
+
+      await expect(FailureCapture.capture(7, runId, 'export', new Error('x'))).resolves.toBeNull();
+      expect(await FailureCaptures.get(runId)).toBeFalsy();
+      await worker.settle();
+      expect(worker.messages()).toContain('Could not capture the failed page: Page snapshot injection failed: No tab with id: 7');
+    });
+
+    it('should not throw when the capture cannot be stored', async () => {
+      FailureCaptures.save = jest.fn().mockRejectedValue(new Error('QuotaExceededError'));
+
+      await expect(FailureCapture.capture(7, runId, 'export', new Error('x'))).resolves.toBeNull();
+      expect((await getRun()).capture).toBeNull();
+    });
+
+    it('should skip runs without a tab or run record', async () => {
+      await expect(FailureCapture.capture(null, runId, 'export', new Error('x'))).resolves.toBeNull();
+      await expect(FailureCapture.capture(7, null, 'export', new Error('x'))).resolves.toBeNull();
+      expect(FailureCapture.snapshot).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for FlowSelector
+ *
+ * Tests the deterministic LinkedIn flow selection including:
+ * - User override ("always direct", "always click-through", "adaptive")
+ * - Preferring the last successful flow per account
+ * - Falling back to the other flow within the same run
+ * - Success/failure bookkeeping
+ */
+
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('FlowSelector', () => {
+  let worker;
+  let FlowSelector;
+  let storage;
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+
+    FlowSelector = worker.get('FlowSelector');
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  describe('getFlowOrder()', () => {
+    it('should start with direct and fall back to click-through for a new account', async () => {
+      const flows = await FlowSelector.getFlowOrder('new@example.com');
+
+      expect(flows).toEqual(['direct', 'click-through']);
+    });
+
+    it('should prefer the last successful flow for the account', async () => {
+      await FlowSelector.recordSuccess('user@example.com', 'click-through');
+
+      const flows = await FlowSelector.getFlowOrder('user@example.com');
+
+      expect(flows).toEqual(['click-through', 'direct']);
+    });
+
+    it('should keep flow history separate per account', async () => {
+      await FlowSelector.recordSuccess('a@example.com', 'click-through');
+
+      expect(await FlowSelector.getFlowOrder('a@example.com')).toEqual(['click-through', 'direct']);
+      expect(await FlowSelector.getFlowOrder('b@example.com')).toEqual(['direct', 'click-through']);
+    });
+
+    it('should only use the direct flow when forced', async () => {
+      storage.flowPreference = 'direct';
+      await FlowSelector.recordSuccess('user@example.com', 'click-through');
+
+      expect(await FlowSelector.getFlowOrder('user@example.com')).toEqual(['direct']);
+    });
+
+    it('should only use the click-through flow when forced', async () => {
+      storage.flowPreference = 'click-through';
+
+      expect(await FlowSelector.getFlowOrder('user@example.com')).toEqual(['click-through']);
+    });
+
+    it('should be deterministic across repeated calls', async () => {
+      const orders = await Promise.all([1, 2, 3, 4, 5].map(() => FlowSelector.getFlowOrder('user@example.com')));
+
+      orders.forEach(order => expect(order).toEqual(orders[0]));
+    });
+  });
+
+  describe('recordSuccess() and recordFailure()', () => {
+    it('should count successes and failures per flow', async () => {
+      await FlowSelector.recordFailure('user@example.com', 'direct');
+      await FlowSelector.recordFailure('user@example.com', 'direct');
+      await FlowSelector.recordSuccess('user@example.com', 'click-through');
+
+      const stats = await FlowSelector.getStats('user@example.com');
+
+      expect(stats.failures).toEqual({ direct: 2 });
+      expect(stats.successes).toEqual({ 'click-through': 1 });
+      expect(stats.lastSuccessfulFlow).toBe('click-through');
+      expect(stats.lastSuccessAt).toBeDefined();
+    });
+
+    it('should not change the preferred flow on failure', async () => {
+      await FlowSelector.recordSuccess('user@example.com', 'direct');
+      await FlowSelector.recordFailure('user@example.com', 'direct');
+
+      expect(await FlowSelector.getFlowOrder('user@example.com')).toEqual(['direct', 'click-through']);
+    });
+  });
+
+  describe('fallback within a run', () => {
+    // Runs executeAutomationScript with the flows themselves replaced
+    async function runWithFallback(email, runFlow) {
+      storage.email = email;
+      worker.set('runLinkedInFlow', runFlow);
+      const success = await worker.get('executeAutomationScript')();
+      return { success, attempted: runFlow.mock.calls.map(call => call[0]) };
+    }
+
+    it('should try the other flow when the preferred one fails', async () => {
+      const runFlow = jest.fn(async (flow) => {
+        if (flow === 'direct') throw new Error('Button not found for key: export');
+      });
+
+      const result = await runWithFallback('user@example.com', runFlow);
+
+      expect(result).toEqual({ success: true, attempted: ['direct', 'click-through'] });
+      expect(await FlowSelector.getFlowOrder('user@example.com')).toEqual(['click-through', 'direct']);
+      expect(storage.runHistory[0]).toMatchObject({ flow: 'click-through', fallbackFrom: 'direct', outcome: 'Success' });
+    });
+
+    it('should not fall back when a flow is forced', async () => {
+      storage.flowPreference = 'direct';
+      const runFlow = jest.fn(async () => {
+        throw new Error('Page load timeout');
+      });
+
+      const result = await runWithFallback('user@example.com', runFlow);
+
+      expect(result).toEqual({ success: false, attempted: ['direct'] });
+      expect(runFlow).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -10,6 +10,8 @@
  * - Button text matching across languages
  */
 
+const { startServiceWorker } = require('./setup/serviceWorker');
+
 describe('Language Detection System', () => {
   let mockDocument;
   let mockLogger;
@@ -732,4 +734,48 @@ describe('Language Detection System', () => {
       expect(detectLanguage(mockDocument)).toBe('en');
     });
   });
+
+  describe('Detected Locale Resolution', () => {
+    let worker;
+    let detectLanguage;
+
+    beforeEach(async () => {
+      worker = startServiceWorker({});
+      await worker.settle();
+      detectLanguage = worker.get('detectLanguage');
+    });
+
+    afterEach(() => {
+      worker.stop();
+    });
+
+    // Resolves what the injected detection script found on the page
+    const resolveDetectedLanguage = (langInfo) => {
+      worker.chrome.scripting.executeScript = (injection, callback) => callback([{ result: langInfo }]);
+      return detectLanguage(7);
+    };
+
+    it('should resolve a supported locale to its language code', async () => {
+      await expect(resolveDetectedLanguage({ source: 'i18nLocale', value: 'pl_PL', code: 'pl' })).resolves.toBe('pl');
+      expect(worker.storage.detectedLanguage).toMatchObject({ code: 'pl', source: 'i18nLocale', supported: true });
+    });
+
+    it('should treat an undetected language as the default', async () => {
+      await expect(resolveDetectedLanguage({ source: 'default', value: 'en', code: 'default' })).resolves.toBe('default');
+    });
+
+    it('should report an unsupported locale with its full name', async () => {
+      await expect(resolveDetectedLanguage({ source: 'i18nLocale', value: 'ko_KR', code: 'ko' }))
+        .rejects.toThrow('unsupported LinkedIn language: ko_KR');
+    });
+
+    it('should use an underscore for locales read from the html lang attribute', async () => {
+      const error = await resolveDetectedLanguage({ source: 'html', value: 'zh-CN', code: 'zh' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(worker.get('AutomationError'));
+      expect(error.message).toBe('unsupported LinkedIn language: zh_CN');
+      expect(error.context).toMatchObject({ unsupportedLanguage: true, fatal: true, locale: 'zh_CN', source: 'html' });
+      expect(error.context.supportedLanguages).toEqual(worker.get('LocaleRegistry').LOCALES);
+    });
+  });
 });
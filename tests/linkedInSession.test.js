@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for the LinkedIn session check
+ *
+ * Tests:
+ * - The bundled session walls recognise login, checkpoint and captcha pages
+ * - Normal LinkedIn pages pass the check and clear an earlier expiry
+ * - A wall stops the run with a fatal "LinkedIn session expired" error
+ * - The user is asked to log in once per expiry, not on every run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('LinkedInSession', () => {
+  let worker;
+  let LinkedInSession;
+  let Notifier;
+  let storage;
+  const bundled = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'selector-manifest.json'), 'utf8'));
+
+  // Shows a page at a path of the test origin
+  const showPage = (pathname, html = '') => {
+    window.history.replaceState(null, '', pathname);
+    document.body.innerHTML = html;
+  };
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+    LinkedInSession = worker.get('LinkedInSession');
+    Notifier = worker.get('Notifier');
+    Notifier.notify = jest.fn().mockResolvedValue(true);
+
+    // Serve the bundled manifest, and run the page function on the jsdom page the way
+    // Chrome runs it in the tab: from its source, outside the service worker
+    worker.set('fetch', jest.fn().mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve(JSON.parse(JSON.stringify(bundled))) }));
+    worker.chrome.scripting.executeScript = (injection, callback) => {
+      const func = new Function(`return (${injection.func})`)();
+      callback([{ result: func(...injection.args) }]);
+    };
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  afterAll(() => {
+    window.history.replaceState(null, '', '/');
+    document.body.innerHTML = '';
+  });
+
+  describe('bundled session walls', () => {
+    it.each([
+      ['/login', ''],
+      ['/uas/login', ''],
+      ['/authwall', ''],
+      ['/checkpoint/lg/login-submit', '']
+    ])('should recognise the login page at %s', async (pathname, html) => {
+      showPage(pathname, html);
+
+      expect((await LinkedInSession.detect(7)).wall).toBe('login');
+    });
+
+    it('should recognise the signed-out home page by its sign-in form', async () => {
+      showPage('/', '<form><input name="session_key" type="text"><input name="session_password" type="password"></form>');
+
+      expect((await LinkedInSession.detect(7)).wall).toBe('login');
+    });
+
+    it('should recognise a security checkpoint', async () => {
+      showPage('/checkpoint/challenge/AgF', '<form id="two-step-challenge"></form>');
+
+      expect((await LinkedInSession.detect(7)).wall).toBe('checkpoint');
+    });
+
+    it('should prefer captcha over checkpoint when the challenge is a captcha', async () => {
+      showPage('/checkpoint/challenge/AgF', '<iframe id="captcha-internal" src="https://www.linkedin.com/captcha"></iframe>');
+
+      expect((await LinkedInSession.detect(7)).wall).toBe('captcha');
+    });
+
+    it.each([
+      ['/feed/', '<button>Start a post</button>'],
+      ['/analytics/creator/content/', '<button>Export</button>'],
+      ['/company/123/admin/analytics/updates/', '<a href="/login-help">Help</a>']
+    ])('should pass the signed-in page at %s', async (pathname, html) => {
+      showPage(pathname, html);
+
+      expect(await LinkedInSession.detect(7)).toEqual({ wall: null, url: `http://localhost${pathname}` });
+    });
+  });
+
+  describe('check()', () => {
+    it('should pass a normal page and clear an earlier expiry', async () => {
+      storage.linkedInSession = { expired: true, wall: 'login', url: 'http://localhost/login', detectedAt: '2025-01-01T00:00:00.000Z' };
+      showPage('/feed/');
+
+      await expect(LinkedInSession.check(7)).resolves.toEqual({ url: 'http://localhost/feed/' });
+      expect(await LinkedInSession.isExpired()).toBe(false);
+    });
+
+    it('should stop the run with a fatal session error at a wall', async () => {
+      showPage('/authwall');
+
+      const error = await LinkedInSession.check(7).catch(e => e);
+
+      expect(error.message).toBe('LinkedIn session expired: LinkedIn showed a login page (http://localhost/authwall)');
+      expect(error.context).toEqual({ sessionExpired: true, fatal: true, wall: 'login', url: 'http://localhost/authwall' });
+      expect(storage.linkedInSession).toMatchObject({ expired: true, wall: 'login', url: 'http://localhost/authwall' });
+    });
+
+    it('should ask the user to log in once per expiry', async () => {
+      showPage('/login');
+
+      await LinkedInSession.check(7).catch(() => {});
+      await LinkedInSession.check(7).catch(() => {});
+
+      expect(Notifier.notify).toHaveBeenCalledTimes(1);
+      expect(Notifier.notify).toHaveBeenCalledWith('loginRequired', 'Log in to LinkedIn', expect.stringContaining('session expired'));
+
+      // After logging in again, the next expiry is announced again
+      showPage('/feed/');
+      await LinkedInSession.check(7);
+      showPage('/checkpoint/challenge/AgF');
+      await LinkedInSession.check(7).catch(() => {});
+
+      expect(Notifier.notify).toHaveBeenCalledTimes(2);
+      expect(Notifier.notify.mock.calls[1][2]).toContain('checkpoint check');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for the locale packs
+ *
+ * Tests:
+ * - Every shipped locale pack covers every key in the English pack
+ * - Ordering of translations, preferred language first
+ * - Reporting missing keys per locale
+ * - Detection hints for non-English languages
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+describe('Locale packs', () => {
+  let LocaleRegistry;
+
+  // Runs locales/registry.js as the service worker's importScripts would, giving a fresh registry
+  const registrySource = fs.readFileSync(path.join(__dirname, '..', 'locales', 'registry.js'), 'utf8');
+  function createRegistry() {
+    return new Function(`${registrySource}\nreturn LocaleRegistry;`)();
+  }
+
+  // Runs a pack file from locales/ against the registry, as importScripts would
+  function loadPack(registry, code) {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'locales', `${code}.js`), 'utf8');
+    new Function('LocaleRegistry', source)(registry);
+  }
+
+  beforeEach(() => {
+    LocaleRegistry = createRegistry();
+  });
+
+  describe('shipped packs', () => {
+    beforeEach(() => {
+      LocaleRegistry.LOCALES.forEach(code => loadPack(LocaleRegistry, code));
+    });
+
+    it('should register all eleven languages', () => {
+      expect(LocaleRegistry.LOCALES).toHaveLength(11);
+      LocaleRegistry.LOCALES.forEach((code) => {
+        expect(LocaleRegistry.has(code)).toBe(true);
+        expect(LocaleRegistry.get(code).name).toEqual(expect.any(String));
+      });
+    });
+
+    it('should import a pack file that exists for every language', () => {
+      LocaleRegistry.getFiles().forEach((file) => {
+        expect(fs.existsSync(path.join(__dirname, '..', file))).toBe(true);
+      });
+    });
+
+    it('should cover every key in the English pack', () => {
+      expect(LocaleRegistry.checkCoverage()).toEqual({});
+    });
+
+    it('should not add keys the English pack does not have', () => {
+      const englishKeys = Object.keys(LocaleRegistry.get('en').strings).sort();
+
+      LocaleRegistry.LOCALES.forEach((code) => {
+        expect(Object.keys(LocaleRegistry.get(code).strings).sort()).toEqual(englishKeys);
+      });
+    });
+
+    it('should give a detection hint for every non-English language', () => {
+      const hints = LocaleRegistry.getDetectionHints();
+
+      expect(hints.map(hint => hint.code)).toEqual(LocaleRegistry.LOCALES.filter(code => code !== 'en'));
+      hints.forEach(hint => expect(hint.texts.length).toBeGreaterThan(0));
+    });
+  });
+
+  describe('getTexts()', () => {
+    beforeEach(() => {
+      LocaleRegistry.register('en', { name: 'English', strings: { export: 'Export', post: 'Post' } });
+      LocaleRegistry.register('de', { name: 'German', strings: { export: 'Exportieren', post: 'Posten' } });
+      LocaleRegistry.register('es', { name: 'Spanish', strings: { export: 'Exportar', post: 'Publicar' } });
+      LocaleRegistry.register('pt', { name: 'Portuguese', strings: { export: 'Exportar', post: 'Publicar' } });
+    });
+
+    it('should list English first, then the other languages without duplicates', () => {
+      expect(LocaleRegistry.getTexts('export')).toEqual(['Export', 'Exportieren', 'Exportar']);
+    });
+
+    it('should put the preferred language first', () => {
+      expect(LocaleRegistry.getTexts('post', 'de')).toEqual(['Posten', 'Post', 'Publicar']);
+    });
+
+    it('should ignore an unknown preferred language', () => {
+      expect(LocaleRegistry.getTexts('post', 'xx')).toEqual(['Post', 'Posten', 'Publicar']);
+    });
+
+    it('should return nothing for an unknown key', () => {
+      expect(LocaleRegistry.getTexts('missing')).toEqual([]);
+    });
+
+    it('should fall back to English for an unknown language', () => {
+      expect(LocaleRegistry.get('default').code).toBe('en');
+    });
+  });
+
+  describe('checkCoverage()', () => {
+    it('should report missing keys per locale', () => {
+      LocaleRegistry.LOCALES = ['en', 'de', 'fr'];
+      LocaleRegistry.register('en', { name: 'English', strings: { export: 'Export', post: 'Post', save: 'save' } });
+      LocaleRegistry.register('de', { name: 'German', strings: { export: 'Exportieren', post: '' } });
+
+      expect(LocaleRegistry.checkCoverage()).toEqual({
+        de: ['post', 'save'],
+        fr: ['export', 'post', 'save']
+      });
+    });
+  });
+});
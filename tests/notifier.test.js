@@ -0,0 +1,174 @@
+/**
+ * Unit Tests for desktop notifications
+ *
+ * Tests:
+ * - Notification settings default to opt-in, except the login reminder
+ * - Notifications are only shown for the types the user turned on
+ * - Clicking a notification opens LinkedIn, the options page or the dashboard
+ * - The weekly summary counts the past week's runs and the latest export
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('Notifier', () => {
+  let NotificationSettings;
+  let Notifier;
+  let worker;
+  let storage;
+  const DAY = 24 * 60 * 60 * 1000;
+  const NOW = new Date('2025-05-12T09:00:00Z').getTime();
+
+  beforeAll(() => {
+    // Runs notification-settings.js as the service worker's importScripts would
+    const source = fs.readFileSync(path.join(__dirname, '..', 'notification-settings.js'), 'utf8');
+    NotificationSettings = new Function(`${source}\nreturn NotificationSettings;`)();
+  });
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+
+    worker.chrome.notifications.create = jest.fn((id, options, callback) => callback && callback(id));
+    worker.chrome.notifications.clear = jest.fn();
+    worker.chrome.tabs.create = jest.fn();
+    worker.chrome.runtime.openOptionsPage = jest.fn();
+    Notifier = worker.get('Notifier');
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  describe('settings', () => {
+    it('should only turn on the login reminder by default', () => {
+      expect(NotificationSettings.normalize(undefined)).toEqual({
+        runFailed: false,
+        loginRequired: true,
+        companyFailed: false,
+        weeklySummary: false
+      });
+    });
+
+    it('should keep stored choices and drop unknown types', () => {
+      expect(NotificationSettings.normalize({ runFailed: true, loginRequired: false, weeklySummary: 'yes', marketing: true })).toEqual({
+        runFailed: true,
+        loginRequired: false,
+        companyFailed: false,
+        weeklySummary: false
+      });
+    });
+  });
+
+  describe('notify()', () => {
+    it('should not show a type the user has not turned on', async () => {
+      await expect(Notifier.notify('runFailed', 'Upload failed', 'x')).resolves.toBe(false);
+      expect(worker.chrome.notifications.create).not.toHaveBeenCalled();
+    });
+
+    it('should show a type the user turned on, replacing the previous one of that type', async () => {
+      storage.notificationSettings = { runFailed: true };
+
+      await expect(Notifier.notify('runFailed', 'LinkedIn analytics upload failed', 'Click for the run history.')).resolves.toBe(true);
+      expect(worker.chrome.notifications.create).toHaveBeenCalledWith('ppa-runFailed', {
+        type: 'basic',
+        iconUrl: 'PPA_chrome_icon_128.png',
+        title: 'LinkedIn analytics upload failed',
+        message: 'Click for the run history.',
+        priority: 2
+      }, expect.any(Function));
+    });
+
+    it('should respect a turned off login reminder', async () => {
+      storage.notificationSettings = { loginRequired: false };
+
+      await expect(Notifier.notify('loginRequired', 'Log in to LinkedIn', 'x')).resolves.toBe(false);
+    });
+  });
+
+  describe('handleClick()', () => {
+    it.each([
+      ['ppa-loginRequired', 'https://www.linkedin.com/login'],
+      ['ppa-weeklySummary', 'https://dash.ppa.guide']
+    ])('should open the page for %s', (notificationId, url) => {
+      worker.chrome.notifications.onClicked.dispatch(notificationId);
+
+      expect(worker.chrome.tabs.create).toHaveBeenCalledWith({ url });
+      expect(worker.chrome.notifications.clear).toHaveBeenCalledWith(notificationId);
+    });
+
+    it('should open the options page for failed uploads', () => {
+      Notifier.handleClick('ppa-companyFailed');
+
+      expect(worker.chrome.runtime.openOptionsPage).toHaveBeenCalled();
+      expect(worker.chrome.tabs.create).not.toHaveBeenCalled();
+    });
+
+    it('should ignore notifications of other extensions or unknown types', () => {
+      Notifier.handleClick('something-else');
+      Notifier.handleClick('ppa-unknown');
+
+      expect(worker.chrome.tabs.create).not.toHaveBeenCalled();
+      expect(worker.chrome.notifications.clear).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildWeeklySummary()', () => {
+    const run = (daysAgo, outcome) => ({ startedAt: new Date(NOW - daysAgo * DAY).toISOString(), outcome });
+
+    it('should count the runs of the past seven days', () => {
+      const runs = [run(10, 'Failed'), run(6, 'Success'), run(3, 'Failed'), run(1, 'Success'), run(0, 'Running')];
+
+      expect(Notifier.buildWeeklySummary(runs, null, NOW)).toEqual({
+        title: 'Your weekly PPA summary is ready',
+        message: '2 of 3 runs succeeded in the past 7 days.'
+      });
+    });
+
+    it('should add the totals of an export parsed this week', () => {
+      const localAnalytics = {
+        parsedAt: new Date(NOW - DAY).toISOString(),
+        summary: { impressions: 12345, newFollowers: 42 }
+      };
+
+      expect(Notifier.buildWeeklySummary([run(1, 'Success')], localAnalytics, NOW).message)
+        .toBe(`1 of 1 runs succeeded in the past 7 days. Latest export: ${(12345).toLocaleString()} impressions and 42 new followers.`);
+    });
+
+    it('should leave out an older export', () => {
+      const localAnalytics = { parsedAt: new Date(NOW - 8 * DAY).toISOString(), summary: { impressions: 1, newFollowers: 0 } };
+
+      expect(Notifier.buildWeeklySummary([run(1, 'Success')], localAnalytics, NOW).message).not.toContain('Latest export');
+    });
+
+    it('should skip a week without runs', () => {
+      expect(Notifier.buildWeeklySummary([run(9, 'Success')], null, NOW)).toBeNull();
+    });
+  });
+
+  describe('weekly summary alarm', () => {
+    it('should show the summary of the stored runs when it is turned on', async () => {
+      storage.notificationSettings = { weeklySummary: true };
+      storage.runHistory = [{ startedAt: new Date().toISOString(), outcome: 'Success' }];
+
+      worker.chrome.alarms.onAlarm.dispatch({ name: 'weeklySummary' });
+      await worker.settle();
+
+      expect(worker.chrome.notifications.create).toHaveBeenCalledWith('ppa-weeklySummary', expect.objectContaining({
+        message: '1 of 1 runs succeeded in the past 7 days.',
+        priority: 0
+      }), expect.any(Function));
+    });
+
+    it('should stay quiet while the summary is turned off', async () => {
+      storage.runHistory = [{ startedAt: new Date().toISOString(), outcome: 'Success' }];
+
+      worker.chrome.alarms.onAlarm.dispatch({ name: 'weeklySummary' });
+      await worker.settle();
+
+      expect(worker.chrome.notifications.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for the page conditions
+ *
+ * Tests:
+ * - Waits end as soon as their condition holds, after a DOM change or on the next poll
+ * - Visible elements by selector and by locator target, and spinners going away
+ * - Network idle and quiet periods measured from the start of the wait
+ * - Combining conditions, and reporting a condition that isn't met in time
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+describe('Page conditions', () => {
+  let pageConditions;
+  let requestObservers;
+
+  // Runs a page script, as chrome.scripting.executeScript would
+  const inject = file => new Function(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'))();
+
+  // Simulates a network request finishing in the page
+  const finishRequest = () => requestObservers.forEach(callback => callback({ getEntries: () => [] }));
+
+  // Lets MutationObserver callbacks run, then moves the clock on
+  const advance = async (ms) => {
+    await Promise.resolve();
+    jest.advanceTimersByTime(ms);
+    await Promise.resolve();
+  };
+
+  beforeAll(() => {
+    // jsdom doesn't lay out the page, so treat every element that isn't display:none as visible
+    Object.defineProperty(HTMLElement.prototype, 'offsetParent', {
+      configurable: true,
+      get() {
+        return this.style.display === 'none' ? null : this.parentNode;
+      }
+    });
+
+    // Modern fake timers replace performance too, so install them before adding resource timing
+    jest.useFakeTimers('modern');
+
+    // jsdom has no resource timing, so let the tests report finished requests
+    requestObservers = [];
+    performance.getEntriesByType = () => [];
+    global.PerformanceObserver = class {
+      constructor(callback) {
+        requestObservers.push(callback);
+      }
+
+      observe() {}
+    };
+
+    inject('element-locator.js');
+    inject('page-conditions.js');
+    pageConditions = window.pageConditions;
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+    delete HTMLElement.prototype.offsetParent;
+    delete performance.getEntriesByType;
+    delete global.PerformanceObserver;
+    delete window.elementLocator;
+    delete window.pageConditions;
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should resolve at once when the condition already holds', async () => {
+    const result = await pageConditions.waitFor({ type: 'ready' }, 1000);
+
+    expect(result).toEqual({ met: true, elapsed: 0 });
+  });
+
+  it('should resolve as soon as a matching element is added', async () => {
+    const wait = pageConditions.waitFor({ type: 'visible', selector: '.analytics-table' }, 10000);
+
+    await advance(300);
+    document.body.innerHTML = '<div class="analytics-table"></div>';
+    await advance(100);
+
+    const result = await wait;
+    expect(result.met).toBe(true);
+    expect(result.elapsed).toBeLessThan(1000);
+  });
+
+  it('should report which locator target became visible', async () => {
+    const target = name => ({ name, strategies: [{ name: 'text', type: 'text', texts: [name] }] });
+    const wait = pageConditions.waitFor({ type: 'visible', targets: [target('Export'), target('Download')] }, 10000);
+
+    document.body.innerHTML = '<button>Download</button>';
+    await advance(100);
+
+    expect(await wait).toMatchObject({ met: true, target: 1 });
+  });
+
+  it('should wait for spinners to disappear', async () => {
+    document.body.innerHTML = '<div class="artdeco-loader"></div>';
+    const wait = pageConditions.waitFor({ type: 'gone', selector: '.artdeco-loader, .spinner' }, 10000);
+
+    await advance(2000);
+    document.querySelector('.artdeco-loader').style.display = 'none';
+    await advance(100);
+
+    const result = await wait;
+    expect(result.met).toBe(true);
+    expect(result.elapsed).toBeGreaterThanOrEqual(2000);
+    expect(result.elapsed).toBeLessThan(2500);
+  });
+
+  it('should wait until no request has finished for the idle time', async () => {
+    const wait = pageConditions.waitFor({ type: 'networkIdle', idleTime: 500 }, 10000);
+
+    await advance(300);
+    finishRequest();
+    await advance(300);
+    finishRequest();
+    await advance(800);
+
+    const result = await wait;
+    expect(result.met).toBe(true);
+    expect(result.elapsed).toBeGreaterThanOrEqual(1100);
+  });
+
+  it('should treat DOM changes as activity when waiting for the page to be quiet', async () => {
+    const wait = pageConditions.waitFor({ type: 'quiet', idleTime: 500 }, 10000);
+
+    await advance(400);
+    document.body.innerHTML = '<p>Loading more posts</p>';
+    await advance(400);
+
+    let settled = false;
+    wait.then(() => { settled = true; });
+    await advance(0);
+    expect(settled).toBe(false);
+
+    await advance(500);
+    expect((await wait).met).toBe(true);
+  });
+
+  it('should only resolve when every combined condition holds', async () => {
+    document.body.innerHTML = '<div class="spinner"></div>';
+    const wait = pageConditions.waitFor({
+      type: 'all',
+      conditions: [
+        { type: 'gone', selector: '.spinner' },
+        { type: 'visible', selector: 'table' }
+      ]
+    }, 10000);
+
+    document.body.innerHTML = '<div class="spinner"></div><table></table>';
+    await advance(1000);
+    document.body.innerHTML = '<table></table>';
+    await advance(300);
+
+    const result = await wait;
+    expect(result.met).toBe(true);
+    expect(result.elapsed).toBeGreaterThanOrEqual(1000);
+  });
+
+  it('should report a condition that is not met in time', async () => {
+    const wait = pageConditions.waitFor({ type: 'visible', selector: '.never' }, 3000);
+
+    await advance(3000);
+
+    expect(await wait).toEqual({ met: false, elapsed: 3000 });
+  });
+
+  it('should keep the same functions when injected again', () => {
+    inject('page-conditions.js');
+
+    expect(window.pageConditions).toBe(pageConditions);
+  });
+});
@@ -99,23 +99,25 @@ const ConfigManager = {
 
 // Mock CONFIG object
 const CONFIG = {
-  RETRY: {
-    INTERVAL: 2 * 60 * 1000, // 2 minutes
-    MAX_ATTEMPTS: 3
-  },
   ALARMS: {
     RETRY: 'retryExecution'
   }
 };
 
+// Retry policy of runs failing without a classified error (the "unknown" class in retry-policy.js)
+const RETRY_POLICY = {
+  BASE_DELAY: 2 * 60 * 1000, // 2 minutes, doubled for every further retry
+  MAX_ATTEMPTS: 3,
+  JITTER: 0.2
+};
+
 // Mock scheduleRetry function with error handling
 async function scheduleRetry() {
   try {
     const currentRetryCount = await ConfigManager.getRetryCount();
     
-    // Reset retry count if it's already at or above the maximum
-    if (currentRetryCount >= CONFIG.RETRY.MAX_ATTEMPTS) {
-      await ConfigManager.resetRetryCount();
+    // Give up once no retry is left, keeping the count for the status
+    if (currentRetryCount >= RETRY_POLICY.MAX_ATTEMPTS) {
       chrome.storage.local.remove(['nextRetryTime', 'retryScheduled']);
       return;
     }
@@ -124,8 +126,9 @@ async function scheduleRetry() {
     const newRetryCount = currentRetryCount + 1;
     await ConfigManager.updateRetryCount(newRetryCount);
 
-    // Calculate retry time (2 minutes later)
-    const retryTime = Date.now() + CONFIG.RETRY.INTERVAL;
+    // Calculate retry time (exponential backoff with jitter)
+    const delay = RETRY_POLICY.BASE_DELAY * Math.pow(2, currentRetryCount);
+    const retryTime = Date.now() + Math.round(delay * (1 + RETRY_POLICY.JITTER * Math.random()));
     const retryTimeISO = new Date(retryTime).toISOString();
 
     // Store the next retry time in storage for the watchdog to check
@@ -279,14 +282,14 @@ describe('Retry Mechanism Tests', () => {
       );
     });
 
-    test('scheduleRetry resets when at maximum attempts', async () => {
+    test('scheduleRetry gives up at maximum attempts without resetting the count', async () => {
       chrome.storage.local.get.mockImplementation((keys, callback) => {
-        callback({ retryCount: CONFIG.RETRY.MAX_ATTEMPTS });
+        callback({ retryCount: RETRY_POLICY.MAX_ATTEMPTS });
       });
       
       await scheduleRetry();
       
-      expect(chrome.storage.local.set).toHaveBeenCalledWith(
+      expect(chrome.storage.local.set).not.toHaveBeenCalledWith(
         { retryCount: 0 },
         expect.any(Function)
       );
@@ -316,21 +319,21 @@ describe('Retry Mechanism Tests', () => {
         })
       );
       
-      // Verify the retry time is approximately 2 minutes in the future
+      // Verify the second retry waits twice the base delay, plus up to 20% jitter
       const retryTime = new Date(setCall[0].nextRetryTime).getTime();
-      const expectedRetryTime = beforeTime + CONFIG.RETRY.INTERVAL;
+      const expectedRetryTime = beforeTime + 2 * RETRY_POLICY.BASE_DELAY;
       
       expect(retryTime).toBeGreaterThanOrEqual(expectedRetryTime - 1000);
-      expect(retryTime).toBeLessThanOrEqual(afterTime + CONFIG.RETRY.INTERVAL + 1000);
+      expect(retryTime).toBeLessThanOrEqual(afterTime + 2 * RETRY_POLICY.BASE_DELAY * 1.2 + 1000);
     });
 
   });
 
   describe('Retry Configuration', () => {
     
-    test('CONFIG.RETRY has correct default values', () => {
-      expect(CONFIG.RETRY.INTERVAL).toBe(2 * 60 * 1000); // 2 minutes
-      expect(CONFIG.RETRY.MAX_ATTEMPTS).toBe(3);
+    test('unclassified errors keep the previous retry limits', () => {
+      expect(RETRY_POLICY.BASE_DELAY).toBe(2 * 60 * 1000); // 2 minutes
+      expect(RETRY_POLICY.MAX_ATTEMPTS).toBe(3);
     });
 
     test('CONFIG.ALARMS.RETRY is defined', () => {
@@ -465,19 +468,17 @@ describe('Retry Mechanism Tests', () => {
 
     test('prevents infinite retry loops', async () => {
       // Test that retry count properly limits attempts
-      for (let i = 0; i < CONFIG.RETRY.MAX_ATTEMPTS + 2; i++) {
+      for (let i = 0; i < RETRY_POLICY.MAX_ATTEMPTS + 2; i++) {
+        chrome.alarms.create.mockClear();
         chrome.storage.local.get.mockImplementation((keys, callback) => {
           callback({ retryCount: i });
         });
         
         await scheduleRetry();
         
-        if (i >= CONFIG.RETRY.MAX_ATTEMPTS) {
-          // Should reset retry count when at maximum
-          expect(chrome.storage.local.set).toHaveBeenCalledWith(
-            { retryCount: 0 },
-            expect.any(Function)
-          );
+        if (i >= RETRY_POLICY.MAX_ATTEMPTS) {
+          // Should give up when at maximum
+          expect(chrome.alarms.create).not.toHaveBeenCalled();
           expect(chrome.storage.local.remove).toHaveBeenCalledWith(['nextRetryTime', 'retryScheduled']);
         }
       }
@@ -487,8 +488,8 @@ describe('Retry Mechanism Tests', () => {
 
   describe('Performance and Timing', () => {
     
-    test('retry interval is correctly configured', () => {
-      expect(CONFIG.RETRY.INTERVAL).toBe(2 * 60 * 1000); // 2 minutes
+    test('retry base delay is correctly configured', () => {
+      expect(RETRY_POLICY.BASE_DELAY).toBe(2 * 60 * 1000); // 2 minutes
     });
 
     test('retry scheduling uses correct timing', async () => {
@@ -506,10 +507,10 @@ describe('Retry Mechanism Tests', () => {
       
       const alarmCall = chrome.alarms.create.mock.calls[0];
       const scheduledTime = alarmCall[1].when;
-      const expectedTime = beforeTime + CONFIG.RETRY.INTERVAL;
+      const expectedTime = beforeTime + RETRY_POLICY.BASE_DELAY;
       
       expect(scheduledTime).toBeGreaterThanOrEqual(expectedTime - 1000);
-      expect(scheduledTime).toBeLessThanOrEqual(expectedTime + 1000);
+      expect(scheduledTime).toBeLessThanOrEqual(expectedTime + RETRY_POLICY.BASE_DELAY * RETRY_POLICY.JITTER + 1000);
     });
 
   });
@@ -0,0 +1,212 @@
+/**
+ * Unit Tests for the retry policy
+ *
+ * Tests:
+ * - Errors of failed runs are classified as login/setup, backend rejection,
+ *   LinkedIn UI change, transient network error or unexpected error
+ * - Retries back off exponentially with jitter, up to a cap
+ * - Login/setup problems and backend rejections are not retried
+ * - Giving up is described with the number of retries made
+ * - The retry count and pending retry survive service worker restarts
+ */
+
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('RetryPolicy', () => {
+  const MINUTE = 60 * 1000;
+
+  // The error tables below are built when the tests are collected, so the service
+  // worker whose RetryPolicy and AutomationError they use is started right away
+  const shipped = startServiceWorker({});
+  const RetryPolicy = shipped.get('RetryPolicy');
+  const AutomationError = shipped.get('AutomationError');
+
+  afterAll(() => {
+    shipped.stop();
+  });
+
+  describe('classify()', () => {
+    it.each([
+      ['an expired session', new AutomationError('LinkedIn session expired: LinkedIn showed a login page (https://www.linkedin.com/login)', { sessionExpired: true, fatal: true })],
+      ['an unsupported language', new AutomationError('unsupported LinkedIn language: ko_KR', { unsupportedLanguage: true, fatal: true })],
+      ['a missing email', new AutomationError('Email not configured', { suggestedAction: 'Configure email in options page' })]
+    ])('should not blame the network for %s', (name, error) => {
+      expect(RetryPolicy.classify(error)).toBe('auth');
+    });
+
+    it.each([
+      [new AutomationError('Upload failed', { status: 400, responseText: 'Invalid workbook' })],
+      [new AutomationError('Upload to My server failed', { status: 413, responseText: 'Payload too large' })],
+      [new AutomationError('Step "upload" failed: Upload failed', { status: 400, recipe: 'direct', step: 'upload' })],
+      [new AutomationError('Company file processing error: Company file upload failed: 400 - Unknown company', { status: 400 })]
+    ])('should recognise a backend rejection: %s', (error) => {
+      expect(RetryPolicy.classify(error)).toBe('backend');
+    });
+
+    it.each([
+      [new AutomationError('Step "export" failed: None of exportButton became visible within 30000 ms', { targets: ['exportButton'], timeout: 30000, recipe: 'direct', step: 'export' })],
+      [new AutomationError('Step "open-analytics" failed: Element not found for analyticsLink (language: en)', { recipe: 'legacy', step: 'open-analytics' })],
+      [new AutomationError('Step "download" failed: No .xlsx download detected', { tabId: 7, timeout: 30000 })],
+      [new AutomationError('Invalid file type', { fileName: 'export.csv' })]
+    ])('should recognise a LinkedIn UI change: %s', (error) => {
+      expect(RetryPolicy.classify(error)).toBe('uiChange');
+    });
+
+    it.each([
+      [new AutomationError('Upload failed', { status: 502, responseText: 'Bad Gateway' })],
+      [new AutomationError('Upload failed', { status: 429, responseText: 'Too Many Requests' })],
+      [new AutomationError('Failed to fetch file', { status: 403, url: 'https://www.linkedin.com/ambry/x' })],
+      [new AutomationError('Step "load" failed: Timed out after 60000 ms', { timeout: 60000, recipe: 'direct', step: 'load' })],
+      [new TypeError('Failed to fetch')],
+      [new Error('Navigation to https://www.linkedin.com failed: net::ERR_INTERNET_DISCONNECTED')]
+    ])('should recognise a transient network error: %s', (error) => {
+      expect(RetryPolicy.classify(error)).toBe('network');
+    });
+
+    it('should fall back to an unexpected error', () => {
+      expect(RetryPolicy.classify(new Error('Cannot read properties of undefined'))).toBe('unknown');
+      expect(RetryPolicy.classify(null)).toBe('unknown');
+    });
+  });
+
+  describe('getDelay()', () => {
+    it('should double the delay for every retry up to the cap', () => {
+      const noJitter = () => 0;
+
+      expect([1, 2, 3, 4, 5, 6].map(attempt => RetryPolicy.getDelay('network', attempt, noJitter) / MINUTE))
+        .toEqual([2, 4, 8, 16, 30, 30]);
+      expect([1, 2, 3].map(attempt => RetryPolicy.getDelay('uiChange', attempt, noJitter) / MINUTE))
+        .toEqual([15, 30, 60]);
+    });
+
+    it('should add up to 20% jitter', () => {
+      expect(RetryPolicy.getDelay('network', 1, () => 0.5)).toBe(2.2 * MINUTE);
+      expect(RetryPolicy.getDelay('network', 1, () => 0.999)).toBeLessThan(2.4 * MINUTE);
+    });
+  });
+
+  describe('decide()', () => {
+    const networkError = new AutomationError('Upload failed', { status: 503 });
+
+    it('should retry a network error until its attempts are used up', () => {
+      expect(RetryPolicy.decide(networkError, 0, () => 0)).toEqual({ errorClass: 'network', retry: true, delay: 2 * MINUTE });
+      expect(RetryPolicy.decide(networkError, 4, () => 0)).toEqual({ errorClass: 'network', retry: true, delay: 30 * MINUTE });
+      expect(RetryPolicy.decide(networkError, 5)).toEqual({ errorClass: 'network', retry: false, delay: null });
+    });
+
+    it('should never retry an expired session or a rejected upload', () => {
+      expect(RetryPolicy.decide(new AutomationError('x', { sessionExpired: true }), 0).retry).toBe(false);
+      expect(RetryPolicy.decide(new AutomationError('Upload failed', { status: 422 }), 0).retry).toBe(false);
+    });
+
+    it('should retry a LinkedIn UI change twice', () => {
+      const uiError = new AutomationError('Element not found for exportButton', {});
+
+      expect(RetryPolicy.decide(uiError, 1, () => 0)).toEqual({ errorClass: 'uiChange', retry: true, delay: 30 * MINUTE });
+      expect(RetryPolicy.decide(uiError, 2).retry).toBe(false);
+    });
+  });
+
+  describe('describeGaveUp()', () => {
+    it('should name the error class and the retries made', () => {
+      expect(RetryPolicy.describeGaveUp('network', 5)).toBe('Gave up after 5 retries: Transient network error');
+      expect(RetryPolicy.describeGaveUp('uiChange', 1)).toBe('Gave up after 1 retry: LinkedIn UI change');
+      expect(RetryPolicy.describeGaveUp('auth', 0)).toBe('Gave up: LinkedIn login or account setup, not retried');
+    });
+  });
+
+  describe('a file the backend rejects', () => {
+    let worker;
+    let storage;
+
+    beforeEach(async () => {
+      storage = { runHistory: [{ id: 'personal-1', startedAt: new Date().toISOString(), outcome: null }] };
+      worker = startServiceWorker(storage);
+      await worker.settle();
+
+      // LinkedIn serves the export, the webhook answers 400
+      worker.set('fetch', jest.fn(async (url) => {
+        if (url === worker.get('CONFIG').ENDPOINTS.WEBHOOK) {
+          return { ok: false, status: 400, text: async () => 'Invalid workbook' };
+        }
+        return { ok: true, status: 200, blob: async () => new Blob(['xlsx']) };
+      }));
+    });
+
+    afterEach(() => {
+      worker.stop();
+    });
+
+    const upload = () => worker.get('FileUploader').uploadToWebhook(
+      'https://www.linkedin.com/ambry/?x-ambry-um-filename=Content_2025-01-01.xlsx',
+      'user@example.com',
+      'personal-1'
+    );
+
+    it('should fail the upload with the backend error class instead of queueing the file', async () => {
+      const error = await upload().catch(uploadError => uploadError);
+
+      expect(error).toMatchObject({ message: 'Upload failed', context: { status: 400, responseText: 'Invalid workbook' } });
+      expect(RetryPolicy.classify(error)).toBe('backend');
+      expect(await worker.get('UploadQueue').getEntries()).toHaveLength(0);
+      expect(storage.runHistory[0]).toMatchObject({ uploadDropped: true });
+      expect(storage.lastSuccessfulUpload).toBeUndefined();
+    });
+
+    it('should give up on the run without a retry', async () => {
+      const error = await upload().catch(uploadError => uploadError);
+
+      await worker.get('scheduleRetry')(error, 'personal-1');
+
+      expect(storage.lastExecutionStatus).toBe('Gave up: Rejected by the upload backend, not retried');
+      expect(worker.alarms.retryExecution).toBeUndefined();
+    });
+  });
+
+  describe('across service worker restarts', () => {
+    let worker;
+
+    afterEach(() => {
+      worker.stop();
+    });
+
+    // Chrome stops an idle worker while a retry waits; the retry alarm wakes a new one
+    const restart = async (storage) => {
+      if (worker) worker.stop();
+      worker = startServiceWorker(storage);
+      await worker.settle();
+    };
+
+    const failRun = async () => {
+      const WorkerError = worker.get('AutomationError');
+      await worker.get('scheduleRetry')(new WorkerError('Upload failed', { status: 503 }));
+      return worker.alarms.retryExecution ? worker.alarms.retryExecution.scheduledTime - Date.now() : null;
+    };
+
+    it('should keep the pending retry and back off further after a restart', async () => {
+      const storage = {};
+      await restart(storage);
+      const firstDelay = await failRun();
+
+      await restart(storage);
+      expect(storage).toMatchObject({ retryCount: 1, retryScheduled: true });
+
+      const secondDelay = await failRun();
+      expect(storage.retryCount).toBe(2);
+      expect(firstDelay).toBeLessThanOrEqual(2.4 * MINUTE);
+      expect(secondDelay).toBeGreaterThanOrEqual(4 * MINUTE - 1000);
+    });
+
+    it('should give up once the attempts are used up, restarting between every run', async () => {
+      const storage = {};
+      for (let run = 0; run < 6; run++) {
+        await restart(storage);
+        await failRun();
+      }
+
+      expect(storage.retryCount).toBe(5);
+      expect(storage.lastExecutionStatus).toBe('Gave up after 5 retries: Transient network error');
+      expect(storage.retryScheduled).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Unit Tests for run checkpoints
+ *
+ * Tests:
+ * - A personal run moves forward through the navigate, export and upload phases
+ *   as its recipe runs; a company run keeps its single phase
+ * - The post loop records the post it is on
+ * - A new service worker resumes the runs an earlier one left behind: the post loop
+ *   continues with its post, earlier phases start the export again in the same run
+ * - Runs resumed too often, left too long or whose lock is held are marked interrupted,
+ *   and a personal run that hadn't uploaded its export is retried
+ * - A status or backfill left running without a checkpoint is marked interrupted
+ * - The alarm that wakes a new worker is handled, after the interrupted run was resumed
+ */
+
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('RunCheckpoint', () => {
+  let worker;
+  let storage;
+  let RunCheckpoint;
+  let RunLock;
+  let RunHistory;
+  let ConfigManager;
+  let AutomationError;
+  let closeTab;
+  let scheduleRetry;
+  let updateCompanyExecutionStatus;
+  let executeAutomationScript;
+  let executeCompanyPageAutomation;
+  let resumePostAnalytics;
+  const MINUTE = 60 * 1000;
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+    RunCheckpoint = worker.get('RunCheckpoint');
+    RunLock = worker.get('RunLock');
+    RunHistory = worker.get('RunHistory');
+    ConfigManager = worker.get('ConfigManager');
+    AutomationError = worker.get('AutomationError');
+
+    jest.spyOn(RunLock, 'acquire');
+    jest.spyOn(RunLock, 'release');
+    jest.spyOn(RunHistory, 'updateRun');
+    jest.spyOn(RunHistory, 'finishRun');
+    jest.spyOn(RunHistory, 'markInterrupted');
+    jest.spyOn(ConfigManager, 'updateExecutionStatus');
+
+    // The runs themselves drive real tabs, so they are replaced
+    closeTab = jest.fn();
+    worker.get('LinkedInMultilingualAutomation').closeTab = closeTab;
+    scheduleRetry = jest.fn().mockResolvedValue();
+    updateCompanyExecutionStatus = jest.fn().mockResolvedValue();
+    executeAutomationScript = jest.fn().mockResolvedValue(true);
+    executeCompanyPageAutomation = jest.fn().mockResolvedValue();
+    resumePostAnalytics = jest.fn().mockResolvedValue();
+    worker.set('scheduleRetry', scheduleRetry);
+    worker.set('updateCompanyExecutionStatus', updateCompanyExecutionStatus);
+    worker.set('executeAutomationScript', executeAutomationScript);
+    worker.set('executeCompanyPageAutomation', executeCompanyPageAutomation);
+    worker.set('resumePostAnalytics', resumePostAnalytics);
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  // Lets the resumed runs, which recover() doesn't wait for, settle
+  const settle = () => worker.settle();
+
+  const postsCheckpoint = (overrides = {}) => ({
+    runId: 'personal-1',
+    phase: 'posts',
+    step: 'upload',
+    tabId: 41,
+    email: 'user@example.com',
+    flow: 'direct',
+    options: { timeRange: 'past_28_days', retry: false },
+    posts: {
+      urls: Array.from({ length: 30 }, (_, i) => `https://www.linkedin.com/feed/update/urn:li:activity:${i}/`),
+      next: 3,
+      results: { processed: 3, successful: 3, failed: 0, totalAvailable: 42, postsLimit: 30 }
+    },
+    resumes: 0,
+    workerId: 'worker-1',
+    startedAt: Date.now() - 10 * MINUTE,
+    updatedAt: Date.now() - MINUTE,
+    ...overrides
+  });
+
+  describe('phases', () => {
+    it('should start a personal run in the navigate phase and a company run in the company phase', async () => {
+      await RunCheckpoint.start('personal', { runId: 'personal-1', options: { timeRange: 'past_28_days', retry: false } });
+      await RunCheckpoint.start('company', { runId: 'company-1', companyId: '105563936' });
+
+      expect(storage.runCheckpoints.personal).toMatchObject({ runId: 'personal-1', phase: 'navigate', resumes: 0, workerId: RunLock.WORKER_ID });
+      expect(storage.runCheckpoints.company).toMatchObject({ runId: 'company-1', companyId: '105563936', phase: 'company' });
+    });
+
+    it('should move a personal run forward as its recipe reaches the export and upload', async () => {
+      await RunCheckpoint.start('personal', { runId: 'personal-1' });
+      const phases = [];
+
+      for (const step of [
+        { id: 'open-analytics', action: 'navigate' },
+        { id: 'expect-export', action: 'expectDownload' },
+        { id: 'export', action: 'click' },
+        { id: 'upload', action: 'upload' }
+      ]) {
+        await RunCheckpoint.step('personal-1', step, 41);
+        phases.push(storage.runCheckpoints.personal.phase);
+      }
+
+      expect(phases).toEqual(['navigate', 'export', 'export', 'upload']);
+      expect(storage.runCheckpoints.personal).toMatchObject({ step: 'upload', tabId: 41 });
+    });
+
+    it('should keep a company run in its phase', async () => {
+      await RunCheckpoint.start('company', { runId: 'company-1', companyId: '105563936' });
+
+      await RunCheckpoint.step('company-1', { id: 'upload', action: 'upload' }, 52);
+
+      expect(storage.runCheckpoints.company).toMatchObject({ phase: 'company', step: 'upload', tabId: 52 });
+    });
+
+    it('should ignore runs without a checkpoint, like backfill runs', async () => {
+      await RunCheckpoint.start('personal', { runId: 'personal-1' });
+
+      await RunCheckpoint.step('backfill-1', { id: 'export', action: 'expectDownload' }, 41);
+      await RunCheckpoint.update(null, { phase: 'posts' });
+
+      expect(storage.runCheckpoints.personal.phase).toBe('navigate');
+    });
+
+    it('should describe the post the loop is on', async () => {
+      await RunCheckpoint.start('personal', { runId: 'personal-1' });
+      await RunCheckpoint.update('personal-1', { phase: 'posts', posts: postsCheckpoint().posts });
+
+      expect(RunCheckpoint.describe(storage.runCheckpoints.personal)).toBe('posts 4/30');
+      expect(RunCheckpoint.describe({ phase: 'export' })).toBe('export');
+    });
+
+    it('should clear only the finished run', async () => {
+      await RunCheckpoint.start('personal', { runId: 'personal-1' });
+      await RunCheckpoint.start('company', { runId: 'company-1', companyId: '105563936' });
+
+      await RunCheckpoint.clear('personal-1');
+
+      expect(Object.keys(storage.runCheckpoints)).toEqual(['company']);
+    });
+  });
+
+  describe('recover()', () => {
+    it('should continue the post loop of a run with the post it was on', async () => {
+      storage.runCheckpoints = { personal: postsCheckpoint() };
+      storage.lastExecutionStatus = 'Running';
+
+      await RunCheckpoint.recover();
+      await settle();
+
+      expect(closeTab).toHaveBeenCalledWith(41, expect.anything());
+      expect(RunLock.acquire).toHaveBeenCalledWith('personal', 'resume');
+      expect(resumePostAnalytics).toHaveBeenCalledWith(expect.objectContaining({ runId: 'personal-1', posts: expect.objectContaining({ next: 3 }) }));
+      expect(RunHistory.updateRun).toHaveBeenCalledWith('personal-1', { resumes: 1 });
+      expect(RunHistory.markInterrupted).toHaveBeenCalledWith(RunCheckpoint.WORKER_STARTED_AT, ['personal-1']);
+      expect(storage.runCheckpoints.personal).toMatchObject({ phase: 'posts', resumes: 1, workerId: RunLock.WORKER_ID, tabId: null });
+      expect(ConfigManager.updateExecutionStatus).not.toHaveBeenCalled();
+      expect(RunLock.release).toHaveBeenCalledWith('personal', expect.stringMatching(/^resume-/));
+      expect(storage.runLocks).toEqual({});
+    });
+
+    it('should start the export again in the same run record when it was interrupted before the upload', async () => {
+      storage.runCheckpoints = { personal: postsCheckpoint({ phase: 'export', step: 'export', posts: null }) };
+
+      await RunCheckpoint.recover();
+      await settle();
+
+      expect(executeAutomationScript).toHaveBeenCalledWith({ timeRange: 'past_28_days', retry: false, runId: 'personal-1' });
+      expect(storage.runCheckpoints.personal).toMatchObject({ phase: 'navigate', step: null, resumes: 1 });
+      expect(resumePostAnalytics).not.toHaveBeenCalled();
+    });
+
+    it('should run an interrupted company again', async () => {
+      storage.runCheckpoints = {
+        company: { runId: 'company-1', companyId: '105563936', phase: 'company', tabId: null, resumes: 0, workerId: 'worker-1', updatedAt: Date.now() }
+      };
+
+      await RunCheckpoint.recover();
+      await settle();
+
+      expect(executeCompanyPageAutomation).toHaveBeenCalledWith('105563936', 'company-1');
+      expect(closeTab).not.toHaveBeenCalled();
+    });
+
+    it('should leave the runs of this worker alone', async () => {
+      storage.runCheckpoints = { personal: postsCheckpoint({ workerId: RunLock.WORKER_ID }) };
+
+      await RunCheckpoint.recover();
+      await settle();
+
+      expect(RunLock.acquire).not.toHaveBeenCalled();
+      expect(RunHistory.finishRun).not.toHaveBeenCalled();
+      expect(RunHistory.markInterrupted).toHaveBeenCalledWith(RunCheckpoint.WORKER_STARTED_AT, []);
+    });
+
+    it('should mark a run resumed too often as interrupted without retrying its uploaded export', async () => {
+      storage.runCheckpoints = { personal: postsCheckpoint({ resumes: 2 }) };
+
+      await RunCheckpoint.recover();
+      await settle();
+
+      expect(resumePostAnalytics).not.toHaveBeenCalled();
+      expect(RunHistory.finishRun).toHaveBeenCalledWith('personal-1', 'Interrupted', expect.objectContaining({
+        message: 'Run interrupted in phase posts 4/30',
+        context: { phase: 'posts', step: 'upload', resumes: 2 }
+      }));
+      expect(ConfigManager.updateExecutionStatus).toHaveBeenCalledWith('Interrupted', expect.any(AutomationError));
+      expect(scheduleRetry).not.toHaveBeenCalled();
+      expect(storage.runCheckpoints).toEqual({});
+    });
+
+    it('should retry a run left too long before it uploaded its export', async () => {
+      storage.runCheckpoints = { personal: postsCheckpoint({ phase: 'navigate', posts: null, updatedAt: Date.now() - 7 * 60 * MINUTE }) };
+
+      await RunCheckpoint.recover();
+
+      expect(executeAutomationScript).not.toHaveBeenCalled();
+      expect(scheduleRetry).toHaveBeenCalledWith(expect.objectContaining({ message: 'Run interrupted in phase navigate' }), 'personal-1');
+    });
+
+    it('should mark a company run interrupted when another run holds its lock', async () => {
+      await RunLock.acquire('company', 'company pass');
+      storage.runCheckpoints = {
+        company: { runId: 'company-1', companyId: '105563936', phase: 'company', tabId: 52, resumes: 0, workerId: 'worker-1', updatedAt: Date.now() }
+      };
+
+      await RunCheckpoint.recover();
+      await settle();
+
+      expect(executeCompanyPageAutomation).not.toHaveBeenCalled();
+      expect(RunHistory.finishRun).toHaveBeenCalledWith('company-1', 'Interrupted', expect.any(AutomationError));
+      expect(updateCompanyExecutionStatus).toHaveBeenCalledWith('105563936', 'Interrupted', expect.any(AutomationError));
+      expect(ConfigManager.updateExecutionStatus).not.toHaveBeenCalled();
+    });
+
+    it('should mark a status and backfill left running without a checkpoint as interrupted', async () => {
+      storage.lastExecutionStatus = 'Running';
+      storage.backfillStatus = { depth: 'past_365_days', status: 'Running', completedRanges: ['past_90_days'], failedRanges: [] };
+      RunHistory.markInterrupted.mockResolvedValue(2);
+
+      await RunCheckpoint.recover();
+
+      expect(ConfigManager.updateExecutionStatus).toHaveBeenCalledWith('Interrupted');
+      expect(storage.backfillStatus).toMatchObject({ status: 'Interrupted', completedRanges: ['past_90_days'] });
+      expect(storage.backfillStatus.finishedAt).not.toBeNull();
+      await settle();
+      expect(worker.messages()).toContain('Marked 2 run(s) left running by an earlier service worker as interrupted');
+    });
+  });
+
+  describe('in a restarted service worker', () => {
+    it('should resume the interrupted run before handling the alarm that woke the worker', async () => {
+      const shared = {};
+      const previous = startServiceWorker(shared);
+      await previous.settle();
+      const runId = await previous.get('RunHistory').startRun({ type: 'company', companyId: '123' });
+      await previous.get('RunCheckpoint').start('company', { runId, companyId: '123' });
+      previous.stop();
+
+      const worker = startServiceWorker(shared);
+      expect(worker.chrome.alarms.onAlarm.listeners).toHaveLength(1);
+
+      // Chrome dispatches the alarm right after the worker's script ran
+      worker.chrome.alarms.onAlarm.dispatch({ name: 'companyPageUpload' });
+      await worker.settle();
+
+      const run = shared.runHistory.find(record => record.id === runId);
+      expect(run.outcome).not.toBe('Interrupted');
+      expect(run.resumes).toBe(1);
+      worker.stop();
+    });
+  });
+});
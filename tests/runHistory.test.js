@@ -0,0 +1,252 @@
+/**
+ * Unit Tests for RunHistory
+ *
+ * Tests the persistent run ledger including:
+ * - Recording run start, updates and completion
+ * - Error context capture on failed runs
+ * - Retention policy (entry count and age limits), with post records kept alongside their parent run
+ * - Marking runs an earlier service worker left running as interrupted
+ * - Serialised writes from concurrent callers
+ */
+
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('RunHistory', () => {
+  let worker;
+  let RunHistory;
+  let CONFIG;
+  let storage;
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+
+    RunHistory = worker.get('RunHistory');
+    CONFIG = worker.get('CONFIG');
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  describe('startRun()', () => {
+    it('should store a running record with the given details', async () => {
+      const runId = await RunHistory.startRun({ type: 'personal', flow: 'direct', retryNumber: 2 });
+
+      const runs = await RunHistory.getRuns();
+      expect(runs).toHaveLength(1);
+      expect(runs[0]).toMatchObject({
+        id: runId,
+        type: 'personal',
+        flow: 'direct',
+        retryNumber: 2,
+        outcome: 'Running',
+        endedAt: null,
+        error: null
+      });
+      expect(runId).toMatch(/^personal-\d+-/);
+    });
+
+    it('should record the time range of backfill runs', async () => {
+      await RunHistory.startRun({ type: 'backfill', timeRange: 'past_365_days' });
+
+      const [run] = await RunHistory.getRuns();
+      expect(run).toMatchObject({ type: 'backfill', timeRange: 'past_365_days' });
+    });
+
+    it('should keep previous runs instead of overwriting them', async () => {
+      await RunHistory.startRun({ type: 'personal', flow: 'direct' });
+      await RunHistory.startRun({ type: 'company', flow: 'company-page', companyId: '105563936' });
+
+      const runs = await RunHistory.getRuns();
+      expect(runs.map(run => run.type)).toEqual(['personal', 'company']);
+      expect(runs[1].companyId).toBe('105563936');
+    });
+
+    it('should link per-post runs to their parent run', async () => {
+      const parentId = await RunHistory.startRun({ type: 'personal' });
+      await RunHistory.startRun({
+        type: 'post',
+        flow: 'post-analytics',
+        parentRunId: parentId,
+        postUrl: 'https://www.linkedin.com/feed/update/urn:li:activity:7341072233987026944/'
+      });
+
+      const runs = await RunHistory.getRuns();
+      expect(runs[1].parentRunId).toBe(parentId);
+    });
+  });
+
+  describe('updateRun() and finishRun()', () => {
+    it('should merge fields into the matching record', async () => {
+      const runId = await RunHistory.startRun({ type: 'personal' });
+      await RunHistory.updateRun(runId, { fileName: 'Content_2025-01-01.xlsx' });
+
+      const runs = await RunHistory.getRuns();
+      expect(runs[0].fileName).toBe('Content_2025-01-01.xlsx');
+    });
+
+    it('should ignore updates without a run ID', async () => {
+      const set = jest.spyOn(worker.chrome.storage.local, 'set');
+
+      await RunHistory.updateRun(null, { fileName: 'ignored.xlsx' });
+
+      expect(set).not.toHaveBeenCalled();
+    });
+
+    it('should record success with end time and extra fields', async () => {
+      const runId = await RunHistory.startRun({ type: 'personal' });
+      await RunHistory.finishRun(runId, 'Success', null, { postsProcessed: 12 });
+
+      const [run] = await RunHistory.getRuns();
+      expect(run.outcome).toBe('Success');
+      expect(run.endedAt).not.toBeNull();
+      expect(run.postsProcessed).toBe(12);
+      expect(run.error).toBeNull();
+    });
+
+    it('should capture error name, message and context on failure', async () => {
+      const runId = await RunHistory.startRun({ type: 'personal' });
+      const AutomationError = worker.get('AutomationError');
+      const error = new AutomationError('Upload failed', { status: 502 });
+      await RunHistory.finishRun(runId, 'Failed', error);
+
+      const [run] = await RunHistory.getRuns();
+      expect(run.outcome).toBe('Failed');
+      expect(run.error).toEqual({
+        name: 'AutomationError',
+        message: 'Upload failed',
+        context: { status: 502 }
+      });
+    });
+
+    it('should default missing error context to an empty object', async () => {
+      const runId = await RunHistory.startRun({ type: 'company' });
+      await RunHistory.finishRun(runId, 'Failed', new Error('Failed to create company analytics tab'));
+
+      const [run] = await RunHistory.getRuns();
+      expect(run.error.context).toEqual({});
+    });
+  });
+
+  describe('markInterrupted()', () => {
+    const workerStart = Date.now() - 30 * 1000;
+    const at = offset => new Date(workerStart - 30 * 1000 + offset).toISOString();
+
+    it('should end runs started before the worker, except those being resumed', async () => {
+      storage.runHistory = [
+        { id: 'personal-1', outcome: 'Running', startedAt: at(0) },
+        { id: 'post-1', outcome: 'Running', startedAt: at(1000) },
+        { id: 'post-0', outcome: 'Success', startedAt: at(500) },
+        { id: 'company-1', outcome: 'Running', startedAt: at(60 * 1000) }
+      ];
+
+      const marked = await RunHistory.markInterrupted(workerStart, ['personal-1']);
+
+      const runs = await RunHistory.getRuns();
+      expect(marked).toBe(1);
+      const interrupted = worker.get('RunCheckpoint').STATUS;
+      expect(runs.map(run => run.outcome)).toEqual(['Running', interrupted, 'Success', 'Running']);
+      expect(runs[1].endedAt).not.toBeNull();
+      expect(runs[1].error.message).toBe('The extension stopped during the run');
+    });
+  });
+
+  describe('prune()', () => {
+    it('should drop records older than the maximum age', () => {
+      const now = Date.UTC(2025, 5, 1);
+      const day = 24 * 60 * 60 * 1000;
+      const runs = [
+        { id: 'old', startedAt: new Date(now - 91 * day).toISOString() },
+        { id: 'recent', startedAt: new Date(now - 10 * day).toISOString() }
+      ];
+
+      expect(RunHistory.prune(runs, now).map(run => run.id)).toEqual(['recent']);
+    });
+
+    it('should keep only the newest records beyond the entry limit', () => {
+      const now = Date.now();
+      const runs = Array.from({ length: CONFIG.HISTORY.MAX_ENTRIES + 5 }, (_, i) => ({
+        id: `run-${i}`,
+        startedAt: new Date(now - (CONFIG.HISTORY.MAX_ENTRIES + 5 - i) * 1000).toISOString()
+      }));
+
+      const pruned = RunHistory.prune(runs, now);
+      expect(pruned).toHaveLength(CONFIG.HISTORY.MAX_ENTRIES);
+      expect(pruned[0].id).toBe('run-5');
+      expect(pruned[pruned.length - 1].id).toBe(`run-${CONFIG.HISTORY.MAX_ENTRIES + 4}`);
+    });
+
+    it('should not count post records towards the entry limit', () => {
+      const now = Date.now();
+      const runs = [];
+      for (let i = 0; i < CONFIG.HISTORY.MAX_ENTRIES; i++) {
+        const startedAt = new Date(now - (CONFIG.HISTORY.MAX_ENTRIES - i) * 60 * 1000).toISOString();
+        runs.push({ id: `personal-${i}`, type: 'personal', startedAt });
+        for (let post = 0; post < 30; post++) {
+          runs.push({ id: `post-${i}-${post}`, type: 'post', parentRunId: `personal-${i}`, startedAt });
+        }
+      }
+
+      const pruned = RunHistory.prune(runs, now);
+
+      expect(pruned.filter(run => run.type === 'personal')).toHaveLength(CONFIG.HISTORY.MAX_ENTRIES);
+      expect(pruned).toHaveLength(runs.length);
+    });
+
+    it('should drop post records together with their parent run', () => {
+      const now = Date.now();
+      const runs = Array.from({ length: CONFIG.HISTORY.MAX_ENTRIES + 1 }, (_, i) => ({
+        id: `personal-${i}`,
+        startedAt: new Date(now - (CONFIG.HISTORY.MAX_ENTRIES + 1 - i) * 60 * 1000).toISOString()
+      }));
+      runs.splice(1, 0, { id: 'post-0', parentRunId: 'personal-0', startedAt: runs[0].startedAt });
+
+      const ids = RunHistory.prune(runs, now).map(run => run.id);
+
+      expect(ids).not.toContain('personal-0');
+      expect(ids).not.toContain('post-0');
+    });
+  });
+
+  describe('advanced post statistics runs', () => {
+    it('should keep earlier personal runs when every run records 30 posts', async () => {
+      for (let run = 0; run < 10; run++) {
+        const parentRunId = await RunHistory.startRun({ type: 'personal' });
+        for (let post = 0; post < 30; post++) {
+          await RunHistory.startRun({ type: 'post', flow: 'post-analytics', parentRunId });
+        }
+      }
+
+      const runs = await RunHistory.getRuns();
+      expect(runs.filter(run => run.type === 'personal')).toHaveLength(10);
+      expect(runs.filter(run => run.type === 'post')).toHaveLength(300);
+    });
+  });
+
+  describe('concurrent writes', () => {
+    it('should not lose records when runs start at the same time', async () => {
+      await Promise.all([
+        RunHistory.startRun({ type: 'post' }),
+        RunHistory.startRun({ type: 'post' }),
+        RunHistory.startRun({ type: 'post' })
+      ]);
+
+      const runs = await RunHistory.getRuns();
+      expect(runs).toHaveLength(3);
+    });
+
+    it('should apply a finish issued right after start', async () => {
+      const runId = await RunHistory.startRun({ type: 'personal' });
+      await Promise.all([
+        RunHistory.updateRun(runId, { fileName: 'a.xlsx' }),
+        RunHistory.finishRun(runId, 'Success')
+      ]);
+
+      const [run] = await RunHistory.getRuns();
+      expect(run.fileName).toBe('a.xlsx');
+      expect(run.outcome).toBe('Success');
+    });
+  });
+});
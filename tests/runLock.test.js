@@ -0,0 +1,195 @@
+/**
+ * Unit Tests for the run lock
+ *
+ * Tests:
+ * - Only one run per lock name starts at a time; personal and company runs don't block each other
+ * - A lock is released by its owner only
+ * - The heartbeat keeps a held lock fresh and stops once the lock was taken over
+ * - Locks whose heartbeat stopped, or that an earlier service worker left behind, are taken over
+ * - A manual run only starts, and reports that it started, when the personal lock is free
+ */
+
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('RunLock', () => {
+  let worker;
+  let RunLock;
+  let storage;
+  let heartbeats;
+  const MINUTE = 60 * 1000;
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+    RunLock = worker.get('RunLock');
+
+    // Capture the heartbeat timers so their ticks can be run by hand
+    heartbeats = new Map();
+    worker.set('setInterval', jest.fn((callback) => {
+      heartbeats.set(heartbeats.size + 1, callback);
+      return heartbeats.size;
+    }));
+    worker.set('clearInterval', jest.fn(handle => heartbeats.delete(handle)));
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  // Runs the pending heartbeat ticks and lets their storage writes settle
+  const beat = async () => {
+    [...heartbeats.values()].forEach(tick => tick());
+    await worker.settle();
+  };
+
+  const lock = (owner, purpose, changes = {}) => ({
+    owner, purpose, workerId: RunLock.WORKER_ID, acquiredAt: Date.now(), heartbeatAt: Date.now(), ...changes
+  });
+
+  describe('acquire()', () => {
+    it('should let only one of several simultaneous entry points start', async () => {
+      const owners = await Promise.all([
+        RunLock.acquire('personal', 'run'),
+        RunLock.acquire('personal', 'retry'),
+        RunLock.acquire('personal', 'backfill')
+      ]);
+
+      expect(owners.filter(Boolean)).toHaveLength(1);
+      expect(owners[0]).toMatch(/^run-/);
+      expect(storage.runLocks.personal).toMatchObject({ owner: owners[0], purpose: 'run', workerId: RunLock.WORKER_ID });
+      await worker.settle();
+      expect(worker.messages()).toContain(
+        `The personal run lock is held by a run since ${new Date(storage.runLocks.personal.acquiredAt).toISOString()}, not starting a retry`
+      );
+    });
+
+    it('should not let a personal run block a company run', async () => {
+      await RunLock.acquire('personal', 'run');
+
+      await expect(RunLock.acquire('company', 'company pass')).resolves.toMatch(/^company pass-/);
+    });
+
+    it('should take over a lock whose heartbeat stopped', async () => {
+      const heartbeatAt = Date.now() - 3 * MINUTE;
+      storage.runLocks = {
+        personal: lock('run-old', 'run', { acquiredAt: Date.now() - 10 * MINUTE, heartbeatAt })
+      };
+
+      const owner = await RunLock.acquire('personal', 'retry');
+
+      expect(owner).toMatch(/^retry-/);
+      expect(storage.runLocks.personal.owner).toBe(owner);
+      await worker.settle();
+      expect(worker.messages()).toContain(`Taking over the personal run lock abandoned by a run (last heartbeat ${new Date(heartbeatAt).toISOString()})`);
+    });
+
+    it('should take over a lock left behind by an earlier service worker at once', async () => {
+      storage.runLocks = {
+        company: lock('company pass-old', 'company pass', { workerId: 'worker-1' })
+      };
+
+      expect(await RunLock.getHolder('company')).toBeNull();
+      await expect(RunLock.acquire('company', 'company 123 run')).resolves.not.toBeNull();
+    });
+  });
+
+  describe('release()', () => {
+    it('should free the lock for the next run', async () => {
+      const owner = await RunLock.acquire('personal', 'run');
+      await RunLock.release('personal', owner);
+
+      expect(storage.runLocks).toEqual({});
+      await expect(RunLock.acquire('personal', 'retry')).resolves.not.toBeNull();
+    });
+
+    it('should leave a lock alone that another run has taken over', async () => {
+      storage.runLocks = { personal: lock('retry-new', 'retry') };
+
+      await RunLock.release('personal', 'run-old');
+
+      expect(storage.runLocks.personal.owner).toBe('retry-new');
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('should keep a long run from being taken over', async () => {
+      await RunLock.acquire('personal', 'run');
+      // The run has been going for a while since the last heartbeat
+      storage.runLocks.personal.heartbeatAt = Date.now() - 5 * MINUTE;
+
+      await beat();
+
+      expect(Date.now() - storage.runLocks.personal.heartbeatAt).toBeLessThanOrEqual(RunLock.HEARTBEAT_INTERVAL);
+      await expect(RunLock.acquire('personal', 'retry')).resolves.toBeNull();
+    });
+
+    it('should stop once the lock was taken over', async () => {
+      const owner = await RunLock.acquire('personal', 'run');
+      storage.runLocks.personal.owner = 'retry-new';
+
+      await beat();
+
+      expect(RunLock._heartbeats.personal).toBeUndefined();
+      expect(heartbeats.size).toBe(0);
+      expect(storage.runLocks.personal.owner).toBe('retry-new');
+      expect(owner).not.toBe('retry-new');
+    });
+
+    it('should stop when the lock is released', async () => {
+      const owner = await RunLock.acquire('company', 'company pass');
+      expect(heartbeats.size).toBe(1);
+
+      await RunLock.release('company', owner);
+
+      expect(heartbeats.size).toBe(0);
+      expect(RunLock._heartbeats.company).toBeUndefined();
+    });
+  });
+});
+
+describe('Manual run message', () => {
+  let worker;
+  let storage;
+  let runAutomationScript;
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+
+    runAutomationScript = jest.fn().mockResolvedValue(undefined);
+    worker.set('runAutomationScript', runAutomationScript);
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  // Sends the message the options page's Run Now button sends, and waits for the response
+  async function sendExecuteScript() {
+    const sendResponse = jest.fn();
+    const [keepsChannelOpen] = worker.chrome.runtime.onMessage.dispatch({ action: 'executeScript' }, {}, sendResponse);
+    await worker.settle();
+    return { keepsChannelOpen, sendResponse };
+  }
+
+  it('should start a run and say so when no run holds the lock', async () => {
+    const { keepsChannelOpen, sendResponse } = await sendExecuteScript();
+
+    expect(keepsChannelOpen).toBe(true);
+    expect(sendResponse).toHaveBeenCalledWith({ started: true });
+    expect(runAutomationScript).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not start a run while an upload or backfill holds the lock', async () => {
+    const owner = await worker.get('RunLock').acquire('personal', 'backfill');
+
+    const { keepsChannelOpen, sendResponse } = await sendExecuteScript();
+
+    expect(keepsChannelOpen).toBe(true);
+    expect(sendResponse).toHaveBeenCalledWith({ started: false });
+    expect(runAutomationScript).not.toHaveBeenCalled();
+    await worker.get('RunLock').release('personal', owner);
+  });
+});
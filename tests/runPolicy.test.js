@@ -0,0 +1,307 @@
+/**
+ * Unit Tests for the run policy
+ *
+ * Tests:
+ * - Stored policies are normalized and clamped
+ * - Due runs start any time, once the computer is idle, or just after the browser started
+ * - A run deferred for longer than the maximum deferral runs anyway
+ * - Deferred runs are remembered by kind and started once, when the policy allows them
+ * - The post batch waits while the user is on LinkedIn, and gives up waiting eventually
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('Run policy', () => {
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+
+  const linkedInWindow = { focused: true, tabs: [{ active: true, url: 'https://www.linkedin.com/feed/' }] };
+
+  describe('RunPolicy', () => {
+    let RunPolicy;
+    const NOW = new Date(2026, 2, 4, 10, 0).getTime();
+
+    beforeAll(() => {
+      // Runs run-policy.js as the service worker's importScripts would
+      const source = fs.readFileSync(path.join(__dirname, '..', 'run-policy.js'), 'utf8');
+      RunPolicy = new Function(`${source}\nreturn RunPolicy;`)();
+    });
+
+    describe('normalize()', () => {
+      it('should fall back to running any time', () => {
+        expect(RunPolicy.normalize(undefined)).toEqual(RunPolicy.DEFAULTS);
+        expect(RunPolicy.normalize({ mode: 'whenever' }).mode).toBe('anyTime');
+      });
+
+      it('should clamp the idle minutes and the maximum deferral', () => {
+        const policy = RunPolicy.normalize({ mode: 'idle', idleMinutes: 1000, maxDeferralHours: 0, pauseForLinkedIn: false });
+
+        expect(policy).toEqual({ mode: 'idle', idleMinutes: 240, maxDeferralHours: 1, pauseForLinkedIn: false });
+      });
+    });
+
+    describe('canRun()', () => {
+      it('should always let a run start any time', () => {
+        expect(RunPolicy.canRun(RunPolicy.DEFAULTS, { now: NOW, dueSince: NOW, idleState: 'active' }).run).toBe(true);
+      });
+
+      it('should wait for the computer to go idle or be locked', () => {
+        const policy = RunPolicy.normalize({ mode: 'idle', idleMinutes: 5 });
+
+        expect(RunPolicy.canRun(policy, { now: NOW, dueSince: NOW, idleState: 'active' })).toEqual({
+          run: false,
+          reason: 'waiting until the computer has been idle for 5 minutes'
+        });
+        expect(RunPolicy.canRun(policy, { now: NOW, dueSince: NOW, idleState: 'idle' }).run).toBe(true);
+        expect(RunPolicy.canRun(policy, { now: NOW, dueSince: NOW, idleState: 'locked' }).run).toBe(true);
+      });
+
+      it('should only run shortly after the browser started in startup mode', () => {
+        const policy = RunPolicy.normalize({ mode: 'startup' });
+
+        expect(RunPolicy.canRun(policy, { now: NOW, dueSince: NOW, browserStartedAt: NOW - 5 * MINUTE }).run).toBe(true);
+        expect(RunPolicy.canRun(policy, { now: NOW, dueSince: NOW, browserStartedAt: NOW - HOUR }).run).toBe(false);
+        expect(RunPolicy.canRun(policy, { now: NOW, dueSince: NOW, browserStartedAt: null }).run).toBe(false);
+      });
+
+      it('should run anyway once the maximum deferral has passed', () => {
+        const policy = RunPolicy.normalize({ mode: 'idle', maxDeferralHours: 6 });
+
+        expect(RunPolicy.canRun(policy, { now: NOW, dueSince: NOW - 6 * HOUR, idleState: 'active' })).toEqual({
+          run: true,
+          reason: 'it waited the maximum of 6 hours'
+        });
+        expect(RunPolicy.canRun(policy, { now: NOW, dueSince: NOW - 5 * HOUR, idleState: 'active' }).run).toBe(false);
+      });
+    });
+  });
+
+  describe('ExecutionPolicy', () => {
+    let worker;
+    let storage;
+    let ExecutionPolicy;
+    let AlarmManager;
+    let checkAndRunCompanyPageUpload;
+    let idleState;
+    let focusedWindow;
+
+    beforeEach(async () => {
+      storage = {};
+      worker = startServiceWorker(storage);
+      await worker.settle();
+
+      idleState = 'active';
+      focusedWindow = null;
+      worker.chrome.idle.queryState = jest.fn((seconds, callback) => callback(idleState));
+      worker.chrome.windows.getLastFocused = jest.fn((options, callback) => callback(focusedWindow));
+
+      // Stand-ins for the runs a released deferral starts
+      ExecutionPolicy = worker.get('ExecutionPolicy');
+      AlarmManager = worker.get('AlarmManager');
+      AlarmManager.runScheduledAutomation = jest.fn().mockResolvedValue(true);
+      AlarmManager.runRetryAutomation = jest.fn().mockResolvedValue(true);
+      checkAndRunCompanyPageUpload = jest.fn().mockResolvedValue(undefined);
+      worker.set('checkAndRunCompanyPageUpload', checkAndRunCompanyPageUpload);
+    });
+
+    afterEach(() => {
+      worker.stop();
+    });
+
+    const logged = async (prefix) => {
+      await worker.settle();
+      return worker.messages().filter(message => message.startsWith(prefix));
+    };
+
+    describe('holdsBack()', () => {
+      it('should let runs start any time by default', async () => {
+        await expect(ExecutionPolicy.holdsBack('scheduled')).resolves.toBe(false);
+        expect(storage.deferredRuns).toBeUndefined();
+      });
+
+      it('should defer a run while the user is active and keep when it became due', async () => {
+        storage.runPolicy = { mode: 'idle', idleMinutes: 10 };
+
+        await expect(ExecutionPolicy.holdsBack('scheduled')).resolves.toBe(true);
+        const dueSince = storage.deferredRuns.scheduled;
+        await expect(ExecutionPolicy.holdsBack('scheduled')).resolves.toBe(true);
+
+        expect(storage.deferredRuns.scheduled).toBe(dueSince);
+        expect(worker.chrome.idle.queryState).toHaveBeenCalledWith(600, expect.any(Function));
+        expect(await logged('Deferring the scheduled run')).toHaveLength(1);
+      });
+
+      it('should forget a deferred run that is allowed to start', async () => {
+        storage.runPolicy = { mode: 'idle' };
+        storage.deferredRuns = { retry: new Date().toISOString() };
+        idleState = 'idle';
+
+        await expect(ExecutionPolicy.holdsBack('retry')).resolves.toBe(false);
+        expect(storage.deferredRuns).toEqual({});
+      });
+    });
+
+    describe('releaseDeferred()', () => {
+      it('should start the deferred runs once the computer goes idle', async () => {
+        storage.runPolicy = { mode: 'idle' };
+        storage.deferredRuns = { scheduled: new Date().toISOString(), company: new Date().toISOString() };
+
+        await ExecutionPolicy.releaseDeferred('watchdog');
+        expect(AlarmManager.runScheduledAutomation).not.toHaveBeenCalled();
+
+        idleState = 'idle';
+        await ExecutionPolicy.releaseDeferred('computer idle');
+
+        expect(AlarmManager.runScheduledAutomation).toHaveBeenCalledWith(true);
+        expect(checkAndRunCompanyPageUpload).toHaveBeenCalledWith(false, true);
+        expect(storage.deferredRuns).toEqual({});
+      });
+
+      it('should start a deferred run only once when triggers overlap', async () => {
+        storage.runPolicy = { mode: 'idle' };
+        storage.deferredRuns = { scheduled: new Date().toISOString() };
+        idleState = 'locked';
+
+        await Promise.all([
+          ExecutionPolicy.releaseDeferred('computer locked'),
+          ExecutionPolicy.releaseDeferred('watchdog')
+        ]);
+
+        expect(AlarmManager.runScheduledAutomation).toHaveBeenCalledTimes(1);
+      });
+
+      it('should start a run that waited too long for a browser startup', async () => {
+        storage.runPolicy = { mode: 'startup', maxDeferralHours: 2 };
+        storage.deferredRuns = { retry: new Date(Date.now() - 3 * HOUR).toISOString() };
+
+        await ExecutionPolicy.releaseDeferred('watchdog');
+
+        expect(AlarmManager.runRetryAutomation).toHaveBeenCalledWith(true);
+        expect(await logged('Starting the deferred')).toEqual([
+          'Starting the deferred retry run (watchdog): it waited the maximum of 2 hours'
+        ]);
+      });
+
+      it('should start runs deferred until the browser starts', async () => {
+        storage.runPolicy = { mode: 'startup' };
+        storage.deferredRuns = { scheduled: new Date(Date.now() - HOUR).toISOString() };
+        storage.browserStartedAt = new Date().toISOString();
+
+        await ExecutionPolicy.releaseDeferred('browser startup');
+
+        expect(AlarmManager.runScheduledAutomation).toHaveBeenCalledTimes(1);
+      });
+
+      it('should log a deferred run that fails', async () => {
+        storage.runPolicy = { mode: 'idle' };
+        storage.deferredRuns = { scheduled: new Date().toISOString() };
+        idleState = 'idle';
+        AlarmManager.runScheduledAutomation.mockRejectedValue(new Error('Tab closed'));
+
+        await ExecutionPolicy.releaseDeferred('computer idle');
+
+        expect(await logged('Deferred scheduled run failed')).toEqual(['Deferred scheduled run failed: Tab closed']);
+      });
+    });
+
+    describe('waitWhileUserOnLinkedIn()', () => {
+      let logger;
+
+      beforeEach(() => {
+        logger = { log: jest.fn(), error: jest.fn() };
+        // Poll every few milliseconds instead of every 30 seconds
+        ExecutionPolicy.INTERACTION_CHECK_INTERVAL = 5;
+      });
+
+      it('should not wait when the user is elsewhere', async () => {
+        focusedWindow = { focused: true, tabs: [{ active: true, url: 'https://mail.example.com/' }] };
+
+        await ExecutionPolicy.waitWhileUserOnLinkedIn(logger);
+        expect(logger.log).not.toHaveBeenCalled();
+
+        focusedWindow = linkedInWindow;
+        idleState = 'idle';
+        await ExecutionPolicy.waitWhileUserOnLinkedIn(logger);
+        expect(logger.log).not.toHaveBeenCalled();
+      });
+
+      it('should not wait when the policy turns the pause off', async () => {
+        storage.runPolicy = { pauseForLinkedIn: false };
+        focusedWindow = linkedInWindow;
+
+        await ExecutionPolicy.waitWhileUserOnLinkedIn(logger);
+
+        expect(worker.chrome.windows.getLastFocused).not.toHaveBeenCalled();
+      });
+
+      it('should wait until the user leaves LinkedIn', async () => {
+        focusedWindow = linkedInWindow;
+        let finished = false;
+
+        const waiting = ExecutionPolicy.waitWhileUserOnLinkedIn(logger).then(() => { finished = true; });
+        await worker.settle();
+        expect(finished).toBe(false);
+
+        focusedWindow = { ...linkedInWindow, focused: false };
+        await waiting;
+
+        expect(logger.log).toHaveBeenCalledWith('You are using LinkedIn, pausing the post batch until you leave it');
+        expect(await logged('⏯️')).toEqual(['⏯️ Post batch continues']);
+      });
+
+      it('should go on after the maximum wait', async () => {
+        ExecutionPolicy.MAX_INTERACTION_WAIT = 20;
+        focusedWindow = linkedInWindow;
+
+        await ExecutionPolicy.waitWhileUserOnLinkedIn(logger);
+
+        expect(await logged('⏯️')).toEqual(['⏯️ Post batch continues after waiting 0 minutes']);
+      });
+    });
+  });
+
+  describe('service worker start', () => {
+    it('should register the startup and idle listeners before initializing', () => {
+      const worker = startServiceWorker({});
+
+      expect(worker.chrome.runtime.onStartup.listeners).toHaveLength(1);
+      expect(worker.chrome.idle.onStateChanged.listeners).toHaveLength(1);
+      worker.stop();
+    });
+
+    it('should release runs deferred until the browser starts when the startup woke the worker', async () => {
+      const worker = startServiceWorker({
+        runPolicy: { mode: 'startup' },
+        deferredRuns: { scheduled: new Date(Date.now() - HOUR).toISOString() }
+      });
+
+      // Chrome dispatches the event right after the worker's script ran
+      worker.chrome.runtime.onStartup.dispatch();
+      await worker.settle();
+
+      expect(worker.storage.browserStartedAt).toBeDefined();
+      expect(worker.storage.deferredRuns).toEqual({});
+      worker.stop();
+    });
+  });
+
+  describe('end of a pause', () => {
+    it('should defer the catch-up run like any scheduled run', async () => {
+      const worker = startServiceWorker({
+        runPolicy: { mode: 'idle', idleMinutes: 10 },
+        automationPause: { mode: 'indefinite', until: null, since: new Date(Date.now() - HOUR).toISOString(), skipped: 2 }
+      });
+      await worker.settle();
+
+      await worker.get('AutomationPause').resume('resumed by the user');
+      await worker.settle();
+
+      expect(worker.storage.automationPause).toBeUndefined();
+      expect(worker.storage.deferredRuns.scheduled).toBeDefined();
+      expect(worker.storage.runHistory || []).toHaveLength(0);
+      worker.stop();
+    });
+  });
+});
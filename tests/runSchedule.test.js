@@ -0,0 +1,183 @@
+/**
+ * Unit Tests for RunSchedule
+ *
+ * Tests the flexible run schedule including:
+ * - Rules like "weekdays at 07:30", "every 12 hours", "sunday night" and cron expressions
+ * - Rejecting rules that can't be parsed or run too often
+ * - Quiet hours that defer runs, including windows that wrap past midnight
+ * - Jitter and the preview of the next planned runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+describe('RunSchedule', () => {
+  let RunSchedule;
+  const HOUR = 60 * 60 * 1000;
+
+  // Format a time as "Wed 07:30" in local time
+  function describeTime(time) {
+    const date = new Date(time);
+    const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][date.getDay()];
+    return `${day} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  }
+
+  beforeAll(() => {
+    // Runs run-schedule.js as the service worker's importScripts would
+    const source = fs.readFileSync(path.join(__dirname, '..', 'run-schedule.js'), 'utf8');
+    RunSchedule = new Function(`${source}\nreturn RunSchedule;`)();
+  });
+
+  // Wednesday 15 January 2025, 10:00 local time
+  const now = new Date(2025, 0, 15, 10, 0).getTime();
+
+  describe('parseRule()', () => {
+    it('should parse weekday rules with a time', () => {
+      expect(RunSchedule.parseRule('weekdays at 07:30')).toMatchObject({
+        type: 'calendar', minutes: [30], hours: [7], weekdays: [1, 2, 3, 4, 5]
+      });
+    });
+
+    it('should parse day names with a time word', () => {
+      expect(RunSchedule.parseRule('Sunday night')).toMatchObject({ hours: [22], minutes: [0], weekdays: [0] });
+      expect(RunSchedule.parseRule('mon, wed and fri at 6pm')).toMatchObject({ hours: [18], weekdays: [1, 3, 5] });
+    });
+
+    it('should parse interval rules', () => {
+      expect(RunSchedule.parseRule('every 12 hours')).toEqual({ type: 'interval', intervalMs: 12 * HOUR });
+      expect(RunSchedule.parseRule('every 2 days')).toEqual({ type: 'interval', intervalMs: 48 * HOUR });
+    });
+
+    it('should parse cron expressions, treating 7 as Sunday', () => {
+      expect(RunSchedule.parseRule('30 7 * * 1-5')).toMatchObject({ minutes: [30], hours: [7], weekdays: [1, 2, 3, 4, 5], daysOfMonth: null });
+      expect(RunSchedule.parseRule('0 8 * * 7').weekdays).toEqual([0]);
+    });
+
+    it('should default day rules without a time to 09:00 every day', () => {
+      expect(RunSchedule.parseRule('daily')).toMatchObject({ hours: [9], minutes: [0], weekdays: null });
+    });
+  });
+
+  describe('validate()', () => {
+    it('should accept valid rules', () => {
+      expect(RunSchedule.validate(['weekdays at 07:30', 'every 12 hours', '0 9 1 * *'])).toEqual([]);
+    });
+
+    it('should report rules it cannot understand', () => {
+      const errors = RunSchedule.validate(['whenever', 'tuesday at 25:00']);
+
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toContain('"whenever" is not a schedule rule');
+      expect(errors[1]).toContain('"25:00"');
+    });
+
+    it('should reject rules that run more than once an hour', () => {
+      expect(RunSchedule.validate(['every 0.5 hours'])[0]).toContain('runs too often');
+      expect(RunSchedule.validate(['*/10 * * * *'])[0]).toContain('runs too often');
+      expect(RunSchedule.validate(['*/30 0 * * *'])[0]).toContain('runs too often');
+      expect(RunSchedule.validate(['0,30 7 * * 1-5'])[0]).toContain('runs too often');
+    });
+  });
+
+  describe('getNextRun()', () => {
+    it('should use the upload frequency when there are no rules', () => {
+      expect(RunSchedule.getNextRun({}, now, 3 * 24 * HOUR)).toBe(now + 3 * 24 * HOUR);
+    });
+
+    it('should pick the earliest rule', () => {
+      const next = RunSchedule.getNextRun({ rules: ['sunday night', 'weekdays at 07:30'] }, now, 0);
+
+      expect(describeTime(next)).toBe('Thu 07:30');
+    });
+
+    it('should run later the same day when the time has not passed yet', () => {
+      expect(describeTime(RunSchedule.getNextRun({ rules: ['weekdays at 18:00'] }, now, 0))).toBe('Wed 18:00');
+    });
+
+    it('should skip invalid stored rules', () => {
+      expect(describeTime(RunSchedule.getNextRun({ rules: ['whenever', 'daily'] }, now, 0))).toBe('Thu 09:00');
+    });
+
+    it('should find the next day of the month for monthly cron rules', () => {
+      const next = new Date(RunSchedule.getNextRun({ rules: ['0 9 1 * *'] }, now, 0));
+
+      expect([next.getMonth(), next.getDate(), next.getHours()]).toEqual([1, 1, 9]);
+    });
+  });
+
+  describe('quiet hours', () => {
+    const quietHours = { enabled: true, start: '22:00', end: '07:00' };
+
+    it('should detect times inside a window that wraps past midnight', () => {
+      expect(RunSchedule.isQuiet(new Date(2025, 0, 15, 23, 0).getTime(), quietHours)).toBe(true);
+      expect(RunSchedule.isQuiet(new Date(2025, 0, 15, 3, 0).getTime(), quietHours)).toBe(true);
+      expect(RunSchedule.isQuiet(new Date(2025, 0, 15, 7, 0).getTime(), quietHours)).toBe(false);
+    });
+
+    it('should ignore quiet hours when disabled', () => {
+      expect(RunSchedule.isQuiet(new Date(2025, 0, 15, 23, 0).getTime(), { ...quietHours, enabled: false })).toBe(false);
+    });
+
+    it('should defer a run in quiet hours to the end of the window', () => {
+      const next = RunSchedule.getNextRun({ rules: ['sunday night'], quietHours }, now, 0);
+
+      expect(describeTime(next)).toBe('Mon 07:00');
+    });
+
+    it('should defer a run before midnight to the next morning', () => {
+      const deferred = new Date(RunSchedule.deferPastQuietHours(new Date(2025, 0, 15, 23, 0).getTime(), quietHours));
+
+      expect([deferred.getDate(), deferred.getHours()]).toEqual([16, 7]);
+    });
+
+    it('should handle windows within a single day', () => {
+      const lunch = { enabled: true, start: '12:00', end: '14:00' };
+
+      expect(describeTime(RunSchedule.deferPastQuietHours(new Date(2025, 0, 15, 12, 30).getTime(), lunch))).toBe('Wed 14:00');
+    });
+  });
+
+  describe('getNextRuns()', () => {
+    it('should plan the next five runs', () => {
+      const runs = RunSchedule.getNextRuns({ rules: ['weekdays at 07:30'] }, now, 0);
+
+      expect(runs.map(describeTime)).toEqual(['Thu 07:30', 'Fri 07:30', 'Mon 07:30', 'Tue 07:30', 'Wed 07:30']);
+    });
+
+    it('should start from the already scheduled run', () => {
+      const scheduled = now + 2 * HOUR;
+      const runs = RunSchedule.getNextRuns({ rules: ['every 12 hours'] }, now, 0, 3, scheduled);
+
+      expect(runs).toEqual([scheduled, scheduled + 12 * HOUR, scheduled + 24 * HOUR]);
+    });
+
+    it('should chain interval runs from deferred times', () => {
+      const settings = { rules: ['every 6 hours'], quietHours: { enabled: true, start: '22:00', end: '07:00' } };
+      const runs = RunSchedule.getNextRuns(settings, now, 0, 4);
+
+      expect(runs.map(describeTime)).toEqual(['Wed 16:00', 'Thu 07:00', 'Thu 13:00', 'Thu 19:00']);
+    });
+  });
+
+  describe('applyJitter()', () => {
+    it('should leave the time unchanged without jitter', () => {
+      expect(RunSchedule.applyJitter(now, {}, () => 0.5)).toBe(now);
+    });
+
+    it('should add a delay of up to the configured minutes', () => {
+      expect(RunSchedule.applyJitter(now, { jitterMinutes: 30 }, () => 0.5)).toBe(now + 15 * 60 * 1000);
+      expect(RunSchedule.applyJitter(now, { jitterMinutes: 30 }, () => 0.999)).toBeLessThan(now + 30 * 60 * 1000);
+    });
+
+    it('should keep jittered runs out of quiet hours', () => {
+      const evening = new Date(2025, 0, 15, 21, 50).getTime();
+      const settings = { jitterMinutes: 60, quietHours: { enabled: true, start: '22:00', end: '07:00' } };
+
+      expect(describeTime(RunSchedule.applyJitter(evening, settings, () => 0.5))).toBe('Thu 07:00');
+    });
+
+    it('should cap the jitter', () => {
+      expect(RunSchedule.normalize({ jitterMinutes: 500 }).jitterMinutes).toBe(RunSchedule.MAX_JITTER_MINUTES);
+    });
+  });
+});
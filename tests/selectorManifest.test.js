@@ -0,0 +1,265 @@
+/**
+ * Unit Tests for the selector manifest
+ *
+ * Tests:
+ * - The bundled selector-manifest.json passes validation
+ * - Schema validation of targets, strategies, texts, waits, session walls and recipe steps
+ * - Using a valid remote manifest and caching it
+ * - Falling back to the cache or the bundled copy when the remote manifest is unusable
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('SelectorManifest', () => {
+  let worker;
+  let SelectorManifest;
+  let storage;
+  let remoteFetch;
+  const bundled = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'selector-manifest.json'), 'utf8'));
+  const URL = 'https://example.com/selector-manifest.json';
+  const BUNDLED_URL = 'chrome-extension://test-extension/selector-manifest.json';
+
+  // Builds a remote manifest one version ahead of the bundled copy
+  const remoteManifest = (changes = {}) => ({ ...JSON.parse(JSON.stringify(bundled)), version: bundled.version + 1, ...changes });
+
+  // Makes the remote manifest URL answer with the given JSON body
+  const respondWith = (body, ok = true, status = 200) => {
+    remoteFetch.mockResolvedValue({
+      ok,
+      status,
+      json: () => (body instanceof Error ? Promise.reject(body) : Promise.resolve(body))
+    });
+  };
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+    SelectorManifest = worker.get('SelectorManifest');
+
+    // The bundled copy is read from disk, every other URL is the remote manifest
+    remoteFetch = jest.fn();
+    worker.set('fetch', jest.fn((url, options) => (url === BUNDLED_URL
+      ? Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(JSON.parse(JSON.stringify(bundled))) })
+      : remoteFetch(url, options))));
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  describe('validate()', () => {
+    it('should accept the bundled manifest', () => {
+      expect(SelectorManifest.validate(bundled)).toEqual([]);
+    });
+
+    it('should reject a manifest for a newer schema', () => {
+      expect(SelectorManifest.validate(remoteManifest({ schemaVersion: 5 }))).toEqual([
+        'Unsupported schemaVersion 5 (expected 4)'
+      ]);
+    });
+
+    it('should reject something that is not an object', () => {
+      expect(SelectorManifest.validate([])).toEqual(['Manifest must be a JSON object']);
+    });
+
+    it('should report each broken strategy', () => {
+      const manifest = remoteManifest({
+        targets: {
+          export: [
+            { name: 'broken-regex', type: 'attribute', pattern: '(' },
+            { name: 'no-role', type: 'role', textKeys: ['export'] },
+            { type: 'text', textKeys: ['export'] },
+            { name: 'xpath', type: 'xpath' },
+            { name: 'no-texts', type: 'text' }
+          ],
+          showResults: []
+        }
+      });
+
+      expect(SelectorManifest.validate(manifest)).toEqual([
+        'targets.export[0] has an invalid pattern',
+        'targets.export[1] needs a role',
+        'targets.export[2] needs a name',
+        'targets.export[3] has unknown type "xpath"',
+        'targets.export[4] needs textKeys or extraTexts',
+        'targets.showResults must be a non-empty list of strategies'
+      ]);
+    });
+
+    it('should check waits and text overrides', () => {
+      const manifest = remoteManifest({
+        waits: { ...bundled.waits, settleTimeout: -1, elementTimeout: '15s', spinnerSelector: '' },
+        texts: { de: { export: 3 } }
+      });
+
+      expect(SelectorManifest.validate(manifest)).toEqual([
+        'waits.settleTimeout must be a non-negative number',
+        'waits.elementTimeout must be a non-negative number',
+        'waits.spinnerSelector must be a CSS selector',
+        'texts.de must map keys to strings'
+      ]);
+    });
+
+    it('should check the session walls', () => {
+      const manifest = remoteManifest({
+        sessionWalls: [
+          { name: 'login', urlPatterns: ['^/login', '('], selectors: [] },
+          { urlPatterns: [], selectors: [] },
+          { name: 'captcha', selectors: ['#captcha-internal'] }
+        ]
+      });
+
+      expect(SelectorManifest.validate(manifest)).toEqual([
+        'sessionWalls[0] has an invalid url pattern "("',
+        'sessionWalls[1] needs a name',
+        'sessionWalls[2] needs urlPatterns and selectors lists'
+      ]);
+      expect(SelectorManifest.validate(remoteManifest({ sessionWalls: [] }))).toEqual(['sessionWalls must be a non-empty list']);
+    });
+
+    it('should report each broken recipe step', () => {
+      const manifest = remoteManifest({
+        recipes: {
+          ...bundled.recipes,
+          direct: [
+            { id: 'open', action: 'navigate' },
+            { id: 'wait', action: 'waitFor', condition: 'delay' },
+            { id: 'dialog', action: 'waitFor', condition: 'visible' },
+            { id: 'click', action: 'click', target: ['export', 3], retries: 1.5 },
+            { action: 'hover', optional: 'yes' },
+            { id: 'upload', action: 'upload', download: 'export', type: 'profile', timeout: 0 }
+          ],
+          company: []
+        }
+      });
+
+      expect(SelectorManifest.validate(manifest)).toEqual([
+        'recipes.direct[0] needs a url',
+        'recipes.direct[1] needs ms for a delay',
+        'recipes.direct[2] needs a target to wait for',
+        'recipes.direct[3] needs a target or a list of targets',
+        'recipes.direct[3] retries must be a non-negative integer',
+        'recipes.direct[4] needs an id',
+        'recipes.direct[4] has unknown action "hover"',
+        'recipes.direct[4] optional must be true or false',
+        'recipes.direct[5] timeout must be a positive number',
+        'recipes.direct[5] uploads "export" before an expectDownload step names it',
+        'recipes.company must be a non-empty list of steps'
+      ]);
+    });
+
+    it('should reject a recipe that opens a page outside LinkedIn', () => {
+      const manifest = remoteManifest({
+        recipes: {
+          ...bundled.recipes,
+          direct: [
+            { id: 'open', action: 'navigate', url: 'https://www.linkedin.com.example.com/analytics/' },
+            { id: 'plain', action: 'navigate', url: 'http://www.linkedin.com/' },
+            { id: 'company', action: 'navigate', url: 'https://www.linkedin.com/company/{companyId}/' },
+            { id: 'home', action: 'navigate', url: '{homeUrl}' }
+          ]
+        }
+      });
+
+      expect(SelectorManifest.validate(manifest)).toEqual([
+        'recipes.direct[0] must open a page on https://*.linkedin.com/',
+        'recipes.direct[1] must open a page on https://*.linkedin.com/'
+      ]);
+    });
+
+    it('should require the recipes the flows run', () => {
+      const { legacy, ...recipes } = bundled.recipes;
+
+      expect(SelectorManifest.validate(remoteManifest({ recipes }))).toEqual(['recipes.legacy is missing']);
+    });
+  });
+
+  describe('load()', () => {
+    it('should use the bundled copy when no URL is configured', async () => {
+      const status = await SelectorManifest.load();
+
+      expect(remoteFetch).not.toHaveBeenCalled();
+      expect(status).toMatchObject({ source: 'bundled', version: bundled.version, url: null, lastError: null });
+      expect(await SelectorManifest.get()).toEqual(bundled);
+    });
+
+    it('should use and cache a valid remote manifest', async () => {
+      storage.selectorManifestUrl = URL;
+      respondWith(remoteManifest());
+
+      const status = await SelectorManifest.load();
+
+      expect(status).toMatchObject({ source: 'remote', version: bundled.version + 1, url: URL });
+      expect(storage.selectorManifestCache).toMatchObject({ url: URL, manifest: { version: bundled.version + 1 } });
+      expect(storage.selectorManifestStatus.source).toBe('remote');
+    });
+
+    it('should not fetch again while the cache is fresh', async () => {
+      storage.selectorManifestUrl = URL;
+      storage.selectorManifestCache = { url: URL, manifest: remoteManifest(), fetchedAt: Date.now() };
+
+      const status = await SelectorManifest.load();
+
+      expect(remoteFetch).not.toHaveBeenCalled();
+      expect(status.source).toBe('remote');
+    });
+
+    it('should keep the cached manifest when the URL is unreachable', async () => {
+      storage.selectorManifestUrl = URL;
+      storage.selectorManifestCache = { url: URL, manifest: remoteManifest(), fetchedAt: Date.now() };
+      remoteFetch.mockRejectedValue(new Error('Failed to fetch'));
+
+      const status = await SelectorManifest.load(true);
+
+      expect(status).toMatchObject({ source: 'remote', lastError: 'Failed to fetch' });
+      await worker.settle();
+      expect(worker.messages()).toContainEqual(expect.stringContaining('using cached copy'));
+    });
+
+    it('should fall back to the bundled copy for an invalid manifest', async () => {
+      storage.selectorManifestUrl = URL;
+      respondWith(remoteManifest({ targets: {} }));
+
+      const status = await SelectorManifest.load();
+
+      expect(status.source).toBe('bundled');
+      expect(status.lastError).toBe('Invalid manifest: targets must be a non-empty object');
+      expect(storage.selectorManifestCache).toBeUndefined();
+    });
+
+    it('should report an HTTP error or a body that is not JSON', async () => {
+      storage.selectorManifestUrl = URL;
+
+      respondWith({}, false, 404);
+      expect((await SelectorManifest.load()).lastError).toBe('Manifest request failed with status 404');
+
+      respondWith(new SyntaxError('Unexpected token <'));
+      expect((await SelectorManifest.load()).lastError).toBe('Manifest is not valid JSON');
+    });
+
+    it('should prefer a newer bundled copy over an older cached one', async () => {
+      storage.selectorManifestUrl = URL;
+      storage.selectorManifestCache = { url: URL, manifest: remoteManifest(), fetchedAt: Date.now() };
+      // The extension was updated with a bundled copy newer than the cached remote one
+      SelectorManifest.getBundled = async () => ({ ...bundled, version: bundled.version + 2 });
+
+      const status = await SelectorManifest.load();
+
+      expect(status).toMatchObject({ source: 'bundled', version: bundled.version + 2 });
+    });
+
+    it('should ignore a cache fetched from a different URL', async () => {
+      storage.selectorManifestUrl = URL;
+      storage.selectorManifestCache = { url: 'https://old.example.com/manifest.json', manifest: remoteManifest(), fetchedAt: Date.now() };
+      remoteFetch.mockRejectedValue(new Error('Failed to fetch'));
+
+      const status = await SelectorManifest.load();
+
+      expect(remoteFetch).toHaveBeenCalledWith(URL, { cache: 'no-store' });
+      expect(status.source).toBe('bundled');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * In-memory IndexedDB for the service worker harness: enough of the API for the
+ * extension's databases (see export-archive.js, failure-captures.js, queued-uploads.js).
+ * Requests complete in order on later ticks, and a transaction completes once its
+ * requests, including those made from their success handlers, are done.
+ */
+
+/**
+ * Create an indexedDB object
+ * @param {Object} databases - Stores by database name, shared between service workers
+ * @returns {Object} indexedDB with open(name, version)
+ */
+function createIndexedDB(databases = {}) {
+  const later = callback => setTimeout(callback, 0);
+
+  const sortKeys = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+  function createTransaction(database, mode) {
+    let pending = 0;
+    let finished = false;
+
+    const transaction = {
+      oncomplete: null,
+      onerror: null,
+      onabort: null,
+      error: null,
+      objectStore: name => createObjectStore(database.stores[name])
+    };
+
+    const checkComplete = () => later(() => {
+      if (pending === 0 && !finished) {
+        finished = true;
+        if (transaction.oncomplete) transaction.oncomplete();
+      }
+    });
+
+    function request(operation) {
+      const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+      pending++;
+      later(() => {
+        try {
+          req.result = operation();
+          if (req.onsuccess) req.onsuccess();
+        } catch (error) {
+          req.error = error;
+          transaction.error = error;
+          finished = true;
+          if (req.onerror) req.onerror();
+          if (transaction.onerror) transaction.onerror();
+        }
+        pending--;
+        checkComplete();
+      });
+      return req;
+    }
+
+    function createObjectStore(store) {
+      const records = () => [...store.records.keys()].sort(sortKeys).map(key => ({ ...store.records.get(key) }));
+      const write = (value, overwrite) => {
+        if (mode !== 'readwrite') throw new Error('ReadOnlyError');
+        const record = { ...value };
+        if (record[store.keyPath] === undefined && store.autoIncrement) {
+          record[store.keyPath] = ++store.lastKey;
+        }
+        const key = record[store.keyPath];
+        if (!overwrite && store.records.has(key)) throw new Error('ConstraintError');
+        store.records.set(key, record);
+        return key;
+      };
+
+      return {
+        add: value => request(() => write(value, false)),
+        put: value => request(() => write(value, true)),
+        get: key => request(() => (store.records.has(key) ? { ...store.records.get(key) } : undefined)),
+        getAll: () => request(records),
+        getAllKeys: () => request(() => [...store.records.keys()].sort(sortKeys)),
+        delete: key => request(() => { store.records.delete(key); }),
+        clear: () => request(() => { store.records.clear(); }),
+        createIndex: (name, keyPath) => { store.indexes[name] = keyPath; },
+        index(name) {
+          const keyPath = store.indexes[name];
+          const valueOf = record => [].concat(keyPath).map(path => record[path]).join('\u0000');
+          const matching = query => records()
+            .filter(record => query === undefined || valueOf(record) === [].concat(query).join('\u0000'))
+            .sort((a, b) => sortKeys(valueOf(a), valueOf(b)));
+          return {
+            getAll: query => request(() => matching(query)),
+            getAllKeys: query => request(() => matching(query).map(record => record[store.keyPath]))
+          };
+        }
+      };
+    }
+
+    return transaction;
+  }
+
+  return {
+    open(name) {
+      const req = { result: null, error: null, onupgradeneeded: null, onsuccess: null, onerror: null };
+
+      later(() => {
+        const isNew = !databases[name];
+        const database = databases[name] || { stores: {} };
+        databases[name] = database;
+
+        req.result = {
+          createObjectStore(storeName, options = {}) {
+            database.stores[storeName] = {
+              keyPath: options.keyPath,
+              autoIncrement: Boolean(options.autoIncrement),
+              lastKey: 0,
+              records: new Map(),
+              indexes: {}
+            };
+            return createTransaction(database, 'readwrite').objectStore(storeName);
+          },
+          transaction: (storeName, mode = 'readonly') => createTransaction(database, mode)
+        };
+
+        if (isNew && req.onupgradeneeded) req.onupgradeneeded();
+        if (req.onsuccess) req.onsuccess();
+      });
+      return req;
+    }
+  };
+}
+
+module.exports = { createIndexedDB };
@@ -0,0 +1,240 @@
+/**
+ * Runs the real background.js, and the scripts it imports, in a fresh VM context with
+ * in-memory Chrome APIs and IndexedDB, the way a new service worker starts. Starting a
+ * second worker over the same storage object simulates Chrome restarting the service worker.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Blob } = require('buffer');
+const { createIndexedDB } = require('./indexedDB');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Scripts are read once per test file; xlsx.full.min.js alone is almost 1 MB
+const sources = {};
+function readScript(file) {
+  if (!sources[file]) {
+    sources[file] = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  }
+  return sources[file];
+}
+
+// IndexedDB databases by storage object, so a restarted worker finds the same ones
+const databasesByStorage = new WeakMap();
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: listener => listeners.includes(listener),
+    dispatch: (...args) => listeners.map(listener => listener(...args))
+  };
+}
+
+const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Enough of FormData for the upload requests background.js builds
+class FormData {
+  constructor() {
+    this.fields = [];
+  }
+
+  append(name, value, fileName) {
+    this.fields.push({ name, value, fileName });
+  }
+
+  get(name) {
+    const field = this.fields.find(entry => entry.name === name);
+    return field ? field.value : null;
+  }
+}
+
+/**
+ * Start a service worker
+ * @param {Object} storage - Contents of chrome.storage.local, shared between workers
+ * @returns {Object} { chrome, alarms, storage, get(name), set(name, value), messages(), settle(), stop() }
+ */
+function startServiceWorker(storage = {}) {
+  const alarms = {};
+  const timers = new Set();
+  if (!databasesByStorage.has(storage)) {
+    databasesByStorage.set(storage, {});
+  }
+
+  const local = {
+    get(keys, callback) {
+      const result = {};
+      if (keys === null || keys === undefined) {
+        Object.assign(result, copy(storage));
+      } else if (typeof keys === 'object' && !Array.isArray(keys)) {
+        Object.entries(keys).forEach(([key, fallback]) => {
+          result[key] = storage[key] !== undefined ? copy(storage[key]) : fallback;
+        });
+      } else {
+        [].concat(keys).forEach((key) => {
+          if (storage[key] !== undefined) result[key] = copy(storage[key]);
+        });
+      }
+      if (callback) callback(result);
+      return Promise.resolve(result);
+    },
+    set(items, callback) {
+      const changes = {};
+      Object.entries(copy(items)).forEach(([key, value]) => {
+        changes[key] = { oldValue: storage[key], newValue: value };
+        storage[key] = value;
+      });
+      chrome.storage.onChanged.dispatch(changes, 'local');
+      if (callback) callback();
+      return Promise.resolve();
+    },
+    remove(keys, callback) {
+      [].concat(keys).forEach(key => delete storage[key]);
+      if (callback) callback();
+      return Promise.resolve();
+    },
+    getBytesInUse(keys, callback) {
+      const bytes = JSON.stringify(storage).length;
+      if (callback) callback(bytes);
+      return Promise.resolve(bytes);
+    }
+  };
+
+  const call = (callback, ...args) => {
+    if (callback) callback(...args);
+  };
+
+  const chrome = {
+    storage: { local, onChanged: createEvent() },
+    alarms: {
+      create(name, info) {
+        const delay = (info.delayInMinutes || info.periodInMinutes || 0) * 60 * 1000;
+        alarms[name] = { name, scheduledTime: info.when || Date.now() + delay, periodInMinutes: info.periodInMinutes };
+      },
+      clear(name, callback) {
+        const existed = Boolean(alarms[name]);
+        delete alarms[name];
+        call(callback, existed);
+      },
+      get: (name, callback) => call(callback, alarms[name]),
+      getAll: callback => call(callback, Object.values(alarms)),
+      onAlarm: createEvent()
+    },
+    runtime: {
+      lastError: undefined,
+      getURL: file => `chrome-extension://test-extension/${file}`,
+      sendMessage: () => Promise.resolve(),
+      openOptionsPage: () => {},
+      onMessage: createEvent(),
+      onMessageExternal: createEvent(),
+      onStartup: createEvent(),
+      onInstalled: createEvent()
+    },
+    tabs: {
+      create: (properties, callback) => call(callback, { id: 1, ...properties }),
+      get: (tabId, callback) => call(callback, { id: tabId, active: false, windowId: 1 }),
+      update: (tabId, properties, callback) => call(callback, { id: tabId, ...properties }),
+      remove: (tabId, callback) => call(callback),
+      query: (query, callback) => call(callback, []),
+      captureVisibleTab: (windowId, options, callback) => call(callback, null),
+      onUpdated: createEvent()
+    },
+    windows: {
+      create: (data, callback) => call(callback, { id: 2 }),
+      getLastFocused: (options, callback) => call(callback, null)
+    },
+    webRequest: { onBeforeRequest: createEvent(), onHeadersReceived: createEvent() },
+    downloads: { search: (query, callback) => call(callback, []), onCreated: createEvent(), onChanged: createEvent() },
+    scripting: { executeScript: (injection, callback) => call(callback, []) },
+    action: { setBadgeText: () => {}, setTitle: () => {}, setBadgeBackgroundColor: () => {} },
+    notifications: {
+      create: (id, options, callback) => call(callback, id),
+      clear: (id, callback) => call(callback, true),
+      onClicked: createEvent()
+    },
+    idle: {
+      setDetectionInterval: () => {},
+      queryState: (seconds, callback) => call(callback, 'active'),
+      onStateChanged: createEvent()
+    },
+    permissions: { contains: (permissions, callback) => call(callback, false) }
+  };
+
+  const track = (set, clear) => [
+    (...args) => {
+      const handle = set(...args);
+      timers.add([handle, clear]);
+      return handle;
+    },
+    (handle) => {
+      clear(handle);
+      timers.forEach(entry => entry[0] === handle && timers.delete(entry));
+    }
+  ];
+  const [trackedSetTimeout, trackedClearTimeout] = track(setTimeout, clearTimeout);
+  const [trackedSetInterval, trackedClearInterval] = track(setInterval, clearInterval);
+
+  const context = vm.createContext({
+    chrome,
+    console: { log: () => {}, info: () => {}, warn: () => {}, error: () => {} },
+    setTimeout: trackedSetTimeout,
+    clearTimeout: trackedClearTimeout,
+    setInterval: trackedSetInterval,
+    clearInterval: trackedClearInterval,
+    fetch: () => Promise.reject(new TypeError('Failed to fetch')),
+    indexedDB: createIndexedDB(databasesByStorage.get(storage)),
+    Blob,
+    FormData,
+    AbortController,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    atob: value => Buffer.from(value, 'base64').toString('binary'),
+    btoa: value => Buffer.from(value, 'binary').toString('base64')
+  });
+  context.self = context;
+  context.importScripts = (...files) => {
+    files.forEach(file => vm.runInContext(readScript(file), context, { filename: file }));
+  };
+
+  context.importScripts('background.js');
+
+  return {
+    chrome,
+    alarms,
+    storage,
+
+    // Top-level functions and consts of background.js and the scripts it imports
+    get: name => vm.runInContext(name, context),
+
+    // Replace a top-level function of background.js or a global such as fetch, e.g. with a jest.fn()
+    set: (name, value) => {
+      context[name] = value;
+    },
+
+    // Messages the worker logged through PersistentLogger
+    messages: () => (storage.logs || []).map(entry => entry.message),
+
+    // Let the worker's pending storage callbacks and promise chains run
+    async settle() {
+      for (let i = 0; i < 20; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    },
+
+    stop() {
+      timers.forEach(([handle, clear]) => clear(handle));
+      timers.clear();
+    }
+  };
+}
+
+module.exports = { startServiceWorker };
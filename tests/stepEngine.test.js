@@ -0,0 +1,367 @@
+/**
+ * Unit Tests for the automation step engine
+ *
+ * Tests:
+ * - Resolving {name} placeholders in recipe steps
+ * - Running a recipe step by step and recording a result per step
+ * - Optional steps, retries and per-step timeouts
+ * - Aborting the work of a timed out step, and no second flow once the upload started
+ * - Stopping on a failed step and naming it in the error
+ * - Capturing the page of a failed step before the flow closes the tab
+ * - Passing fatal errors through without retrying or skipping
+ * - The bundled recipes only use known placeholders
+ * - Navigate steps only open LinkedIn pages
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('StepEngine', () => {
+  let worker;
+  let StepEngine;
+  let AutomationError;
+  let manifest;
+  let logger;
+  let runHistory;
+  let failureCapture;
+  const bundled = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'selector-manifest.json'), 'utf8'));
+
+  beforeEach(async () => {
+    worker = startServiceWorker({});
+    await worker.settle();
+
+    StepEngine = worker.get('StepEngine');
+    AutomationError = worker.get('AutomationError');
+    manifest = { waits: { stepTimeout: 1000 }, recipes: {} };
+    worker.get('SelectorManifest').get = jest.fn(async () => manifest);
+
+    logger = worker.get('PersistentLogger');
+    jest.spyOn(logger, 'warn');
+    runHistory = worker.get('RunHistory');
+    runHistory.updateRun = jest.fn().mockResolvedValue();
+    failureCapture = worker.get('FailureCapture');
+    failureCapture.capture = jest.fn().mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  describe('resolve()', () => {
+    it('should replace placeholders with run variables', () => {
+      expect(StepEngine.resolve('timeRange-{timeRange}', { timeRange: 'past_90_days' })).toBe('timeRange-past_90_days');
+      expect(StepEngine.resolve('https://www.linkedin.com/company/{companyId}/admin/', { companyId: 123 }))
+        .toBe('https://www.linkedin.com/company/123/admin/');
+    });
+
+    it('should reject a placeholder without a value', () => {
+      expect(() => StepEngine.resolve('{analyticsUrl}', { homeUrl: 'https://www.linkedin.com/' }))
+        .toThrow('No value for recipe variable "analyticsUrl"');
+    });
+  });
+
+  describe('run()', () => {
+    beforeEach(() => {
+      // The actions drive a real tab; their own tests are below
+      StepEngine.perform = jest.fn().mockResolvedValue(null);
+    });
+
+    it('should run every step in order and record the results', async () => {
+      manifest.recipes.test = [
+        { id: 'open', action: 'navigate', url: '{homeUrl}' },
+        { id: 'export', action: 'click', target: 'export' }
+      ];
+      StepEngine.perform.mockImplementation(async step => (step.id === 'export' ? { target: 'export', strategy: 'text' } : null));
+
+      const { steps, outputs } = await StepEngine.run('test', { runId: 'run-1', vars: { homeUrl: 'https://www.linkedin.com/' } });
+
+      expect(StepEngine.perform.mock.calls.map(call => call[0].id)).toEqual(['open', 'export']);
+      expect(steps).toEqual([
+        { id: 'open', action: 'navigate', status: 'success', attempts: 1, durationMs: expect.any(Number), error: null },
+        { id: 'export', action: 'click', status: 'success', attempts: 1, durationMs: expect.any(Number), error: null }
+      ]);
+      expect(outputs.export).toEqual({ target: 'export', strategy: 'text' });
+      expect(runHistory.updateRun).toHaveBeenCalledWith('run-1', { steps });
+    });
+
+    it('should skip a failed optional step and carry on', async () => {
+      manifest.recipes.test = [
+        { id: 'open-post-impressions', action: 'click', target: 'postImpressions', optional: true },
+        { id: 'export', action: 'click', target: 'export' }
+      ];
+      StepEngine.perform.mockImplementation(async (step) => {
+        if (step.optional) throw new Error('Element not found for postImpressions');
+        return null;
+      });
+
+      const { steps } = await StepEngine.run('test', {});
+
+      expect(steps.map(step => step.status)).toEqual(['skipped', 'success']);
+      expect(steps[0].error).toBe('Element not found for postImpressions');
+    });
+
+    it('should stop at a failed step and name it in the error', async () => {
+      manifest.recipes.test = [
+        { id: 'show-results', action: 'click', target: 'showResults' },
+        { id: 'export', action: 'click', target: 'export' }
+      ];
+      StepEngine.perform.mockRejectedValueOnce(new AutomationError('Element not found for showResults', { tabId: 7 }));
+
+      const error = await StepEngine.run('test', { runId: 'run-1' }).catch(e => e);
+
+      expect(error.message).toBe('Step "show-results" failed: Element not found for showResults');
+      expect(error.context).toEqual({ tabId: 7, recipe: 'test', step: 'show-results' });
+      expect(StepEngine.perform).toHaveBeenCalledTimes(1);
+      expect(runHistory.updateRun).toHaveBeenCalledWith('run-1', {
+        steps: [expect.objectContaining({ id: 'show-results', status: 'failed', attempts: 1 })]
+      });
+    });
+
+    it('should capture the page when a step fails', async () => {
+      manifest.recipes.test = [
+        { id: 'open', action: 'navigate', url: '{homeUrl}' },
+        { id: 'export', action: 'click', target: 'export' }
+      ];
+      const stepError = new Error('Element not found for export');
+      StepEngine.perform.mockImplementation(async (step) => {
+        if (step.id === 'export') throw stepError;
+        return null;
+      });
+
+      await expect(StepEngine.run('test', { tabId: 7, runId: 'run-1', vars: { homeUrl: 'x' } })).rejects.toThrow();
+
+      expect(failureCapture.capture).toHaveBeenCalledTimes(1);
+      expect(failureCapture.capture).toHaveBeenCalledWith(7, 'run-1', 'export', stepError);
+    });
+
+    it('should not capture the page for a skipped optional step', async () => {
+      manifest.recipes.test = [{ id: 'open-post-impressions', action: 'click', target: 'postImpressions', optional: true }];
+      StepEngine.perform.mockRejectedValue(new Error('Element not found'));
+
+      await StepEngine.run('test', { tabId: 7, runId: 'run-1' });
+
+      expect(failureCapture.capture).not.toHaveBeenCalled();
+    });
+
+    it('should retry a step until it succeeds', async () => {
+      manifest.recipes.test = [{ id: 'export', action: 'click', target: 'export', retries: 2, retryDelay: 0 }];
+      StepEngine.perform
+        .mockRejectedValueOnce(new Error('Element not found'))
+        .mockRejectedValueOnce(new Error('Element not found'))
+        .mockResolvedValueOnce({ target: 'export' });
+
+      const { steps } = await StepEngine.run('test', {});
+
+      expect(steps[0]).toMatchObject({ status: 'success', attempts: 3, error: null });
+      expect(logger.warn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail once the retries are used up', async () => {
+      manifest.recipes.test = [{ id: 'export', action: 'click', target: 'export', retries: 1 }];
+      StepEngine.perform.mockRejectedValue(new Error('Element not found'));
+
+      await expect(StepEngine.run('test', {})).rejects.toThrow('Step "export" failed: Element not found');
+      expect(StepEngine.perform).toHaveBeenCalledTimes(2);
+    });
+
+    it('should time a step out after its own timeout', async () => {
+      manifest.recipes.test = [{ id: 'load', action: 'waitFor', condition: 'pageLoad', timeout: 20 }];
+      StepEngine.perform.mockImplementation(() => new Promise(() => {}));
+
+      const error = await StepEngine.run('test', {}).catch(e => e);
+
+      expect(error.message).toBe('Step "load" failed: Timed out after 20 ms');
+      expect(error.context).toMatchObject({ timeout: 20, step: 'load' });
+    });
+
+    it('should fall back to the manifest step timeout', async () => {
+      manifest.waits.stepTimeout = 30;
+      manifest.recipes.test = [{ id: 'load', action: 'waitFor', condition: 'pageLoad' }];
+      StepEngine.perform.mockImplementation(() => new Promise(() => {}));
+
+      await expect(StepEngine.run('test', {})).rejects.toThrow('Timed out after 30 ms');
+    });
+
+    it('should pass fatal errors through without retrying or skipping', async () => {
+      manifest.recipes.test = [{ id: 'open-analytics', action: 'click', target: 'postImpressions', optional: true, retries: 3 }];
+      const fatal = new AutomationError('unsupported LinkedIn language: ko_KR', { unsupportedLanguage: true, fatal: true });
+      StepEngine.perform.mockRejectedValue(fatal);
+
+      const error = await StepEngine.run('test', {}).catch(e => e);
+
+      expect(error).toBe(fatal);
+      expect(StepEngine.perform).toHaveBeenCalledTimes(1);
+      expect(runHistory.updateRun).toHaveBeenCalledWith(undefined, {
+        steps: [expect.objectContaining({ status: 'failed', error: 'unsupported LinkedIn language: ko_KR' })]
+      });
+    });
+
+    it('should stop download watchers once the run ends', async () => {
+      let state;
+      manifest.recipes.test = [{ id: 'export', action: 'click', target: 'export' }];
+      StepEngine.perform.mockImplementation(async (step, runState) => {
+        state = runState;
+        throw new Error('Element not found');
+      });
+
+      await expect(StepEngine.run('test', {})).rejects.toThrow();
+      expect(state.active).toBe(false);
+    });
+
+    it('should reject an unknown recipe', async () => {
+      await expect(StepEngine.run('missing', {})).rejects.toThrow('Unknown recipe: missing');
+    });
+  });
+
+  describe('timed out steps', () => {
+    it('should abort the work of a step that times out', async () => {
+      let signal;
+      const work = jest.fn((abortSignal) => {
+        signal = abortSignal;
+        return new Promise(() => {});
+      });
+
+      await expect(StepEngine.withTimeout(work, 20)).rejects.toThrow('Timed out after 20 ms');
+      expect(signal.aborted).toBe(true);
+    });
+
+    it('should stop listening for the page of a navigate step that times out', async () => {
+      manifest.recipes.test = [{ id: 'open', action: 'navigate', url: 'https://www.linkedin.com/', timeout: 20 }];
+      const listeners = worker.chrome.tabs.onUpdated.listeners.length;
+
+      await expect(StepEngine.run('test', { tabId: 7 })).rejects.toThrow('Timed out after 20 ms');
+
+      expect(worker.chrome.tabs.onUpdated.listeners).toHaveLength(listeners);
+    });
+
+    it('should not upload a file that arrives after its upload step timed out', async () => {
+      let deliverFile;
+      const fileUploader = { uploadToWebhook: jest.fn().mockResolvedValue({ message: 'Success' }) };
+      const webRequestTracker = { trackDownload: () => new Promise((resolve) => { deliverFile = resolve; }) };
+      manifest.recipes.test = [
+        { id: 'expect-export', action: 'expectDownload', via: 'webRequest', as: 'export' },
+        { id: 'upload', action: 'upload', download: 'export', type: 'profile', timeout: 20 }
+      ];
+
+      await expect(StepEngine.run('test', { tabId: 7, fileUploader, webRequestTracker })).rejects.toThrow('Timed out after 20 ms');
+      deliverFile('https://www.linkedin.com/ambry/?x-ambry-um-filename=Content_2025-01-01.xlsx');
+      await worker.settle();
+
+      expect(fileUploader.uploadToWebhook).not.toHaveBeenCalled();
+    });
+
+    it('should mark a failure once the upload has started', async () => {
+      const fileUploader = { uploadToWebhook: () => new Promise(() => {}) };
+      const webRequestTracker = { trackDownload: async () => 'https://www.linkedin.com/ambry/?x-ambry-um-filename=Content_2025-01-01.xlsx' };
+      manifest.recipes.test = [
+        { id: 'expect-export', action: 'expectDownload', via: 'webRequest', as: 'export' },
+        { id: 'upload', action: 'upload', download: 'export', type: 'profile', timeout: 20 }
+      ];
+
+      const error = await StepEngine.run('test', { tabId: 7, fileUploader, webRequestTracker }).catch(e => e);
+
+      expect(error.context).toMatchObject({ step: 'upload', timeout: 20, uploadStarted: true });
+    });
+
+    it('should not fall back to the other flow once the upload has started', async () => {
+      worker.storage.email = 'user@example.com';
+      const runLinkedInFlow = jest.fn().mockRejectedValue(
+        new AutomationError('Step "upload" failed: Timed out after 120000 ms', { timeout: 120000, step: 'upload', uploadStarted: true })
+      );
+      worker.set('runLinkedInFlow', runLinkedInFlow);
+
+      await worker.get('executeAutomationScript')();
+
+      expect(runLinkedInFlow).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('bundled recipes', () => {
+    // Variables the flows in background.js pass to each recipe
+    const FLOW_VARS = {
+      legacy: ['homeUrl', 'timeRange'],
+      direct: ['analyticsUrl', 'timeRange'],
+      company: ['companyId']
+    };
+
+    it('should only use placeholders the flows provide', () => {
+      Object.entries(bundled.recipes).forEach(([name, steps]) => {
+        const vars = Object.fromEntries(FLOW_VARS[name].map(variable => [variable, 'value']));
+        steps.forEach((step) => {
+          ['url', 'option'].filter(field => step[field]).forEach((field) => {
+            expect(() => StepEngine.resolve(step[field], vars)).not.toThrow();
+          });
+        });
+      });
+    });
+
+    it('should arm each download before the click that starts it', () => {
+      Object.values(bundled.recipes).forEach((steps) => {
+        const expectIndex = steps.findIndex(step => step.action === 'expectDownload');
+        const exportIndex = steps.findIndex(step => step.id === 'export');
+
+        expect(expectIndex).toBeGreaterThan(-1);
+        expect(expectIndex).toBeLessThan(exportIndex);
+      });
+    });
+
+    it('should check the LinkedIn session right after the first page load', () => {
+      Object.values(bundled.recipes).forEach((steps) => {
+        const firstLoad = steps.findIndex(step => step.condition === 'pageLoad');
+
+        expect(steps[firstLoad + 1]).toEqual({ id: 'check-session', action: 'checkSession' });
+      });
+    });
+
+    it('should keep the second post impressions click optional', () => {
+      const step = bundled.recipes.legacy.find(s => s.id === 'open-post-impressions');
+
+      expect(step).toMatchObject({ action: 'click', target: 'postImpressions', optional: true });
+    });
+  });
+
+  describe('navigate steps', () => {
+    beforeEach(() => {
+      StepEngine.navigate = jest.fn().mockResolvedValue(undefined);
+    });
+
+    const navigate = (url, vars = {}) => StepEngine.perform({ id: 'open', action: 'navigate', url }, { tabId: 7, vars }, 1000);
+
+    it('should only accept https pages on linkedin.com', () => {
+      expect(StepEngine.isLinkedInUrl('https://www.linkedin.com/analytics/creator/content/')).toBe(true);
+      expect(StepEngine.isLinkedInUrl('https://linkedin.com/')).toBe(true);
+      expect(StepEngine.isLinkedInUrl('http://www.linkedin.com/')).toBe(false);
+      expect(StepEngine.isLinkedInUrl('https://www.linkedin.com.example.com/')).toBe(false);
+      expect(StepEngine.isLinkedInUrl('https://www.linkedin.com@example.com/')).toBe(false);
+      expect(StepEngine.isLinkedInUrl('https://www.linkedin.com:8443/')).toBe(false);
+      expect(StepEngine.isLinkedInUrl('javascript:alert(1)')).toBe(false);
+      expect(StepEngine.isLinkedInUrl('not a url')).toBe(false);
+    });
+
+    it('should open a LinkedIn page once its placeholders are resolved', async () => {
+      await navigate('https://www.linkedin.com/company/{companyId}/admin/analytics/updates/', { companyId: '105563936' });
+
+      expect(StepEngine.navigate).toHaveBeenCalledWith(7, 'https://www.linkedin.com/company/105563936/admin/analytics/updates/', null);
+    });
+
+    it('should refuse a run variable that leads away from LinkedIn', async () => {
+      const error = await navigate('{homeUrl}', { homeUrl: 'https://example.com/' }).catch(e => e);
+
+      expect(error.message).toBe('Step "open" may only open LinkedIn pages, not https://example.com/');
+      expect(error.context).toMatchObject({ url: 'https://example.com/', fatal: true });
+      expect(StepEngine.navigate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a placeholder that changes the host', async () => {
+      await expect(navigate('https://www.linkedin.com{path}', { path: '.example.com/' })).rejects.toThrow('may only open LinkedIn pages');
+      expect(StepEngine.navigate).not.toHaveBeenCalled();
+    });
+
+    it('should accept every step of the bundled recipes', () => {
+      Object.values(bundled.recipes).flat().forEach((step) => {
+        expect(StepEngine.validateStep(step)).toEqual([]);
+      });
+    });
+  });
+});
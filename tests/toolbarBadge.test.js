@@ -0,0 +1,212 @@
+/**
+ * Unit Tests for the toolbar badge
+ *
+ * Tests:
+ * - A run in progress shows a spinner
+ * - Paused automation shows a pause sign and the pause in the tooltip
+ * - A pending retry shows a countdown in minutes, or in hours from an hour on
+ * - A failed last run, an expired LinkedIn session, a given up retry or an interrupted run shows a red "!"
+ * - An upload older than twice the interval shows its age in amber
+ * - The tooltip summarises the last run and the next scheduled run
+ */
+
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('ToolbarBadge', () => {
+  let worker;
+  let ToolbarBadge;
+  let storage;
+  let action;
+  const MINUTE = 60 * 1000;
+  const DAY = 24 * 60 * MINUTE;
+  const NOW = new Date('2025-05-12T09:00:00Z').getTime();
+  const iso = time => new Date(time).toISOString();
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+    ToolbarBadge = worker.get('ToolbarBadge');
+
+    action = {
+      setBadgeText: jest.fn().mockResolvedValue(),
+      setBadgeBackgroundColor: jest.fn().mockResolvedValue(),
+      setTitle: jest.fn().mockResolvedValue()
+    };
+    worker.chrome.action = action;
+  });
+
+  afterEach(() => {
+    ToolbarBadge._setSpinner(false);
+    worker.stop();
+  });
+
+  describe('describe()', () => {
+    it('should show a spinner while a run is in progress, even with a retry pending', () => {
+      const badge = ToolbarBadge.describe({
+        lastExecutionStatus: 'Running',
+        lastExecutionTime: iso(NOW),
+        retryScheduled: true,
+        nextRetryTime: iso(NOW + 2 * MINUTE)
+      }, NOW);
+
+      expect(badge).toMatchObject({ state: 'running', text: '|', color: '#0a66c2' });
+    });
+
+    it('should show a pause sign and when the pause ends', () => {
+      const until = iso(NOW + 3 * DAY);
+      const badge = ToolbarBadge.describe({
+        lastExecutionStatus: 'Failed',
+        lastExecutionTime: iso(NOW - DAY),
+        automationPause: { mode: 'until', until, since: iso(NOW - DAY), skipped: 1 }
+      }, NOW);
+
+      expect(badge).toMatchObject({ state: 'paused', text: 'II', color: '#6f42c1' });
+      expect(badge.title).toContain(`Paused until ${new Date(until).toLocaleString()}`);
+    });
+
+    it('should only mention a skipped next run in the tooltip', () => {
+      const badge = ToolbarBadge.describe({
+        lastExecutionStatus: '✅Success',
+        lastExecutionTime: iso(NOW - DAY),
+        automationPause: { mode: 'skipNext', until: null, since: iso(NOW), skipped: 0 }
+      }, NOW);
+
+      expect(badge.state).toBe('ok');
+      expect(badge.title).toContain('The next scheduled run will be skipped');
+    });
+
+    it('should ignore a pause whose date has passed', () => {
+      const badge = ToolbarBadge.describe({
+        automationPause: { mode: 'until', until: iso(NOW - MINUTE), since: iso(NOW - DAY), skipped: 0 }
+      }, NOW);
+
+      expect(badge.state).toBe('ok');
+    });
+
+    it('should count down to a pending retry in whole minutes', () => {
+      const badge = ToolbarBadge.describe({
+        lastExecutionStatus: 'Failed',
+        lastExecutionTime: iso(NOW - MINUTE),
+        retryScheduled: true,
+        nextRetryTime: iso(NOW + 90 * 1000)
+      }, NOW);
+
+      expect(badge).toMatchObject({ state: 'retry', text: '2m', color: '#6c757d' });
+      expect(badge.title).toContain(`Retry: ${new Date(NOW + 90 * 1000).toLocaleString()}`);
+    });
+
+    it.each([
+      [59 * MINUTE, '59m'],
+      [60 * MINUTE, '1h'],
+      [61 * MINUTE, '2h'],
+      [30 * 60 * MINUTE, '30h']
+    ])('should fit a wait of %d ms into the badge as "%s"', (wait, text) => {
+      const badge = ToolbarBadge.describe({
+        lastExecutionStatus: 'Failed',
+        retryScheduled: true,
+        nextRetryTime: iso(NOW + wait)
+      }, NOW);
+
+      expect(badge.text).toBe(text);
+      expect(badge.text.length).toBeLessThanOrEqual(4);
+    });
+
+    it.each([
+      'Failed',
+      'LinkedIn session expired',
+      'Gave up after 5 retries: Transient network error',
+      'Interrupted'
+    ])('should show a red "!" after "%s"', (status) => {
+      const badge = ToolbarBadge.describe({
+        lastExecutionStatus: status,
+        lastExecutionTime: iso(NOW - MINUTE),
+        lastSuccessfulUpload: iso(NOW - 10 * DAY)
+      }, NOW);
+
+      expect(badge).toMatchObject({ state: 'failed', text: '!', color: '#dc3545' });
+    });
+
+    it('should show a red "!" once a missed retry is due', () => {
+      const badge = ToolbarBadge.describe({
+        lastExecutionStatus: 'Failed',
+        retryScheduled: true,
+        nextRetryTime: iso(NOW - MINUTE)
+      }, NOW);
+
+      expect(badge.state).toBe('failed');
+    });
+
+    it('should show the age of an upload older than twice the interval in amber', () => {
+      const badge = ToolbarBadge.describe({
+        lastExecutionStatus: '✅Success',
+        lastExecutionTime: iso(NOW - 7 * DAY),
+        lastSuccessfulUpload: iso(NOW - 7 * DAY - MINUTE)
+      }, NOW);
+
+      expect(badge).toMatchObject({ state: 'stale', text: '7d', color: '#f0ad4e' });
+    });
+
+    it('should clear the badge after a recent upload', () => {
+      const badge = ToolbarBadge.describe({
+        lastExecutionStatus: '✅Success (upload queued for retry)',
+        lastExecutionTime: iso(NOW - DAY),
+        lastSuccessfulUpload: iso(NOW - 5 * DAY)
+      }, NOW);
+
+      expect(badge).toMatchObject({ state: 'ok', text: '', color: null });
+    });
+
+    it('should summarise the last and next run in the tooltip', () => {
+      const badge = ToolbarBadge.describe({
+        lastExecutionStatus: '✅Success',
+        lastExecutionTime: iso(NOW - DAY),
+        lastSuccessfulUpload: iso(NOW - DAY),
+        nextExecution: iso(NOW + 2 * DAY)
+      }, NOW);
+
+      expect(badge.title).toBe([
+        'Professional Profile Analytics',
+        `Last run: ✅Success (${new Date(NOW - DAY).toLocaleString()})`,
+        `Last upload: ${new Date(NOW - DAY).toLocaleString()}`,
+        `Next run: ${new Date(NOW + 2 * DAY).toLocaleString()}`
+      ].join('\n'));
+    });
+
+    it('should describe a fresh install', () => {
+      expect(ToolbarBadge.describe({}, NOW).title).toBe('Professional Profile Analytics\nLast run: none yet\nNext run: not scheduled');
+    });
+  });
+
+  describe('refresh()', () => {
+    it('should set the badge, colour and tooltip from storage', async () => {
+      Object.assign(storage, { lastExecutionStatus: 'Failed', lastExecutionTime: iso(Date.now()) });
+
+      await ToolbarBadge.refresh();
+
+      expect(action.setBadgeText).toHaveBeenCalledWith({ text: '!' });
+      expect(action.setBadgeBackgroundColor).toHaveBeenCalledWith({ color: '#dc3545' });
+      expect(action.setTitle).toHaveBeenCalledWith({ title: expect.stringContaining('Last run: Failed') });
+    });
+
+    it('should spin while running and stop when the run ends', async () => {
+      // Capture the spinner's interval so its frames can be stepped through
+      const ticks = [];
+      worker.set('setInterval', jest.fn((callback) => { ticks.push(callback); return ticks.length; }));
+      worker.set('clearInterval', jest.fn());
+
+      Object.assign(storage, { lastExecutionStatus: 'Running', lastExecutionTime: iso(Date.now()) });
+      await ToolbarBadge.refresh();
+      ticks[0]();
+      ticks[0]();
+      expect(action.setBadgeText.mock.calls.map(([{ text }]) => text)).toEqual(['|', '/', '-']);
+
+      Object.assign(storage, { lastExecutionStatus: '✅Success', lastExecutionTime: iso(Date.now()) });
+      await ToolbarBadge.refresh();
+
+      expect(worker.get('clearInterval')).toHaveBeenCalledWith(1);
+      expect(ToolbarBadge._spinner).toBeNull();
+      expect(worker.get('setInterval')).toHaveBeenCalledTimes(1);
+    });
+  });
+});
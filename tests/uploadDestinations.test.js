@@ -0,0 +1,259 @@
+/**
+ * Unit Tests for UploadDestinations
+ *
+ * Tests the pluggable upload destinations including:
+ * - The always-present built-in destination and its enabled flag
+ * - Per-type URL routing and sending to several destinations at once
+ * - Multipart and base64 JSON payloads with an optional auth header
+ * - Queueing per failed destination, flagging only a failed primary destination as queued
+ * - Archive-only mode
+ * - Test connections
+ */
+
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('UploadDestinations', () => {
+  let worker;
+  let UploadDestinations;
+  let UploadQueue;
+  let storage;
+  let sendBuiltIn;
+  let fetch;
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  const teamDestination = {
+    id: 'dest-1',
+    label: 'Team ingestion',
+    enabled: true,
+    format: 'json',
+    urls: { profile: 'https://ingest.example.com/profile', company: '', post: '' },
+    authHeaderName: 'X-Api-Key',
+    authHeaderValue: 'secret'
+  };
+
+  const localDestination = {
+    id: 'dest-2',
+    label: 'Local server',
+    enabled: true,
+    format: 'multipart',
+    urls: { profile: 'http://127.0.0.1:8000/profile', company: 'http://127.0.0.1:8000/company', post: '' }
+  };
+
+  const profileUpload = {
+    type: 'profile',
+    email: 'user@example.com',
+    fileName: 'Content_2025-01-01.xlsx',
+    data: 'UEsDBA==',
+    blob: new Blob(['xlsx'])
+  };
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+    UploadDestinations = worker.get('UploadDestinations');
+
+    // The built-in senders and the queue have their own tests
+    sendBuiltIn = jest.fn().mockResolvedValue({ message: 'Success', extracted_urls: [] });
+    UploadDestinations._sendBuiltIn = sendBuiltIn;
+    UploadQueue = worker.get('UploadQueue');
+    UploadQueue.enqueue = jest.fn().mockResolvedValue(1);
+    mockFetch(jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      text: async () => '{"stored":true}'
+    }));
+  });
+
+  const mockFetch = (mock) => {
+    fetch = mock;
+    worker.set('fetch', mock);
+  };
+
+  describe('getAll() and getTargets()', () => {
+    it('should default to the built-in destination only', async () => {
+      const destinations = await UploadDestinations.getAll();
+
+      expect(destinations).toEqual([UploadDestinations.getBuiltIn()]);
+    });
+
+    it('should keep the built-in destination first and honour its enabled flag', async () => {
+      storage.uploadDestinations = [teamDestination, { id: 'ppa', enabled: false }];
+
+      const destinations = await UploadDestinations.getAll();
+
+      expect(destinations.map(d => d.id)).toEqual(['ppa', 'dest-1']);
+      expect(destinations[0].enabled).toBe(false);
+    });
+
+    it('should only target destinations with a URL for the data type', async () => {
+      storage.uploadDestinations = [teamDestination, localDestination];
+
+      const companyTargets = await UploadDestinations.getTargets('company');
+      const postTargets = await UploadDestinations.getTargets('post');
+
+      expect(companyTargets.map(d => d.id)).toEqual(['ppa', 'dest-2']);
+      expect(postTargets.map(d => d.id)).toEqual(['ppa']);
+    });
+
+    it('should skip disabled destinations', async () => {
+      storage.uploadDestinations = [{ ...teamDestination, enabled: false }];
+
+      const targets = await UploadDestinations.getTargets('profile');
+
+      expect(targets.map(d => d.id)).toEqual(['ppa']);
+    });
+  });
+
+  describe('deliver()', () => {
+    it('should send to several destinations at once', async () => {
+      storage.uploadDestinations = [teamDestination, localDestination];
+
+      const result = await UploadDestinations.deliver(profileUpload);
+
+      expect(result.delivered).toEqual(['ppa', 'dest-1', 'dest-2']);
+      expect(sendBuiltIn).toHaveBeenCalledWith(profileUpload);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return the built-in response as the primary response', async () => {
+      storage.uploadDestinations = [teamDestination];
+
+      const result = await UploadDestinations.deliver(profileUpload);
+
+      expect(result.response).toEqual({ message: 'Success', extracted_urls: [] });
+    });
+
+    it('should fall back to a custom response when the built-in destination is disabled', async () => {
+      storage.uploadDestinations = [{ id: 'ppa', enabled: false }, teamDestination];
+
+      const result = await UploadDestinations.deliver(profileUpload);
+
+      expect(sendBuiltIn).not.toHaveBeenCalled();
+      expect(result.response).toEqual({ stored: true });
+    });
+
+    it('should keep going when one destination fails', async () => {
+      storage.uploadDestinations = [teamDestination];
+      sendBuiltIn.mockRejectedValue(new Error('Upload failed'));
+
+      const result = await UploadDestinations.deliver(profileUpload);
+
+      expect(result.delivered).toEqual(['dest-1']);
+      expect(result.failures.map(f => f.destinationId)).toEqual(['ppa']);
+    });
+  });
+
+  describe('deliverOrQueue()', () => {
+    it('should queue the file for each failed destination only', async () => {
+      storage.uploadDestinations = [teamDestination, localDestination];
+      mockFetch(jest.fn()
+        .mockResolvedValueOnce({ ok: false, status: 503, text: async () => 'Service Unavailable' })
+        .mockResolvedValueOnce({ ok: true, status: 200, text: async () => '' }));
+
+      const result = await UploadDestinations.deliverOrQueue(profileUpload, 'personal-1');
+
+      expect(UploadQueue.enqueue).toHaveBeenCalledTimes(1);
+      expect(UploadQueue.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+        destinationId: 'dest-1',
+        runId: 'personal-1',
+        fileName: 'Content_2025-01-01.xlsx'
+      }));
+      expect(result).toEqual({ message: 'Success', extracted_urls: [], queuedTo: ['Team ingestion'] });
+    });
+
+    it('should flag the upload as queued when the primary destination fails', async () => {
+      const AutomationError = worker.get('AutomationError');
+      sendBuiltIn.mockRejectedValue(new AutomationError('Upload failed', { status: 503 }));
+
+      const result = await UploadDestinations.deliverOrQueue(profileUpload, 'personal-1');
+
+      expect(UploadQueue.enqueue).toHaveBeenCalledWith(expect.objectContaining({ destinationId: 'ppa' }));
+      expect(result.queued).toBe(true);
+      expect(result.message).toBe('Upload failed, file queued for retry: Upload failed');
+    });
+
+    it('should record a successful upload when only another destination failed', async () => {
+      storage.uploadDestinations = [teamDestination];
+      mockFetch(jest.fn(async url => (url === teamDestination.urls.profile
+        ? { ok: false, status: 503, text: async () => 'Service Unavailable' }
+        : { ok: true, status: 200, blob: async () => new Blob(['xlsx']) })));
+
+      const result = await worker.get('FileUploader').uploadToWebhook(
+        'https://www.linkedin.com/ambry/?x-ambry-um-filename=Content_2025-01-01.xlsx',
+        'user@example.com'
+      );
+
+      expect(result.queued).toBeUndefined();
+      expect(storage.lastSuccessfulUpload).toBeDefined();
+    });
+
+    it('should keep the file in the archive only when no destination is enabled', async () => {
+      storage.uploadDestinations = [{ id: 'ppa', enabled: false }];
+
+      const result = await UploadDestinations.deliverOrQueue(profileUpload);
+
+      expect(result.archivedOnly).toBe(true);
+      expect(sendBuiltIn).not.toHaveBeenCalled();
+      expect(UploadQueue.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('custom payloads', () => {
+    it('should send base64 JSON with the auth header', async () => {
+      await UploadDestinations.send(teamDestination, profileUpload);
+
+      const [url, options] = fetch.mock.calls[0];
+      expect(url).toBe('https://ingest.example.com/profile');
+      expect(options.headers).toEqual({ 'X-Api-Key': 'secret', 'Content-Type': 'application/json' });
+      expect(JSON.parse(options.body)).toEqual({
+        type: 'profile',
+        email: 'user@example.com',
+        file_name: 'Content_2025-01-01.xlsx',
+        file: 'UEsDBA=='
+      });
+    });
+
+    it('should send a multipart form with the file and metadata', async () => {
+      await UploadDestinations.send(localDestination, { ...profileUpload, type: 'company', companyId: '105563936' });
+
+      const [url, options] = fetch.mock.calls[0];
+      expect(url).toBe('http://127.0.0.1:8000/company');
+      expect(options.headers).toEqual({});
+      expect(options.body.get('company_id')).toBe('105563936');
+      expect(options.body.get('file_name')).toBe('Content_2025-01-01.xlsx');
+      expect(options.body.get('xlsx')).toBeTruthy();
+    });
+
+    it('should default the auth header name to Authorization', () => {
+      expect(UploadDestinations.getAuthHeaders({ authHeaderValue: 'Bearer abc' }))
+        .toEqual({ Authorization: 'Bearer abc' });
+    });
+
+    it('should accept non-JSON responses', async () => {
+      mockFetch(jest.fn().mockResolvedValue({ ok: true, status: 200, text: async () => 'OK' }));
+
+      const response = await UploadDestinations.send(teamDestination, profileUpload);
+
+      expect(response).toEqual({ message: 'OK' });
+    });
+  });
+
+  describe('testConnection()', () => {
+    it('should report each configured URL separately', async () => {
+      mockFetch(jest.fn()
+        .mockResolvedValueOnce({ ok: true, status: 200 })
+        .mockRejectedValueOnce(new Error('Failed to fetch')));
+
+      const results = await UploadDestinations.testConnection(localDestination);
+
+      expect(results).toEqual([
+        { type: 'profile', url: 'http://127.0.0.1:8000/profile', ok: true, status: 200 },
+        { type: 'company', url: 'http://127.0.0.1:8000/company', ok: false, status: null, error: 'Failed to fetch' }
+      ]);
+    });
+  });
+});
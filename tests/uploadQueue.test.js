@@ -0,0 +1,336 @@
+/**
+ * Unit Tests for UploadQueue
+ *
+ * Tests the offline upload queue including:
+ * - Queuing downloaded files in IndexedDB after a failed upload
+ * - Exponential backoff between replays
+ * - Draining due entries from the watchdog to the destination that failed
+ * - Giving up after the maximum number of attempts
+ * - Dropping uploads the destination rejected instead of replaying them
+ * - Logging every dropped upload and marking it on its run
+ */
+
+const { startServiceWorker } = require('./setup/serviceWorker');
+
+describe('UploadQueue', () => {
+  let worker;
+  let storage;
+  let UploadQueue;
+  let QueuedUploads;
+  let UploadDestinations;
+  let CONFIG;
+  let AutomationError;
+  let destinations;
+
+  beforeEach(async () => {
+    storage = {};
+    worker = startServiceWorker(storage);
+    await worker.settle();
+
+    UploadQueue = worker.get('UploadQueue');
+    QueuedUploads = worker.get('QueuedUploads');
+    CONFIG = worker.get('CONFIG');
+    AutomationError = worker.get('AutomationError');
+
+    destinations = {
+      ppa: { id: 'ppa', label: 'Professional Profile Analytics', builtIn: true, enabled: true },
+      team: { id: 'team', label: 'Team ingestion', enabled: true, urls: { profile: 'https://ingest.example.com/' } }
+    };
+    UploadDestinations = worker.get('UploadDestinations');
+    UploadDestinations.get = jest.fn(async id => destinations[id] || null);
+    UploadDestinations.send = jest.fn().mockResolvedValue({ message: 'Success' });
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  // Make every queued entry due now
+  async function makeAllDue() {
+    for (const entry of await UploadQueue.getEntries()) {
+      await QueuedUploads.update(entry.id, { nextAttemptAt: Date.now() - 1 });
+    }
+  }
+
+  const unavailable = () => new AutomationError('Upload failed', { status: 503 });
+  const rejected = () => new AutomationError('Upload failed', { status: 400 });
+
+  const logged = async (prefix) => {
+    await worker.settle();
+    return worker.messages().filter(message => message.startsWith(prefix));
+  };
+
+  describe('enqueue()', () => {
+    it('should store the file with its upload details in IndexedDB', async () => {
+      await UploadQueue.enqueue({
+        type: 'profile',
+        fileName: 'Content_2025-01-01.xlsx',
+        data: 'UEsDBA==',
+        email: 'user@example.com',
+        runId: 'personal-1',
+        error: unavailable()
+      });
+
+      const [entry] = await UploadQueue.getEntries();
+      expect(entry).toMatchObject({
+        type: 'profile',
+        fileName: 'Content_2025-01-01.xlsx',
+        email: 'user@example.com',
+        runId: 'personal-1',
+        attempts: 1,
+        lastError: 'Upload failed'
+      });
+      expect(Buffer.from(await entry.blob.arrayBuffer()).toString('base64')).toBe('UEsDBA==');
+      expect(storage.uploadQueue).toBeUndefined();
+    });
+
+    it('should schedule the first replay after the base delay', async () => {
+      const before = Date.now();
+      await UploadQueue.enqueue({ type: 'profile', fileName: 'a.xlsx', data: 'AA==', email: 'user@example.com' });
+
+      const [entry] = await UploadQueue.getEntries();
+      expect(entry.nextAttemptAt).toBeGreaterThanOrEqual(before + CONFIG.UPLOAD_QUEUE.BASE_DELAY);
+    });
+
+    it('should keep only the newest entries beyond the entry limit', async () => {
+      for (let i = 0; i < CONFIG.UPLOAD_QUEUE.MAX_ENTRIES + 2; i++) {
+        await UploadQueue.enqueue({ type: 'profile', fileName: `file-${i}.xlsx`, data: 'AA==', email: 'user@example.com' });
+      }
+
+      const entries = await UploadQueue.getEntries();
+      expect(entries).toHaveLength(CONFIG.UPLOAD_QUEUE.MAX_ENTRIES);
+      expect(entries[0].fileName).toBe('file-2.xlsx');
+    });
+
+    it('should log every upload dropped beyond the entry limit and mark it on its run', async () => {
+      storage.runHistory = [{ id: 'personal-1', startedAt: new Date().toISOString(), outcome: 'Success', uploadQueued: true }];
+      await UploadQueue.enqueue({ type: 'profile', fileName: 'first.xlsx', data: 'AA==', email: 'user@example.com', runId: 'personal-1' });
+      for (let i = 0; i < CONFIG.UPLOAD_QUEUE.MAX_ENTRIES; i++) {
+        await UploadQueue.enqueue({ type: 'profile', fileName: `file-${i}.xlsx`, data: 'AA==', email: 'user@example.com' });
+      }
+
+      expect(await logged('Dropped queued upload')).toEqual([
+        `Dropped queued upload of first.xlsx: the queue holds at most ${CONFIG.UPLOAD_QUEUE.MAX_ENTRIES} files`
+      ]);
+      expect(storage.runHistory[0]).toMatchObject({ uploadQueued: false, uploadDropped: true });
+    });
+  });
+
+  describe('enqueue() after a rejected upload', () => {
+    it('should drop the file instead of queueing it', async () => {
+      storage.runHistory = [{ id: 'personal-1', startedAt: new Date().toISOString(), outcome: 'Success' }];
+
+      const id = await UploadQueue.enqueue({
+        type: 'profile',
+        fileName: 'a.xlsx',
+        data: 'AA==',
+        email: 'user@example.com',
+        runId: 'personal-1',
+        error: rejected()
+      });
+
+      expect(id).toBeNull();
+      expect(await UploadQueue.getEntries()).toHaveLength(0);
+      expect(storage.runHistory[0]).toMatchObject({ uploadQueued: false, uploadDropped: true });
+      expect(await logged('Dropped queued upload')).toEqual(['Dropped queued upload of a.xlsx: not retried: Upload failed']);
+    });
+
+    it('should queue the file after a network error, server error or rate limiting', async () => {
+      const errors = [
+        new TypeError('Failed to fetch'),
+        unavailable(),
+        new AutomationError('Upload failed', { status: 429 })
+      ];
+
+      for (const error of errors) {
+        await UploadQueue.enqueue({ type: 'profile', fileName: 'a.xlsx', data: 'AA==', email: 'user@example.com', error });
+      }
+
+      expect(await UploadQueue.getEntries()).toHaveLength(errors.length);
+    });
+  });
+
+  describe('getBackoffDelay()', () => {
+    it('should double the delay after each failed attempt', () => {
+      expect(UploadQueue.getBackoffDelay(1)).toBe(2 * 60 * 1000);
+      expect(UploadQueue.getBackoffDelay(2)).toBe(4 * 60 * 1000);
+      expect(UploadQueue.getBackoffDelay(3)).toBe(8 * 60 * 1000);
+    });
+
+    it('should cap the delay at the maximum', () => {
+      expect(UploadQueue.getBackoffDelay(15)).toBe(CONFIG.UPLOAD_QUEUE.MAX_DELAY);
+    });
+  });
+
+  describe('drain()', () => {
+    it('should not replay entries whose backoff has not elapsed', async () => {
+      await UploadQueue.enqueue({ type: 'profile', fileName: 'a.xlsx', data: 'AA==', email: 'user@example.com' });
+
+      await UploadQueue.drain();
+
+      expect(UploadDestinations.send).not.toHaveBeenCalled();
+      expect(await UploadQueue.getEntries()).toHaveLength(1);
+    });
+
+    it('should upload due entries and remove them from the queue', async () => {
+      storage.runHistory = [{ id: 'personal-1', startedAt: new Date().toISOString(), outcome: 'Success', uploadQueued: true }];
+      await UploadQueue.enqueue({ type: 'profile', fileName: 'a.xlsx', data: 'AA==', email: 'user@example.com', runId: 'personal-1' });
+      await makeAllDue();
+
+      await UploadQueue.drain();
+
+      expect(UploadDestinations.send).toHaveBeenCalledWith(
+        destinations.ppa,
+        expect.objectContaining({ blob: expect.anything(), fileName: 'a.xlsx', email: 'user@example.com' })
+      );
+      expect(await UploadQueue.getEntries()).toHaveLength(0);
+      expect(storage.runHistory[0]).toMatchObject({ uploadQueued: false, uploadedAt: expect.any(String) });
+      expect(storage.lastSuccessfulUpload).toBeDefined();
+    });
+
+    it('should resend only to the destination that failed', async () => {
+      await UploadQueue.enqueue({
+        type: 'company',
+        fileName: 'company.xls',
+        data: 'AA==',
+        email: 'user@example.com',
+        companyId: '105563936',
+        destinationId: 'team'
+      });
+      await makeAllDue();
+
+      await UploadQueue.drain();
+
+      expect(UploadDestinations.send).toHaveBeenCalledTimes(1);
+      expect(UploadDestinations.send.mock.calls[0][0].id).toBe('team');
+      expect(UploadDestinations.send.mock.calls[0][1].companyId).toBe('105563936');
+    });
+
+    it('should drop entries whose destination was disabled or removed', async () => {
+      destinations.team.enabled = false;
+      await UploadQueue.enqueue({ type: 'profile', fileName: 'a.xlsx', data: 'AA==', email: 'user@example.com', destinationId: 'team' });
+      await UploadQueue.enqueue({ type: 'profile', fileName: 'b.xlsx', data: 'AA==', email: 'user@example.com', destinationId: 'gone' });
+      await makeAllDue();
+
+      await UploadQueue.drain();
+
+      expect(UploadDestinations.send).not.toHaveBeenCalled();
+      expect(await UploadQueue.getEntries()).toHaveLength(0);
+      expect(await logged('Dropped queued upload')).toEqual([
+        'Dropped queued upload of a.xlsx: destination team is no longer enabled',
+        'Dropped queued upload of b.xlsx: destination gone is no longer enabled'
+      ]);
+    });
+
+    it('should back off further when the replay fails', async () => {
+      UploadDestinations.send.mockRejectedValue(unavailable());
+      await UploadQueue.enqueue({ type: 'profile', fileName: 'a.xlsx', data: 'AA==', email: 'user@example.com' });
+      await makeAllDue();
+
+      const before = Date.now();
+      await UploadQueue.drain();
+
+      const [entry] = await UploadQueue.getEntries();
+      expect(entry.attempts).toBe(2);
+      expect(entry.lastError).toBe('Upload failed');
+      expect(entry.nextAttemptAt).toBeGreaterThanOrEqual(before + UploadQueue.getBackoffDelay(2));
+    });
+
+    it('should drop an entry the destination rejects on replay', async () => {
+      storage.runHistory = [{ id: 'personal-1', startedAt: new Date().toISOString(), outcome: 'Success', uploadQueued: true }];
+      UploadDestinations.send.mockRejectedValue(rejected());
+      await UploadQueue.enqueue({ type: 'profile', fileName: 'a.xlsx', data: 'AA==', email: 'user@example.com', runId: 'personal-1' });
+      await makeAllDue();
+
+      await UploadQueue.drain();
+
+      expect(await UploadQueue.getEntries()).toHaveLength(0);
+      expect(storage.runHistory[0]).toMatchObject({ uploadQueued: false, uploadDropped: true });
+      expect(await logged('Dropped queued upload')).toEqual(['Dropped queued upload of a.xlsx: not retried: Upload failed']);
+    });
+
+    it('should drop an entry once it reaches the maximum attempts', async () => {
+      storage.runHistory = [{ id: 'personal-1', startedAt: new Date().toISOString(), outcome: 'Success', uploadQueued: true }];
+      UploadDestinations.send.mockRejectedValue(unavailable());
+      await UploadQueue.enqueue({ type: 'profile', fileName: 'a.xlsx', data: 'AA==', email: 'user@example.com', runId: 'personal-1' });
+      const [queued] = await UploadQueue.getEntries();
+      await QueuedUploads.update(queued.id, { attempts: CONFIG.UPLOAD_QUEUE.MAX_ATTEMPTS - 1 });
+      await makeAllDue();
+
+      await UploadQueue.drain();
+
+      expect(await UploadQueue.getEntries()).toHaveLength(0);
+      expect(storage.runHistory[0]).toMatchObject({ uploadQueued: false, uploadDropped: true });
+      expect(await logged('Dropped queued upload')).toEqual([
+        `Dropped queued upload of a.xlsx: gave up after ${CONFIG.UPLOAD_QUEUE.MAX_ATTEMPTS} attempts: Upload failed`
+      ]);
+    });
+
+    it('should keep delivering other entries when one fails', async () => {
+      UploadDestinations.send.mockImplementation(async (destination, entry) => {
+        if (entry.fileName === 'bad.xlsx') throw unavailable();
+        return { message: 'Success' };
+      });
+      await UploadQueue.enqueue({ type: 'profile', fileName: 'bad.xlsx', data: 'AA==', email: 'user@example.com' });
+      await UploadQueue.enqueue({ type: 'profile', fileName: 'good.xlsx', data: 'AA==', email: 'user@example.com' });
+      await makeAllDue();
+
+      await UploadQueue.drain();
+
+      const entries = await UploadQueue.getEntries();
+      expect(entries.map(entry => entry.fileName)).toEqual(['bad.xlsx']);
+    });
+
+    it('should ignore a drain that starts while another is running', async () => {
+      let release;
+      UploadDestinations.send.mockImplementation(() => new Promise((resolve) => { release = resolve; }));
+      await UploadQueue.enqueue({ type: 'profile', fileName: 'a.xlsx', data: 'AA==', email: 'user@example.com' });
+      await makeAllDue();
+
+      const first = UploadQueue.drain();
+      await worker.settle();
+      await UploadQueue.drain();
+      release({ message: 'Success' });
+      await first;
+
+      expect(UploadDestinations.send).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('across service worker restarts', () => {
+    it('should keep queued files for the next service worker', async () => {
+      await UploadQueue.enqueue({ type: 'profile', fileName: 'a.xlsx', data: 'AA==', email: 'user@example.com' });
+      worker.stop();
+
+      worker = startServiceWorker(storage);
+      await worker.settle();
+
+      const entries = await worker.get('UploadQueue').getEntries();
+      expect(entries.map(entry => entry.fileName)).toEqual(['a.xlsx']);
+    });
+
+    it('should move a queue kept in storage by an earlier version into IndexedDB', async () => {
+      worker.stop();
+      storage.uploadQueue = [{
+        id: 'upload-1-abc123',
+        type: 'profile',
+        fileName: 'a.xlsx',
+        email: 'user@example.com',
+        data: 'UEsDBA==',
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        attempts: 3,
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: Date.now(),
+        lastError: 'Upload failed'
+      }];
+
+      worker = startServiceWorker(storage);
+      await worker.settle();
+      const [entry] = await worker.get('UploadQueue').getEntries();
+
+      expect(entry).toMatchObject({ fileName: 'a.xlsx', attempts: 3, lastError: 'Upload failed' });
+      expect(Buffer.from(await entry.blob.arrayBuffer()).toString('base64')).toBe('UEsDBA==');
+      expect(storage.uploadQueue).toBeUndefined();
+    });
+  });
+});